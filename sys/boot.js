@@ -0,0 +1,88 @@
+// -----------------------------------------------------------------------------
+// file: sys/boot.js
+// -----------------------------------------------------------------------------
+import Kernel from './kernel.js';
+import { decodePayload, payloadFromUrl } from './util/payload.js';
+
+/**
+ * The boot loader. It starts the kernel, first reading a boot payload (see
+ * util/payload.js) from the page's URL fragment if there is one. That is how
+ * QRx boots from a QR code: the code holds a URL like 'https://qrx.world/#qrx=...',
+ * and opening it brings up the shell with the payload's files in place and its
+ * init script run, once the user agrees (see `Kernel.acceptPayload`).
+ *
+ * An image of such a QR code can also be dropped onto the page; it is decoded
+ * with the browser's BarcodeDetector where there is one, and the page boots again
+ * from the URL it holds.
+ */
+
+// The kernel options a payload may set. The rest belong to the page: the container,
+// and where modules and git traffic come from ('repo' and 'gitConfig'), which a
+// link from anyone must not be able to point elsewhere.
+const CONFIG_KEYS = ['welcomeMessage'];
+
+/**
+ * Boots the kernel.
+ * @param {object} [options] - Kernel options, which a payload's config overrides.
+ * @returns {Promise<Kernel>} The kernel.
+ */
+export async function boot(options = {}) {
+    const config = { ...options };
+    let error = null;
+    const encoded = payloadFromUrl(location.href);
+    if (encoded) {
+        try {
+            const payload = await decodePayload(encoded);
+            for (const key of CONFIG_KEYS) {
+                if (payload.config?.[key] !== undefined) config[key] = payload.config[key];
+            }
+            config.files = payload.files;
+            config.init = payload.init;
+        } catch (e) {
+            error = e;
+        }
+        // A reload starts from the file system as it is, instead of seeding it again.
+        history.replaceState(null, '', location.pathname + location.search);
+    }
+    const kernel = new Kernel(config);
+    // The terminal is open by now, so this comes before the kernel's own messages.
+    if (error) kernel.writeln(`\x1B[1;31mboot: ${error.message}\x1B[0m`);
+    return kernel;
+}
+
+/**
+ * Reads the text of a QR code in an image.
+ * @param {Blob} image - The image, e.g. a dropped file.
+ * @returns {Promise<string>} The text the code holds.
+ * @throws {Error} If the browser cannot read QR codes or the image has none.
+ */
+export async function decodeImage(image) {
+    if (typeof BarcodeDetector === 'undefined') throw new Error('this browser cannot read QR codes');
+    const detector = new BarcodeDetector({ formats: ['qr_code'] });
+    const [code] = await detector.detect(await createImageBitmap(image));
+    if (!code) throw new Error('no QR code found in the image');
+    return code.rawValue;
+}
+
+/**
+ * Lets a QR code image dropped onto an element boot the page from its payload.
+ * @param {HTMLElement} element - Where images can be dropped.
+ * @param {Kernel} kernel - The running kernel, to report errors on.
+ */
+export function acceptDroppedCodes(element, kernel) {
+    element.addEventListener('dragover', event => event.preventDefault());
+    element.addEventListener('drop', async (event) => {
+        event.preventDefault();
+        const [file] = event.dataTransfer.files;
+        if (!file) return;
+        try {
+            const encoded = payloadFromUrl(await decodeImage(file));
+            if (!encoded) throw new Error('the QR code holds no QRx boot payload');
+            location.hash = `qrx=${encoded}`;
+            location.reload();
+        } catch (e) {
+            kernel.writeln(`\r\n\x1B[1;31mboot: ${e.message}\x1B[0m`);
+            if (!kernel.commandInProgress) kernel.prompt();
+        }
+    });
+}
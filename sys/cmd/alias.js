@@ -0,0 +1,62 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/alias.js
+// -----------------------------------------------------------------------------
+/**
+ * Implements the 'alias' command.
+ * 'alias NAME=VALUE' defines an alias: when NAME is the first word of a command,
+ * VALUE is run in its place, followed by the rest of the words. 'alias NAME'
+ * shows one alias and 'alias' on its own (or 'alias -p') lists them all, in a
+ * form that can be read back in.
+ */
+export default {
+    description: 'define or list aliases',
+    usage: '[-p] [NAME[=VALUE]]...',
+    options: {
+        print: { short: 'p', description: 'list all the aliases' },
+    },
+
+    /**
+     * @param {Process} proc - The running process.
+     * @returns {Promise<number>} The exit status. 0 for success, 1 if a name is not found or invalid.
+     */
+    async exec(proc) {
+        const { kernel: shell, operands: names, stdout, stderr } = proc;
+        if (names.length === 0) {
+            for (const name of Object.keys(shell.aliases).sort()) await stdout.write(`${format(name, shell.aliases[name])}\n`);
+            return 0;
+        }
+
+        let status = 0;
+        for (const arg of names) {
+            const separator = arg.indexOf('=');
+            if (separator === -1) {
+                if (arg in shell.aliases) {
+                    await stdout.write(`${format(arg, shell.aliases[arg])}\n`);
+                } else {
+                    await stderr.write(`-qrx: alias: ${arg}: not found\n`);
+                    status = 1;
+                }
+                continue;
+            }
+            const name = arg.slice(0, separator);
+            if (!/^[^\s/$`'"\\=|&;()<>]+$/.test(name)) {
+                await stderr.write(`-qrx: alias: \`${name}': invalid alias name\n`);
+                status = 1;
+                continue;
+            }
+            shell.aliases[name] = arg.slice(separator + 1);
+        }
+        return status;
+    },
+
+    complete(shell) {
+        return Object.keys(shell.aliases);
+    },
+};
+
+/**
+ * Formats an alias the way 'alias' lists it: alias ll='ls -l'.
+ */
+function format(name, value) {
+    return `alias ${name}='${value.replace(/'/g, `'\\''`)}'`;
+}
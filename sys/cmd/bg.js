@@ -0,0 +1,31 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/bg.js
+// -----------------------------------------------------------------------------
+/**
+ * Implements the 'bg' builtin.
+ * Jobs cannot be suspended here, so every job still running is already running in
+ * the background; 'bg' only reports that, or that the job has finished.
+ */
+export default {
+    description: 'resume jobs in the background',
+    usage: '[%JOB]...',
+
+    /**
+     * @param {Process} proc - The running process.
+     * @returns {Promise<number>} 0 for a running job, 1 if there is no such job or it has finished.
+     */
+    async exec(proc) {
+        const { kernel, args, stderr } = proc;
+        const job = kernel.jobs.find(args[0]);
+        if (!job) {
+            await stderr.write(`-qrx: bg: ${args[0] ?? 'current'}: no such job\n`);
+            return 1;
+        }
+        if (job.status !== null) {
+            await stderr.write('-qrx: bg: job has terminated\n');
+            return 1;
+        }
+        await stderr.write(`-qrx: bg: job ${job.id} already in background\n`);
+        return 0;
+    }
+};
@@ -0,0 +1,32 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/break.js
+// -----------------------------------------------------------------------------
+import { ControlSignal } from '../engine/signals.js';
+
+/**
+ * Implements the 'break' builtin.
+ * Leaves the innermost enclosing 'for', 'while' or 'until' loop,
+ * or the N innermost loops with 'break N'.
+ */
+export default {
+    description: 'leave loops',
+    usage: '[N]',
+
+    /**
+     * @param {Kernel} shell - The shell instance.
+     * @param {string[]} args - An optional loop count.
+     * @returns {Promise<number>} 1 for a bad count, 0 outside a loop; otherwise it does not return.
+     */
+    async run(shell, args) {
+        const count = args.length ? Number(args[0]) : 1;
+        if (!Number.isInteger(count) || count < 1) {
+            shell.ewriteln(`-qrx: break: ${args[0]}: loop count out of range`);
+            return 1;
+        }
+        if (shell.executor.loopDepth === 0) {
+            shell.ewriteln("-qrx: break: only meaningful in a `for', `while', or `until' loop");
+            return 0;
+        }
+        throw new ControlSignal('break', Math.min(count, shell.executor.loopDepth));
+    }
+};
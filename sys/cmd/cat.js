@@ -4,38 +4,51 @@
 /**
  * Implements the 'cat' (concatenate) command.
  * MODIFIED to return an exit status.
+ * MODIFIED: Stream-based. Piped input is copied to stdout chunk by chunk as it
+ * arrives, and '-' stands for stdin among the file arguments.
+ * MODIFIED: Only a file that cannot be read is reported as missing; a failed
+ * write, such as to a pipe whose reader has gone, ends the command.
  */
 export default {
+    description: 'concatenate files and print them',
+    usage: '[FILE]...',
+
     /**
-     * @param {Kernel} shell - The shell instance.
-     * @param {string[]} args - The command arguments (file paths).
-     * @param {string|null} stdin - Piped input from a previous command.
+     * @param {Process} proc - The running process (args, stdin, stdout, stderr).
      * @returns {Promise<number>} The exit status. 0 for success, 1 for failure.
      */
-    async run(shell, args, stdin) {
-        // If there is piped input, 'cat' should print it and ignore file arguments.
-        if (stdin !== null) {
-            shell.write(stdin);
-            return 0;
-        }
+    async exec(proc) {
+        const { args, stdin, stdout, stderr } = proc;
 
         if (args.length === 0) {
+            if (stdin) {
+                for await (const chunk of stdin) await stdout.write(chunk);
+                return 0;
+            }
             // In a real terminal, 'cat' with no args would wait for user input.
             // Here, it's an error.
-            shell.writeln('cat: missing file operand');
+            await stderr.write('cat: missing file operand\n');
             return 1;
         }
 
         let hadError = false;
         for (const filePath of args) {
-            const absolutePath = shell.resolvePath(filePath);
+            if (filePath === '-') {
+                if (stdin) {
+                    for await (const chunk of stdin) await stdout.write(chunk);
+                }
+                continue;
+            }
+            const absolutePath = proc.resolvePath(filePath);
+            let content;
             try {
-                const content = await shell.pfs.readFile(absolutePath, 'utf8');
-                shell.write(content);
+                content = await proc.kernel.pfs.readFile(absolutePath, 'utf8');
             } catch (e) {
-                shell.writeln(`cat: ${filePath}: No such file or directory`);
+                await stderr.write(`cat: ${filePath}: No such file or directory\n`);
                 hadError = true;
+                continue;
             }
+            await stdout.write(content);
         }
         return hadError ? 1 : 0;
     }
@@ -1,8 +1,14 @@
+import { completePaths } from '../util/completion.js';
+
 /**
  * Implements the 'cd' (change directory) command.
  * MODIFIED to return an exit status.
+ * MODIFIED: Completes directory names on Tab.
  */
 export default {
+    description: 'change the working directory',
+    usage: '[DIRECTORY]',
+
     /**
      * The main entry point for the 'cd' command.
      * @param {Kernel} shell - The shell instance.
@@ -20,13 +26,24 @@ export default {
                 shell.cwd = targetPath;
                 return 0; // Success
             } else {
-                shell.writeln(`-qrx: cd: not a directory: ${args[0] || targetPath}`);
+                shell.ewriteln(`-qrx: cd: not a directory: ${args[0] || targetPath}`);
                 return 1; // Failure
             }
         } catch (e) {
-            shell.writeln(`-qrx: cd: no such file or directory: ${args[0] || targetPath}`);
+            shell.ewriteln(`-qrx: cd: no such file or directory: ${args[0] || targetPath}`);
             return 1; // Failure
         }
+    },
+
+    /**
+     * Tab completion: only directories make sense here.
+     * @param {Kernel} shell - The shell instance.
+     * @param {string[]} args - The arguments before the one being completed.
+     * @param {string} word - The word being completed.
+     * @returns {Promise<string[]>} The candidates.
+     */
+    complete(shell, args, word) {
+        return completePaths(shell, word, { directoriesOnly: true });
     }
 };
 
@@ -0,0 +1,72 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/chmod.js
+// -----------------------------------------------------------------------------
+/**
+ * Implements the 'chmod' command.
+ * Changes file mode bits, given in octal ('755') or symbolically ('+x',
+ * 'u+x,go-w', 'a=r'). Needed to make a script runnable by path.
+ */
+const WHO_SHIFT = { u: 6, g: 3, o: 0 };
+const PERMISSION_BITS = { r: 4, w: 2, x: 1 };
+
+export default {
+    description: 'change the mode bits of files',
+    usage: 'MODE FILE...',
+    // No `options` (see util/args.js): a mode such as '-w' looks like one.
+
+    /**
+     * @param {Kernel} shell - The shell instance.
+     * @param {string[]} args - The mode followed by one or more files.
+     * @returns {Promise<number>} The exit status. 0 for success, 1 for failure.
+     */
+    async run(shell, args) {
+        const [mode, ...files] = args;
+        if (!mode || files.length === 0) {
+            shell.ewriteln('chmod: missing operand');
+            shell.ewriteln('Usage: chmod MODE FILE...');
+            return 1;
+        }
+
+        let hadError = false;
+        for (const file of files) {
+            const path = shell.resolvePath(file);
+            try {
+                const stats = await shell.pfs.stat(path);
+                const newMode = applyMode(mode, stats.mode & 0o7777);
+                if (newMode === null) {
+                    shell.ewriteln(`chmod: invalid mode: '${mode}'`);
+                    return 1;
+                }
+                await shell.pfs.chmod(path, (stats.mode & ~0o7777) | newMode);
+            } catch (e) {
+                shell.ewriteln(`chmod: cannot access '${file}': No such file or directory`);
+                hadError = true;
+            }
+        }
+        return hadError ? 1 : 0;
+    }
+};
+
+/**
+ * Applies an octal or symbolic mode to the current permission bits.
+ * @returns {number|null} The new bits, or null if the mode is invalid.
+ */
+function applyMode(mode, current) {
+    if (/^[0-7]{1,4}$/.test(mode)) return parseInt(mode, 8);
+
+    let bits = current;
+    for (const clause of mode.split(',')) {
+        const match = clause.match(/^([ugoa]*)([-+=])([rwx]*)$/);
+        if (!match) return null;
+        const [, who, op, perms] = match;
+        const targets = !who || who.includes('a') ? ['u', 'g', 'o'] : [...who];
+        for (const target of targets) {
+            const shift = WHO_SHIFT[target];
+            const value = [...perms].reduce((sum, p) => sum | PERMISSION_BITS[p], 0) << shift;
+            if (op === '+') bits |= value;
+            else if (op === '-') bits &= ~value;
+            else bits = (bits & ~(7 << shift)) | value;
+        }
+    }
+    return bits;
+}
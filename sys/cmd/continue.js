@@ -0,0 +1,32 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/continue.js
+// -----------------------------------------------------------------------------
+import { ControlSignal } from '../engine/signals.js';
+
+/**
+ * Implements the 'continue' builtin.
+ * Skips to the next iteration of the innermost enclosing loop,
+ * or of the Nth enclosing loop with 'continue N'.
+ */
+export default {
+    description: 'skip to the next iteration of loops',
+    usage: '[N]',
+
+    /**
+     * @param {Kernel} shell - The shell instance.
+     * @param {string[]} args - An optional loop count.
+     * @returns {Promise<number>} 1 for a bad count, 0 outside a loop; otherwise it does not return.
+     */
+    async run(shell, args) {
+        const count = args.length ? Number(args[0]) : 1;
+        if (!Number.isInteger(count) || count < 1) {
+            shell.ewriteln(`-qrx: continue: ${args[0]}: loop count out of range`);
+            return 1;
+        }
+        if (shell.executor.loopDepth === 0) {
+            shell.ewriteln("-qrx: continue: only meaningful in a `for', `while', or `until' loop");
+            return 0;
+        }
+        throw new ControlSignal('continue', Math.min(count, shell.executor.loopDepth));
+    }
+};
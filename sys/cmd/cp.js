@@ -1,86 +1,97 @@
 // -----------------------------------------------------------------------------
 // file: sys/cmd/cp.js
 // -----------------------------------------------------------------------------
+import { confirm, targetOf, isInside, copyTree } from '../util/fileops.js';
+import { joinPath } from '../util/walk.js';
+import { Interrupt, BrokenPipe } from '../engine/signals.js';
+
 /**
  * Implements the 'cp' (copy) command.
  * MODIFIED to return an exit status.
+ * MODIFIED: Directories are copied with the shared walker in util/walk.js.
+ * MODIFIED: Rewritten as a stream-based command with GNU-style options.
+ * MODIFIED: Of '-i' and '-n', the last one given wins, as in mv.
+ *
+ * With several sources, DEST must be an existing directory, and each source is
+ * copied into it. A directory is never copied into itself.
  */
 export default {
+    description: 'copy files and directories',
+    usage: ['[OPTION]... SOURCE DEST', '[OPTION]... SOURCE... DIRECTORY'],
+    options: {
+        recursive: { short: 'rR', long: 'recursive', description: 'copy directories and everything in them' },
+        interactive: { short: 'i', long: 'interactive', cancels: ['noClobber'], description: 'ask before overwriting a file' },
+        noClobber: { short: 'n', long: 'no-clobber', cancels: ['interactive'], description: 'never overwrite a file' },
+        force: { short: 'f', long: 'force', description: 'accepted for compatibility' },
+        preserve: { short: 'p', long: 'preserve', description: 'keep the modes and modification times' },
+        verbose: { short: 'v', long: 'verbose', description: 'print each file as it is copied' },
+    },
+
     /**
-     * @returns {Promise<number>} The exit status. 0 for success, 1 for failure.
+     * @param {Process} proc - The running process.
+     * @returns {Promise<number>} 0, or 1 if anything could not be copied.
      */
-    async run(shell, args) {
-        if (args.length !== 2) {
-            shell.writeln('cp: missing destination file operand after \'source_file\'');
-            shell.writeln('Usage: cp SOURCE DEST');
+    async exec(proc) {
+        const { kernel, options, stdout, stderr } = proc;
+        const { pfs } = kernel;
+        const operands = [...proc.operands];
+
+        if (operands.length < 2) {
+            await stderr.write(operands.length ? `cp: missing destination file operand after '${operands[0]}'\n` : 'cp: missing file operand\n');
             return 1;
         }
-
-        const sourcePath = shell.resolvePath(args[0]);
-        const destPath = shell.resolvePath(args[1]);
-
-        const success = await _copy(shell, sourcePath, destPath, args[0], args[1]);
-        return success ? 0 : 1;
-    }
-};
-
-/**
- * A recursive helper function to copy files and directories.
- * @returns {Promise<boolean>} True on success, false on failure.
- */
-async function _copy(shell, source, dest, sourceArg, destArg) {
-    const sourceStats = await shell.pfs.stat(source).catch(() => null);
-    if (!sourceStats) {
-        shell.writeln(`cp: cannot stat '${sourceArg}': No such file or directory`);
-        return false;
-    }
-
-    if (sourceStats.isFile()) {
-        try {
-            const content = await shell.pfs.readFile(source);
-            let finalDest = dest;
-            const destStats = await shell.pfs.stat(dest).catch(() => null);
-            if (destStats && destStats.isDirectory()) {
-                const sourceBasename = source.split('/').pop();
-                finalDest = shell.resolvePath(`${dest}/${sourceBasename}`);
-            }
-            await shell.pfs.writeFile(finalDest, content);
-            return true;
-        } catch (e) {
-            shell.writeln(`cp: error copying file '${sourceArg}': ${e.message}`);
-            return false;
+        const dest = operands.pop();
+        const destStats = await pfs.stat(proc.resolvePath(dest)).catch(() => null);
+        if (operands.length > 1 && !destStats?.isDirectory()) {
+            await stderr.write(`cp: target '${dest}' is not a directory\n`);
+            return 1;
         }
-    }
 
-    if (sourceStats.isDirectory()) {
-        try {
-            const destStats = await shell.pfs.stat(dest).catch(() => null);
-            let finalDestDir = dest;
-
-            if (destStats && destStats.isFile()) {
-                shell.writeln(`cp: cannot overwrite non-directory '${destArg}' with directory '${sourceArg}'`);
-                return false;
+        let status = 0;
+        for (const source of operands) {
+            const from = proc.resolvePath(source);
+            const stats = await pfs.stat(from).catch(() => null);
+            if (!stats) {
+                await stderr.write(`cp: cannot stat '${source}': No such file or directory\n`);
+                status = 1;
+                continue;
+            }
+            if (stats.isDirectory() && !options.recursive) {
+                await stderr.write(`cp: -r not specified; omitting directory '${source}'\n`);
+                status = 1;
+                continue;
             }
-            
-            if (destStats && destStats.isDirectory()) {
-                const sourceBasename = source.split('/').pop();
-                finalDestDir = shell.resolvePath(`${dest}/${sourceBasename}`);
+            const target = await targetOf(proc, source, dest);
+            if (target.path === from) {
+                await stderr.write(`cp: '${source}' and '${target.name}' are the same file\n`);
+                status = 1;
+                continue;
+            }
+            if (stats.isDirectory() && isInside(target.path, from)) {
+                await stderr.write(`cp: cannot copy a directory, '${source}', into itself, '${target.name}'\n`);
+                status = 1;
+                continue;
             }
 
-            await shell.pfs.mkdir(finalDestDir).catch(() => {});
-            const entries = await shell.pfs.readdir(source);
-            for (const entry of entries) {
-                const sourceEntryPath = shell.resolvePath(`${source}/${entry}`);
-                const destEntryPath = shell.resolvePath(`${finalDestDir}/${entry}`);
-                if (!await _copy(shell, sourceEntryPath, destEntryPath, `${sourceArg}/${entry}`, `${destArg}/${entry}`)) {
-                    return false;
+            // Decides, file by file, whether an existing one may be overwritten.
+            const onEntry = async (entry, to) => {
+                const shown = entry.relative ? joinPath(target.name, entry.relative) : target.name;
+                if (!entry.stats.isDirectory() && await pfs.lstat(to).catch(() => null)) {
+                    if (options.noClobber) return false;
+                    if (options.interactive && !await confirm(proc, `cp: overwrite '${shown}'? `)) return false;
                 }
+                if (options.verbose) await stdout.write(`'${entry.relative ? joinPath(source, entry.relative) : source}' -> '${shown}'\n`);
+                return true;
+            };
+            try {
+                await copyTree(pfs, from, target.path, { preserve: options.preserve, onEntry });
+            } catch (e) {
+                // Ctrl+C at an '-i' question ends the whole command, and so does a closed pipe.
+                if (e instanceof Interrupt || e instanceof BrokenPipe) throw e;
+                await stderr.write(`cp: cannot copy '${source}': ${e.message}\n`);
+                status = 1;
             }
-            return true;
-        } catch (e) {
-            shell.writeln(`cp: error copying directory '${sourceArg}': ${e.message}`);
-            return false;
         }
+        return status;
     }
-    return true;
-}
+};
@@ -0,0 +1,86 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/cut.js
+// -----------------------------------------------------------------------------
+import { eachInput } from '../util/text.js';
+
+/**
+ * Implements the 'cut' command.
+ * Prints selected parts of each line of the files (or stdin).
+ * A LIST is a comma-separated list of numbers and ranges: '1,3', '2-4', '3-' or '-2'.
+ */
+export default {
+    description: 'print selected parts of lines',
+    usage: 'OPTION... [FILE]...',
+    options: {
+        fields: { short: 'f', long: 'fields', argument: 'LIST', description: 'print the fields in LIST' },
+        characters: { short: 'c', long: 'characters', argument: 'LIST', description: 'print the characters in LIST' },
+        bytes: { short: 'b', long: 'bytes', argument: 'LIST', description: "the same as '-c'" },
+        delimiter: { short: 'd', long: 'delimiter', argument: 'DELIM', default: '\t', description: 'separate the fields by DELIM instead of tabs' },
+        onlyDelimited: { short: 's', long: 'only-delimited', description: 'with -f, leave out lines that have no delimiter' },
+    },
+
+    /**
+     * @param {Process} proc - The running process.
+     * @returns {Promise<number>} 0, or 1 if a file could not be read or the options are invalid.
+     */
+    async exec(proc) {
+        const { options, operands: files, stdout, stderr } = proc;
+        const { delimiter, onlyDelimited } = options;
+        const lists = ['fields', 'characters', 'bytes'].filter(key => options[key] !== null);
+        if (lists.length === 0) {
+            await stderr.write('cut: you must specify a list of bytes, characters, or fields\n');
+            return 1;
+        }
+        if (lists.length > 1) {
+            await stderr.write('cut: only one type of list may be specified\n');
+            return 1;
+        }
+        if (delimiter.length !== 1) {
+            await stderr.write('cut: the delimiter must be a single character\n');
+            return 1;
+        }
+        const mode = lists[0] === 'fields' ? 'fields' : 'characters';
+        const list = parseList(options[lists[0]]);
+        if (!list) {
+            await stderr.write(`cut: invalid field value '${options[lists[0]]}'\n`);
+            return 1;
+        }
+
+        let output = '';
+        const ok = await eachInput(proc, files, 'cut', async (lines) => {
+            for await (const line of lines) {
+                if (mode === 'characters') {
+                    output += `${[...line].filter((_, i) => selected(list, i + 1)).join('')}\n`;
+                } else if (!line.includes(delimiter)) {
+                    // A line without the delimiter is printed whole, unless '-s' says to skip it.
+                    if (!onlyDelimited) output += `${line}\n`;
+                } else {
+                    output += `${line.split(delimiter).filter((_, i) => selected(list, i + 1)).join(delimiter)}\n`;
+                }
+            }
+        });
+        await stdout.write(output);
+        return ok ? 0 : 1;
+    }
+};
+
+/**
+ * Parses a list like '1,3-5,7-' into ranges.
+ * @returns {{from: number, to: number}[]|null} The ranges, or null if the list is invalid.
+ */
+function parseList(text) {
+    const ranges = [];
+    for (const part of text.split(',')) {
+        const match = part.match(/^(\d*)(-?)(\d*)$/);
+        if (!match || (!match[1] && !match[3]) || match[1] === '0') return null;
+        const from = match[1] ? Number(match[1]) : 1;
+        const to = match[2] ? (match[3] ? Number(match[3]) : Infinity) : from;
+        if (to < from) return null;
+        ranges.push({ from, to });
+    }
+    return ranges;
+}
+
+function selected(list, position) {
+    return list.some(range => position >= range.from && position <= range.to);
+}
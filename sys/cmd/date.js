@@ -0,0 +1,45 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/date.js
+// -----------------------------------------------------------------------------
+/**
+ * Implements the 'date' command.
+ * Prints the current date and time, e.g. 'Sun Oct 18 14:43:42 UTC 2026'.
+ * '-u' prints UTC instead of local time, and '-I' prints an ISO 8601 date.
+ */
+export default {
+    description: 'print the date and time',
+    usage: '[OPTION]...',
+    options: {
+        utc: { short: 'u', long: 'utc', description: 'print UTC instead of local time' },
+        iso: { short: 'I', long: 'iso-8601', description: 'print the date as in ISO 8601' },
+    },
+
+    /**
+     * @param {Process} proc - The running process.
+     * @returns {Promise<number>} The exit status. 0 for success, 2 for an operand.
+     */
+    async exec(proc) {
+        const { options: { utc, iso }, operands, stdout, stderr } = proc;
+        if (operands.length) {
+            await stderr.write(`date: extra operand '${operands[0]}'\nTry 'date --help' for more information.\n`);
+            return 2;
+        }
+        const now = new Date();
+
+        if (iso) {
+            const local = new Date(now.getTime() - (utc ? 0 : now.getTimezoneOffset() * 60000));
+            await stdout.write(`${local.toISOString().slice(0, 10)}\n`);
+            return 0;
+        }
+
+        const format = {
+            weekday: 'short', month: 'short', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit',
+            hourCycle: 'h23', timeZoneName: 'short', timeZone: utc ? 'UTC' : undefined,
+        };
+        const part = {};
+        for (const { type, value } of new Intl.DateTimeFormat('en-US', format).formatToParts(now)) part[type] = value;
+        await stdout.write(`${part.weekday} ${part.month} ${part.day} ${part.hour}:${part.minute}:${part.second} ${part.timeZoneName} ${utc ? now.getUTCFullYear() : now.getFullYear()}\n`);
+        return 0;
+    }
+};
@@ -0,0 +1,78 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/du.js
+// -----------------------------------------------------------------------------
+import { walk } from '../util/walk.js';
+import { humanSize } from '../util/fileinfo.js';
+
+/**
+ * Implements the 'du' (disk usage) command.
+ * Prints how much space each directory under the paths (the current directory
+ * if none are given) takes up, in 1K blocks, with the directory's contents
+ * counted in. A file takes up its size rounded up to a whole block.
+ */
+export default {
+    description: 'estimate the space files and directories take up',
+    usage: '[OPTION]... [FILE]...',
+    options: {
+        s: { short: 's', long: 'summarize', description: 'only print a total for each path' },
+        a: { short: 'a', long: 'all', description: 'print files as well as directories' },
+        h: { short: 'h', long: 'human-readable', description: 'print sizes like 1.5K and 20M' },
+        c: { short: 'c', long: 'total', description: 'print a grand total at the end' },
+        depth: { short: 'd', long: 'max-depth', argument: 'N', description: 'only print directories at most N levels below the path' },
+    },
+
+    /**
+     * @param {Process} proc - The running process.
+     * @returns {Promise<number>} 0, or 1 if a path could not be read or an option is invalid.
+     */
+    async exec(proc) {
+        const { kernel, operands: paths, stdout, stderr } = proc;
+        const options = { ...proc.options, depth: Infinity };
+        if (proc.options.depth !== null) {
+            if (!/^\d+$/.test(proc.options.depth)) {
+                await stderr.write(`du: invalid maximum depth '${proc.options.depth}'\n`);
+                return 1;
+            }
+            options.depth = Number(proc.options.depth);
+        }
+        if (options.s) options.depth = 0;
+
+        const format = blocks => (options.h ? humanSize(blocks * 1024) : String(blocks));
+        let status = 0;
+        let grandTotal = 0;
+        let output = '';
+        for (const path of paths.length ? paths : ['.']) {
+            const root = proc.resolvePath(path);
+            if (!await kernel.pfs.lstat(root).catch(() => null)) {
+                await stderr.write(`du: cannot access '${path}': No such file or directory\n`);
+                status = 1;
+                continue;
+            }
+
+            // Contents come before their directory, so each directory's total is
+            // complete by the time the directory itself is reached.
+            const totals = new Map();
+            const errors = [];
+            const onError = (e, entry) => errors.push(`du: cannot read directory '${entry.name}': Permission denied\n`);
+            for await (const entry of walk(kernel.pfs, root, { name: path, postorder: true, onError })) {
+                const isDirectory = entry.stats.isDirectory();
+                const blocks = (isDirectory ? totals.get(entry.path) ?? 0 : 0) + Math.ceil(entry.stats.size / 1024);
+                const parent = entry.path.slice(0, entry.path.lastIndexOf('/')) || '/';
+                if (entry.depth > 0) totals.set(parent, (totals.get(parent) ?? 0) + blocks);
+                if (entry.depth <= options.depth && (isDirectory || options.a || entry.depth === 0)) {
+                    output += `${format(blocks)}\t${entry.name}\n`;
+                }
+                if (entry.depth === 0) grandTotal += blocks;
+            }
+            for (const error of errors) await stderr.write(error);
+            if (errors.length) status = 1;
+            if (output.length > 4096) {
+                await stdout.write(output);
+                output = '';
+            }
+        }
+        if (options.c) output += `${format(grandTotal)}\ttotal\n`;
+        if (output) await stdout.write(output);
+        return status;
+    }
+};
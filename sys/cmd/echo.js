@@ -5,6 +5,11 @@
  * Writes its arguments back to the terminal. It ignores stdin.
  */
 export default {
+    description: 'print the arguments',
+    usage: '[STRING]...',
+    // 'echo --help' prints '--help'.
+    help: false,
+
     /**
      * @param {Kernel} shell - The shell instance.
      * @param {string[]} args - The command arguments.
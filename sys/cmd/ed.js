@@ -6,6 +6,9 @@
  * MODIFIED to return an exit status via its promise resolution.
  */
 export default {
+    description: 'edit a file in a fullscreen editor',
+    usage: '[FILE]',
+
     /**
      * The main entry point for the 'ed' command.
      * @param {Kernel} shell - The shell instance.
@@ -18,7 +21,7 @@ export default {
         // and use its resolved value as the exit status.
         return new Promise(async (resolve, reject) => {
             if (args.length !== 1) {
-                shell.writeln('Usage: ed <filename>');
+                shell.ewriteln('Usage: ed <filename>');
                 resolve(1); // Resolve with failure status
                 return;
             }
@@ -0,0 +1,62 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/env.js
+// -----------------------------------------------------------------------------
+/**
+ * Implements the 'env' command.
+ * Without a command it prints the environment, one 'NAME=value' per line.
+ * Otherwise it runs the command with a modified environment:
+ *   env [-i] [-u NAME]... [NAME=value]... [command [args...]]
+ * '-i' starts from an empty environment and '-u' removes a variable.
+ */
+export default {
+    description: 'print the environment, or run a command in a changed one',
+    usage: '[-i] [-u NAME]... [NAME=VALUE]... [COMMAND [ARG]...]',
+    // No `options` (see util/args.js): they end at the command, whose own options follow.
+
+    /**
+     * @param {Process} proc - The running process.
+     * @returns {Promise<number>} The command's exit status, or 0 after printing, 125 on bad usage.
+     */
+    async exec(proc) {
+        const args = [...proc.args];
+        let env = { ...proc.env };
+
+        while (args.length) {
+            const arg = args[0];
+            if (arg === '-i' || arg === '-') {
+                env = {};
+            } else if (arg === '-u') {
+                if (args.length < 2) {
+                    await proc.stderr.write("env: option requires an argument -- 'u'\n");
+                    return 125;
+                }
+                delete env[args[1]];
+                args.shift();
+            } else if (arg.startsWith('-') && arg !== '--') {
+                await proc.stderr.write(`env: invalid option -- '${arg.slice(1)}'\n`);
+                return 125;
+            } else {
+                if (arg === '--') args.shift();
+                break;
+            }
+            args.shift();
+        }
+
+        while (args.length && /^[A-Za-z_][A-Za-z0-9_]*=/.test(args[0])) {
+            const assignment = args.shift();
+            const separator = assignment.indexOf('=');
+            env[assignment.slice(0, separator)] = assignment.slice(separator + 1);
+        }
+
+        if (args.length === 0) {
+            for (const [name, value] of Object.entries(env)) {
+                await proc.stdout.write(`${name}=${value}\n`);
+            }
+            return 0;
+        }
+
+        const [name, ...rest] = args;
+        const { stdin, stdout, stderr, signal } = proc;
+        return proc.kernel.executor.spawn(name, rest, { stdin, stdout, stderr, signal }, env);
+    }
+};
@@ -0,0 +1,27 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/exit.js
+// -----------------------------------------------------------------------------
+import { ControlSignal } from '../engine/signals.js';
+
+/**
+ * Implements the 'exit' builtin.
+ * Ends the running script with the given status, or with the status of the
+ * last command. Typed at the prompt, it skips the rest of the input line.
+ */
+export default {
+    description: 'leave the shell or script',
+    usage: '[N]',
+
+    /**
+     * @param {Kernel} shell - The shell instance.
+     * @param {string[]} args - An optional exit status.
+     */
+    async run(shell, args) {
+        const status = args.length ? Number(args[0]) : shell.lastExitStatus;
+        if (!Number.isInteger(status)) {
+            shell.ewriteln(`-qrx: exit: ${args[0]}: numeric argument required`);
+            throw new ControlSignal('exit', 2);
+        }
+        throw new ControlSignal('exit', status & 255);
+    }
+};
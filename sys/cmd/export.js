@@ -0,0 +1,52 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/export.js
+// -----------------------------------------------------------------------------
+/**
+ * Implements the 'export' command.
+ * Marks variables for export, so they become part of the environment that
+ * commands see. 'export NAME=value' sets and exports in one step, 'export -n'
+ * removes the export mark, and 'export' on its own lists exported variables.
+ */
+export default {
+    description: 'mark variables for the environment of commands',
+    usage: ['[-n] NAME[=VALUE]...', '[-p]'],
+    options: {
+        unexport: { short: 'n', description: 'remove the export mark instead' },
+        print: { short: 'p', description: 'list the exported variables' },
+    },
+
+    /**
+     * @param {Process} proc - The running process.
+     * @returns {Promise<number>} The exit status. 0 for success, 1 if a name is invalid.
+     */
+    async exec(proc) {
+        const { kernel, env, options, operands: names, stdout, stderr } = proc;
+        if (names.length === 0) {
+            for (const [name, value] of Object.entries(env)) {
+                await stdout.write(`export ${name}="${value.replace(/["\\$`]/g, '\\$&')}"\n`);
+            }
+            return 0;
+        }
+
+        let status = 0;
+        for (const arg of names) {
+            const separator = arg.indexOf('=');
+            const name = separator === -1 ? arg : arg.slice(0, separator);
+            if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+                await stderr.write(`-qrx: export: \`${arg}': not a valid identifier\n`);
+                status = 1;
+                continue;
+            }
+            const value = separator === -1 ? kernel.getVariable(name) : arg.slice(separator + 1);
+
+            if (options.unexport) {
+                delete env[name];
+                if (value !== undefined) kernel.vars[name] = value;
+            } else if (value !== undefined) {
+                delete kernel.vars[name];
+                env[name] = value;
+            }
+        }
+        return status;
+    }
+};
@@ -0,0 +1,14 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/false.js
+// -----------------------------------------------------------------------------
+/**
+ * Implements the 'false' command, which does nothing and fails.
+ */
+export default {
+    description: 'do nothing, unsuccessfully',
+    usage: '',
+
+    async run() {
+        return 1;
+    }
+};
@@ -0,0 +1,37 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/fg.js
+// -----------------------------------------------------------------------------
+/**
+ * Implements the 'fg' builtin.
+ * Brings a background job (the current one, or the given '%N') to the foreground:
+ * prints its command, then its output so far, and waits for it to finish while its
+ * output goes straight to fg's own. Ctrl+C then interrupts the job.
+ */
+export default {
+    description: 'bring a job to the foreground',
+    usage: '[%JOB]',
+
+    /**
+     * @param {Process} proc - The running process.
+     * @returns {Promise<number>} The job's exit status, or 1 if there is no such job.
+     */
+    async exec(proc) {
+        const { kernel, args, stdout, stderr, signal } = proc;
+        const job = kernel.jobs.find(args[0]);
+        if (!job) {
+            await stderr.write(`-qrx: fg: ${args[0] ?? 'current'}: no such job\n`);
+            return 1;
+        }
+
+        await stdout.write(`${job.command}\n`);
+        await job.output.release({ 1: stdout, 2: stderr });
+        const interrupt = () => kernel.jobs.kill(job, 'INT');
+        signal?.addEventListener('abort', interrupt, { once: true });
+        try {
+            return await job.promise;
+        } finally {
+            signal?.removeEventListener('abort', interrupt);
+            kernel.jobs.remove(job);
+        }
+    }
+};
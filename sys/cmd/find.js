@@ -0,0 +1,310 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/find.js
+// -----------------------------------------------------------------------------
+import { walk } from '../util/walk.js';
+import { matchPattern } from '../util/glob.js';
+
+/**
+ * Implements the 'find' command.
+ *   find [PATH...] [EXPRESSION]
+ * Walks the trees under the paths (the current directory if none are given) and
+ * evaluates the expression for every file and directory in them. Without an
+ * action in the expression, the files it is true for are printed.
+ *
+ * Tests:
+ *   -name PATTERN, -iname PATTERN  the base name matches a shell pattern
+ *   -path PATTERN                  the whole path matches
+ *   -type f|d|l                    a file, directory or symbolic link
+ *   -mtime N, -mmin N              modified N days / minutes ago
+ *   -size N[cwbkMG]                N units in size (512-byte blocks by default)
+ *   -newer FILE                    modified more recently than FILE
+ *   -empty                         an empty file or directory
+ * Numbers can be written +N (more than N) or -N (less than N).
+ *
+ * Actions:
+ *   -print                   print the path
+ *   -exec COMMAND ;          run COMMAND with '{}' replaced by the path; true if it succeeds
+ *   -exec COMMAND {} +       run COMMAND once, with all the paths in place of '{}'
+ *   -delete                  remove the file or (empty) directory
+ *   -prune                   do not go into the directory
+ *
+ * Operators, from strongest to weakest: '( EXPR )', '! EXPR' (or '-not'),
+ * 'EXPR EXPR' (or '-a', '-and') and 'EXPR -o EXPR' (or '-or').
+ * Options: '-maxdepth N', '-mindepth N' and '-depth' (contents before their directory).
+ */
+export default {
+    description: 'search for files in directory trees',
+    usage: '[PATH]... [EXPRESSION]',
+
+    /**
+     * @param {Process} proc - The running process.
+     * @returns {Promise<number>} 0, or 1 if a path could not be read, a command run by
+     * '-exec ... +' failed or the expression is invalid.
+     */
+    async exec(proc) {
+        const { kernel, args, stdout, stderr } = proc;
+        const paths = [];
+        let index = 0;
+        while (index < args.length && !args[index].startsWith('-') && !['(', '!', ')'].includes(args[index])) {
+            paths.push(args[index++]);
+        }
+
+        let output = '';
+        const errors = [];
+        const flush = async () => {
+            if (output) await stdout.write(output);
+            output = '';
+            for (const error of errors.splice(0)) await stderr.write(error);
+        };
+        const state = { proc, flush, print: (text) => { output += text; }, setup: [], batches: [], pruned: new Set(), status: 0 };
+
+        let program;
+        try {
+            program = compile(args.slice(index), state);
+            for (const step of state.setup) await step();
+        } catch (e) {
+            await stderr.write(`find: ${e.message}\n`);
+            return 1;
+        }
+        const { expression, options } = program;
+        const walkOptions = {
+            postorder: options.depth || program.deletes,
+            maxDepth: options.maxDepth,
+            enter: entry => !state.pruned.has(entry.path),
+            onError: (e, entry) => {
+                errors.push(`find: '${entry.name}': Permission denied\n`);
+                state.status = 1;
+            },
+        };
+
+        for (const path of paths.length ? paths : ['.']) {
+            const root = proc.resolvePath(path);
+            if (!await kernel.pfs.lstat(root).catch(() => null)) {
+                await flush();
+                await stderr.write(`find: '${path}': No such file or directory\n`);
+                state.status = 1;
+                continue;
+            }
+            for await (const entry of walk(kernel.pfs, root, { ...walkOptions, name: path })) {
+                if (entry.depth >= options.minDepth) await expression(entry);
+                if (output.length > 4096 || errors.length) await flush();
+            }
+        }
+        await flush();
+
+        for (const batch of state.batches) {
+            if (batch.paths.length && await batch.run(batch.paths) !== 0) state.status = 1;
+        }
+        return state.status;
+    }
+};
+
+/**
+ * Compiles the expression arguments into a function of an entry.
+ * @returns {{expression: function(object): Promise<boolean>, options: object, deletes: boolean}}
+ * @throws {Error} If the expression is invalid.
+ */
+function compile(tokens, state) {
+    const options = { maxDepth: Infinity, minDepth: 0, depth: false };
+    let position = 0;
+    let hasAction = false;
+    let deletes = false;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const argument = (name) => {
+        if (position >= tokens.length) throw new Error(`missing argument to '${name}'`);
+        return next();
+    };
+
+    const parseOr = () => {
+        let left = parseAnd();
+        while (peek() === '-o' || peek() === '-or') {
+            next();
+            const first = left;
+            const second = parseAnd();
+            left = async entry => (await first(entry)) || second(entry);
+        }
+        return left;
+    };
+    const parseAnd = () => {
+        let left = parseNot();
+        while (position < tokens.length && peek() !== '-o' && peek() !== '-or' && peek() !== ')') {
+            if (peek() === '-a' || peek() === '-and') next();
+            const first = left;
+            const second = parseNot();
+            left = async entry => (await first(entry)) && second(entry);
+        }
+        return left;
+    };
+    const parseNot = () => {
+        if (peek() === '!' || peek() === '-not') {
+            next();
+            const operand = parseNot();
+            return async entry => !(await operand(entry));
+        }
+        return parsePrimary();
+    };
+    const parsePrimary = () => {
+        const token = next();
+        if (token === undefined) throw new Error('expected an expression');
+        if (token === '(') {
+            const inner = parseOr();
+            if (next() !== ')') throw new Error("missing ')'");
+            return inner;
+        }
+        switch (token) {
+            case '-maxdepth':
+            case '-mindepth': {
+                const value = argument(token);
+                if (!/^\d+$/.test(value)) throw new Error(`invalid argument '${value}' to '${token}'`);
+                options[token === '-maxdepth' ? 'maxDepth' : 'minDepth'] = Number(value);
+                return async () => true;
+            }
+            case '-depth':
+                options.depth = true;
+                return async () => true;
+            case '-name':
+            case '-iname': {
+                const pattern = argument(token);
+                const fold = token === '-iname';
+                return async entry => matchPattern(fold ? pattern.toLowerCase() : pattern, fold ? baseName(entry.name).toLowerCase() : baseName(entry.name));
+            }
+            case '-path': {
+                const pattern = argument(token);
+                return async entry => matchPattern(pattern, entry.name);
+            }
+            case '-type': {
+                const type = argument(token);
+                const tests = { f: stats => stats.isFile(), d: stats => stats.isDirectory(), l: stats => stats.isSymbolicLink() };
+                if (!tests[type]) throw new Error(`Unknown argument to -type: ${type}`);
+                return async entry => tests[type](entry.stats);
+            }
+            case '-mtime':
+            case '-mmin': {
+                const compare = numeric(token, argument(token));
+                const unit = token === '-mtime' ? 24 * 60 * 60 * 1000 : 60 * 1000;
+                return async entry => compare(Math.floor((Date.now() - (entry.stats.mtimeMs ?? 0)) / unit));
+            }
+            case '-size': {
+                const value = argument(token);
+                const match = value.match(/^([+-]?\d+)([cwbkMG]?)$/);
+                if (!match) throw new Error(`invalid argument '${value}' to '-size'`);
+                const compare = numeric(token, match[1]);
+                const unit = { c: 1, w: 2, b: 512, '': 512, k: 1024, M: 1024 ** 2, G: 1024 ** 3 }[match[2]];
+                // Sizes are rounded up to whole units, as GNU find does.
+                return async entry => compare(Math.ceil(entry.stats.size / unit));
+            }
+            case '-newer': {
+                const file = argument(token);
+                let reference;
+                state.setup.push(async () => {
+                    reference = await state.proc.kernel.pfs.stat(state.proc.resolvePath(file)).catch(() => null);
+                    if (!reference) throw new Error(`'${file}': No such file or directory`);
+                });
+                return async entry => (entry.stats.mtimeMs ?? 0) > (reference.mtimeMs ?? 0);
+            }
+            case '-empty':
+                return async (entry) => {
+                    if (entry.stats.isDirectory()) return (await state.proc.kernel.pfs.readdir(entry.path)).length === 0;
+                    return entry.stats.isFile() && entry.stats.size === 0;
+                };
+            case '-true':
+                return async () => true;
+            case '-false':
+                return async () => false;
+            case '-print':
+                hasAction = true;
+                return async (entry) => {
+                    state.print(`${entry.name}\n`);
+                    return true;
+                };
+            case '-prune':
+                return async (entry) => {
+                    if (entry.stats.isDirectory()) state.pruned.add(entry.path);
+                    return true;
+                };
+            case '-delete':
+                hasAction = true;
+                deletes = true;
+                return async (entry) => {
+                    if (entry.depth === 0 && entry.name === '.') return true;
+                    const { pfs } = state.proc.kernel;
+                    try {
+                        await (entry.stats.isDirectory() ? pfs.rmdir(entry.path) : pfs.unlink(entry.path));
+                        return true;
+                    } catch (e) {
+                        await state.flush();
+                        await state.proc.stderr.write(`find: cannot delete '${entry.name}': ${e.message}\n`);
+                        state.status = 1;
+                        return false;
+                    }
+                };
+            case '-exec':
+                hasAction = true;
+                return compileExec(tokens, position, state, (end) => { position = end; });
+            default:
+                throw new Error(token.startsWith('-') ? `unknown predicate '${token}'` : `paths must precede expression: '${token}'`);
+        }
+    };
+
+    let expression = tokens.length ? parseOr() : async () => true;
+    if (position < tokens.length) throw new Error(`unexpected '${tokens[position]}'`);
+    if (!hasAction) {
+        const test = expression;
+        expression = async (entry) => {
+            if (await test(entry)) state.print(`${entry.name}\n`);
+            return true;
+        };
+    }
+    return { expression, options, deletes };
+}
+
+/**
+ * Compiles '-exec COMMAND ;' or '-exec COMMAND {} +', which starts at `start`.
+ * `advance` is told where the expression goes on.
+ */
+function compileExec(tokens, start, state, advance) {
+    const end = tokens.findIndex((token, i) => i >= start && (token === ';' || (token === '+' && tokens[i - 1] === '{}')));
+    if (end === -1 || end === start) throw new Error("missing argument to '-exec'");
+    advance(end + 1);
+    const [name, ...words] = tokens.slice(start, end);
+    const { proc } = state;
+    const spawn = async (args) => {
+        await state.flush();
+        const { stdout, stderr, signal } = proc;
+        return proc.kernel.executor.spawn(name, args, { stdin: null, stdout, stderr, signal }, proc.env);
+    };
+
+    if (tokens[end] === '+') {
+        // The paths are gathered and the command is run once, after the walk.
+        const batch = { paths: [], run: paths => spawn([...words.slice(0, -1), ...paths]) };
+        state.batches.push(batch);
+        return async (entry) => {
+            batch.paths.push(entry.name);
+            return true;
+        };
+    }
+    return async entry => (await spawn(words.map(word => word.replaceAll('{}', entry.name)))) === 0;
+}
+
+/**
+ * Parses a number for '-mtime', '-mmin' or '-size': '+N' means more than N,
+ * '-N' less than N and 'N' exactly N.
+ * @returns {function(number): boolean}
+ */
+function numeric(name, text) {
+    if (!/^[+-]?\d+$/.test(text)) throw new Error(`invalid argument '${text}' to '${name}'`);
+    const value = Math.abs(Number(text));
+    if (text.startsWith('+')) return n => n > value;
+    if (text.startsWith('-')) return n => n < value;
+    return n => n === value;
+}
+
+/**
+ * Returns the last component of a path as shown: 'c' for 'a/b/c', '.' for '.'.
+ */
+function baseName(name) {
+    const trimmed = name.replace(/\/+$/, '');
+    return trimmed ? trimmed.slice(trimmed.lastIndexOf('/') + 1) : '/';
+}
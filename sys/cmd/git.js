@@ -0,0 +1,845 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/git.js
+// -----------------------------------------------------------------------------
+import { unifiedDiff } from '../util/diff.js';
+
+/**
+ * Implements the 'git' command on top of the kernel's isomorphic-git instance.
+ * Supports init, status, add, commit, log, diff, branch, checkout and reset
+ * against the LightningFS store, printing output in the same format as git.
+ * MODIFIED: Completes subcommands and branch names on Tab.
+ */
+export default {
+    description: 'track the history of files with git',
+    usage: 'COMMAND [ARG]...',
+    // 'git --help' lists the subcommands (see `run`).
+    help: false,
+
+    /**
+     * The main entry point for the 'git' command.
+     * @param {Kernel} shell - The shell instance.
+     * @param {string[]} args - The subcommand followed by its arguments.
+     * @returns {Promise<number>} The exit status. 0 for success, 1 or 128 for failure, like git.
+     */
+    async run(shell, args) {
+        const [subcommand, ...rest] = args;
+        if (!subcommand || subcommand === '--help' || subcommand === 'help') {
+            shell.write(USAGE);
+            return subcommand ? 0 : 1;
+        }
+
+        const handler = SUBCOMMANDS[subcommand];
+        if (!handler) {
+            shell.ewriteln(`git: '${subcommand}' is not a git command. See 'git --help'.`);
+            return 1;
+        }
+
+        try {
+            if (subcommand === 'init') {
+                return await handler(shell, null, rest);
+            }
+            const dir = await shell.git.findRoot({ fs: shell.fs, filepath: shell.cwd }).catch(() => null);
+            if (!dir) {
+                shell.ewriteln('fatal: not a git repository (or any of the parent directories): .git');
+                return 128;
+            }
+            return await handler(shell, { fs: shell.fs, dir }, rest);
+        } catch (e) {
+            shell.ewriteln(`fatal: ${e.message}`);
+            return 128;
+        }
+    },
+
+    /**
+     * Tab completion: subcommands first, then branch names for 'checkout' and
+     * 'branch', and paths for the rest.
+     * @param {Kernel} shell - The shell instance.
+     * @param {string[]} args - The arguments before the one being completed.
+     * @returns {Promise<string[]|null>} The candidates, or null for paths.
+     */
+    async complete(shell, args) {
+        if (args.length === 0) return Object.keys(SUBCOMMANDS);
+        if (args[0] !== 'checkout' && args[0] !== 'branch') return null;
+        const dir = await shell.git.findRoot({ fs: shell.fs, filepath: shell.cwd }).catch(() => null);
+        return dir ? shell.git.listBranches({ fs: shell.fs, dir }) : [];
+    }
+};
+
+const USAGE = `usage: git <command> [<args>]
+
+These are the supported git commands:
+   init       Create an empty Git repository or reinitialize an existing one
+   status     Show the working tree status
+   add        Add file contents to the index
+   commit     Record changes to the repository
+   log        Show commit logs
+   diff       Show changes between commits, commit and working tree, etc
+   branch     List, create, or delete branches
+   checkout   Switch branches or restore working tree files
+   reset      Reset current HEAD to the specified state
+`;
+
+const SUBCOMMANDS = {
+    init: gitInit,
+    status: gitStatus,
+    add: gitAdd,
+    commit: gitCommit,
+    log: gitLog,
+    diff: gitDiff,
+    branch: gitBranch,
+    checkout: gitCheckout,
+    reset: gitReset,
+};
+
+// --- Subcommands ---
+
+async function gitInit(shell, _ctx, args) {
+    const quiet = args.includes('-q') || args.includes('--quiet');
+    const target = shell.resolvePath(args.find(arg => !arg.startsWith('-')) || '.');
+    const gitdir = joinPath(target, '.git');
+    const existed = await shell.pfs.stat(gitdir).then(() => true, () => false);
+
+    await mkdirp(shell, target);
+    await shell.git.init({ fs: shell.fs, dir: target, defaultBranch: shell.config.gitConfig.defaultBranch });
+    if (!quiet) {
+        shell.writeln(`${existed ? 'Reinitialized existing' : 'Initialized empty'} Git repository in ${gitdir}/`);
+    }
+    return 0;
+}
+
+async function gitStatus(shell, ctx, args) {
+    const short = args.some(arg => ['-s', '--short', '--porcelain'].includes(arg));
+    const showBranch = args.includes('-b') || args.includes('--branch');
+    const branch = await shell.git.currentBranch({ ...ctx });
+    const hasCommits = await resolveHead(shell, ctx) !== null;
+    const rows = await shell.git.statusMatrix({ ...ctx });
+
+    const staged = [], unstaged = [], untracked = [];
+    for (const row of rows) {
+        const code = statusCode(row);
+        if (!code) continue;
+        if (code === '??') {
+            untracked.push(row[0]);
+            continue;
+        }
+        if (code[0] !== ' ') staged.push({ filepath: row[0], code: code[0] });
+        if (code[1] !== ' ') unstaged.push({ filepath: row[0], code: code[1] });
+    }
+    const untrackedPaths = collapseUntracked(rows, untracked);
+
+    if (short) {
+        if (showBranch) shell.writeln(`## ${branch ? (hasCommits ? branch : `No commits yet on ${branch}`) : 'HEAD (no branch)'}`);
+        for (const row of rows) {
+            const code = statusCode(row);
+            if (code && code !== '??') shell.writeln(`${code} ${row[0]}`);
+        }
+        for (const filepath of untrackedPaths) shell.writeln(`?? ${filepath}`);
+        return 0;
+    }
+
+    shell.writeln(branch ? `On branch ${branch}` : 'HEAD detached');
+    if (!hasCommits) shell.writeln('\nNo commits yet');
+    if (staged.length) {
+        shell.writeln('\nChanges to be committed:');
+        shell.writeln(`  (use "git reset HEAD <file>..." to unstage)`);
+        for (const { filepath, code } of staged) shell.writeln(`\t${STATUS_LABELS[code]}${filepath}`);
+    }
+    if (unstaged.length) {
+        shell.writeln('\nChanges not staged for commit:');
+        shell.writeln(`  (use "git add <file>..." to update what will be committed)`);
+        shell.writeln(`  (use "git checkout -- <file>..." to discard changes in working directory)`);
+        for (const { filepath, code } of unstaged) shell.writeln(`\t${STATUS_LABELS[code]}${filepath}`);
+    }
+    if (untrackedPaths.length) {
+        shell.writeln('\nUntracked files:');
+        shell.writeln(`  (use "git add <file>..." to include in what will be committed)`);
+        for (const filepath of untrackedPaths) shell.writeln(`\t${filepath}`);
+    }
+    shell.writeln('');
+    if (!staged.length) {
+        if (unstaged.length) {
+            shell.writeln('no changes added to commit (use "git add" and/or "git commit -a")');
+        } else if (untrackedPaths.length) {
+            shell.writeln('nothing added to commit but untracked files present (use "git add" to track)');
+        } else if (!hasCommits) {
+            shell.writeln('nothing to commit (create/copy files and use "git add" to track)');
+        } else {
+            shell.writeln('nothing to commit, working tree clean');
+        }
+    }
+    return 0;
+}
+
+async function gitAdd(shell, ctx, args) {
+    const all = args.includes('-A') || args.includes('--all');
+    const pathspecs = args.filter(arg => !arg.startsWith('-'));
+    if (!all && pathspecs.length === 0) {
+        shell.ewriteln('Nothing specified, nothing added.');
+        shell.ewriteln(`Maybe you wanted to say 'git add .'?`);
+        return 0;
+    }
+
+    const specs = [];
+    for (const spec of pathspecs) {
+        const filepath = repoPath(ctx.dir, shell.resolvePath(spec));
+        if (filepath === null) {
+            shell.ewriteln(`fatal: ${spec}: '${spec}' is outside repository at '${ctx.dir}'`);
+            return 128;
+        }
+        specs.push({ spec, filepath, matched: false });
+    }
+
+    const rows = await shell.git.statusMatrix({ ...ctx });
+    const selected = [];
+    for (const row of rows) {
+        const matches = specs.filter(s => isUnder(row[0], s.filepath));
+        if (!all && matches.length === 0) continue;
+        matches.forEach(s => { s.matched = true; });
+        selected.push(row);
+    }
+
+    const missing = specs.find(s => !s.matched);
+    if (missing && !await shell.pfs.stat(shell.resolvePath(missing.spec)).then(() => true, () => false)) {
+        shell.ewriteln(`fatal: pathspec '${missing.spec}' did not match any files`);
+        return 128;
+    }
+
+    for (const [filepath, head, workdir, stage] of selected) {
+        await stageRow(shell, ctx, [filepath, head, workdir, stage]);
+    }
+    return 0;
+}
+
+async function gitCommit(shell, ctx, args) {
+    const messages = [];
+    let all = false, allowEmpty = false;
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--all') {
+            all = true;
+        } else if (arg === '--allow-empty') {
+            allowEmpty = true;
+        } else if (arg.startsWith('--message=')) {
+            messages.push(arg.slice('--message='.length));
+        } else if (arg === '--message') {
+            messages.push(args[++i] ?? '');
+        } else if (/^-[a-zA-Z]+$/.test(arg)) {
+            // Combined short flags, e.g. '-am "message"'.
+            for (const flag of arg.slice(1)) {
+                if (flag === 'a') {
+                    all = true;
+                } else if (flag === 'm') {
+                    if (i + 1 >= args.length) {
+                        shell.ewriteln(`error: switch 'm' requires a value`);
+                        return 129;
+                    }
+                    messages.push(args[++i]);
+                } else {
+                    shell.ewriteln(`error: unknown switch '${flag}'`);
+                    return 129;
+                }
+            }
+        } else {
+            shell.ewriteln(`error: pathspec '${arg}' did not match any file(s) known to git`);
+            return 1;
+        }
+    }
+
+    if (all) {
+        // '-a' stages every modification and deletion of a tracked file.
+        for (const row of await shell.git.statusMatrix({ ...ctx })) {
+            if (row[1] === 1) await stageRow(shell, ctx, row);
+        }
+    }
+
+    const message = messages.join('\n\n').trim();
+    const changes = await stagedChanges(shell, ctx);
+    if (changes.length === 0 && !allowEmpty) {
+        await gitStatus(shell, ctx, []);
+        return 1;
+    }
+    if (!message) {
+        shell.ewriteln('Aborting commit due to empty commit message.');
+        return 1;
+    }
+
+    const isRoot = await resolveHead(shell, ctx) === null;
+    const branch = await shell.git.currentBranch({ ...ctx });
+    const oid = await shell.git.commit({ ...ctx, message, author: await authorFor(shell, ctx) });
+
+    let insertions = 0, deletions = 0;
+    for (const change of changes) {
+        const diff = unifiedDiff(change.oldText, change.newText);
+        insertions += diff.insertions;
+        deletions += diff.deletions;
+    }
+    shell.writeln(`[${branch || 'detached HEAD'}${isRoot ? ' (root-commit)' : ''} ${oid.slice(0, 7)}] ${message.split('\n')[0]}`);
+    let summary = ` ${plural(changes.length, 'file')} changed`;
+    if (insertions || !deletions) summary += `, ${plural(insertions, 'insertion')}(+)`;
+    if (deletions) summary += `, ${plural(deletions, 'deletion')}(-)`;
+    shell.writeln(summary);
+    for (const change of changes) {
+        if (change.status === 'A') shell.writeln(` create mode 100644 ${change.filepath}`);
+        if (change.status === 'D') shell.writeln(` delete mode 100644 ${change.filepath}`);
+    }
+    return 0;
+}
+
+async function gitLog(shell, ctx, args) {
+    let depth, oneline = false, rev = 'HEAD';
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--oneline') oneline = true;
+        else if (arg === '-n') depth = parseInt(args[++i], 10);
+        else if (arg.startsWith('--max-count=')) depth = parseInt(arg.slice('--max-count='.length), 10);
+        else if (/^-\d+$/.test(arg)) depth = parseInt(arg.slice(1), 10);
+        else rev = arg;
+    }
+
+    const oid = await resolveRevision(shell, ctx, rev);
+    if (!oid) {
+        if (rev === 'HEAD') {
+            const branch = await shell.git.currentBranch({ ...ctx });
+            shell.ewriteln(`fatal: your current branch '${branch}' does not have any commits yet`);
+        } else {
+            shell.ewriteln(`fatal: ambiguous argument '${rev}': unknown revision or path not in the working tree.`);
+        }
+        return 128;
+    }
+
+    const commits = await shell.git.log({ ...ctx, ref: oid, depth });
+    commits.forEach(({ oid, commit }, index) => {
+        if (oneline) {
+            shell.writeln(`${oid.slice(0, 7)} ${commit.message.split('\n')[0]}`);
+            return;
+        }
+        if (index > 0) shell.writeln('');
+        shell.writeln(`commit ${oid}`);
+        if (commit.parent.length > 1) {
+            shell.writeln(`Merge: ${commit.parent.map(p => p.slice(0, 7)).join(' ')}`);
+        }
+        shell.writeln(`Author: ${commit.author.name} <${commit.author.email}>`);
+        shell.writeln(`Date:   ${formatDate(commit.author.timestamp, commit.author.timezoneOffset)}`);
+        shell.writeln('');
+        for (const line of commit.message.replace(/\n+$/, '').split('\n')) {
+            shell.writeln(line ? `    ${line}` : '');
+        }
+    });
+    return 0;
+}
+
+async function gitDiff(shell, ctx, args) {
+    const cached = args.includes('--cached') || args.includes('--staged');
+    const specs = args.filter(arg => !arg.startsWith('-'))
+        .map(spec => repoPath(ctx.dir, shell.resolvePath(spec)))
+        .filter(spec => spec !== null);
+    const selected = (filepath) => specs.length === 0 || specs.some(spec => isUnder(filepath, spec));
+
+    const changes = cached
+        ? await stagedChanges(shell, ctx)
+        : await unstagedChanges(shell, ctx);
+
+    for (const change of changes) {
+        if (!selected(change.filepath)) continue;
+        const { filepath, status, oldOid, newOid, oldText, newText } = change;
+        shell.writeln(`diff --git a/${filepath} b/${filepath}`);
+        if (status === 'A') shell.writeln('new file mode 100644');
+        if (status === 'D') shell.writeln('deleted file mode 100644');
+        shell.writeln(`index ${shortOid(oldOid)}..${shortOid(newOid)}${status === 'M' ? ' 100644' : ''}`);
+        if (isBinary(oldText) || isBinary(newText)) {
+            shell.writeln(`Binary files ${status === 'A' ? '/dev/null' : `a/${filepath}`} and ${status === 'D' ? '/dev/null' : `b/${filepath}`} differ`);
+            continue;
+        }
+        shell.writeln(`--- ${status === 'A' ? '/dev/null' : `a/${filepath}`}`);
+        shell.writeln(`+++ ${status === 'D' ? '/dev/null' : `b/${filepath}`}`);
+        shell.write(unifiedDiff(oldText, newText).hunks);
+    }
+    return 0;
+}
+
+async function gitBranch(shell, ctx, args) {
+    const current = await shell.git.currentBranch({ ...ctx });
+
+    if (args.includes('--show-current')) {
+        if (current) shell.writeln(current);
+        return 0;
+    }
+
+    if (args[0] === '-d' || args[0] === '-D' || args[0] === '--delete') {
+        if (!args[1]) {
+            shell.ewriteln('fatal: branch name required');
+            return 128;
+        }
+        let hadError = false;
+        for (const name of args.slice(1)) {
+            if (name === current) {
+                shell.ewriteln(`error: Cannot delete branch '${name}' checked out at '${ctx.dir}'`);
+                hadError = true;
+                continue;
+            }
+            const oid = await shell.git.resolveRef({ ...ctx, ref: `refs/heads/${name}` }).catch(() => null);
+            if (!oid) {
+                shell.ewriteln(`error: branch '${name}' not found.`);
+                hadError = true;
+                continue;
+            }
+            await shell.git.deleteBranch({ ...ctx, ref: name });
+            shell.writeln(`Deleted branch ${name} (was ${oid.slice(0, 7)}).`);
+        }
+        return hadError ? 1 : 0;
+    }
+
+    if (args[0] === '-m' || args[0] === '--move') {
+        const [oldName, newName] = args.length > 2 ? args.slice(1, 3) : [current, args[1]];
+        if (!newName) {
+            shell.ewriteln('fatal: branch name required');
+            return 128;
+        }
+        await shell.git.renameBranch({ ...ctx, oldref: oldName, ref: newName, checkout: oldName === current });
+        return 0;
+    }
+
+    const names = args.filter(arg => !arg.startsWith('-'));
+    if (names.length === 0) {
+        for (const name of (await shell.git.listBranches({ ...ctx })).sort()) {
+            shell.writeln(name === current ? `* \x1B[32m${name}\x1B[0m` : `  ${name}`);
+        }
+        return 0;
+    }
+
+    const [name, startPoint = 'HEAD'] = names;
+    const object = await resolveRevision(shell, ctx, startPoint);
+    if (!object) {
+        shell.ewriteln(`fatal: not a valid object name: '${startPoint}'.`);
+        return 128;
+    }
+    if (await shell.git.resolveRef({ ...ctx, ref: `refs/heads/${name}` }).catch(() => null)) {
+        shell.ewriteln(`fatal: a branch named '${name}' already exists`);
+        return 128;
+    }
+    await shell.git.branch({ ...ctx, ref: name, object });
+    return 0;
+}
+
+async function gitCheckout(shell, ctx, args) {
+    const separator = args.indexOf('--');
+    if (separator !== -1) {
+        return restorePaths(shell, ctx, args.slice(separator + 1));
+    }
+
+    if (args[0] === '-b' || args[0] === '-B') {
+        const [, name, startPoint] = args;
+        if (!name) {
+            shell.ewriteln(`error: switch '${args[0][1]}' requires a value`);
+            return 129;
+        }
+        const exists = await shell.git.resolveRef({ ...ctx, ref: `refs/heads/${name}` }).catch(() => null);
+        if (exists && args[0] === '-b') {
+            shell.ewriteln(`fatal: a branch named '${name}' already exists`);
+            return 128;
+        }
+        if (startPoint) {
+            const object = await resolveRevision(shell, ctx, startPoint);
+            if (!object) {
+                shell.ewriteln(`fatal: '${startPoint}' is not a commit and a branch '${name}' cannot be created from it`);
+                return 128;
+            }
+            await shell.git.branch({ ...ctx, ref: name, object, force: true });
+            if (!await switchTo(shell, ctx, name)) return 1;
+        } else {
+            // The new branch points at HEAD, so the working tree stays as it is.
+            await shell.git.branch({ ...ctx, ref: name, checkout: true, force: true });
+        }
+        shell.ewriteln(`Switched to ${exists ? 'and reset ' : 'a new '}branch '${name}'`);
+        return 0;
+    }
+
+    const [target] = args;
+    if (!target) {
+        return 0;
+    }
+
+    const branches = await shell.git.listBranches({ ...ctx });
+    if (branches.includes(target)) {
+        if (target === await shell.git.currentBranch({ ...ctx })) {
+            shell.ewriteln(`Already on '${target}'`);
+            return 0;
+        }
+        if (!await switchTo(shell, ctx, target)) return 1;
+        shell.ewriteln(`Switched to branch '${target}'`);
+        return 0;
+    }
+
+    const oid = await resolveRevision(shell, ctx, target);
+    if (oid) {
+        if (!await switchTo(shell, ctx, oid)) return 1;
+        const { commit } = await shell.git.readCommit({ ...ctx, oid });
+        shell.ewriteln(`Note: switching to '${target}'.\n`);
+        shell.ewriteln(`You are in 'detached HEAD' state.\n`);
+        shell.ewriteln(`HEAD is now at ${oid.slice(0, 7)} ${commit.message.split('\n')[0]}`);
+        return 0;
+    }
+
+    return restorePaths(shell, ctx, args);
+}
+
+async function gitReset(shell, ctx, args) {
+    let mode = 'mixed';
+    const rest = [];
+    for (const arg of args) {
+        if (arg === '--soft' || arg === '--mixed' || arg === '--hard') mode = arg.slice(2);
+        else if (arg === '-q' || arg === '--quiet' || arg === '--') continue;
+        else rest.push(arg);
+    }
+
+    // 'git reset [<commit>] <paths>...' only resets the index entries.
+    let rev = 'HEAD';
+    if (rest.length && await resolveRevision(shell, ctx, rest[0])) rev = rest.shift();
+    const oid = await resolveRevision(shell, ctx, rev);
+
+    if (rest.length) {
+        if (mode !== 'mixed') {
+            shell.ewriteln(`fatal: Cannot do ${mode} reset with paths.`);
+            return 128;
+        }
+        const rows = await shell.git.statusMatrix({ ...ctx });
+        for (const spec of rest) {
+            const filepath = repoPath(ctx.dir, shell.resolvePath(spec));
+            const matched = rows.filter(row => filepath !== null && isUnder(row[0], filepath));
+            if (matched.length === 0) {
+                shell.ewriteln(`error: pathspec '${spec}' did not match any file(s) known to git`);
+                return 1;
+            }
+            for (const [path] of matched) {
+                await shell.git.resetIndex({ ...ctx, filepath: path, ref: oid || undefined });
+            }
+        }
+        await printUnstaged(shell, ctx);
+        return 0;
+    }
+
+    if (!oid) {
+        shell.ewriteln(`fatal: ambiguous argument '${rev}': unknown revision or path not in the working tree.`);
+        return 128;
+    }
+
+    const branch = await shell.git.currentBranch({ ...ctx });
+    await shell.git.writeRef({ ...ctx, ref: branch ? `refs/heads/${branch}` : 'HEAD', value: oid, force: true });
+
+    if (mode === 'hard') {
+        await shell.git.checkout({ ...ctx, ref: branch || oid, force: true });
+        const { commit } = await shell.git.readCommit({ ...ctx, oid });
+        shell.writeln(`HEAD is now at ${oid.slice(0, 7)} ${commit.message.split('\n')[0]}`);
+    } else if (mode === 'mixed') {
+        for (const [filepath, head, , stage] of await shell.git.statusMatrix({ ...ctx })) {
+            if (stage !== head) await shell.git.resetIndex({ ...ctx, filepath, ref: oid });
+        }
+        await printUnstaged(shell, ctx);
+    }
+    return 0;
+}
+
+// --- Helpers ---
+
+const STATUS_LABELS = {
+    A: 'new file:   ',
+    M: 'modified:   ',
+    D: 'deleted:    ',
+};
+
+/**
+ * Converts a statusMatrix row into git's two-letter short status code.
+ * @param {Array} row - [filepath, HEAD, WORKDIR, STAGE] as returned by statusMatrix.
+ * @returns {string|null} The 'XY' code, '??' for untracked files, or null if unmodified.
+ */
+function statusCode([, head, workdir, stage]) {
+    if (head === 0 && stage === 0) return workdir === 2 ? '??' : null;
+
+    // X compares the index against HEAD.
+    let x = ' ';
+    if (head === 0) x = 'A';
+    else if (stage === 0) x = 'D';
+    else if (stage !== 1) x = 'M';
+
+    // Y compares the working tree against the index.
+    let y = ' ';
+    if (stage !== 0) {
+        if (workdir === 0) y = 'D';
+        else if (stage === 1 ? workdir === 2 : stage === 3) y = 'M';
+    }
+
+    const code = x + y;
+    return code === '  ' ? null : code;
+}
+
+/**
+ * Stages a single statusMatrix row, adding or removing it from the index.
+ */
+async function stageRow(shell, ctx, [filepath, , workdir, stage]) {
+    if (workdir === 0) {
+        if (stage !== 0) await shell.git.remove({ ...ctx, filepath });
+    } else if (stage !== 2) {
+        await shell.git.add({ ...ctx, filepath });
+    }
+}
+
+/**
+ * Collapses untracked files into their top-most untracked directory, the way
+ * 'git status' shows a new directory as 'dir/' rather than every file in it.
+ */
+function collapseUntracked(rows, untracked) {
+    const trackedDirs = new Set();
+    for (const [filepath, head, , stage] of rows) {
+        if (head === 0 && stage === 0) continue;
+        const parts = filepath.split('/');
+        for (let i = 1; i < parts.length; i++) trackedDirs.add(parts.slice(0, i).join('/'));
+    }
+    const paths = new Set();
+    for (const filepath of untracked) {
+        const parts = filepath.split('/');
+        let collapsed = filepath;
+        for (let i = 1; i < parts.length; i++) {
+            const dir = parts.slice(0, i).join('/');
+            if (!trackedDirs.has(dir)) {
+                collapsed = `${dir}/`;
+                break;
+            }
+        }
+        paths.add(collapsed);
+    }
+    return [...paths];
+}
+
+/**
+ * Looks up the blob ids of files in HEAD and in the index with a single walk.
+ * @returns {Promise<Map<string, {head: string|null, stage: string|null}>>}
+ */
+async function treeOids(shell, ctx) {
+    const hasHead = await resolveHead(shell, ctx) !== null;
+    const trees = hasHead ? [shell.git.TREE({ ref: 'HEAD' }), shell.git.STAGE()] : [shell.git.STAGE()];
+    const oids = new Map();
+    await shell.git.walk({
+        ...ctx,
+        trees,
+        map: async (filepath, entries) => {
+            const [head, stage] = hasHead ? entries : [null, entries[0]];
+            const entry = stage || head;
+            if (filepath === '.' || !entry || await entry.type() !== 'blob') return true;
+            oids.set(filepath, {
+                head: head ? await head.oid() : null,
+                stage: stage ? await stage.oid() : null,
+            });
+            return true;
+        },
+    });
+    return oids;
+}
+
+async function readBlobText(shell, ctx, oid) {
+    if (!oid) return '';
+    const { blob } = await shell.git.readBlob({ ...ctx, oid });
+    return new TextDecoder().decode(blob);
+}
+
+/**
+ * Lists the changes between HEAD and the index, as shown by 'git diff --cached'.
+ */
+async function stagedChanges(shell, ctx) {
+    const rows = await shell.git.statusMatrix({ ...ctx });
+    const oids = await treeOids(shell, ctx);
+    const changes = [];
+    for (const row of rows) {
+        const code = statusCode(row);
+        if (!code || code === '??' || code[0] === ' ') continue;
+        const { head = null, stage = null } = oids.get(row[0]) || {};
+        changes.push({
+            filepath: row[0],
+            status: code[0],
+            oldOid: head,
+            newOid: stage,
+            oldText: await readBlobText(shell, ctx, head),
+            newText: await readBlobText(shell, ctx, stage),
+        });
+    }
+    return changes;
+}
+
+/**
+ * Lists the changes between the index and the working tree, as shown by 'git diff'.
+ */
+async function unstagedChanges(shell, ctx) {
+    const rows = await shell.git.statusMatrix({ ...ctx });
+    const oids = await treeOids(shell, ctx);
+    const changes = [];
+    for (const row of rows) {
+        const code = statusCode(row);
+        if (!code || code === '??' || code[1] === ' ') continue;
+        const { stage = null } = oids.get(row[0]) || {};
+        const deleted = code[1] === 'D';
+        const newText = deleted ? '' : await shell.pfs.readFile(joinPath(ctx.dir, row[0]), 'utf8');
+        changes.push({
+            filepath: row[0],
+            status: code[1],
+            oldOid: stage,
+            newOid: deleted ? null : (await shell.git.hashBlob({ object: newText })).oid,
+            oldText: await readBlobText(shell, ctx, stage),
+            newText,
+        });
+    }
+    return changes;
+}
+
+/**
+ * Restores working tree files from the index, like 'git checkout -- <paths>'.
+ */
+async function restorePaths(shell, ctx, pathspecs) {
+    const oids = await treeOids(shell, ctx);
+    let restored = 0;
+    for (const spec of pathspecs) {
+        const filepath = repoPath(ctx.dir, shell.resolvePath(spec));
+        const matched = [...oids.entries()].filter(([path, { stage }]) => stage && filepath !== null && isUnder(path, filepath));
+        if (matched.length === 0) {
+            shell.ewriteln(`error: pathspec '${spec}' did not match any file(s) known to git`);
+            return 1;
+        }
+        for (const [path, { stage }] of matched) {
+            const { blob } = await shell.git.readBlob({ ...ctx, oid: stage });
+            const absolutePath = joinPath(ctx.dir, path);
+            await mkdirp(shell, absolutePath.slice(0, absolutePath.lastIndexOf('/')) || '/');
+            await shell.pfs.writeFile(absolutePath, blob);
+            restored++;
+        }
+    }
+    shell.ewriteln(`Updated ${plural(restored, 'path')} from the index`);
+    return 0;
+}
+
+/**
+ * Checks out a branch or commit, reporting local changes that would be lost.
+ * @returns {Promise<boolean>} True if the checkout succeeded.
+ */
+async function switchTo(shell, ctx, ref) {
+    try {
+        await shell.git.checkout({ ...ctx, ref });
+        return true;
+    } catch (e) {
+        if (e.code !== 'CheckoutConflictError') throw e;
+        shell.ewriteln('error: Your local changes to the following files would be overwritten by checkout:');
+        for (const filepath of e.data.filepaths) shell.ewriteln(`\t${filepath}`);
+        shell.ewriteln('Please commit your changes or stash them before you switch branches.');
+        shell.ewriteln('Aborting');
+        return false;
+    }
+}
+
+async function printUnstaged(shell, ctx) {
+    const lines = [];
+    for (const row of await shell.git.statusMatrix({ ...ctx })) {
+        const code = statusCode(row);
+        if (code && code !== '??' && code[1] !== ' ') lines.push(`${code[1]}\t${row[0]}`);
+    }
+    if (lines.length) {
+        shell.writeln('Unstaged changes after reset:');
+        lines.forEach(line => shell.writeln(line));
+    }
+}
+
+async function resolveHead(shell, ctx) {
+    return shell.git.resolveRef({ ...ctx, ref: 'HEAD' }).catch(() => null);
+}
+
+/**
+ * Resolves a revision such as 'HEAD', 'main~2', 'HEAD^' or an abbreviated
+ * commit id to a full commit oid.
+ * @returns {Promise<string|null>} The oid, or null if it cannot be resolved.
+ */
+async function resolveRevision(shell, ctx, rev) {
+    const match = rev.match(/^(.*?)((?:[~^]\d*)*)$/);
+    const [, base, suffix] = match;
+    let oid = await shell.git.resolveRef({ ...ctx, ref: base || 'HEAD' }).catch(() => null);
+    if (!oid && /^[0-9a-f]{4,40}$/.test(base)) {
+        oid = await shell.git.expandOid({ ...ctx, oid: base }).catch(() => null);
+    }
+    if (!oid) return null;
+
+    for (const [, op, count] of suffix.matchAll(/([~^])(\d*)/g)) {
+        const n = count === '' ? 1 : parseInt(count, 10);
+        if (op === '^') {
+            // 'rev^N' selects the Nth parent; 'rev^0' is the commit itself.
+            if (n === 0) continue;
+            const { commit } = await shell.git.readCommit({ ...ctx, oid });
+            oid = commit.parent[n - 1];
+        } else {
+            for (let i = 0; i < n && oid; i++) {
+                const { commit } = await shell.git.readCommit({ ...ctx, oid });
+                oid = commit.parent[0];
+            }
+        }
+        if (!oid) return null;
+    }
+    return oid;
+}
+
+async function authorFor(shell, ctx) {
+    const name = await shell.git.getConfig({ ...ctx, path: 'user.name' });
+    const email = await shell.git.getConfig({ ...ctx, path: 'user.email' });
+    return {
+        name: name || shell.env.GIT_AUTHOR_NAME || 'user',
+        email: email || shell.env.GIT_AUTHOR_EMAIL || 'user@host',
+    };
+}
+
+/**
+ * Formats a commit timestamp the way 'git log' does,
+ * e.g. 'Mon Jun 9 14:03:12 2025 +0200'.
+ * @param {number} timestamp - Seconds since the epoch.
+ * @param {number} timezoneOffset - Minutes, with the sign of Date#getTimezoneOffset.
+ */
+function formatDate(timestamp, timezoneOffset) {
+    const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const date = new Date((timestamp - timezoneOffset * 60) * 1000);
+    const pad = (n) => String(n).padStart(2, '0');
+    const abs = Math.abs(timezoneOffset);
+    const zone = `${timezoneOffset <= 0 ? '+' : '-'}${pad(Math.floor(abs / 60))}${pad(abs % 60)}`;
+    const time = `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`;
+    return `${days[date.getUTCDay()]} ${months[date.getUTCMonth()]} ${date.getUTCDate()} ${time} ${date.getUTCFullYear()} ${zone}`;
+}
+
+/**
+ * Converts an absolute path into a path relative to the repository root.
+ * @returns {string|null} The relative path ('' for the root), or null if outside the repository.
+ */
+function repoPath(dir, absolutePath) {
+    if (absolutePath === dir) return '';
+    const prefix = dir === '/' ? '/' : `${dir}/`;
+    return absolutePath.startsWith(prefix) ? absolutePath.slice(prefix.length) : null;
+}
+
+function isUnder(filepath, spec) {
+    return spec === '' || filepath === spec || filepath.startsWith(`${spec}/`);
+}
+
+function joinPath(dir, filepath) {
+    return dir === '/' ? `/${filepath}` : `${dir}/${filepath}`;
+}
+
+async function mkdirp(shell, dirPath) {
+    let current = '';
+    for (const part of dirPath.split('/').filter(Boolean)) {
+        current += `/${part}`;
+        await shell.pfs.mkdir(current).catch(() => {});
+    }
+}
+
+function shortOid(oid) {
+    return oid ? oid.slice(0, 7) : '0000000';
+}
+
+function isBinary(text) {
+    return text.includes('\0');
+}
+
+function plural(count, noun) {
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
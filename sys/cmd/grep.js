@@ -0,0 +1,148 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/grep.js
+// -----------------------------------------------------------------------------
+import { eachInput, toRegExp } from '../util/text.js';
+import { walk } from '../util/walk.js';
+
+/**
+ * Implements the 'grep' command.
+ * Prints the lines of the files (or stdin) that match a pattern: the first
+ * operand, or each one given with '-e'. With '-r' and no files the current
+ * directory is searched. '--color' alone means '--color=always'; 'auto', the
+ * default, colours only on the terminal.
+ */
+export default {
+    description: 'print lines that match patterns',
+    usage: ['[OPTION]... PATTERN [FILE]...', '[OPTION]... -e PATTERN... [FILE]...'],
+    options: {
+        patterns: { short: 'e', long: 'regexp', argument: 'PATTERN', repeat: true, description: 'match PATTERN (can be repeated)' },
+        E: { short: 'E', long: 'extended-regexp', cancels: ['F', 'G'], description: 'the patterns are extended regular expressions' },
+        F: { short: 'F', long: 'fixed-strings', cancels: ['E', 'G'], description: 'the patterns are fixed strings' },
+        G: { short: 'G', long: 'basic-regexp', cancels: ['E', 'F'], description: 'the patterns are basic regular expressions (the default)' },
+        i: { short: 'i', long: 'ignore-case', description: 'ignore case' },
+        w: { short: 'w', long: 'word-regexp', description: 'match only whole words' },
+        x: { short: 'x', long: 'line-regexp', description: 'match only whole lines' },
+        v: { short: 'v', long: 'invert-match', description: 'select the lines that do not match' },
+        c: { short: 'c', long: 'count', description: 'print only a count of matching lines' },
+        l: { short: 'l', long: 'files-with-matches', description: 'print only the names of files with matches' },
+        o: { short: 'o', long: 'only-matching', description: 'print only the matches' },
+        q: { short: 'q', long: 'quiet', description: 'print nothing, only set the status' },
+        s: { short: 's', long: 'no-messages', description: 'leave out messages about unreadable files' },
+        n: { short: 'n', long: 'line-number', description: 'number the lines' },
+        H: { short: 'H', long: 'with-filename', cancels: ['h'], description: 'print the file name of each match' },
+        h: { short: 'h', long: 'no-filename', cancels: ['H'], description: 'leave out the file names' },
+        r: { short: 'rR', long: 'recursive', description: 'search directories recursively' },
+        color: { long: 'color', argument: 'WHEN', implicit: 'always', default: 'auto', description: "colour the matches: 'always', 'never' or 'auto'" },
+    },
+
+    /**
+     * @param {Process} proc - The running process.
+     * @returns {Promise<number>} 0 if a line was selected, 1 if none was, 2 for an error.
+     */
+    async exec(proc) {
+        const { kernel, options, stdout, stderr } = proc;
+        const operands = [...proc.operands];
+        const patterns = [...options.patterns];
+        if (!['always', 'never', 'auto'].includes(options.color)) {
+            await stderr.write(`grep: invalid argument '${options.color}' for '--color'\n`);
+            return 2;
+        }
+        if (patterns.length === 0) {
+            if (operands.length === 0) {
+                await stderr.write("Usage: grep [OPTION]... PATTERN [FILE]...\nTry 'grep --help' for more information.\n");
+                return 2;
+            }
+            patterns.push(operands.shift());
+        }
+
+        let regex;
+        try {
+            regex = buildRegExp(patterns, options);
+        } catch (e) {
+            await stderr.write(`grep: ${e.message}\n`);
+            return 2;
+        }
+
+        let files = operands;
+        if (options.r) {
+            files = [];
+            for (const operand of operands.length ? operands : ['.']) {
+                files.push(...await expandDirectory(kernel, proc.resolvePath(operand), operands.length ? operand : ''));
+            }
+        }
+        const showNames = options.H || (!options.h && (files.length > 1 || options.r));
+        const color = options.color === 'always' || (options.color === 'auto' && stdout === kernel.stdout);
+        const paint = (code, text) => (color ? `\x1b[${code}m${text}\x1b[0m` : text);
+
+        let selected = false;
+        let output = '';
+        const ok = await eachInput(proc, files, 'grep', async (lines, file) => {
+            const label = file === '-' ? '(standard input)' : file;
+            const prefix = showNames ? `${paint('35', label)}${paint('36', ':')}` : '';
+            let count = 0;
+            let number = 0;
+            for await (const line of lines) {
+                number++;
+                regex.lastIndex = 0;
+                if (regex.test(line) === options.v) continue;
+                count++;
+                selected = true;
+                if (options.q) return;
+                if (options.c || options.l) continue;
+
+                const lineNumber = options.n ? `${paint('32', number)}${paint('36', ':')}` : '';
+                if (options.o && !options.v) {
+                    for (const match of line.matchAll(regex)) {
+                        if (match[0]) output += `${prefix}${lineNumber}${paint('01;31', match[0])}\n`;
+                    }
+                } else {
+                    const text = color && !options.v ? line.replace(regex, match => (match ? paint('01;31', match) : match)) : line;
+                    output += `${prefix}${lineNumber}${text}\n`;
+                }
+                // Matches are written as they are found, so a long search shows progress.
+                if (output.length > 4096) {
+                    await stdout.write(output);
+                    output = '';
+                }
+            }
+            if (options.c) output += `${prefix}${count}\n`;
+            else if (options.l && count) output += `${paint('35', label)}\n`;
+        }, { quiet: options.s });
+        if (output) await stdout.write(output);
+
+        if (options.q && selected) return 0;
+        if (!ok) return 2;
+        return selected ? 0 : 1;
+    }
+};
+
+/**
+ * Combines the patterns into one regular expression, with '-i', '-w' and '-x' applied.
+ * The 'g' flag lets '-o' and the colouring find every match on a line.
+ */
+function buildRegExp(patterns, options) {
+    const sources = patterns.flatMap(pattern => pattern.split('\n')).map(pattern =>
+        toRegExp(pattern, { extended: options.E, fixed: options.F }).source);
+    let source = sources.map(part => `(?:${part})`).join('|');
+    if (options.w) source = `(?<![A-Za-z0-9_])(?:${source})(?![A-Za-z0-9_])`;
+    if (options.x) source = `^(?:${source})$`;
+    return new RegExp(source, options.i ? 'gi' : 'g');
+}
+
+/**
+ * Lists the files under a path for '-r', in sorted order, as paths that start
+ * with `name` (the operand as typed; '' for the current directory). A path that
+ * cannot be read is returned as it is, for the error to be reported when it is
+ * searched.
+ */
+async function expandDirectory(kernel, path, name) {
+    const files = [];
+    try {
+        for await (const entry of walk(kernel.pfs, path, { name, onError: () => {} })) {
+            if (!entry.stats.isDirectory()) files.push(entry.name);
+        }
+    } catch (e) {
+        return [name];
+    }
+    return files;
+}
@@ -0,0 +1,62 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/head.js
+// -----------------------------------------------------------------------------
+import { readInput, linesOf, countOptions, parseCountOptions } from '../util/text.js';
+
+/**
+ * Implements the 'head' command.
+ * Prints the first 10 lines of each file (or stdin). '-n N' (or '-N') prints the
+ * first N lines, '-n -N' all but the last N, and '-c N' the first N characters.
+ * With several files each gets a '==> name <==' header; '-q' leaves the headers
+ * out and '-v' always shows them. Reading from a pipe stops as soon as enough
+ * has been read.
+ */
+export default {
+    description: 'print the first lines of files',
+    usage: '[OPTION]... [FILE]...',
+    options: countOptions('first'),
+
+    /**
+     * @param {Process} proc - The running process.
+     * @returns {Promise<number>} 0, or 1 if a file could not be read or a count is invalid.
+     */
+    async exec(proc) {
+        const { stdout } = proc;
+        const parsed = await parseCountOptions(proc, 'head');
+        if (!parsed) return 1;
+        const { count, bytes, headers, files } = parsed;
+
+        let status = 0;
+        let first = true;
+        for (const file of files.length ? files : ['-']) {
+            const input = await readInput(proc, file, 'head');
+            if (input === null) {
+                status = 1;
+                continue;
+            }
+            if (headers ?? files.length > 1) {
+                await stdout.write(`${first ? '' : '\n'}==> ${file === '-' ? 'standard input' : file} <==\n`);
+            }
+            first = false;
+
+            if (bytes) {
+                let text = '';
+                for await (const chunk of input) {
+                    text += chunk;
+                    if (!count.negative && text.length >= count.value) break;
+                }
+                await stdout.write(count.negative ? text.slice(0, Math.max(0, text.length - count.value)) : text.slice(0, count.value));
+                continue;
+            }
+
+            const lines = [];
+            for await (const line of linesOf(input)) {
+                if (!count.negative && lines.length >= count.value) break;
+                lines.push(line);
+            }
+            const kept = count.negative ? lines.slice(0, Math.max(0, lines.length - count.value)) : lines;
+            if (kept.length) await stdout.write(`${kept.join('\n')}\n`);
+        }
+        return status;
+    }
+};
@@ -5,38 +5,81 @@
  * Implements the 'history' command.
  * Displays the command history or clears it.
  * MODIFIED to return an exit status.
+ * MODIFIED: Completes its flags on Tab.
+ * MODIFIED: The history is saved to a file, so changes made here are saved too.
+ * 'history N' shows the last N commands, and 'history -d N' deletes command N.
+ * MODIFIED: Its options are parsed by util/args.js, so they combine and '--' works.
  */
 export default {
+    description: 'show or change the command history',
+    usage: ['[N]', '-c', '-d N'],
+    options: {
+        clear: { short: 'c', description: 'clear the history' },
+        delete: { short: 'd', argument: 'N', description: 'delete command N; a negative N counts from the end' },
+    },
+
     /**
      * The main entry point for the 'history' command.
-     * @param {Kernel} shell - The shell instance.
-     * @param {string[]} args - The command arguments.
-     * @returns {Promise<number>} The exit status. This command always returns 0 for success.
+     * @param {Process} proc - The running process.
+     * @returns {Promise<number>} The exit status. 0 for success, 1 for a bad argument.
      */
-    async run(shell, args) {
+    async exec(proc) {
+        const { kernel: shell, options, operands, stdout, stderr } = proc;
         // Check for the '-c' (clear) flag.
-        if (args[0] === '-c') {
+        if (options.clear) {
             shell.history = [];
-            shell.historyIndex = -1;
-            shell.writeln('Command history cleared.');
+            shell.historyIndex = 0;
+            await shell.saveHistory();
+            await stdout.write('Command history cleared.\n');
             return 0; // Success
         }
 
+        // '-d N' deletes entry N; a negative N counts from the end.
+        if (options.delete !== null) {
+            const offset = Number(options.delete);
+            const index = offset < 0 ? shell.history.length + offset : offset - 1;
+            if (!Number.isInteger(offset) || index < 0 || index >= shell.history.length) {
+                await stderr.write(`-qrx: history: ${options.delete}: history position out of range\n`);
+                return 1;
+            }
+            shell.history.splice(index, 1);
+            shell.historyIndex = shell.history.length;
+            await shell.saveHistory();
+            return 0;
+        }
+
+        let count = shell.history.length;
+        if (operands.length) {
+            count = Number(operands[0]);
+            if (!/^\d+$/.test(operands[0])) {
+                await stderr.write(`-qrx: history: ${operands[0]}: numeric argument required\n`);
+                return 1;
+            }
+        }
+
         // If no flags are present, display the history.
         if (shell.history.length === 0) {
-            shell.writeln('No history yet.');
+            await stdout.write('No history yet.\n');
             return 0; // Success
         }
 
-        // Iterate over the history array and print each command with its line number.
-        shell.history.forEach((command, index) => {
+        // Print each command with its line number.
+        const first = Math.max(0, shell.history.length - count);
+        for (const [index, command] of shell.history.slice(first).entries()) {
             // Display with a 1-based index, padded for alignment to look nice.
-            const lineNumber = String(index + 1).padStart(4, ' ');
-            shell.writeln(`${lineNumber}  ${command}`);
-        });
+            const lineNumber = String(first + index + 1).padStart(4, ' ');
+            await stdout.write(`${lineNumber}  ${command}\n`);
+        }
 
-        // The history command itself doesn't have a failure condition in this implementation.
+        // Listing the history has no failure condition.
         return 0; // Success
+    },
+
+    /**
+     * Tab completion for the flags.
+     * @returns {string[]} The candidates.
+     */
+    complete() {
+        return ['-c', '-d'];
     }
 };
-
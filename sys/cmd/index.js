@@ -8,17 +8,16 @@ import { QRXCommands } from './QRXCommands.js';
  * specified in the `commandList`. The QRx kernel imports this file to get
  * the final, resolved object of command modules.
  */
-export default await QRXCommands.create({
+const commands = await QRXCommands.create({
     urlBase: './', // The command modules are in the same directory.
     commandList: [
-//        'git',
+      'git',
       'ls',
       'cd',
       'echo',
       'history',
       'mkdir',
       'mv',
-      'move',
       'rm',
       'cp',
       'cat',
@@ -26,6 +25,54 @@ export default await QRXCommands.create({
       'touch',
       'ed',
       'js',
+      'export',
+      'unset',
+      'env',
+      'date',
+      'break',
+      'continue',
+      'return',
+      'shift',
+      'true',
+      'false',
+      'test',
+      'sh',
+      'source',
+      'set',
+      'exit',
+      'chmod',
+      'jobs',
+      'fg',
+      'bg',
+      'wait',
+      'kill',
+      'sleep',
+      'alias',
+      'unalias',
+      'grep',
+      'sed',
+      'head',
+      'tail',
+      'wc',
+      'sort',
+      'uniq',
+      'cut',
+      'tr',
+      'find',
+      'du',
+      'tree',
+      'stat',
+      'qrgen',
+      'rehash',
+      'pkg',
+      'man',
     ]
 });
 
+// '[' is 'test' with a closing ']' as its last argument.
+commands['['] = commands.test;
+// '.' is the POSIX name for 'source'.
+commands['.'] = commands.source;
+
+export default commands;
+
@@ -0,0 +1,52 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/jobs.js
+// -----------------------------------------------------------------------------
+/**
+ * Implements the 'jobs' builtin.
+ * Lists the background jobs, e.g. '[1]+  Running    sleep 10 &'. '+' marks the current
+ * job (the one 'fg' picks by default) and '-' the previous one. '-l' adds process IDs,
+ * and '-p' prints only the process IDs. A finished job is listed with its output one
+ * last time and then forgotten, so it is not reported again at the prompt.
+ */
+export default {
+    description: 'list the background jobs',
+    usage: '[OPTION]... [%JOB]...',
+    options: {
+        long: { short: 'l', description: 'add the process IDs' },
+        pidsOnly: { short: 'p', description: 'print only the process IDs' },
+    },
+
+    /**
+     * @param {Process} proc - The running process.
+     * @returns {Promise<number>} 0, or 1 if a job spec matches no job.
+     */
+    async exec(proc) {
+        const { kernel, options, operands: specs, stdout, stderr } = proc;
+        const table = kernel.jobs;
+        const { long, pidsOnly } = options;
+
+        let status = 0;
+        let jobs = table.jobs;
+        if (specs.length) {
+            jobs = [];
+            for (const spec of specs) {
+                const job = table.find(spec);
+                if (job) {
+                    jobs.push(job);
+                } else {
+                    await stderr.write(`-qrx: jobs: ${spec}: no such job\n`);
+                    status = 1;
+                }
+            }
+        }
+
+        for (const job of jobs) {
+            if (job.status !== null) await job.output.release({ 1: stdout, 2: stderr });
+            await stdout.write(`${pidsOnly ? job.pid : table.format(job, long)}\n`);
+        }
+        for (const job of jobs) {
+            if (job.status !== null) table.remove(job);
+        }
+        return status;
+    }
+};
@@ -3,27 +3,46 @@
 // -----------------------------------------------------------------------------
 /**
  * Implements the 'js' command.
- * Executes JavaScript code from a file or a string.
+ * Executes JavaScript code from a file, a string, or stdin.
+ * MODIFIED: A file starting with a '#!' line (e.g. '#!js') is run as a program:
+ * the arguments after it are passed to it as `args` instead of being run as files.
  */
 export default {
+    description: 'run JavaScript from a file, a string or stdin',
+    usage: ['FILE [ARG]...', '--string CODE'],
+
     /**
      * The main entry point for the 'js' command.
      * @param {Kernel} shell - The shell instance.
      * @param {string[]} args - The command arguments.
+     * @param {string|null} stdin - Code to run when no arguments are given.
      * @returns {Promise<number>} The exit status. 0 for success, 1 for failure.
      */
-    async run(shell, args) {
+    async run(shell, args, stdin) {
+        // --- Execute from stdin, e.g. a here-document ---
+        if (args.length === 0 && stdin !== null) {
+            try {
+                const func = new Function('shell', stdin);
+                await func(shell);
+                return 0; // Success
+            } catch (e) {
+                shell.ewriteln(`js: error executing script: ${e.message}`);
+                return 1; // Failure
+            }
+        }
+
         if (args.length === 0) {
-            shell.writeln('js: missing operand');
-            shell.writeln('Usage: js <file1> [file2] ...');
-            shell.writeln('   or: js --string "<code>"');
+            shell.ewriteln('js: missing operand');
+            shell.ewriteln('Usage: js <file1> [file2] ...');
+            shell.ewriteln('   or: js --string "<code>"');
+            shell.ewriteln('   or: js <<EOF ... EOF');
             return 1;
         }
 
         // --- Execute from a string ---
         if (args[0] === '--string') {
             if (args.length < 2) {
-                shell.writeln('js: --string option requires an argument');
+                shell.ewriteln('js: --string option requires an argument');
                 return 1;
             }
             const code = args[1];
@@ -34,22 +53,28 @@ export default {
                 await func(shell);
                 return 0; // Success
             } catch (e) {
-                shell.writeln(`js: error executing script: ${e.message}`);
+                shell.ewriteln(`js: error executing script: ${e.message}`);
                 return 1; // Failure
             }
         }
 
         // --- Execute from one or more files ---
         let hadError = false;
-        for (const path of args) {
+        for (const [index, path] of args.entries()) {
             const absolutePath = shell.resolvePath(path);
             try {
                 const code = await shell.pfs.readFile(absolutePath, 'utf8');
+                if (code.startsWith('#!')) {
+                    // Blank out the '#!' line but keep the line numbers of the rest.
+                    const func = new Function('shell', 'args', code.replace(/^#!.*/, ''));
+                    const status = await func(shell, args.slice(index + 1));
+                    return typeof status === 'number' ? status : 0;
+                }
                 const func = new Function('shell', code);
                 await func(shell);
             } catch (e) {
                 // If a file is not found or has a syntax error, report it and continue.
-                shell.writeln(`js: error in file '${path}': ${e.message}`);
+                shell.ewriteln(`js: error in file '${path}': ${e.message}`);
                 hadError = true;
             }
         }
@@ -0,0 +1,91 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/kill.js
+// -----------------------------------------------------------------------------
+import { SIGNALS } from '../engine/JobTable.js';
+
+/**
+ * Implements the 'kill' builtin.
+ * Sends a signal (TERM unless '-s NAME', '-NAME' or '-N' says otherwise) to jobs,
+ * given as '%N' or process IDs. The job stops before its next command and exits
+ * with 128 + the signal number. 'kill -l' lists the signals, and 'kill -l 143'
+ * names the signal behind an exit status.
+ */
+export default {
+    description: 'send a signal to jobs',
+    usage: ['[-s SIGNAL | -SIGNAL] %JOB|PID...', '-l [STATUS]'],
+    // No `options` (see util/args.js): '-KILL' and '-9' name a signal.
+
+    /**
+     * @param {Process} proc - The running process.
+     * @returns {Promise<number>} 0 on success, 1 if a job could not be signalled, 2 for bad usage.
+     */
+    async exec(proc) {
+        const { kernel, stdout, stderr } = proc;
+        const args = [...proc.args];
+
+        if (args[0] === '-l' || args[0] === '-L') {
+            args.shift();
+            if (args.length === 0) {
+                const list = Object.entries(SIGNALS).map(([name, { number }]) => `${String(number).padStart(2)}) SIG${name}`);
+                await stdout.write(`${list.join('\n')}\n`);
+                return 0;
+            }
+            let status = 0;
+            for (const arg of args) {
+                const signal = /^\d+$/.test(arg) ? findSignal(String(Number(arg) % 128)) : findSignal(arg);
+                if (signal) {
+                    await stdout.write(`${/^\d+$/.test(arg) ? signal : SIGNALS[signal].number}\n`);
+                } else {
+                    await stderr.write(`-qrx: kill: ${arg}: invalid signal specification\n`);
+                    status = 1;
+                }
+            }
+            return status;
+        }
+
+        let signal = 'TERM';
+        if (args[0] === '-s' || (args[0]?.startsWith('-') && args[0] !== '--')) {
+            const spec = args[0] === '-s' ? args.splice(0, 2)[1] : args.shift().slice(1);
+            signal = findSignal(spec ?? '');
+            if (!signal) {
+                await stderr.write(`-qrx: kill: ${spec ?? '-s'}: invalid signal specification\n`);
+                return 1;
+            }
+        }
+        if (args[0] === '--') args.shift();
+        if (args.length === 0) {
+            await stderr.write('kill: usage: kill [-s sigspec | -sigspec] pid | jobspec ... or kill -l [sigspec]\n');
+            return 2;
+        }
+
+        let status = 0;
+        for (const target of args) {
+            const job = kernel.jobs.find(target);
+            if (job) {
+                kernel.jobs.kill(job, signal);
+                continue;
+            }
+            if (target.startsWith('%')) {
+                await stderr.write(`-qrx: kill: ${target}: no such job\n`);
+            } else if (/^\d+$/.test(target)) {
+                await stderr.write(`-qrx: kill: (${target}) - No such process\n`);
+            } else {
+                await stderr.write(`-qrx: kill: ${target}: arguments must be process or job IDs\n`);
+            }
+            status = 1;
+        }
+        return status;
+    }
+};
+
+/**
+ * Looks up a signal by name ('TERM', 'SIGTERM', 'term') or number ('15').
+ * @returns {string|null} The signal's name in SIGNALS, or null.
+ */
+function findSignal(spec) {
+    if (/^\d+$/.test(spec)) {
+        return Object.keys(SIGNALS).find(name => SIGNALS[name].number === Number(spec)) ?? null;
+    }
+    const name = spec.toUpperCase().replace(/^SIG/, '');
+    return name in SIGNALS ? name : null;
+}
@@ -1,34 +1,295 @@
 // -----------------------------------------------------------------------------
 // file: sys/cmd/ls.js
 // -----------------------------------------------------------------------------
+import { modeString, humanSize, colorName } from '../util/fileinfo.js';
+
 /**
  * Implements the 'ls' (list directory contents) command.
  * MODIFIED to return an exit status.
+ * MODIFIED: Rewritten as a stream-based command with GNU-style options:
+ *
+ *   -l  long listing: mode, links, owner, group, size, modification time
+ *   -a  include hidden files, and '.' and '..'    -A  hidden files without '.' and '..'
+ *   -R  list subdirectories recursively           -d  list directories themselves
+ *   -h  sizes like 1.5K and 20M (with -l)         -F  mark directories '/', executables '*'
+ *   -t  sort by modification time, newest first   -S  sort by size, largest first
+ *   -r  reverse the sort                          -1  one name per line
+ *   --color[=always|never|auto]  colour names by file type (auto: only on the terminal)
+ *
+ * Any number of paths can be given. Files are listed first, then each directory
+ * under a 'name:' header. On the terminal, names are laid out in columns that fit
+ * its width; elsewhere (a pipe, a file) they are written one per line.
+ * MODIFIED: The mode, size and colour formatting moved to util/fileinfo.js, to be
+ * shared with 'du', 'tree' and 'stat'.
  */
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const SIX_MONTHS = 182 * 24 * 60 * 60 * 1000;
+
 export default {
+    description: 'list directory contents',
+    usage: '[OPTION]... [FILE]...',
+
     /**
      * The main entry point for the 'ls' command.
-     * @param {Kernel} shell - The shell instance.
-     * @param {string[]} args - The command arguments.
-     * @returns {Promise<number>} The exit status. 0 for success, 2 for failure.
+     * @param {Process} proc - The running process.
+     * @returns {Promise<number>} The exit status. 0 for success, 2 if a path could
+     * not be read or an option is invalid.
      */
-    async run(shell, args) {
-        // Resolve the target path. If no argument is given, use the current directory.
-        const targetPath = shell.resolvePath(args[0] || '.');
-        try {
-            // Read all entries in the directory.
-            const files = await shell.pfs.readdir(targetPath);
-            for (const file of files) {
-                // Get stats to determine if it's a file or directory.
-                const fullPath = (targetPath === '/' ? '' : targetPath) + '/' + file;
-                const stats = await shell.pfs.stat(fullPath);
-                // Add a trailing slash to directories for clarity.
-                shell.writeln(stats.isDirectory() ? `${file}/` : file);
+    async exec(proc) {
+        const { kernel, args, stdout, stderr } = proc;
+        const options = { all: false, almostAll: false, long: false, recursive: false, directory: false, human: false, classify: false, sort: 'name', reverse: false, onePerLine: false, color: 'auto' };
+        const paths = [];
+        let endOfOptions = false;
+
+        for (const arg of args) {
+            if (endOfOptions || !arg.startsWith('-') || arg === '-') {
+                paths.push(arg);
+            } else if (arg === '--') {
+                endOfOptions = true;
+            } else if (arg === '--color' || arg.startsWith('--color=')) {
+                options.color = arg.slice('--color='.length) || 'always';
+                if (!['always', 'never', 'auto'].includes(options.color)) {
+                    await stderr.write(`ls: invalid argument '${options.color}' for '--color'\n`);
+                    return 2;
+                }
+            } else if (arg.startsWith('--')) {
+                await stderr.write(`ls: unrecognized option '${arg}'\n`);
+                return 2;
+            } else {
+                for (const flag of arg.slice(1)) {
+                    switch (flag) {
+                        case 'a': options.all = true; break;
+                        case 'A': options.almostAll = true; break;
+                        case 'l': options.long = true; break;
+                        case 'R': options.recursive = true; break;
+                        case 'd': options.directory = true; break;
+                        case 'h': options.human = true; break;
+                        case 'F': options.classify = true; break;
+                        case 't': options.sort = 'time'; break;
+                        case 'S': options.sort = 'size'; break;
+                        case 'r': options.reverse = true; break;
+                        case '1': options.onePerLine = true; break;
+                        default:
+                            await stderr.write(`ls: invalid option -- '${flag}'\n`);
+                            return 2;
+                    }
+                }
             }
-            return 0; // Success
-        } catch (e) {
-            shell.writeln(`-qrx: ls: cannot access '${args[0] || '.'}': No such file or directory`);
-            return 2; // ls often uses 2 for serious errors like this.
         }
+
+        const terminal = stdout === kernel.stdout;
+        const listing = {
+            kernel,
+            options,
+            colored: options.color === 'always' || (options.color === 'auto' && terminal),
+            // Columns only make sense on the terminal, where the width is known.
+            columns: terminal && !options.onePerLine ? kernel.term.cols || 80 : 0,
+            owner: proc.env.USER ?? 'user',
+        };
+
+        let status = 0;
+        const files = [];
+        const directories = [];
+        for (const path of paths.length ? paths : ['.']) {
+            const entry = await statEntry(kernel, path, proc.resolvePath(path));
+            if (!entry) {
+                await stderr.write(`ls: cannot access '${path}': No such file or directory\n`);
+                status = 2;
+            } else if (entry.stats.isDirectory() && !options.directory) {
+                directories.push(entry);
+            } else {
+                files.push(entry);
+            }
+        }
+
+        let output = formatEntries(sortEntries(files, options), listing);
+        // A directory given on its own gets no 'name:' header.
+        const headers = paths.length > 1 || options.recursive;
+        for (const directory of sortEntries(directories, options)) {
+            output += await listDirectory(directory, listing, headers, output !== '', stderr).catch(() => {
+                status = 2;
+                return '';
+            });
+        }
+        await stdout.write(output);
+        return status;
     }
 };
+
+/**
+ * Stats a path without following a final symlink, so links are listed as links.
+ * @returns {Promise<object|null>} The entry ({ name, path, stats, target }), or null if it does not exist.
+ */
+async function statEntry(kernel, name, path) {
+    try {
+        const stats = await kernel.pfs.lstat(path);
+        const target = stats.isSymbolicLink() ? await kernel.pfs.readlink(path).catch(() => '') : null;
+        return { name, path, stats, target };
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Lists one directory, and with '-R' its subdirectories after it.
+ * @returns {Promise<string>} The listing text.
+ */
+async function listDirectory(directory, listing, header, separate, stderr) {
+    const { kernel, options } = listing;
+    let names;
+    try {
+        names = await kernel.pfs.readdir(directory.path);
+    } catch (e) {
+        await stderr.write(`ls: cannot open directory '${directory.name}': Permission denied\n`);
+        throw e;
+    }
+
+    const showHidden = options.all || options.almostAll;
+    const entries = [];
+    if (options.all) names = ['.', '..', ...names];
+    for (const name of names) {
+        if (name.startsWith('.') && !showHidden) continue;
+        const path = name === '.' ? directory.path : name === '..' ? parentOf(directory.path) : joinPath(directory.path, name);
+        const entry = await statEntry(kernel, name, path);
+        if (entry) entries.push(entry);
+    }
+    const sorted = sortEntries(entries, options);
+
+    let text = separate ? '\n' : '';
+    if (header) text += `${directory.name}:\n`;
+    if (options.long) {
+        const blocks = sorted.reduce((sum, entry) => sum + Math.ceil(entry.stats.size / 1024), 0);
+        text += `total ${options.human ? humanSize(blocks * 1024) : blocks}\n`;
+    }
+    text += formatEntries(sorted, listing);
+
+    if (options.recursive) {
+        for (const entry of sorted) {
+            if (entry.name === '.' || entry.name === '..' || !entry.stats.isDirectory()) continue;
+            const name = directory.name.endsWith('/') ? `${directory.name}${entry.name}` : `${directory.name}/${entry.name}`;
+            text += await listDirectory({ ...entry, name }, listing, true, true, stderr).catch(() => '');
+        }
+    }
+    return text;
+}
+
+/**
+ * Sorts entries by name, modification time or size, as the options ask.
+ */
+function sortEntries(entries, options) {
+    const byName = (a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
+    const compare = {
+        name: byName,
+        time: (a, b) => (b.stats.mtimeMs ?? 0) - (a.stats.mtimeMs ?? 0) || byName(a, b),
+        size: (a, b) => b.stats.size - a.stats.size || byName(a, b),
+    }[options.sort];
+    const sorted = [...entries].sort(compare);
+    return options.reverse ? sorted.reverse() : sorted;
+}
+
+/**
+ * Formats entries as long-listing lines, in columns, or one per line.
+ * @returns {string} The text, ending in a newline unless there are no entries.
+ */
+function formatEntries(entries, listing) {
+    if (entries.length === 0) return '';
+    const { options } = listing;
+
+    if (options.long) {
+        const rows = entries.map(entry => [
+            modeString(entry.stats),
+            String(entry.stats.nlink ?? 1),
+            listing.owner,
+            listing.owner,
+            options.human ? humanSize(entry.stats.size) : String(entry.stats.size),
+            formatTime(entry.stats.mtimeMs ?? 0),
+        ]);
+        const widths = rows[0].map((_, i) => Math.max(...rows.map(row => row[i].length)));
+        return entries.map((entry, index) => {
+            const [mode, links, owner, group, size, time] = rows[index];
+            const link = entry.target !== null ? ` -> ${entry.target}` : '';
+            return `${mode} ${links.padStart(widths[1])} ${owner.padEnd(widths[2])} ${group.padEnd(widths[3])} ${size.padStart(widths[4])} ${time} ${displayName(entry, listing)}${link}\n`;
+        }).join('');
+    }
+
+    const names = entries.map(entry => ({ text: displayName(entry, listing), width: plainName(entry, options).length }));
+    if (!listing.columns) return names.map(name => `${name.text}\n`).join('');
+    return layoutColumns(names, listing.columns);
+}
+
+/**
+ * Lays names out in columns, filled top to bottom, using as few rows as fit the width.
+ * @param {{text: string, width: number}[]} names - The names, as shown and as wide as they show.
+ * @param {number} width - The terminal width.
+ * @returns {string}
+ */
+function layoutColumns(names, width) {
+    const gap = 2;
+    for (let rows = 1; rows <= names.length; rows++) {
+        const columns = Math.ceil(names.length / rows);
+        const widths = [];
+        for (let column = 0; column < columns; column++) {
+            const slice = names.slice(column * rows, (column + 1) * rows);
+            widths.push(Math.max(...slice.map(name => name.width)));
+        }
+        const total = widths.reduce((sum, w) => sum + w, 0) + gap * (columns - 1);
+        if (total >= width && rows < names.length) continue;
+
+        let text = '';
+        for (let row = 0; row < rows; row++) {
+            const cells = [];
+            for (let column = 0; column < columns; column++) {
+                const name = names[column * rows + row];
+                if (!name) continue;
+                const last = column === columns - 1 || !names[(column + 1) * rows + row];
+                cells.push(last ? name.text : name.text + ' '.repeat(widths[column] - name.width + gap));
+            }
+            text += `${cells.join('')}\n`;
+        }
+        return text;
+    }
+    return '';
+}
+
+/**
+ * Returns an entry's name with its '-F' marker, without colour.
+ */
+function plainName(entry, options) {
+    if (!options.classify) return entry.name;
+    if (entry.stats.isDirectory()) return `${entry.name}/`;
+    if (entry.stats.isSymbolicLink()) return `${entry.name}@`;
+    if (entry.stats.mode & 0o111) return `${entry.name}*`;
+    return entry.name;
+}
+
+/**
+ * Returns an entry's name as shown: coloured by type when colour is on.
+ */
+function displayName(entry, listing) {
+    const name = plainName(entry, listing.options);
+    if (!listing.colored) return name;
+    return colorName(entry.name, entry.stats) + name.slice(entry.name.length);
+}
+
+/**
+ * Formats a modification time: 'Oct 18 15:07', or 'Oct 18  2024' for times more
+ * than six months away.
+ */
+function formatTime(ms) {
+    const date = new Date(ms);
+    const day = String(date.getDate()).padStart(2, ' ');
+    const recent = Math.abs(Date.now() - ms) < SIX_MONTHS;
+    const clock = recent
+        ? `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`
+        : ` ${date.getFullYear()}`;
+    return `${MONTHS[date.getMonth()]} ${day} ${clock}`;
+}
+
+function joinPath(dir, name) {
+    return dir === '/' ? `/${name}` : `${dir}/${name}`;
+}
+
+function parentOf(path) {
+    return path === '/' ? '/' : path.slice(0, path.lastIndexOf('/')) || '/';
+}
@@ -0,0 +1,132 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/man.js
+// -----------------------------------------------------------------------------
+import { resolvePath } from '../util/path.js';
+import { renderMarkdown } from '../util/markdown.js';
+import { page } from '../util/pager.js';
+
+// Where the pages are looked for when $MANPATH is not set.
+const MANPATH = '/usr/share/man';
+
+/**
+ * Implements the 'man' command.
+ * Shows the manual page of each NAME: the Markdown file NAME.md in a directory
+ * of $MANPATH (by default '/usr/share/man', where the pages of the built-in
+ * commands are installed). On the terminal the page is rendered with its
+ * styles and shown in the pager (see util/pager.js); anywhere else, such as in
+ * a pipe, it is written as plain text.
+ *
+ * '-k KEYWORD' lists the pages whose name or description (the first line of a
+ * page, '# name - description') contains KEYWORD, ignoring case.
+ */
+export default {
+    description: 'show the manual pages of commands',
+    usage: ['NAME...', '-k KEYWORD'],
+    options: {
+        keyword: { short: 'k', long: 'apropos', description: 'list the pages whose name or description contains KEYWORD' },
+    },
+
+    /**
+     * @param {Process} proc - The running process.
+     * @returns {Promise<number>} 0, 1 if a page was not found, or 2 on bad usage.
+     */
+    async exec(proc) {
+        const { kernel, options, operands, stdout, stderr } = proc;
+        if (operands.length === 0) {
+            await stderr.write(options.keyword ? 'man: missing keyword\n' : 'What manual page do you want?\nFor example, try \'man man\'.\n');
+            return 2;
+        }
+        const dirs = manDirectories(proc.env);
+
+        if (options.keyword) {
+            const pages = await listPages(kernel.pfs, dirs);
+            let status = 0;
+            for (const keyword of operands) {
+                const wanted = keyword.toLowerCase();
+                const found = pages.filter(({ name, description }) => `${name} ${description}`.toLowerCase().includes(wanted));
+                if (found.length === 0) {
+                    await stderr.write(`${keyword}: nothing appropriate.\n`);
+                    status = 1;
+                }
+                for (const { name, description } of found) await stdout.write(`${name} - ${description}\n`);
+            }
+            return status;
+        }
+
+        const terminal = stdout === kernel.stdout;
+        const lines = [];
+        let status = 0;
+        for (const name of operands) {
+            const source = await readPage(kernel.pfs, dirs, name);
+            if (source === null) {
+                await stderr.write(`No manual entry for ${name}\n`);
+                status = 1;
+                continue;
+            }
+            if (lines.length) lines.push('');
+            lines.push(...renderMarkdown(source, { width: terminal ? kernel.term.cols : 80, color: terminal }));
+        }
+        if (lines.length === 0) return status;
+
+        if (terminal) await page(kernel, lines, { name: `man ${operands.join(' ')}` });
+        else await stdout.write(`${lines.join('\n')}\n`);
+        return status;
+    },
+
+    /**
+     * Tab completion: the names of the pages.
+     * @param {Kernel} shell - The shell instance.
+     * @returns {Promise<string[]>} The candidates.
+     */
+    async complete(shell) {
+        const names = [];
+        for (const dir of manDirectories(shell.env)) {
+            for (const file of await shell.pfs.readdir(dir).catch(() => [])) {
+                if (file.endsWith('.md')) names.push(file.slice(0, -'.md'.length));
+            }
+        }
+        return [...new Set(names)].sort();
+    }
+};
+
+/**
+ * The directories of $MANPATH, in order.
+ */
+function manDirectories(env) {
+    return (env.MANPATH || MANPATH).split(':').filter(Boolean).map(dir => resolvePath(dir, '/'));
+}
+
+/**
+ * Reads the page of a name from the first directory that has it.
+ * @returns {Promise<string|null>} The Markdown, or null if there is no page.
+ */
+async function readPage(pfs, dirs, name) {
+    if (name.includes('/')) return null;
+    for (const dir of dirs) {
+        try {
+            return await pfs.readFile(`${dir === '/' ? '' : dir}/${name}.md`, 'utf8');
+        } catch (e) {
+            // Not in this directory.
+        }
+    }
+    return null;
+}
+
+/**
+ * Lists the pages in the directories, with the description from each page's
+ * first line. A page in an earlier directory hides one of the same name later.
+ * @returns {Promise<Array<{name: string, description: string}>>} The pages, by name.
+ */
+async function listPages(pfs, dirs) {
+    const pages = new Map();
+    for (const dir of dirs) {
+        for (const file of await pfs.readdir(dir).catch(() => [])) {
+            const name = file.replace(/\.md$/, '');
+            if (name === file || pages.has(name)) continue;
+            const source = await pfs.readFile(`${dir === '/' ? '' : dir}/${file}`, 'utf8').catch(() => '');
+            const title = source.match(/^#\s+\S+\s+-\s+(.*?)\s*$/m);
+            pages.set(name, { name, description: title ? title[1] : '' });
+        }
+    }
+    return [...pages.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
@@ -6,6 +6,9 @@
  * MODIFIED to return an exit status.
  */
 export default {
+    description: 'make a directory',
+    usage: 'DIRECTORY',
+
     /**
      * The main entry point for the 'mkdir' command.
      * @param {Kernel} shell - The shell instance.
@@ -14,7 +17,7 @@ export default {
      */
     async run(shell, args) {
         if (!args[0]) {
-            shell.writeln('mkdir: missing operand');
+            shell.ewriteln('mkdir: missing operand');
             return 1;
         }
         const targetPath = shell.resolvePath(args[0]);
@@ -24,7 +27,7 @@ export default {
             return 0; // Success
         } catch (e) {
             // Basic error handling for existing files/directories.
-            shell.writeln(`-qrx: mkdir: cannot create directory '${args[0]}': File exists`);
+            shell.ewriteln(`-qrx: mkdir: cannot create directory '${args[0]}': File exists`);
             return 1; // Failure
         }
     }
@@ -1,9 +0,0 @@
-// commands/move.js
-
-// This module acts as an alias for the 'mv' command.
-// It imports the 'mv' module and exports it as its own default.
-import mvCommand from './mv.js';
-
-export default mvCommand;
-
-
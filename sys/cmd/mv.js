@@ -1,30 +1,114 @@
 // -----------------------------------------------------------------------------
 // file: sys/cmd/mv.js
 // -----------------------------------------------------------------------------
+import { confirm, targetOf, isInside, copyTree, removeTree } from '../util/fileops.js';
+
 /**
  * Implements the 'mv' (move) command.
  * MODIFIED to return an exit status.
+ * MODIFIED: Rewritten as a stream-based command with GNU-style options.
+ * MODIFIED: An unknown option is a usage error with the status 2, not 1.
+ *
+ * With several sources, DEST must be an existing directory, and each source is
+ * moved into it. An existing file is replaced, and so is an empty directory when
+ * a directory is moved onto it. Of -f, -i and -n, the last one given wins. When
+ * the file system cannot rename a source, it is copied and then removed.
  */
 export default {
+    description: 'move or rename files and directories',
+    usage: ['[OPTION]... SOURCE DEST', '[OPTION]... SOURCE... DIRECTORY'],
+    options: {
+        force: { short: 'f', long: 'force', cancels: ['interactive', 'noClobber'], description: 'overwrite without asking (the default)' },
+        interactive: { short: 'i', long: 'interactive', cancels: ['force', 'noClobber'], description: 'ask before overwriting a file' },
+        noClobber: { short: 'n', long: 'no-clobber', cancels: ['force', 'interactive'], description: 'never overwrite a file' },
+        verbose: { short: 'v', long: 'verbose', description: 'print each file as it is moved' },
+    },
+
     /**
-     * @returns {Promise<number>} The exit status. 0 for success, 1 for failure.
+     * @param {Process} proc - The running process.
+     * @returns {Promise<number>} 0, or 1 if anything could not be moved.
      */
-    async run(shell, args) {
-        if (args.length !== 2) {
-            shell.writeln('mv: missing destination file operand after \'source_file\'');
-            shell.writeln('Usage: mv SOURCE DEST');
+    async exec(proc) {
+        const { kernel, options, stdout, stderr } = proc;
+        const { pfs } = kernel;
+        const operands = [...proc.operands];
+
+        if (operands.length < 2) {
+            await stderr.write(operands.length ? `mv: missing destination file operand after '${operands[0]}'\n` : 'mv: missing file operand\n');
+            return 1;
+        }
+        const dest = operands.pop();
+        const destStats = await pfs.stat(proc.resolvePath(dest)).catch(() => null);
+        if (operands.length > 1 && !destStats?.isDirectory()) {
+            await stderr.write(`mv: target '${dest}' is not a directory\n`);
             return 1;
         }
 
-        const sourcePath = shell.resolvePath(args[0]);
-        const destPath = shell.resolvePath(args[1]);
+        let status = 0;
+        for (const source of operands) {
+            const from = proc.resolvePath(source);
+            const stats = await pfs.lstat(from).catch(() => null);
+            if (!stats) {
+                await stderr.write(`mv: cannot stat '${source}': No such file or directory\n`);
+                status = 1;
+                continue;
+            }
+            const target = await targetOf(proc, source, dest);
+            if (target.path === from) {
+                await stderr.write(`mv: '${source}' and '${target.name}' are the same file\n`);
+                status = 1;
+                continue;
+            }
+            if (stats.isDirectory() && isInside(target.path, from)) {
+                await stderr.write(`mv: cannot move '${source}' to a subdirectory of itself, '${target.name}'\n`);
+                status = 1;
+                continue;
+            }
 
-        try {
-            await shell.pfs.rename(sourcePath, destPath);
-            return 0; // Success
-        } catch (e) {
-            shell.writeln(`mv: cannot move '${args[0]}' to '${args[1]}': ${e.message}`);
-            return 1; // Failure
+            const existing = await pfs.lstat(target.path).catch(() => null);
+            if (existing) {
+                if (options.noClobber) continue;
+                if (options.interactive && !await confirm(proc, `mv: overwrite '${target.name}'? `)) continue;
+                const error = await replace(pfs, stats, existing, target.path).catch(e => e.message);
+                if (error) {
+                    await stderr.write(error === 'Directory not empty'
+                        ? `mv: cannot move '${source}' to '${target.name}': Directory not empty\n`
+                        : `mv: ${error.replace('%s', `'${target.name}'`)}\n`);
+                    status = 1;
+                    continue;
+                }
+            }
+
+            try {
+                await pfs.rename(from, target.path).catch(async () => {
+                    await copyTree(pfs, from, target.path, { preserve: true });
+                    await removeTree(pfs, from);
+                });
+            } catch (e) {
+                await stderr.write(`mv: cannot move '${source}' to '${target.name}': ${e.message}\n`);
+                status = 1;
+                continue;
+            }
+            if (options.verbose) await stdout.write(`renamed '${source}' -> '${target.name}'\n`);
         }
+        return status;
     }
 };
+
+/**
+ * Clears the way for a source to be moved onto an existing target: a file is
+ * removed, and so is an empty directory when the source is a directory too.
+ * @returns {Promise<string|null>} Why the target cannot be replaced (with '%s'
+ * for its name), or null once it is gone.
+ */
+async function replace(pfs, stats, existing, path) {
+    if (existing.isDirectory() && !stats.isDirectory()) return 'cannot overwrite directory %s with non-directory';
+    if (!existing.isDirectory() && stats.isDirectory()) return 'cannot overwrite non-directory %s with directory';
+    if (existing.isDirectory()) {
+        if ((await pfs.readdir(path)).length) return 'Directory not empty';
+        await pfs.rmdir(path);
+    } else {
+        await pfs.unlink(path);
+    }
+    return null;
+}
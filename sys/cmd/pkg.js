@@ -0,0 +1,402 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/pkg.js
+// -----------------------------------------------------------------------------
+import { makeDirectories, removeTree } from '../util/fileops.js';
+import { LIB_DIR, BIN_DIR, readLock, writeLock } from '../util/packages.js';
+import { resolvePath } from '../util/path.js';
+
+/**
+ * Implements the 'pkg' command, which installs commands and key handlers from
+ * git repositories (see util/packages.js for where they go).
+ *
+ *   pkg install SOURCE[#REF]...   install the packages, and what they depend on
+ *   pkg remove NAME...            remove the packages, and dependencies no longer needed
+ *   pkg list                      list what is installed
+ *   pkg update [NAME...]          install the latest commit of the packages (of all by default)
+ *
+ * A SOURCE is the URL of a repository, which is cloned through the CORS proxy
+ * of the kernel's git config, or the path of a repository in the file system
+ * (an ordinary or a bare one). REF is a branch or tag; the default is HEAD.
+ *
+ * The repository has a manifest, 'qrx.json', at its top:
+ *
+ *   {
+ *     "name": "hello",
+ *     "version": "1.0.0",
+ *     "commands": { "hello": "hello.js" },              command names and their modules
+ *     "handlers": { "Control_L": "keys/clear.js" },     key names and their handlers
+ *     "dependencies": { "colors": "https://..." }       package names and their sources
+ *   }
+ *
+ * The paths are relative to the repository, all of whose files are installed,
+ * so a module can import the others with relative paths.
+ */
+export default {
+    description: 'install commands and key handlers from git repositories',
+    usage: ['install SOURCE[#REF]...', 'remove NAME...', 'list', 'update [NAME]...'],
+    // No options, but '--help' and '--' work, and a mistyped option is not taken for a package.
+    options: {},
+
+    /**
+     * @param {Process} proc - The running process.
+     * @returns {Promise<number>} 0, or 1 if anything failed; 2 on bad usage.
+     */
+    async exec(proc) {
+        const [subcommand, ...operands] = proc.operands;
+        const handler = SUBCOMMANDS[subcommand];
+        if (!handler) {
+            if (subcommand !== undefined) await proc.stderr.write(`pkg: '${subcommand}' is not a pkg command\n`);
+            await proc.stderr.write(USAGE);
+            return 2;
+        }
+
+        const { kernel } = proc;
+        const session = { proc, lock: await readLock(kernel.pfs), installing: new Set(), changed: false };
+        try {
+            return await handler(session, operands);
+        } finally {
+            if (session.changed) {
+                await makeDirectories(kernel.pfs, LIB_DIR);
+                await writeLock(kernel.pfs, session.lock);
+                // The commands and handlers of the packages have changed under the kernel.
+                kernel.hashed.clear();
+                await kernel.loadKeyHandlers();
+            }
+        }
+    },
+
+    complete(shell, args) {
+        return args.length === 0 ? Object.keys(SUBCOMMANDS) : readLock(shell.pfs).then(lock => Object.keys(lock.packages));
+    }
+};
+
+const USAGE = `usage: pkg install SOURCE[#REF]...
+       pkg remove NAME...
+       pkg list
+       pkg update [NAME...]
+`;
+
+const SUBCOMMANDS = {
+    install: pkgInstall,
+    remove: pkgRemove,
+    list: pkgList,
+    update: pkgUpdate,
+};
+
+const MANIFEST = 'qrx.json';
+
+// Where remote repositories are cloned while a package is read from them.
+const CACHE_DIR = '/var/cache/pkg';
+
+// --- Subcommands ---
+
+async function pkgInstall(session, operands) {
+    if (operands.length === 0) {
+        await session.proc.stderr.write('pkg: install: no source given\n');
+        return 2;
+    }
+    let status = 0;
+    for (const operand of operands) {
+        const [source, ref = null] = operand.split('#');
+        if (!await tryInstall(session, source, ref, true)) status = 1;
+    }
+    return status;
+}
+
+async function pkgRemove(session, names) {
+    const { proc, lock } = session;
+    if (names.length === 0) {
+        await proc.stderr.write('pkg: remove: no package given\n');
+        return 2;
+    }
+
+    let status = 0;
+    const removing = new Set();
+    for (const name of names) {
+        if (!lock.packages[name]) {
+            await proc.stderr.write(`pkg: ${name} is not installed\n`);
+            status = 1;
+        } else {
+            removing.add(name);
+        }
+    }
+    for (const name of removing) {
+        const users = dependents(lock, name).filter(user => !removing.has(user));
+        if (users.length) {
+            await proc.stderr.write(`pkg: cannot remove ${name}: ${users.join(', ')} depends on it\n`);
+            removing.delete(name);
+            status = 1;
+        }
+    }
+    for (const name of removing) await uninstall(session, name);
+
+    // Then the dependencies that nothing needs any more.
+    let orphans;
+    while ((orphans = Object.keys(lock.packages).filter(name => !lock.packages[name].explicit && dependents(lock, name).length === 0)).length) {
+        for (const name of orphans) await uninstall(session, name);
+    }
+    return status;
+}
+
+async function pkgList(session, operands) {
+    const { proc, lock } = session;
+    if (operands.length) {
+        await proc.stderr.write(`pkg: list: extra operand '${operands[0]}'\n`);
+        return 2;
+    }
+    const rows = Object.entries(lock.packages).sort(([a], [b]) => a.localeCompare(b)).map(([name, pkg]) => [
+        name,
+        pkg.version,
+        pkg.commit.slice(0, 7),
+        `${pkg.source}${pkg.ref ? `#${pkg.ref}` : ''}${pkg.explicit ? '' : ' (dependency)'}`,
+    ]);
+    const widths = [0, 1, 2].map(column => Math.max(0, ...rows.map(row => row[column].length)));
+    for (const row of rows) {
+        await proc.stdout.write(`${row.map((cell, column) => column < 3 ? cell.padEnd(widths[column]) : cell).join('  ')}\n`);
+    }
+    return 0;
+}
+
+async function pkgUpdate(session, names) {
+    const { proc, lock } = session;
+    let status = 0;
+    for (const name of names.length ? names : Object.keys(lock.packages).sort()) {
+        const pkg = lock.packages[name];
+        if (!pkg) {
+            await proc.stderr.write(`pkg: ${name} is not installed\n`);
+            status = 1;
+            continue;
+        }
+        if (!await tryInstall(session, pkg.source, pkg.ref, pkg.explicit)) status = 1;
+    }
+    return status;
+}
+
+// --- Installing ---
+
+/**
+ * Installs a package and reports any error.
+ * @returns {Promise<boolean>} True if it was installed, or already was.
+ */
+async function tryInstall(session, source, ref, explicit) {
+    try {
+        await install(session, source, ref, explicit);
+        return true;
+    } catch (e) {
+        await session.proc.stderr.write(`pkg: ${e.message}\n`);
+        return false;
+    } finally {
+        session.installing.clear();
+    }
+}
+
+/**
+ * Installs the package at a source, after its dependencies, unless the same
+ * commit is installed already.
+ * @returns {Promise<string>} The package's name.
+ * @throws {Error} If the package cannot be read or installed.
+ */
+async function install(session, source, ref, explicit) {
+    const { proc, lock, installing } = session;
+    const { pfs } = proc.kernel;
+    const location = isUrl(source) ? source : proc.resolvePath(source);
+    const { commit, files } = await fetchPackage(proc, location, ref);
+    const manifest = readManifest(files, source);
+    const { name, version } = manifest;
+
+    const installed = lock.packages[name];
+    if (installed?.commit === commit) {
+        if (explicit && !installed.explicit) {
+            installed.explicit = true;
+            session.changed = true;
+        }
+        if (explicit) await proc.stdout.write(`${name} ${version} is up to date\n`);
+        return name;
+    }
+    if (installed && installed.source !== location) {
+        throw new Error(`${name}: installed from ${installed.source}, not ${location}`);
+    }
+    if (installing.has(name)) throw new Error(`${name}: circular dependency`);
+    installing.add(name);
+
+    const dependencies = [];
+    for (const [dependency, spec] of Object.entries(manifest.dependencies)) {
+        if (!lock.packages[dependency]) {
+            const [depSource, depRef = null] = spec.split('#');
+            if (await install(session, depSource, depRef, false) !== dependency) {
+                throw new Error(`${name}: ${spec} is not the package ${dependency}`);
+            }
+        }
+        dependencies.push(dependency);
+    }
+
+    for (const command of Object.keys(manifest.commands)) {
+        const owner = Object.keys(lock.packages).find(other => other !== name && command in lock.packages[other].commands);
+        if (owner) throw new Error(`${name}: the command '${command}' is already installed by ${owner}`);
+    }
+
+    // The files are written to a directory of their own first (no package name
+    // starts with '.'), and take the place of the installed version only once they
+    // are all there, so a failure leaves that version as it was. The installed tree
+    // is removed rather than overwritten, so files the new version dropped are gone.
+    const dir = `${LIB_DIR}/${name}`;
+    const staging = `${LIB_DIR}/.${name}.new`;
+    await removeTree(pfs, staging).catch(() => {});
+    try {
+        for (const [filepath, { content, mode }] of Object.entries(files)) {
+            const path = `${staging}/${filepath}`;
+            await makeDirectories(pfs, path.slice(0, path.lastIndexOf('/')));
+            await pfs.writeFile(path, content, { mode: mode & 0o777 });
+        }
+    } catch (e) {
+        await removeTree(pfs, staging).catch(() => {});
+        throw new Error(`${name}: cannot write its files: ${e.message}`);
+    }
+    if (installed) await uninstall(session, name, { quiet: true });
+    await pfs.rename(staging, dir);
+    session.changed = true;
+
+    const commands = {};
+    await makeDirectories(pfs, BIN_DIR);
+    for (const [command, module] of Object.entries(manifest.commands)) {
+        commands[command] = `${dir}/${module}`;
+        await pfs.writeFile(`${BIN_DIR}/${command}.js`, `// Installed by 'pkg' from ${name} ${version}.\nexport { default } from '${commands[command]}';\n`);
+    }
+    const handlers = {};
+    for (const [key, module] of Object.entries(manifest.handlers)) handlers[key] = `${dir}/${module}`;
+
+    lock.packages[name] = {
+        version, source: location, ref, commit,
+        explicit: explicit || Boolean(installed?.explicit),
+        commands, handlers, dependencies,
+    };
+    installing.delete(name);
+    await proc.stdout.write(installed
+        ? `updated ${name} ${installed.version} -> ${version} (${commit.slice(0, 7)})\n`
+        : `installed ${name} ${version} (${commit.slice(0, 7)})\n`);
+    return name;
+}
+
+/**
+ * Removes a package's files, commands and lockfile entry.
+ */
+async function uninstall(session, name, { quiet = false } = {}) {
+    const { proc, lock } = session;
+    const { pfs } = proc.kernel;
+    const pkg = lock.packages[name];
+    for (const command of Object.keys(pkg.commands)) await pfs.unlink(`${BIN_DIR}/${command}.js`).catch(() => {});
+    await removeTree(pfs, `${LIB_DIR}/${name}`).catch(() => {});
+    delete lock.packages[name];
+    session.changed = true;
+    if (!quiet) await proc.stdout.write(`removed ${name} ${pkg.version}\n`);
+}
+
+/**
+ * Lists the installed packages that depend on a package.
+ */
+function dependents(lock, name) {
+    return Object.keys(lock.packages).filter(other => lock.packages[other].dependencies.includes(name));
+}
+
+// --- Reading packages ---
+
+/**
+ * Reads the files of a package at the commit a ref points to.
+ * @param {Process} proc - The running process.
+ * @param {string} source - A repository URL, or the absolute path of a repository.
+ * @param {string|null} ref - A branch or tag, or null for HEAD.
+ * @returns {Promise<{commit: string, files: object}>} The commit, and the files by path,
+ * as `{content, mode}`.
+ */
+async function fetchPackage(proc, source, ref) {
+    const { kernel } = proc;
+    const { fs, git } = kernel;
+    let repo;
+    let cache = null;
+    if (isUrl(source)) {
+        cache = `${CACHE_DIR}/${Date.now().toString(36)}`;
+        await makeDirectories(kernel.pfs, cache);
+        repo = { fs, dir: cache };
+        try {
+            await git.clone({
+                ...repo, http: kernel.http, url: source, corsProxy: kernel.config.gitConfig.corsProxy,
+                ref: ref ?? undefined, singleBranch: true, depth: 1, noCheckout: true, noTags: true,
+            });
+        } catch (e) {
+            await removeTree(kernel.pfs, cache).catch(() => {});
+            throw new Error(`${source}: cannot clone: ${e.message}`);
+        }
+        ref = null; // The clone's HEAD is the ref.
+    } else if (await kernel.pfs.stat(`${source}/.git`).catch(() => null)) {
+        repo = { fs, dir: source };
+    } else if (await kernel.pfs.stat(`${source}/HEAD`).catch(() => null)) {
+        repo = { fs, gitdir: source };
+    } else {
+        throw new Error(`${source}: not a git repository`);
+    }
+
+    try {
+        let commit;
+        try {
+            commit = await git.resolveRef({ ...repo, ref: ref ?? 'HEAD' });
+        } catch (e) {
+            throw new Error(`${source}: no such ref: ${ref ?? 'HEAD'}`);
+        }
+        const files = {};
+        await git.walk({
+            ...repo,
+            trees: [git.TREE({ ref: commit })],
+            map: async (filepath, [entry]) => {
+                if (filepath === '.') return true;
+                if (await entry.type() === 'blob') files[filepath] = { content: await entry.content(), mode: await entry.mode() };
+                return true;
+            },
+        });
+        return { commit, files };
+    } finally {
+        if (cache) await removeTree(kernel.pfs, cache).catch(() => {});
+    }
+}
+
+/**
+ * Reads and checks a package's manifest.
+ * @returns {object} The manifest, with empty objects for the parts it leaves out.
+ * @throws {Error} If it is missing or not valid.
+ */
+function readManifest(files, source) {
+    if (!files[MANIFEST]) throw new Error(`${source}: no ${MANIFEST} in the repository`);
+    let manifest;
+    try {
+        manifest = JSON.parse(new TextDecoder().decode(files[MANIFEST].content));
+    } catch (e) {
+        throw new Error(`${source}: ${MANIFEST}: ${e.message}`);
+    }
+    const invalid = (what) => new Error(`${source}: ${MANIFEST}: ${what}`);
+    if (typeof manifest.name !== 'string' || !/^[\w][\w.-]*$/.test(manifest.name)) throw invalid('"name" is missing or not a valid name');
+    manifest.version = String(manifest.version ?? '0.0.0');
+    for (const part of ['commands', 'handlers', 'dependencies']) {
+        manifest[part] ??= {};
+        if (typeof manifest[part] !== 'object' || Array.isArray(manifest[part])) throw invalid(`"${part}" is not an object`);
+    }
+    for (const [command, module] of Object.entries(manifest.commands)) {
+        if (!/^[^/\s]+$/.test(command)) throw invalid(`'${command}' is not a valid command name`);
+        if (!files[normalize(module)]) throw invalid(`the module '${module}' of '${command}' is not in the repository`);
+        manifest.commands[command] = normalize(module);
+    }
+    for (const [key, module] of Object.entries(manifest.handlers)) {
+        if (!files[normalize(module)]) throw invalid(`the handler '${module}' of '${key}' is not in the repository`);
+        manifest.handlers[key] = normalize(module);
+    }
+    return manifest;
+}
+
+/**
+ * Turns a path in a manifest into one relative to the repository, e.g. './a/b.js' into 'a/b.js'.
+ */
+function normalize(module) {
+    return resolvePath(String(module), '/').slice(1);
+}
+
+function isUrl(source) {
+    return /^[a-z][\w+.-]*:\/\//i.test(source);
+}
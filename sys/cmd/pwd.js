@@ -2,6 +2,9 @@
  * Implements the 'pwd' (print working directory) command.
  */
 export default {
+    description: 'print the working directory',
+    usage: '',
+
     /**
      * The main entry point for the 'pwd' command.
      * @param {QRx} shell - The shell instance.
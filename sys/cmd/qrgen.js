@@ -0,0 +1,107 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/qrgen.js
+// -----------------------------------------------------------------------------
+import { encodePayload, packDirectory, QR_CAPACITY } from '../util/payload.js';
+
+/**
+ * Implements the 'qrgen' command.
+ * Packs the files under DIRECTORY (/sys if none is given) into a boot payload
+ * (see util/payload.js) and draws a QR code of the URL that boots QRx with it.
+ * Opening that URL, by scanning the code, brings the files back.
+ * A QR code holds at most 2953 bytes, so only a small directory fits.
+ */
+export default {
+    description: 'draw a QR code that boots QRx with the files of a directory',
+    usage: '[OPTION]... [DIRECTORY]',
+    options: {
+        init: { short: 'i', argument: 'SCRIPT', description: 'also carry the script in the file SCRIPT, to run once the shell is up' },
+        url: { short: 'u', description: 'print the URL instead of drawing the code' },
+        output: { short: 'o', argument: 'FILE', description: 'write the URL to FILE instead' },
+    },
+
+    /**
+     * @param {Process} proc - The running process.
+     * @returns {Promise<number>} 0, or 1 if the payload cannot be made or is too big.
+     */
+    async exec(proc) {
+        const { kernel, options, operands, stdout, stderr } = proc;
+        if (operands.length > 1) {
+            await stderr.write(`qrgen: extra operand '${operands[1]}'\n`);
+            return 1;
+        }
+
+        const dir = operands[0] ?? '/sys';
+        const payload = {};
+        try {
+            payload.files = await packDirectory(kernel.pfs, proc.resolvePath(dir));
+        } catch (e) {
+            await stderr.write(`qrgen: cannot read '${dir}': No such file or directory\n`);
+            return 1;
+        }
+        if (options.init !== null) {
+            try {
+                payload.init = await kernel.pfs.readFile(proc.resolvePath(options.init), 'utf8');
+            } catch (e) {
+                await stderr.write(`qrgen: ${options.init}: No such file or directory\n`);
+                return 1;
+            }
+        }
+
+        const url = `${location.origin}${location.pathname}#qrx=${await encodePayload(payload)}`;
+        if (url.length > QR_CAPACITY) {
+            await stderr.write(`qrgen: the payload is ${url.length} bytes, more than a QR code holds (${QR_CAPACITY})\n`);
+            return 1;
+        }
+        if (options.output !== null) {
+            await kernel.pfs.writeFile(proc.resolvePath(options.output), `${url}\n`);
+            return 0;
+        }
+        if (options.url) {
+            await stdout.write(`${url}\n`);
+            return 0;
+        }
+
+        if (typeof window.qrcode !== 'function') {
+            await stderr.write('qrgen: the QR code generator is not loaded\n');
+            return 1;
+        }
+        // Type 0 picks the smallest QR version the text fits in.
+        const qr = window.qrcode(0, 'L');
+        qr.addData(url);
+        qr.make();
+
+        const terminal = stdout === kernel.stdout;
+        const size = qr.getModuleCount();
+        const width = size + 2 * QUIET_ZONE;
+        if (terminal && width > kernel.term.cols) {
+            await stderr.write(`qrgen: the code is ${width} columns wide but the terminal has ${kernel.term.cols}; widen it or make the font smaller\n`);
+        }
+        await stdout.write(draw(qr, terminal));
+        const files = Object.keys(payload.files).length;
+        await stderr.write(`qrgen: ${files} ${files === 1 ? 'file' : 'files'} from ${dir}, ${url.length} bytes, QR version ${(size - 17) / 4}\n`);
+        return 0;
+    }
+};
+
+// Light modules around the code, which scanners need to find it.
+const QUIET_ZONE = 2;
+
+/**
+ * Draws a QR code with half-block characters, two rows of modules to a line.
+ * On the terminal the code is drawn white on black, whatever the theme's colours.
+ */
+function draw(qr, colored) {
+    const size = qr.getModuleCount();
+    const light = (row, col) => row < 0 || col < 0 || row >= size || col >= size || !qr.isDark(row, col);
+    let text = '';
+    for (let row = -QUIET_ZONE; row < size + QUIET_ZONE; row += 2) {
+        let line = '';
+        for (let col = -QUIET_ZONE; col < size + QUIET_ZONE; col++) {
+            const top = light(row, col);
+            const bottom = row + 1 < size + QUIET_ZONE && light(row + 1, col);
+            line += top ? (bottom ? '█' : '▀') : bottom ? '▄' : ' ';
+        }
+        text += colored ? `\x1b[97;40m${line}\x1b[0m\n` : `${line}\n`;
+    }
+    return text;
+}
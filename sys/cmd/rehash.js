@@ -0,0 +1,34 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/rehash.js
+// -----------------------------------------------------------------------------
+/**
+ * Implements the 'rehash' command.
+ * Forgets the commands loaded from the directories of $PATH, so each is loaded
+ * again the next time it runs. A command is reloaded by itself when its own file
+ * changes; this is for when a module it imports has changed.
+ */
+export default {
+    description: 'forget the commands loaded from $PATH',
+    usage: '[-l]',
+    options: {
+        list: { short: 'l', description: 'list the loaded commands and their files instead' },
+    },
+
+    /**
+     * @param {Process} proc - The running process.
+     * @returns {Promise<number>} 0, or 2 on bad usage.
+     */
+    async exec(proc) {
+        const { kernel, options, operands, stdout, stderr } = proc;
+        if (operands.length) {
+            await stderr.write(`rehash: extra operand '${operands[0]}'\n`);
+            return 2;
+        }
+        if (options.list) {
+            for (const [name, { path }] of kernel.hashed) await stdout.write(`${name}=${path}\n`);
+            return 0;
+        }
+        kernel.hashed.clear();
+        return 0;
+    }
+};
@@ -0,0 +1,32 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/return.js
+// -----------------------------------------------------------------------------
+import { ControlSignal } from '../engine/signals.js';
+
+/**
+ * Implements the 'return' builtin.
+ * Ends the running shell function with the given status, or with the status
+ * of the last command if none is given.
+ */
+export default {
+    description: 'leave a shell function',
+    usage: '[N]',
+
+    /**
+     * @param {Kernel} shell - The shell instance.
+     * @param {string[]} args - An optional exit status.
+     * @returns {Promise<number>} 1 or 2 on misuse; otherwise it does not return.
+     */
+    async run(shell, args) {
+        if (shell.executor.functionDepth === 0) {
+            shell.ewriteln("-qrx: return: can only `return' from a function");
+            return 1;
+        }
+        const status = args.length ? Number(args[0]) : shell.lastExitStatus;
+        if (!Number.isInteger(status)) {
+            shell.ewriteln(`-qrx: return: ${args[0]}: numeric argument required`);
+            throw new ControlSignal('return', 2);
+        }
+        throw new ControlSignal('return', status & 255);
+    }
+};
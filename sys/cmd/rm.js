@@ -1,98 +1,127 @@
 // -----------------------------------------------------------------------------
 // file: sys/cmd/rm.js
 // -----------------------------------------------------------------------------
+import { walk } from '../util/walk.js';
+import { confirm } from '../util/fileops.js';
+import { typeName } from '../util/fileinfo.js';
+
 /**
  * Implements the 'rm' (remove) command.
  * MODIFIED to return an exit status.
+ * MODIFIED: '-r' removes the tree with the shared walker in util/walk.js.
+ * MODIFIED: Rewritten as a stream-based command with GNU-style options.
+ * MODIFIED: '--preserve-root' is accepted, to undo an earlier '--no-preserve-root'.
+ *
+ * Of -i and -f, the last one given wins. A file that cannot be removed is
+ * reported and the rest are still removed; the directories above it are kept.
+ * 'rm -r /' is refused, and so are '.' and '..'.
  */
 export default {
+    description: 'remove files or directories',
+    usage: '[OPTION]... FILE...',
+    options: {
+        force: { short: 'f', long: 'force', cancels: ['interactive'], description: 'never ask, and ignore missing files' },
+        interactive: { short: 'i', long: 'interactive', cancels: ['force'], description: 'ask before each removal' },
+        recursive: { short: 'rR', long: 'recursive', description: 'remove directories and everything in them' },
+        dir: { short: 'd', long: 'dir', description: 'remove empty directories' },
+        verbose: { short: 'v', long: 'verbose', description: 'print each file as it is removed' },
+        noPreserveRoot: { long: 'no-preserve-root', cancels: ['preserveRoot'], description: "do not treat '/' specially" },
+        preserveRoot: { long: 'preserve-root', cancels: ['noPreserveRoot'], description: "refuse to remove '/' (the default)" },
+    },
+
     /**
-     * @returns {Promise<number>} The exit status of the command.
+     * @param {Process} proc - The running process.
+     * @returns {Promise<number>} 0, or 1 if anything could not be removed.
      */
-    async run(shell, args) {
-        const flags = new Set();
-        const paths = [];
-        let hadError = false;
-
-        for (const arg of args) {
-            if (arg.startsWith('-')) {
-                for (const char of arg.substring(1)) {
-                    flags.add(char);
-                }
-            } else {
-                paths.push(arg);
-            }
-        }
-        
-        const isRecursive = flags.has('r');
-        const isForced = flags.has('f');
+    async exec(proc) {
+        const { kernel, options, operands: paths, stderr } = proc;
 
         if (paths.length === 0) {
-            shell.writeln('rm: missing operand');
+            if (options.force) return 0;
+            await stderr.write('rm: missing operand\n');
             return 1;
         }
 
+        let status = 0;
         for (const path of paths) {
-            const absolutePath = shell.resolvePath(path);
-            const stats = await shell.pfs.stat(absolutePath).catch(() => null);
-
+            const absolutePath = proc.resolvePath(path);
+            if (/(^|\/)\.\.?\/*$/.test(path)) {
+                await stderr.write(`rm: refusing to remove '.' or '..' directory: skipping '${path}'\n`);
+                status = 1;
+                continue;
+            }
+            const stats = await kernel.pfs.lstat(absolutePath).catch(() => null);
             if (!stats) {
-                if (!isForced) {
-                    shell.writeln(`rm: cannot remove '${path}': No such file or directory`);
-                    hadError = true;
+                if (!options.force) {
+                    await stderr.write(`rm: cannot remove '${path}': No such file or directory\n`);
+                    status = 1;
                 }
                 continue;
             }
 
             if (stats.isDirectory()) {
-                if (!isRecursive) {
-                    shell.writeln(`rm: cannot remove '${path}': Is a directory`);
-                    hadError = true;
+                if (options.recursive && absolutePath === '/' && !options.noPreserveRoot) {
+                    await stderr.write(`rm: it is dangerous to operate recursively on '/'\n`);
+                    await stderr.write('rm: use --no-preserve-root to override this failsafe\n');
+                    status = 1;
                     continue;
                 }
-                if (!await recursiveDelete(shell, absolutePath)) {
-                    hadError = true;
-                }
-            } else {
-                try {
-                    await shell.pfs.unlink(absolutePath);
-                } catch (e) {
-                    shell.writeln(`rm: error removing file '${path}': ${e.message}`);
-                    hadError = true;
+                if (!options.recursive && !options.dir) {
+                    await stderr.write(`rm: cannot remove '${path}': Is a directory\n`);
+                    status = 1;
+                    continue;
                 }
             }
+            if (!await removePath(proc, path, absolutePath, options)) status = 1;
         }
-        return hadError ? 1 : 0;
+        return status;
     }
 };
 
-async function recursiveDelete(shell, dirPath) {
-    let entries;
-    try {
-        entries = await shell.pfs.readdir(dirPath);
-    } catch (e) {
-        shell.writeln(`rm: error reading directory '${dirPath}': ${e.message}`);
-        return false;
+/**
+ * Removes a file, or a directory and (with '-r') everything in it. The walk
+ * visits each directory after its contents, so it is empty by the time it is
+ * removed. When something is kept (refused at the '-i' prompt or not removable),
+ * the directories above it are kept too, without another error.
+ * @returns {Promise<boolean>} False if something could not be removed.
+ */
+async function removePath(proc, name, path, options) {
+    const { pfs } = proc.kernel;
+    const parentOf = entry => entry.path.slice(0, entry.path.lastIndexOf('/')) || '/';
+    const kept = new Set();
+    let ok = true;
+
+    if (options.interactive && options.recursive && (await pfs.lstat(path)).isDirectory()
+        && !await confirm(proc, `rm: descend into directory '${name}'? `)) {
+        return true;
     }
-    for (const entry of entries) {
-        const fullPath = shell.resolvePath(`${dirPath}/${entry}`);
-        const stats = await shell.pfs.stat(fullPath);
-        if (stats.isDirectory()) {
-            if (!await recursiveDelete(shell, fullPath)) return false;
-        } else {
-            try {
-                await shell.pfs.unlink(fullPath);
-            } catch(e) {
-                shell.writeln(`rm: cannot remove file '${fullPath}': ${e.message}`);
-                return false;
-            }
+    const onError = (e, entry) => {
+        kept.add(entry.path);
+        proc.stderr.write(`rm: cannot read directory '${entry.name}': ${e.message}\n`);
+        ok = false;
+    };
+    const maxDepth = options.recursive ? Infinity : 0;
+    for await (const entry of walk(pfs, path, { name, postorder: true, maxDepth, onError })) {
+        const isDirectory = entry.stats.isDirectory();
+        if (kept.has(entry.path)) {
+            kept.add(parentOf(entry));
+            continue;
         }
+        const description = isDirectory ? 'directory' : typeName(entry.stats);
+        if (options.interactive && !await confirm(proc, `rm: remove ${description} '${entry.name}'? `)) {
+            kept.add(parentOf(entry));
+            continue;
+        }
+        try {
+            await (isDirectory ? pfs.rmdir(entry.path) : pfs.unlink(entry.path));
+        } catch (e) {
+            const reason = isDirectory && (await pfs.readdir(entry.path).catch(() => [])).length ? 'Directory not empty' : e.message;
+            await proc.stderr.write(`rm: cannot remove '${entry.name}': ${reason}\n`);
+            kept.add(parentOf(entry));
+            ok = false;
+            continue;
+        }
+        if (options.verbose) await proc.stdout.write(`removed ${isDirectory ? 'directory ' : ''}'${entry.name}'\n`);
     }
-    try {
-        await shell.pfs.rmdir(dirPath);
-    } catch(e) {
-        shell.writeln(`rm: cannot remove directory '${dirPath}': ${e.message}`);
-        return false;
-    }
-    return true;
+    return ok;
 }
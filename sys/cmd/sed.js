@@ -0,0 +1,377 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/sed.js
+// -----------------------------------------------------------------------------
+import { readInput, linesOf, toRegExp } from '../util/text.js';
+
+/**
+ * Implements the 'sed' (stream editor) command.
+ * Runs a script over each line of the files (or stdin) and prints the result.
+ * The script is the first operand, unless it is given with '-e'.
+ *
+ * Commands are separated by ';' or new lines, and each can have an address: a
+ * line number, '$' for the last line, or '/regex/'; two addresses separated by
+ * ',' select a range, and a '!' after them inverts the selection.
+ *
+ *   s/regex/replacement/flags  substitute; flags 'g' (all), 'N' (the Nth match),
+ *                              'i' (ignore case), 'p' (print if replaced). '&' in
+ *                              the replacement is the match and '\1'-'\9' its groups
+ *   y/abc/xyz/  transliterate     d  delete the line        p  print the line
+ *   a TEXT, i TEXT, c TEXT  append, insert or change to TEXT
+ *   =  print the line number      q [STATUS]  print the line and stop
+ */
+export default {
+    description: 'edit lines of text with a script',
+    usage: ['[OPTION]... SCRIPT [FILE]...', '[OPTION]... -e SCRIPT... [FILE]...'],
+    options: {
+        scripts: { short: 'e', long: 'expression', argument: 'SCRIPT', repeat: true, description: 'add SCRIPT to the commands (can be repeated)' },
+        quiet: { short: 'n', long: 'quiet', description: 'print only what the script prints' },
+        extended: { short: 'Er', long: 'regexp-extended', description: 'use extended regular expressions' },
+        inPlace: { short: 'i', long: 'in-place', description: 'edit the files in place' },
+    },
+
+    /**
+     * @param {Process} proc - The running process.
+     * @returns {Promise<number>} The exit status: 0, the status given to 'q', or 2
+     * for a missing or invalid script or a file that could not be read.
+     */
+    async exec(proc) {
+        const { kernel, options, stdout, stderr } = proc;
+        const { quiet, extended, inPlace } = options;
+        const scripts = [...options.scripts];
+        const files = [...proc.operands];
+        if (scripts.length === 0) {
+            if (files.length === 0) {
+                await stderr.write("Usage: sed [OPTION]... SCRIPT [FILE]...\nTry 'sed --help' for more information.\n");
+                return 2;
+            }
+            scripts.push(files.shift());
+        }
+
+        let commands;
+        try {
+            commands = parseScript(scripts.join('\n'), extended);
+        } catch (e) {
+            await stderr.write(`sed: -e expression #1: ${e.message}\n`);
+            return 2;
+        }
+
+        if (inPlace) {
+            if (files.length === 0) {
+                await stderr.write('sed: no input files\n');
+                return 2;
+            }
+            let status = 0;
+            for (const file of files) {
+                const input = await readInput(proc, file, 'sed');
+                if (input === null) {
+                    status = 2;
+                    continue;
+                }
+                let text = '';
+                const result = await run(commands, linesOf(input), quiet, (chunk) => { text += chunk; });
+                await kernel.pfs.writeFile(proc.resolvePath(file), text);
+                if (result.quit !== null) return result.quit;
+            }
+            return status;
+        }
+
+        // Without '-i' the files are one stream: line numbers go on and '$' is the last line of the last file.
+        let readable = true;
+        const inputs = async function* () {
+            for (const file of files.length ? files : ['-']) {
+                const input = await readInput(proc, file, 'sed');
+                if (input === null) readable = false;
+                else yield* linesOf(input);
+            }
+        };
+        let output = '';
+        const result = await run(commands, inputs(), quiet, async (chunk) => {
+            output += chunk;
+            if (output.length > 4096) {
+                await stdout.write(output);
+                output = '';
+            }
+        });
+        if (output) await stdout.write(output);
+        if (result.quit !== null) return result.quit;
+        return readable ? 0 : 2;
+    }
+};
+
+/**
+ * Runs the commands over the lines, passing the output to `write`.
+ * @returns {Promise<{quit: number|null}>} The status given to 'q', if it ran.
+ */
+async function run(commands, lines, quiet, write) {
+    let number = 0;
+    for await (const [line, last] of withLast(lines)) {
+        number++;
+        let space = line;
+        let deleted = false;
+        let quit = null;
+        const before = [];
+        const after = [];
+
+        for (const command of commands) {
+            if (!selects(command, space, number, last)) continue;
+            switch (command.name) {
+                case 's': {
+                    let count = 0;
+                    let replaced = false;
+                    command.regex.lastIndex = 0;
+                    space = space.replace(command.regex, (...match) => {
+                        count++;
+                        if (command.occurrence && count !== command.occurrence) return match[0];
+                        replaced = true;
+                        return substitute(command.replacement, match);
+                    });
+                    if (replaced && command.print) before.push(`${space}\n`);
+                    break;
+                }
+                case 'y':
+                    space = [...space].map(ch => command.map.get(ch) ?? ch).join('');
+                    break;
+                case 'p':
+                    before.push(`${space}\n`);
+                    break;
+                case '=':
+                    before.push(`${number}\n`);
+                    break;
+                case 'i':
+                    before.push(`${command.text}\n`);
+                    break;
+                case 'a':
+                    after.push(`${command.text}\n`);
+                    break;
+                case 'c':
+                    // Over a range, the text replaces the whole range once, at its end.
+                    if (!command.address2 || !command.active) before.push(`${command.text}\n`);
+                    deleted = true;
+                    break;
+                case 'd':
+                    deleted = true;
+                    break;
+                case 'q':
+                    quit = command.status;
+                    break;
+            }
+            if (deleted || quit !== null) break;
+        }
+
+        await write(before.join(''));
+        if (!deleted && !quiet) await write(`${space}\n`);
+        await write(after.join(''));
+        if (quit !== null) return { quit };
+    }
+    return { quit: null };
+}
+
+/**
+ * Yields each line with a flag telling whether it is the last one, for the '$' address.
+ */
+async function* withLast(lines) {
+    let previous;
+    let started = false;
+    for await (const line of lines) {
+        if (started) yield [previous, false];
+        previous = line;
+        started = true;
+    }
+    if (started) yield [previous, true];
+}
+
+/**
+ * Checks whether a command applies to the current line, keeping track of ranges.
+ */
+function selects(command, space, number, last) {
+    const matches = (address) => {
+        if (address.type === 'line') return number === address.value;
+        if (address.type === 'last') return last;
+        address.regex.lastIndex = 0;
+        return address.regex.test(space);
+    };
+
+    let selected;
+    if (!command.address1) {
+        selected = true;
+    } else if (!command.address2) {
+        selected = matches(command.address1);
+    } else if (command.active) {
+        // A range ends at the line its second address matches (or once past a line number).
+        const end = command.address2;
+        if (end.type === 'line' ? number >= end.value : matches(end)) command.active = false;
+        selected = true;
+    } else if (matches(command.address1)) {
+        const end = command.address2;
+        command.active = !(end.type === 'line' && end.value <= number) && !(end.type === 'last' && last);
+        selected = true;
+    } else {
+        selected = false;
+    }
+    return selected !== command.negate;
+}
+
+/**
+ * Builds the replacement text for one match: '&' is the match, '\1'-'\9' its
+ * groups, '\n' a new line, and a backslash makes any other character literal.
+ */
+function substitute(replacement, match) {
+    let result = '';
+    for (let i = 0; i < replacement.length; i++) {
+        const ch = replacement[i];
+        if (ch === '&') {
+            result += match[0];
+        } else if (ch === '\\' && i + 1 < replacement.length) {
+            const next = replacement[++i];
+            if (/[1-9]/.test(next)) result += match[Number(next)] ?? '';
+            else if (next === 'n') result += '\n';
+            else if (next === 't') result += '\t';
+            else result += next;
+        } else {
+            result += ch;
+        }
+    }
+    return result;
+}
+
+/**
+ * Parses a sed script into a list of commands.
+ * @throws {Error} With sed's description of the problem, e.g. 'unknown command: `x''.
+ */
+function parseScript(script, extended) {
+    const commands = [];
+    let i = 0;
+
+    const skipBlanks = () => {
+        while (i < script.length && /[ \t]/.test(script[i])) i++;
+    };
+    // Reads text up to an unescaped delimiter, keeping other escapes for the regex or replacement.
+    const readDelimited = (delimiter, unterminated) => {
+        let text = '';
+        while (i < script.length && script[i] !== delimiter) {
+            if (script[i] === '\\' && script[i + 1] === delimiter) {
+                text += delimiter;
+                i += 2;
+            } else if (script[i] === '\\' && i + 1 < script.length) {
+                text += script.slice(i, i + 2);
+                i += 2;
+            } else if (script[i] === '\n') {
+                throw new Error(unterminated);
+            } else {
+                text += script[i++];
+            }
+        }
+        if (i >= script.length) throw new Error(unterminated);
+        i++;
+        return text;
+    };
+    const readAddress = () => {
+        if (/\d/.test(script[i])) {
+            const start = i;
+            while (/\d/.test(script[i])) i++;
+            return { type: 'line', value: Number(script.slice(start, i)) };
+        }
+        if (script[i] === '$') {
+            i++;
+            return { type: 'last' };
+        }
+        if (script[i] === '/') {
+            i++;
+            return { type: 'regex', regex: compile(readDelimited('/', 'unterminated address regex'), extended, '') };
+        }
+        return null;
+    };
+
+    while (i < script.length) {
+        while (i < script.length && /[\s;]/.test(script[i])) i++;
+        if (i >= script.length) break;
+
+        const command = { address1: readAddress(), address2: null, negate: false, active: false };
+        if (command.address1 && script[i] === ',') {
+            i++;
+            command.address2 = readAddress();
+            if (!command.address2) throw new Error('unexpected `,\'');
+        }
+        skipBlanks();
+        if (script[i] === '!') {
+            command.negate = true;
+            i++;
+            skipBlanks();
+        }
+
+        const name = script[i++];
+        command.name = name;
+        switch (name) {
+            case 's': {
+                const delimiter = script[i++];
+                if (!delimiter || delimiter === '\n' || delimiter === '\\') throw new Error("unterminated `s' command");
+                const pattern = readDelimited(delimiter, "unterminated `s' command");
+                command.replacement = readDelimited(delimiter, "unterminated `s' command");
+                let flags = '';
+                command.occurrence = 0;
+                while (i < script.length && /[gpiI0-9]/.test(script[i])) {
+                    const flag = script[i++];
+                    if (flag === 'g') flags += 'g';
+                    else if (flag === 'p') command.print = true;
+                    else if (flag === 'i' || flag === 'I') flags += 'i';
+                    else command.occurrence = command.occurrence * 10 + Number(flag);
+                }
+                // The Nth match is counted by hand, so every match has to be visited.
+                if (command.occurrence) flags += flags.includes('g') ? '' : 'g';
+                command.regex = compile(pattern, extended, flags);
+                break;
+            }
+            case 'y': {
+                const delimiter = script[i++];
+                const from = [...readDelimited(delimiter, "unterminated `y' command").replace(/\\(.)/g, '$1')];
+                const to = [...readDelimited(delimiter, "unterminated `y' command").replace(/\\(.)/g, '$1')];
+                if (from.length !== to.length) throw new Error("strings for `y' command are different lengths");
+                command.map = new Map(from.map((ch, index) => [ch, to[index]]));
+                break;
+            }
+            case 'a':
+            case 'i':
+            case 'c': {
+                // 'a text', 'a\text' and 'a\' followed by the text on the next line all work.
+                if (script[i] === '\\') i++;
+                if (script[i] === '\n') i++;
+                skipBlanks();
+                const end = script.indexOf('\n', i);
+                command.text = script.slice(i, end === -1 ? script.length : end);
+                i = end === -1 ? script.length : end;
+                break;
+            }
+            case 'q': {
+                skipBlanks();
+                const start = i;
+                while (/\d/.test(script[i])) i++;
+                command.status = start === i ? 0 : Number(script.slice(start, i));
+                break;
+            }
+            case 'd':
+            case 'p':
+            case '=':
+                break;
+            default:
+                throw new Error(name === undefined ? 'missing command' : `unknown command: \`${name}'`);
+        }
+
+        skipBlanks();
+        if (i < script.length && !/[;\n}]/.test(script[i])) {
+            throw new Error('extra characters after command');
+        }
+        commands.push(command);
+    }
+    return commands;
+}
+
+/**
+ * Compiles a regex from the script, with sed's error message if it is invalid.
+ */
+function compile(pattern, extended, flags) {
+    try {
+        return toRegExp(pattern, { extended, flags });
+    } catch (e) {
+        throw new Error(`invalid regex: ${pattern}`);
+    }
+}
@@ -0,0 +1,74 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/set.js
+// -----------------------------------------------------------------------------
+/**
+ * Implements the 'set' builtin.
+ *   set                 lists the shell's variables
+ *   set -e / set +e     exits a script as soon as a command fails (errexit)
+ *   set -x / set +x     prints each command before running it (xtrace)
+ *   set -o NAME         the same by name; 'set -o' alone lists the options
+ *   set -- ARGS...      replaces the positional parameters
+ */
+const SHORT_OPTIONS = { e: 'errexit', x: 'xtrace' };
+
+export default {
+    description: 'set shell options and positional parameters',
+    usage: '[-ex] [+ex] [-o OPTION] [+o OPTION] [--] [ARG]...',
+    // No `options` (see util/args.js): '+e' turns one off, and the words after the
+    // options are the positional parameters, even those that look like options.
+
+    /**
+     * @param {Kernel} shell - The shell instance.
+     * @param {string[]} args - The command arguments.
+     * @returns {Promise<number>} The exit status. 0 for success, 2 for an invalid option.
+     */
+    async run(shell, args) {
+        const { executor } = shell;
+
+        if (args.length === 0) {
+            const variables = { ...shell.env, ...shell.vars };
+            for (const name of Object.keys(variables).sort()) {
+                const value = variables[name];
+                shell.writeln(`${name}=${/^[\w@%+=:,./-]*$/.test(value) ? value : `'${value.replace(/'/g, `'\\''`)}'`}`);
+            }
+            return 0;
+        }
+
+        for (let i = 0; i < args.length; i++) {
+            const arg = args[i];
+            if (arg === '--') {
+                executor.positional = args.slice(i + 1);
+                return 0;
+            }
+            if (!/^[-+]/.test(arg)) {
+                executor.positional = args.slice(i);
+                return 0;
+            }
+
+            const enable = arg[0] === '-';
+            if (arg.slice(1) === 'o') {
+                const name = args[++i];
+                if (name === undefined) {
+                    for (const [option, on] of Object.entries(executor.options)) {
+                        shell.writeln(`${option.padEnd(15)}${on ? 'on' : 'off'}`);
+                    }
+                    continue;
+                }
+                if (!(name in executor.options)) {
+                    shell.ewriteln(`-qrx: set: ${name}: invalid option name`);
+                    return 2;
+                }
+                executor.options[name] = enable;
+                continue;
+            }
+            for (const flag of arg.slice(1)) {
+                if (!SHORT_OPTIONS[flag]) {
+                    shell.ewriteln(`-qrx: set: ${arg[0]}${flag}: invalid option`);
+                    return 2;
+                }
+                executor.options[SHORT_OPTIONS[flag]] = enable;
+            }
+        }
+        return 0;
+    }
+};
@@ -0,0 +1,86 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/sh.js
+// -----------------------------------------------------------------------------
+import { ControlSignal } from '../engine/signals.js';
+
+/**
+ * Implements the 'sh' command, which runs a shell script:
+ *   sh [-e] [-x] FILE [ARGS...]     runs FILE with ARGS as $1, $2, ...
+ *   sh [-e] [-x] -c COMMANDS [NAME [ARGS...]]
+ *   ... | sh                        runs the script read from stdin
+ * The script runs on a copy of the shell's variables, functions, working
+ * directory and options, so changes it makes do not outlive it.
+ * MODIFIED: That copy is a subshell (see `Kernel.subshell`), so the shell's own
+ * state is never swapped out while the script runs, e.g. as a background job.
+ */
+export default {
+    description: 'run a shell script',
+    usage: ['[-ex] FILE [ARG]...', '[-ex] -c COMMAND [NAME [ARG]...]'],
+    // No `options` (see util/args.js): they end at the script, whose own arguments
+    // may look like options, and '+e' turns one off.
+
+    /**
+     * @param {Process} proc - The running process.
+     * @returns {Promise<number>} The status of the script's last command, or the status given to 'exit'.
+     */
+    async exec(proc) {
+        const { kernel } = proc;
+        const args = [...proc.args];
+        const options = {};
+        let inline = false;
+
+        while (args.length && /^[-+][a-z]+$/.test(args[0])) {
+            const flags = args.shift();
+            for (const flag of flags.slice(1)) {
+                if (flag === 'c') inline = true;
+                else if (flag === 'e') options.errexit = flags[0] === '-';
+                else if (flag === 'x') options.xtrace = flags[0] === '-';
+                else {
+                    await proc.stderr.write(`sh: ${flags[0]}${flag}: invalid option\n`);
+                    return 2;
+                }
+            }
+        }
+
+        let source;
+        let name = 'sh';
+        let params = [];
+        let stdin = proc.stdin;
+        if (inline) {
+            if (args.length === 0) {
+                await proc.stderr.write('sh: -c: option requires an argument\n');
+                return 2;
+            }
+            source = args[0];
+            name = args[1] ?? name;
+            params = args.slice(2);
+        } else if (args.length) {
+            name = args[0];
+            params = args.slice(1);
+            try {
+                source = await kernel.pfs.readFile(proc.resolvePath(name), 'utf8');
+            } catch (e) {
+                await proc.stderr.write(`sh: ${name}: No such file or directory\n`);
+                return 127;
+            }
+        } else if (stdin) {
+            source = await stdin.readAll();
+            stdin = null;
+        } else {
+            await proc.stderr.write('sh: no script given\n');
+            return 2;
+        }
+
+        // The script runs in a subshell, with the environment 'sh' was given.
+        const shell = kernel.subshell();
+        shell.env = { ...proc.env };
+        Object.assign(shell.executor.options, options);
+        shell.executor.scriptName = name;
+        try {
+            return await shell.executor.runScript(source, params, { stdin, stdout: proc.stdout, stderr: proc.stderr, signal: proc.signal });
+        } catch (e) {
+            if (e instanceof ControlSignal && e.type === 'exit') return e.value;
+            throw e;
+        }
+    }
+};
@@ -0,0 +1,28 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/shift.js
+// -----------------------------------------------------------------------------
+/**
+ * Implements the 'shift' builtin.
+ * Drops the first N (default 1) positional parameters, so $2 becomes $1.
+ */
+export default {
+    description: 'drop positional parameters',
+    usage: '[N]',
+
+    /**
+     * @param {Kernel} shell - The shell instance.
+     * @param {string[]} args - An optional count.
+     * @returns {Promise<number>} 0 on success, 1 if there are fewer than N parameters.
+     */
+    async run(shell, args) {
+        const count = args.length ? Number(args[0]) : 1;
+        const { executor } = shell;
+        if (!Number.isInteger(count) || count < 0) {
+            shell.ewriteln(`-qrx: shift: ${args[0]}: numeric argument required`);
+            return 1;
+        }
+        if (count > executor.positional.length) return 1;
+        executor.positional = executor.positional.slice(count);
+        return 0;
+    }
+};
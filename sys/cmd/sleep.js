@@ -0,0 +1,50 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/sleep.js
+// -----------------------------------------------------------------------------
+/**
+ * Implements the 'sleep' command.
+ * Waits for the sum of its arguments, each a number of seconds optionally followed
+ * by 's', 'm', 'h' or 'd' (e.g. 'sleep 1m 30'). Killing its job, or Ctrl+C, wakes it up at once.
+ */
+const UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+export default {
+    description: 'wait for an amount of time',
+    usage: 'NUMBER[SUFFIX]...',
+
+    /**
+     * @param {Process} proc - The running process.
+     * @returns {Promise<number>} 0 when the time is up, 1 for a bad interval, or the
+     * status of the signal that interrupted it.
+     */
+    async exec(proc) {
+        const { args, stderr, signal } = proc;
+        if (args.length === 0) {
+            await stderr.write('sleep: missing operand\n');
+            return 1;
+        }
+
+        let seconds = 0;
+        for (const arg of args) {
+            const match = arg.match(/^(\d+(?:\.\d*)?|\.\d+)([smhd]?)$/);
+            if (!match) {
+                await stderr.write(`sleep: invalid time interval '${arg}'\n`);
+                return 1;
+            }
+            seconds += Number(match[1]) * UNITS[match[2] || 's'];
+        }
+
+        if (signal?.aborted) return signal.reason;
+        return new Promise((resolve) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                resolve(signal.reason);
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve(0);
+            }, seconds * 1000);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+};
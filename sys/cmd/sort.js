@@ -0,0 +1,78 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/sort.js
+// -----------------------------------------------------------------------------
+import { eachInput, collect } from '../util/text.js';
+
+/**
+ * Implements the 'sort' command.
+ * Sorts the lines of all the files (or stdin) together.
+ * A KEY is 'N' or 'N,M': the fields N to M, or N to the end of the line.
+ */
+export default {
+    description: 'sort lines of text',
+    usage: '[OPTION]... [FILE]...',
+    options: {
+        n: { short: 'n', long: 'numeric-sort', description: 'compare as numbers' },
+        r: { short: 'r', long: 'reverse', description: 'reverse the order' },
+        u: { short: 'u', long: 'unique', description: 'keep only the first of lines that compare equal' },
+        f: { short: 'f', long: 'ignore-case', description: 'ignore case' },
+        b: { short: 'b', long: 'ignore-leading-blanks', description: 'ignore leading blanks' },
+        key: { short: 'k', long: 'key', argument: 'KEY', description: 'sort by the fields in KEY' },
+        separator: { short: 't', long: 'field-separator', argument: 'SEP', description: 'separate the fields by SEP instead of blanks' },
+        output: { short: 'o', long: 'output', argument: 'FILE', description: 'write the result to FILE' },
+    },
+
+    /**
+     * @param {Process} proc - The running process.
+     * @returns {Promise<number>} 0, 1 if a file could not be read, or 2 for an invalid option.
+     */
+    async exec(proc) {
+        const { kernel, operands: files, stdout, stderr } = proc;
+        const options = { ...proc.options };
+        if (options.key !== null) {
+            const match = options.key.match(/^(\d+)(?:,(\d+))?$/);
+            if (!match || Number(match[1]) === 0) {
+                await stderr.write(`sort: invalid key: '${options.key}'\n`);
+                return 2;
+            }
+            options.key = { start: Number(match[1]), end: match[2] ? Number(match[2]) : null };
+        }
+        if (options.separator !== null && options.separator.length !== 1) {
+            await stderr.write('sort: the field separator must be one character\n');
+            return 2;
+        }
+
+        let lines = [];
+        const ok = await eachInput(proc, files, 'sort', async (input) => {
+            lines.push(...await collect(input));
+        });
+
+        const keyOf = (line) => {
+            let key = line;
+            if (options.key) {
+                const fields = options.separator !== null ? line.split(options.separator) : line.trim().split(/\s+/);
+                const end = options.key.end ?? fields.length;
+                key = fields.slice(options.key.start - 1, end).join(options.separator ?? ' ');
+            }
+            if (options.b) key = key.trimStart();
+            if (options.f) key = key.toUpperCase();
+            return key;
+        };
+        const compareText = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+        const compareKeys = (a, b) => (options.n ? (parseFloat(a) || 0) - (parseFloat(b) || 0) : compareText(a, b));
+        const sign = options.r ? -1 : 1;
+        lines = lines
+            .map(line => ({ line, key: keyOf(line) }))
+            // Lines whose keys are equal are ordered by the whole line, as a last resort.
+            .sort((a, b) => sign * (compareKeys(a.key, b.key) || (options.u ? 0 : compareText(a.line, b.line))));
+        if (options.u) lines = lines.filter((item, index) => index === 0 || compareKeys(lines[index - 1].key, item.key) !== 0);
+
+        const text = lines.map(item => `${item.line}\n`).join('');
+        if (options.output) {
+            await kernel.pfs.writeFile(proc.resolvePath(options.output), text);
+        } else {
+            await stdout.write(text);
+        }
+        return ok ? 0 : 1;
+    }
+};
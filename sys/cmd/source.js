@@ -0,0 +1,35 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/source.js
+// -----------------------------------------------------------------------------
+/**
+ * Implements the 'source' builtin, also available as '.'.
+ * Runs a file of shell commands in the current shell, so variables, functions
+ * and 'cd' it sets remain in effect afterwards. Extra arguments become the
+ * positional parameters while it runs.
+ */
+export default {
+    description: 'run a file of commands in the current shell',
+    usage: 'FILE [ARG]...',
+
+    /**
+     * @param {Process} proc - The running process.
+     * @returns {Promise<number>} The status of the last command in the file, or 1 if it cannot be read.
+     */
+    async exec(proc) {
+        const [file, ...args] = proc.args;
+        if (!file) {
+            await proc.stderr.write(`-qrx: ${proc.name}: filename argument required\n`);
+            return 2;
+        }
+
+        let source;
+        try {
+            source = await proc.kernel.pfs.readFile(proc.resolvePath(file), 'utf8');
+        } catch (e) {
+            await proc.stderr.write(`-qrx: ${file}: No such file or directory\n`);
+            return 1;
+        }
+        const { stdin, stdout, stderr, signal } = proc;
+        return proc.kernel.executor.runScript(source, args.length ? args : null, { stdin, stdout, stderr, signal });
+    }
+};
@@ -0,0 +1,113 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/stat.js
+// -----------------------------------------------------------------------------
+import { modeString, typeName } from '../util/fileinfo.js';
+
+/**
+ * Implements the 'stat' command.
+ * Prints everything the file system records about each file: its size, type,
+ * inode, permissions and times. A symbolic link is described itself, unless
+ * '-L' asks for the file it points to.
+ *
+ * A FORMAT given with '-c' is printed instead, with these sequences replaced:
+ *   %n name       %N name, with a link's target    %F file type
+ *   %s size       %b 512-byte blocks               %i inode       %h links
+ *   %a mode in octal   %A mode like 'ls -l'        %U owner       %G group
+ *   %x %y %z  access, modification and change time
+ *   %X %Y %Z  the same, in seconds since the epoch  %%  a '%'
+ */
+export default {
+    description: 'print what the file system records about files',
+    usage: '[OPTION]... FILE...',
+    options: {
+        follow: { short: 'L', long: 'dereference', description: 'describe the files that links point to' },
+        format: { short: 'c', long: 'format', argument: 'FORMAT', description: "print FORMAT, with sequences like '%n' and '%s' replaced" },
+    },
+
+    /**
+     * @param {Process} proc - The running process.
+     * @returns {Promise<number>} 0, or 1 if a file does not exist or no file is given.
+     */
+    async exec(proc) {
+        const { kernel, operands: files, stdout, stderr } = proc;
+        const { follow, format } = proc.options;
+        if (files.length === 0) {
+            await stderr.write('stat: missing operand\n');
+            return 1;
+        }
+
+        let status = 0;
+        for (const file of files) {
+            const path = proc.resolvePath(file);
+            const stats = await (follow ? kernel.pfs.stat(path) : kernel.pfs.lstat(path)).catch(() => null);
+            if (!stats) {
+                await stderr.write(`stat: cannot statx '${file}': No such file or directory\n`);
+                status = 1;
+                continue;
+            }
+            const target = stats.isSymbolicLink() ? await kernel.pfs.readlink(path).catch(() => '') : null;
+            const info = describe(file, stats, target, proc.env.USER ?? 'user');
+            await stdout.write(format === null ? defaultFormat(info) : `${expandFormat(format, info)}\n`);
+        }
+        return status;
+    }
+};
+
+/**
+ * Collects the values the format sequences stand for.
+ */
+function describe(file, stats, target, owner) {
+    return {
+        target,
+        n: file,
+        N: target === null ? `'${file}'` : `'${file}' -> '${target}'`,
+        F: typeName(stats),
+        s: String(stats.size),
+        b: String(Math.ceil(stats.size / 512)),
+        i: String(stats.ino ?? 0),
+        h: String(stats.nlink ?? 1),
+        a: (stats.mode & 0o7777).toString(8),
+        A: modeString(stats),
+        U: owner,
+        G: owner,
+        x: formatTime(stats.atimeMs ?? stats.mtimeMs ?? 0),
+        y: formatTime(stats.mtimeMs ?? 0),
+        z: formatTime(stats.ctimeMs ?? stats.mtimeMs ?? 0),
+        X: String(Math.floor((stats.atimeMs ?? stats.mtimeMs ?? 0) / 1000)),
+        Y: String(Math.floor((stats.mtimeMs ?? 0) / 1000)),
+        Z: String(Math.floor((stats.ctimeMs ?? stats.mtimeMs ?? 0) / 1000)),
+    };
+}
+
+/**
+ * The layout 'stat' uses without '-c', after GNU stat's.
+ */
+function defaultFormat(info) {
+    return [
+        `  File: ${info.n}${info.target === null ? '' : ` -> ${info.target}`}`,
+        `  Size: ${info.s.padEnd(15)} Blocks: ${info.b.padEnd(10)} ${info.F}`,
+        ` Inode: ${info.i.padEnd(15)} Links: ${info.h}`,
+        `Access: (${info.a.padStart(4, '0')}/${info.A})  Uid: ${info.U}   Gid: ${info.G}`,
+        `Access: ${info.x}`,
+        `Modify: ${info.y}`,
+        `Change: ${info.z}`,
+    ].join('\n') + '\n';
+}
+
+const LETTERS = 'nNFsbihaAUGxyzXYZ';
+
+function expandFormat(format, info) {
+    return format.replace(/%(.)/g, (sequence, letter) => (letter === '%' ? '%' : LETTERS.includes(letter) ? info[letter] : sequence));
+}
+
+/**
+ * Formats a time like '2024-10-18 15:07:12.345 +0200', in local time.
+ */
+function formatTime(ms) {
+    const date = new Date(ms);
+    const pad = (n, width = 2) => String(n).padStart(width, '0');
+    const offset = -date.getTimezoneOffset();
+    const zone = `${offset < 0 ? '-' : '+'}${pad(Math.floor(Math.abs(offset) / 60))}${pad(Math.abs(offset) % 60)}`;
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} `
+        + `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)} ${zone}`;
+}
@@ -0,0 +1,65 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/tail.js
+// -----------------------------------------------------------------------------
+import { readInput, linesOf, countOptions, parseCountOptions } from '../util/text.js';
+
+/**
+ * Implements the 'tail' command.
+ * Prints the last 10 lines of each file (or stdin). '-n N' (or '-N') prints the
+ * last N lines, '-n +N' everything from line N on, and '-c N' / '-c +N' do the
+ * same with characters. With several files each gets a '==> name <==' header;
+ * '-q' leaves the headers out and '-v' always shows them.
+ */
+export default {
+    description: 'print the last lines of files',
+    usage: '[OPTION]... [FILE]...',
+    options: countOptions('last'),
+
+    /**
+     * @param {Process} proc - The running process.
+     * @returns {Promise<number>} 0, or 1 if a file could not be read or a count is invalid.
+     */
+    async exec(proc) {
+        const { stdout } = proc;
+        const parsed = await parseCountOptions(proc, 'tail');
+        if (!parsed) return 1;
+        const { count, bytes, headers, files } = parsed;
+
+        let status = 0;
+        let first = true;
+        for (const file of files.length ? files : ['-']) {
+            const input = await readInput(proc, file, 'tail');
+            if (input === null) {
+                status = 1;
+                continue;
+            }
+            if (headers ?? files.length > 1) {
+                await stdout.write(`${first ? '' : '\n'}==> ${file === '-' ? 'standard input' : file} <==\n`);
+            }
+            first = false;
+
+            if (bytes) {
+                let text = '';
+                for await (const chunk of input) text += chunk;
+                await stdout.write(count.fromStart ? text.slice(Math.max(0, count.value - 1)) : text.slice(Math.max(0, text.length - count.value)));
+                continue;
+            }
+
+            // Only the lines that may be printed are kept, so a long input is not held in memory.
+            let lines = [];
+            let number = 0;
+            for await (const line of linesOf(input)) {
+                number++;
+                if (count.fromStart) {
+                    if (number >= count.value) lines.push(line);
+                } else {
+                    lines.push(line);
+                    if (lines.length > count.value) lines = lines.slice(-count.value);
+                }
+            }
+            if (count.value === 0 && !count.fromStart) lines = [];
+            if (lines.length) await stdout.write(`${lines.join('\n')}\n`);
+        }
+        return status;
+    }
+};
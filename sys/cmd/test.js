@@ -0,0 +1,146 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/test.js
+// -----------------------------------------------------------------------------
+/**
+ * Implements the 'test' command, also available as '['.
+ * Evaluates a condition and sets the exit status: 0 if true, 1 if false and 2
+ * on a syntax error. Supported expressions:
+ *   -e/-f/-d/-s FILE          the file exists / is a file / is a directory / is not empty
+ *   -n STR, -z STR, STR       the string is non-empty / empty / non-empty
+ *   S1 = S2, S1 != S2         string comparison
+ *   N1 -eq|-ne|-lt|-le|-gt|-ge N2   integer comparison
+ *   ! EXPR, EXPR -a EXPR, EXPR -o EXPR, ( EXPR )
+ */
+const FILE_TESTS = ['-e', '-f', '-d', '-s', '-r', '-w', '-x'];
+const STRING_TESTS = ['-n', '-z'];
+const BINARY = ['=', '==', '!=', '-eq', '-ne', '-lt', '-le', '-gt', '-ge'];
+
+export default {
+    description: 'check a condition',
+    usage: ['EXPRESSION', '[ EXPRESSION ]'],
+    // In 'test --help', '--help' is a string like any other, so the test is true.
+    help: false,
+
+    /**
+     * @param {Process} proc - The running process.
+     * @returns {Promise<number>} 0 if the expression is true, 1 if false, 2 on error.
+     */
+    async exec(proc) {
+        let args = proc.args;
+        if (proc.name === '[') {
+            if (args[args.length - 1] !== ']') {
+                await proc.stderr.write("[: missing `]'\n");
+                return 2;
+            }
+            args = args.slice(0, -1);
+        }
+        try {
+            const parser = new TestParser(args, proc);
+            const result = args.length === 0 ? false : await parser.parseOr();
+            if (parser.pos < args.length) throw new Error(`${args[parser.pos]}: unexpected argument`);
+            return result ? 0 : 1;
+        } catch (e) {
+            await proc.stderr.write(`${proc.name}: ${e.message}\n`);
+            return 2;
+        }
+    }
+};
+
+/**
+ * A recursive descent parser that evaluates the expression as it goes.
+ * '-o' binds more loosely than '-a', which binds more loosely than '!'.
+ */
+class TestParser {
+    constructor(args, proc) {
+        this.args = args;
+        this.proc = proc;
+        this.pos = 0;
+    }
+
+    async parseOr() {
+        let result = await this.parseAnd();
+        while (this.args[this.pos] === '-o') {
+            this.pos++;
+            const right = await this.parseAnd();
+            result = result || right;
+        }
+        return result;
+    }
+
+    async parseAnd() {
+        let result = await this.parseNot();
+        while (this.args[this.pos] === '-a') {
+            this.pos++;
+            const right = await this.parseNot();
+            result = result && right;
+        }
+        return result;
+    }
+
+    async parseNot() {
+        if (this.args[this.pos] === '!' && this.pos + 1 < this.args.length) {
+            this.pos++;
+            return !(await this.parseNot());
+        }
+        return this.parsePrimary();
+    }
+
+    async parsePrimary() {
+        const { args } = this;
+        const arg = args[this.pos];
+        if (arg === undefined) throw new Error('argument expected');
+
+        if (arg === '(' && this.pos + 2 < args.length && !BINARY.includes(args[this.pos + 1])) {
+            this.pos++;
+            const result = await this.parseOr();
+            if (args[this.pos] !== ')') throw new Error("missing `)'");
+            this.pos++;
+            return result;
+        }
+        if (BINARY.includes(args[this.pos + 1]) && this.pos + 2 < args.length) {
+            this.pos += 3;
+            return compare(arg, args[this.pos - 2], args[this.pos - 1]);
+        }
+        if ((FILE_TESTS.includes(arg) || STRING_TESTS.includes(arg)) && this.pos + 1 < args.length) {
+            const operand = args[this.pos + 1];
+            this.pos += 2;
+            if (arg === '-n') return operand !== '';
+            if (arg === '-z') return operand === '';
+            return this.testFile(arg, operand);
+        }
+        this.pos++;
+        return arg !== '';
+    }
+
+    async testFile(op, path) {
+        let stats;
+        try {
+            stats = await this.proc.kernel.pfs.stat(this.proc.resolvePath(path));
+        } catch (e) {
+            return false;
+        }
+        switch (op) {
+            case '-f': return stats.isFile();
+            case '-d': return stats.isDirectory();
+            case '-s': return stats.size > 0;
+            default: return true;
+        }
+    }
+}
+
+function compare(left, op, right) {
+    if (op === '=' || op === '==') return left === right;
+    if (op === '!=') return left !== right;
+    const a = Number(left);
+    const b = Number(right);
+    if (!/^\s*-?\d+\s*$/.test(left)) throw new Error(`${left}: integer expression expected`);
+    if (!/^\s*-?\d+\s*$/.test(right)) throw new Error(`${right}: integer expression expected`);
+    switch (op) {
+        case '-eq': return a === b;
+        case '-ne': return a !== b;
+        case '-lt': return a < b;
+        case '-le': return a <= b;
+        case '-gt': return a > b;
+        default: return a >= b;
+    }
+}
@@ -6,6 +6,9 @@
  * MODIFIED to return an exit status.
  */
 export default {
+    description: 'create files or update their times',
+    usage: 'FILE...',
+
     /**
      * @param {Kernel} shell - The shell instance.
      * @param {string[]} args - The command arguments (file paths).
@@ -13,7 +16,7 @@ export default {
      */
     async run(shell, args) {
         if (args.length === 0) {
-            shell.writeln('touch: missing file operand');
+            shell.ewriteln('touch: missing file operand');
             return 1;
         }
 
@@ -32,7 +35,7 @@ export default {
                     await shell.pfs.writeFile(absolutePath, '');
                 }
             } catch (e) {
-                shell.writeln(`touch: cannot touch '${path}': ${e.message}`);
+                shell.ewriteln(`touch: cannot touch '${path}': ${e.message}`);
                 hadError = true;
             }
         }
@@ -0,0 +1,117 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/tr.js
+// -----------------------------------------------------------------------------
+import { characterClass } from '../util/text.js';
+
+/**
+ * Implements the 'tr' command.
+ * Copies stdin to stdout, replacing the characters of SET1 with the matching
+ * ones of SET2 ('tr a-z A-Z'). SET2 is padded with its last character.
+ *
+ * Sets can contain ranges ('a-z'), classes ('[:digit:]') and the escapes
+ * '\n', '\t', '\\' and '\NNN' (octal).
+ */
+export default {
+    description: 'translate or delete characters',
+    usage: '[OPTION]... SET1 [SET2]',
+    options: {
+        d: { short: 'd', long: 'delete', description: 'delete the characters of SET1' },
+        s: { short: 's', long: 'squeeze-repeats', description: 'squeeze runs of the same character into one' },
+        c: { short: 'cC', long: 'complement', description: 'use the characters not in SET1' },
+    },
+
+    /**
+     * @param {Process} proc - The running process.
+     * @returns {Promise<number>} 0, or 1 if the operands are invalid.
+     */
+    async exec(proc) {
+        const { options, operands: sets, stdin, stdout, stderr } = proc;
+        const wanted = options.d && !options.s ? 1 : options.d || !options.s ? 2 : null;
+        if (sets.length === 0 || (wanted && sets.length < wanted)) {
+            await stderr.write(sets.length === 0 ? 'tr: missing operand\n' : `tr: missing operand after '${sets[0]}'\n`);
+            return 1;
+        }
+        if (sets.length > (wanted ?? 2)) {
+            await stderr.write(`tr: extra operand '${sets[wanted ?? 2]}'\n`);
+            return 1;
+        }
+
+        let set1;
+        let set2;
+        try {
+            set1 = expandSet(sets[0]);
+            set2 = sets[1] === undefined ? [] : expandSet(sets[1]);
+        } catch (e) {
+            await stderr.write(`tr: ${e.message}\n`);
+            return 1;
+        }
+        const inSet1 = options.c ? ch => !set1.includes(ch) : ch => set1.includes(ch);
+
+        const map = new Map();
+        if (!options.d && set2.length) {
+            if (options.c) {
+                // Every character outside SET1 becomes the last one of SET2.
+                map.default = set2[set2.length - 1];
+            } else {
+                set1.forEach((ch, i) => map.set(ch, set2[Math.min(i, set2.length - 1)]));
+            }
+        }
+        const translate = ch => (map.default !== undefined && inSet1(ch) ? map.default : map.get(ch) ?? ch);
+        // '-s' squeezes the characters of the last set given.
+        const squeezeSet = options.d || set2.length === 0 ? inSet1 : ch => set2.includes(ch);
+
+        let previous = null;
+        for await (const chunk of stdin ?? []) {
+            let out = '';
+            for (const ch of chunk) {
+                if (options.d && inSet1(ch)) continue;
+                const result = options.d ? ch : translate(ch);
+                if (options.s && result === previous && squeezeSet(result)) continue;
+                out += result;
+                previous = result;
+            }
+            if (out) await stdout.write(out);
+        }
+        return 0;
+    }
+};
+
+/**
+ * Expands a set operand into its list of characters.
+ * @throws {Error} For a reversed range or an unknown class.
+ */
+function expandSet(text) {
+    const chars = [];
+    const read = (i) => {
+        if (text[i] !== '\\' || i + 1 >= text.length) return [text[i], i + 1];
+        const octal = text.slice(i + 1).match(/^[0-7]{1,3}/);
+        if (octal) return [String.fromCharCode(parseInt(octal[0], 8)), i + 1 + octal[0].length];
+        const escapes = { n: '\n', t: '\t', r: '\r', a: '\x07', b: '\b', f: '\f', v: '\v' };
+        return [escapes[text[i + 1]] ?? text[i + 1], i + 2];
+    };
+
+    for (let i = 0; i < text.length;) {
+        const klass = text.slice(i).match(/^\[:(\w+):\]/);
+        if (klass) {
+            const range = characterClass(klass[1]);
+            if (!range) throw new Error(`invalid character class '${klass[1]}'`);
+            const pattern = new RegExp(`[${range}]`);
+            for (let code = 0; code < 128; code++) {
+                if (pattern.test(String.fromCharCode(code))) chars.push(String.fromCharCode(code));
+            }
+            i += klass[0].length;
+            continue;
+        }
+        const [ch, next] = read(i);
+        if (text[next] === '-' && next + 1 < text.length) {
+            const [end, after] = read(next + 1);
+            if (end < ch) throw new Error(`range-endpoints of '${ch}-${end}' are in reverse collating sequence order`);
+            for (let code = ch.charCodeAt(0); code <= end.charCodeAt(0); code++) chars.push(String.fromCharCode(code));
+            i = after;
+            continue;
+        }
+        chars.push(ch);
+        i = next;
+    }
+    return chars;
+}
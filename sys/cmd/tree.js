@@ -0,0 +1,115 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/tree.js
+// -----------------------------------------------------------------------------
+import { walk } from '../util/walk.js';
+import { colorName } from '../util/fileinfo.js';
+
+/**
+ * Implements the 'tree' command.
+ * Draws the directories under the paths (the current directory if none are
+ * given) as an indented tree, and ends with a count of what it showed.
+ * On the terminal, names are coloured like 'ls' colours them.
+ */
+export default {
+    description: 'draw directories as a tree',
+    usage: '[OPTION]... [DIRECTORY]...',
+    options: {
+        a: { short: 'a', description: 'include hidden files' },
+        d: { short: 'd', description: 'list directories only' },
+        f: { short: 'f', description: "print each entry's full path" },
+        level: { short: 'L', argument: 'N', description: 'descend at most N levels' },
+        noreport: { long: 'noreport', description: 'leave out the count at the end' },
+    },
+
+    /**
+     * @param {Process} proc - The running process.
+     * @returns {Promise<number>} 0, or 1 if a path could not be read or an option is invalid.
+     */
+    async exec(proc) {
+        const { kernel, operands: paths, stdout, stderr } = proc;
+        const options = { ...proc.options, level: Infinity, report: !proc.options.noreport };
+        if (proc.options.level !== null) {
+            if (!/^[1-9]\d*$/.test(proc.options.level)) {
+                await stderr.write('tree: Invalid level, must be greater than 0.\n');
+                return 1;
+            }
+            options.level = Number(proc.options.level);
+        }
+
+        const color = stdout === kernel.stdout;
+        const counts = { directories: 0, files: 0 };
+        let status = 0;
+        let output = '';
+        for (const path of paths.length ? paths : ['.']) {
+            const root = proc.resolvePath(path);
+            const stats = await kernel.pfs.stat(root).catch(() => null);
+            if (!stats?.isDirectory()) {
+                output += `${path}  [error opening dir]\n`;
+                status = 1;
+                continue;
+            }
+
+            const hidden = entry => !options.a && entry.depth > 0 && baseName(entry.relative).startsWith('.');
+            const entries = [];
+            const walkOptions = { name: path, maxDepth: options.level, enter: entry => !hidden(entry), onError: () => {} };
+            for await (const entry of walk(kernel.pfs, root, walkOptions)) {
+                if (hidden(entry) || (options.d && !entry.stats.isDirectory())) continue;
+                entries.push(entry);
+            }
+            output += await drawTree(entries, { kernel, options, color, counts });
+        }
+
+        if (options.report) {
+            const directories = `${counts.directories} ${counts.directories === 1 ? 'directory' : 'directories'}`;
+            const files = `${counts.files} ${counts.files === 1 ? 'file' : 'files'}`;
+            output += options.d ? `\n${directories}\n` : `\n${directories}, ${files}\n`;
+        }
+        await stdout.write(output);
+        return status;
+    }
+};
+
+/**
+ * Draws the entries of one tree, which come in walk order (a directory, then
+ * its contents), and counts them.
+ * @returns {Promise<string>} The tree's lines.
+ */
+async function drawTree(entries, { kernel, options, color, counts }) {
+    // An entry is the last of its siblings if no later entry at its depth comes
+    // before the walk goes back up above it. Going backwards, that is an entry
+    // whose depth has not been seen since the last shallower one.
+    const last = new Array(entries.length);
+    const seen = [];
+    for (let i = entries.length - 1; i >= 0; i--) {
+        const { depth } = entries[i];
+        last[i] = !seen[depth];
+        seen[depth] = true;
+        seen.length = depth + 1;
+    }
+
+    let text = '';
+    const open = [];
+    for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        const { depth, stats } = entry;
+        const label = depth === 0 || options.f ? entry.name : baseName(entry.relative);
+        let line = color ? colorName(label, stats) : label;
+        if (stats.isSymbolicLink()) line += ` -> ${await kernel.pfs.readlink(entry.path).catch(() => '')}`;
+
+        if (depth === 0) {
+            text += `${line}\n`;
+            continue;
+        }
+        open.length = depth - 1;
+        const indent = open.map(more => (more ? '│   ' : '    ')).join('');
+        text += `${indent}${last[i] ? '└── ' : '├── '}${line}\n`;
+        open.push(!last[i]);
+        if (stats.isDirectory()) counts.directories++;
+        else counts.files++;
+    }
+    return text;
+}
+
+function baseName(path) {
+    return path.slice(path.lastIndexOf('/') + 1);
+}
@@ -0,0 +1,15 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/true.js
+// -----------------------------------------------------------------------------
+/**
+ * Implements the 'true' command, which does nothing and succeeds.
+ * Useful as an always-true condition, e.g. 'while true; do ...; done'.
+ */
+export default {
+    description: 'do nothing, successfully',
+    usage: '',
+
+    async run() {
+        return 0;
+    }
+};
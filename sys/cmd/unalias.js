@@ -0,0 +1,46 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/unalias.js
+// -----------------------------------------------------------------------------
+/**
+ * Implements the 'unalias' command.
+ * Removes the named aliases, or all of them with '-a'.
+ */
+export default {
+    description: 'remove aliases',
+    usage: ['NAME...', '-a'],
+    options: {
+        all: { short: 'a', description: 'remove all the aliases' },
+    },
+
+    /**
+     * @param {Process} proc - The running process.
+     * @returns {Promise<number>} The exit status. 0 for success, 1 if a name is not
+     * an alias, 2 without any names.
+     */
+    async exec(proc) {
+        const { kernel: shell, options, operands, stderr } = proc;
+        if (options.all) {
+            shell.aliases = {};
+            return 0;
+        }
+        if (operands.length === 0) {
+            await stderr.write('unalias: usage: unalias [-a] name [name ...]\n');
+            return 2;
+        }
+
+        let status = 0;
+        for (const name of operands) {
+            if (name in shell.aliases) {
+                delete shell.aliases[name];
+            } else {
+                await stderr.write(`-qrx: unalias: ${name}: not found\n`);
+                status = 1;
+            }
+        }
+        return status;
+    },
+
+    complete(shell) {
+        return Object.keys(shell.aliases);
+    },
+};
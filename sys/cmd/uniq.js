@@ -0,0 +1,60 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/uniq.js
+// -----------------------------------------------------------------------------
+import { eachInput } from '../util/text.js';
+
+/**
+ * Implements the 'uniq' command.
+ * Collapses runs of identical adjacent lines of a file (or stdin) into one, so it
+ * is usually given sorted input. 'uniq INPUT OUTPUT' writes the result to OUTPUT.
+ */
+export default {
+    description: 'collapse repeated adjacent lines',
+    usage: '[OPTION]... [INPUT [OUTPUT]]',
+    options: {
+        c: { short: 'c', long: 'count', description: 'prefix each line with the number of times it occurred' },
+        d: { short: 'd', long: 'repeated', description: 'print only lines that were repeated' },
+        u: { short: 'u', long: 'unique', description: 'print only lines that were not' },
+        i: { short: 'i', long: 'ignore-case', description: 'ignore case when comparing' },
+    },
+
+    /**
+     * @param {Process} proc - The running process.
+     * @returns {Promise<number>} 0, or 1 if the input could not be read.
+     */
+    async exec(proc) {
+        const { kernel, options, operands, stdout, stderr } = proc;
+        if (operands.length > 2) {
+            await stderr.write(`uniq: extra operand '${operands[2]}'\n`);
+            return 1;
+        }
+
+        let output = '';
+        const flush = (line, count) => {
+            if (line === null || (options.d && count < 2) || (options.u && count > 1)) return;
+            output += options.c ? `${String(count).padStart(7)} ${line}\n` : `${line}\n`;
+        };
+        const ok = await eachInput(proc, operands.slice(0, 1), 'uniq', async (lines) => {
+            let previous = null;
+            let count = 0;
+            for await (const line of lines) {
+                const same = previous !== null && (options.i ? line.toLowerCase() === previous.toLowerCase() : line === previous);
+                if (same) {
+                    count++;
+                    continue;
+                }
+                flush(previous, count);
+                previous = line;
+                count = 1;
+            }
+            flush(previous, count);
+        });
+
+        if (operands[1]) {
+            await kernel.pfs.writeFile(proc.resolvePath(operands[1]), output);
+        } else {
+            await stdout.write(output);
+        }
+        return ok ? 0 : 1;
+    }
+};
@@ -0,0 +1,40 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/unset.js
+// -----------------------------------------------------------------------------
+/**
+ * Implements the 'unset' command.
+ * Removes shell and environment variables. Unsetting a variable that does not
+ * exist is not an error.
+ * MODIFIED: 'unset -f NAME' removes a shell function.
+ */
+export default {
+    description: 'remove variables or functions',
+    usage: '[-f|-v] NAME...',
+    options: {
+        functions: { short: 'f', cancels: ['variables'], description: 'remove shell functions' },
+        variables: { short: 'v', cancels: ['functions'], description: 'remove variables (the default)' },
+    },
+
+    /**
+     * @param {Process} proc - The running process.
+     * @returns {Promise<number>} The exit status. 0 for success, 1 if a name is invalid.
+     */
+    async exec(proc) {
+        const { kernel, env, options, operands, stderr } = proc;
+        let status = 0;
+        for (const name of operands) {
+            if (options.functions) {
+                delete kernel.functions[name];
+                continue;
+            }
+            if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+                await stderr.write(`-qrx: unset: \`${name}': not a valid identifier\n`);
+                status = 1;
+                continue;
+            }
+            delete kernel.vars[name];
+            delete env[name];
+        }
+        return status;
+    }
+};
@@ -0,0 +1,58 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/wait.js
+// -----------------------------------------------------------------------------
+/**
+ * Implements the 'wait' builtin.
+ * Waits for the given jobs ('%N' or process IDs), or for all of them, one after
+ * another. Each job's output is passed on to wait's own as its turn comes.
+ * Ctrl+C stops the waiting, and leaves the jobs running.
+ */
+export default {
+    description: 'wait for jobs to finish',
+    usage: '[%JOB|PID]...',
+
+    /**
+     * @param {Process} proc - The running process.
+     * @returns {Promise<number>} The status of the last job waited for, 0 when waiting
+     * for all jobs, or 127 if the last one named is not a job.
+     */
+    async exec(proc) {
+        const { kernel, args, stdout, stderr, signal } = proc;
+        const table = kernel.jobs;
+        // Resolves to the status 'wait' ends with when it is interrupted.
+        const interrupted = new Promise((resolve) => {
+            if (signal?.aborted) resolve(signal.reason);
+            signal?.addEventListener('abort', () => resolve(signal.reason), { once: true });
+        });
+
+        const waitFor = async (job) => {
+            await job.output.release({ 1: stdout, 2: stderr });
+            const status = await Promise.race([job.promise, interrupted]);
+            if (job.status === null) job.output.hold(); // Interrupted; the job runs on.
+            else table.remove(job);
+            return status;
+        };
+
+        if (args.length === 0) {
+            for (const job of [...table.jobs]) {
+                await waitFor(job);
+                if (signal?.aborted) return signal.reason;
+            }
+            return 0;
+        }
+
+        let status = 0;
+        for (const spec of args) {
+            const job = table.find(spec);
+            if (job) {
+                status = await waitFor(job);
+                if (signal?.aborted) return signal.reason;
+            } else {
+                const message = /^\d+$/.test(spec) ? `pid ${spec} is not a child of this shell` : `${spec}: no such job`;
+                await stderr.write(`-qrx: wait: ${message}\n`);
+                status = 127;
+            }
+        }
+        return status;
+    }
+};
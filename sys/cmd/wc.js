@@ -0,0 +1,71 @@
+// -----------------------------------------------------------------------------
+// file: sys/cmd/wc.js
+// -----------------------------------------------------------------------------
+import { readInput } from '../util/text.js';
+
+/**
+ * Implements the 'wc' (word count) command.
+ * Prints the number of lines, words and bytes in each file (or stdin), and a
+ * total line for several files. The options pick which counts are shown; they
+ * are always shown in the order lines, words, characters, bytes.
+ */
+export default {
+    description: 'print the number of lines, words and bytes in files',
+    usage: '[OPTION]... [FILE]...',
+    options: {
+        l: { short: 'l', long: 'lines', description: 'print the number of lines' },
+        w: { short: 'w', long: 'words', description: 'print the number of words' },
+        m: { short: 'm', long: 'chars', description: 'print the number of characters' },
+        c: { short: 'c', long: 'bytes', description: 'print the number of bytes' },
+    },
+
+    /**
+     * @param {Process} proc - The running process.
+     * @returns {Promise<number>} 0, or 1 if a file could not be read.
+     */
+    async exec(proc) {
+        const { options, operands: files, stdout } = proc;
+        // The counts in the order wc prints them.
+        const order = ['l', 'w', 'm', 'c'];
+        const shown = order.some(key => options[key]) ? order.filter(key => options[key]) : ['l', 'w', 'c'];
+
+        let status = 0;
+        const rows = [];
+        const total = { l: 0, w: 0, m: 0, c: 0 };
+        const encoder = new TextEncoder();
+        for (const file of files.length ? files : ['-']) {
+            const input = await readInput(proc, file, 'wc');
+            if (input === null) {
+                status = 1;
+                continue;
+            }
+            const counts = { l: 0, w: 0, m: 0, c: 0 };
+            let inWord = false;
+            for await (const chunk of input) {
+                const text = String(chunk);
+                counts.m += text.length;
+                counts.c += encoder.encode(text).length;
+                for (const ch of text) {
+                    if (ch === '\n') counts.l++;
+                    const blank = /\s/.test(ch);
+                    if (!blank && !inWord) counts.w++;
+                    inWord = !blank;
+                }
+            }
+            for (const key of shown) total[key] += counts[key];
+            rows.push({ counts, name: file === '-' ? '' : file });
+        }
+        if (rows.length > 1) rows.push({ counts: total, name: 'total' });
+
+        // A single count for stdin is printed as it is; otherwise the columns line up.
+        const single = rows.length === 1 && shown.length === 1 && !rows[0].name;
+        const width = single ? 0 : Math.max(...rows.flatMap(row => shown.map(key => String(row.counts[key]).length)));
+        let output = '';
+        for (const { counts, name } of rows) {
+            const columns = shown.map(key => String(counts[key]).padStart(width));
+            output += `${[...columns, ...(name ? [name] : [])].join(' ')}\n`;
+        }
+        await stdout.write(output);
+        return status;
+    }
+};
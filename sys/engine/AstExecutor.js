@@ -2,229 +2,623 @@
 // file: sys/engine/AstExecutor.js
 // -----------------------------------------------------------------------------
 import { resolvePath } from '../util/path.js';
+import Process, { legacyAdapter } from './Process.js';
+import { Pipe, BufferStream, NullStream } from './streams.js';
+import Expander from './Expander.js';
+import { ControlSignal, Interrupt, BrokenPipe } from './signals.js';
+import { matchPattern } from '../util/glob.js';
+import { parseArgs, formatHelp, ArgumentError } from '../util/args.js';
+import parse from '../parser.js';
+
+// How many passes a loop makes before it lets the browser handle events (see `runLoop`).
+const LOOP_YIELD_PASSES = 100;
 
 /**
  * Handles the recursive execution of the Abstract Syntax Tree (AST).
  * MODIFIED: Added handling for 'if_statement' nodes.
+ * MODIFIED: Nodes now run against an `io` object of streams ({ stdin, stdout })
+ * instead of returning buffered output, so both sides of a pipeline run concurrently.
+ * MODIFIED: Added a separate stderr stream to `io`, with redirections per file descriptor.
+ * MODIFIED: Words are expanded by an Expander just before use, and leading 'NAME=value'
+ * words either set shell variables or, before a command, extend only its environment.
+ * MODIFIED: Added 'for', 'while' (and 'until'), 'case' and 'function' nodes. 'if' now takes
+ * command lists. 'break', 'continue' and 'return' unwind to their loop or function call
+ * by throwing a ControlSignal.
+ * MODIFIED: Added script support: `runScript` for 'sh' and 'source', files run by path
+ * according to their '#!' line, and the 'errexit' ('set -e') and 'xtrace' ('set -x') options.
+ * MODIFIED: Commands ending in '&' inside lists start background jobs too. A job's `io`
+ * carries the AbortSignal that 'kill' uses to stop it.
+ * MODIFIED: A command whose first word is an alias runs the alias's text instead.
+ * MODIFIED: An executor can belong to a subshell, whose `kernel` is a view with its
+ * own shell state (see `Kernel.subshell`). Background jobs run in a subshell of the
+ * shell that starts them.
+ * MODIFIED: Commands no longer set `kernel.currentProcess`; Ctrl+C aborts the signal
+ * in `io` of the command line instead (see `Kernel.runCommand`).
  */
 export default class AstExecutor {
-    constructor(kernel) {
+    /**
+     * @param {Kernel} kernel - The kernel, or a subshell of it (see `Kernel.subshell`).
+     * @param {AstExecutor} [parent] - For a subshell, the executor of the shell it was made
+     * from, whose positional parameters, options and script name it starts with.
+     */
+    constructor(kernel, parent = null) {
         this.kernel = kernel;
+        this.expander = new Expander(this);
+        this.positional = parent ? [...parent.positional] : []; // The positional parameters ($1, $2, ...).
+        this.loopDepth = 0;     // How many loops are running, for 'break' and 'continue'.
+        this.functionDepth = parent?.functionDepth ?? 0; // How many function calls are running, for 'return'.
+        this.options = { errexit: false, xtrace: false, ...parent?.options }; // Set with 'set -e' and 'set -x'.
+        this.scriptName = parent?.scriptName ?? 'qrx'; // $0, the name of the running script.
     }
 
     /**
      * Main AST interpreter, now with logical operator support and 'if' statements.
+     * @param {object} node - The AST node to execute.
+     * @param {object} [io] - The streams the node is connected to.
+     * @param {Pipe|null} [io.stdin] - Input piped from a previous command, or null.
+     * @param {object} [io.stdout] - The writable that receives standard output.
+     * @param {object} [io.stderr] - The writable that receives error output.
+     * @param {boolean} [io.condition] - True while running a condition, where 'set -e' does not apply.
+     * @param {AbortSignal} [io.signal] - Aborted when a background job is killed, or Ctrl+C interrupts the command line.
+     * @returns {Promise<number>} The exit status of the node.
+     */
+    async executeNode(node, io = { stdin: null, stdout: this.kernel.stdout, stderr: this.kernel.stderr }) {
+        if (!node) return 0;
+        // A killed job stops before its next command, with the status 'kill' chose.
+        if (io.signal?.aborted) throw new ControlSignal('exit', io.signal.reason);
+
+        const status = node.redirections?.length
+            ? await this.executeRedirected(node, io)
+            : await this.executeBody(node, io);
+
+        // Update the kernel's last exit status, which is used for subsequent logical operations ($? and if statements)
+        this.kernel.lastExitStatus = status;
+
+        // With 'set -e' a failure ends the script, unless it was tested by 'if', '&&', etc.
+        // A '&&' or '||' list fails because of its last command, which has been checked already.
+        if (status !== 0 && this.options.errexit && !io.condition && !node.type.startsWith('logical_')) {
+            throw new ControlSignal('exit', status);
+        }
+        return status;
+    }
+
+    /**
+     * Executes a node whose input or output is redirected. Redirections are
+     * applied left to right, so 'cmd > f 2>&1' sends both streams to f while
+     * 'cmd 2>&1 > f' sends only stdout there. Input files are read up front;
+     * output for each file is collected while the node runs and written once it finishes.
      */
-    async executeNode(node, stdin = null) {
-        // If a background job, its output will not be written to the terminal
-        // unless explicitly redirected to a file.
-        const isBackground = node.background && !node.redirection;
+    async executeRedirected(node, io) {
+        const streams = { 0: io.stdin, 1: io.stdout, 2: io.stderr };
+        const files = [];
 
-        if (!node) return { stdout: '', status: 0 };
-        let result = { stdout: '', status: 0 };
+        for (const redirection of node.redirections) {
+            if (redirection.fd === 0) {
+                const input = await this.openInput(redirection, io);
+                if (input === null) return 1;
+                streams[0] = input;
+                continue;
+            }
+            if (redirection.mode === 'dup') {
+                streams[redirection.fd] = streams[redirection.target] || new NullStream();
+                continue;
+            }
+            const file = await this.expandRedirectionWord(redirection.file, io);
+            if (file === null) return 1;
+            const path = resolvePath(file, this.kernel.cwd);
+            let target;
+            if (path === '/dev/null') {
+                target = new NullStream();
+            } else {
+                target = new BufferStream();
+                files.push({ file, path, buffer: target, append: redirection.mode === 'append' });
+            }
+            if (redirection.fd === '&') {
+                streams[1] = streams[2] = target;
+            } else {
+                streams[redirection.fd] = target;
+            }
+        }
 
+        // A 'break' or 'return' inside the node still leaves its output in the files.
+        let status = 0;
+        let signal = null;
+        try {
+            status = await this.executeBody(node, { ...io, stdin: streams[0], stdout: streams[1], stderr: streams[2] });
+        } catch (e) {
+            if (!(e instanceof ControlSignal || e instanceof BrokenPipe)) throw e;
+            signal = e;
+        }
+
+        for (const { file, path, buffer, append } of files) {
+            try {
+                if (append) {
+                    const existing = await this.kernel.pfs.readFile(path, 'utf8').catch(() => '');
+                    await this.kernel.pfs.writeFile(path, existing + buffer.toString());
+                } else { // overwrite mode
+                    await this.kernel.pfs.writeFile(path, buffer.toString());
+                }
+            } catch (e) {
+                await io.stderr.write(`-qrx: ${file}: ${e.message}\n`);
+                status = 1; // Redirection failure results in non-zero status
+            }
+        }
+        if (signal) throw signal;
+        return status;
+    }
+
+    /**
+     * Opens the stdin for an input redirection ('<', '<<' or '<<<').
+     * @returns {Promise<Pipe|null>} The input, or null if the file cannot be read.
+     */
+    async openInput(redirection, io) {
+        switch (redirection.mode) {
+            case 'heredoc':
+                if (!redirection.expand) return Pipe.from(redirection.body);
+                try {
+                    return Pipe.from(await this.expander.expandText(redirection.body, this.expander.createContext(io.stderr)));
+                } catch (e) {
+                    await io.stderr.write(`-qrx: ${e.message}\n`);
+                    return null;
+                }
+            case 'herestring': {
+                const word = await this.expandRedirectionWord(redirection.word, io);
+                return word === null ? null : Pipe.from(`${word}\n`);
+            }
+            default: {
+                const file = await this.expandRedirectionWord(redirection.file, io);
+                if (file === null) return null;
+                const path = resolvePath(file, this.kernel.cwd);
+                if (path === '/dev/null') return Pipe.from('');
+                try {
+                    return Pipe.from(await this.kernel.pfs.readFile(path, 'utf8'));
+                } catch (e) {
+                    await io.stderr.write(`-qrx: ${file}: No such file or directory\n`);
+                    return null;
+                }
+            }
+        }
+    }
+
+    /**
+     * Expands the word after a redirection operator into a single string.
+     * @returns {Promise<string|null>} The expanded word, or null if expansion failed.
+     */
+    async expandRedirectionWord(word, io) {
+        try {
+            return await this.expander.expandString(word, this.expander.createContext(io.stderr));
+        } catch (e) {
+            await io.stderr.write(`-qrx: ${e.message}\n`);
+            return null;
+        }
+    }
+
+    /**
+     * Executes a node without regard to its redirection.
+     * @returns {Promise<number>} The exit status.
+     */
+    async executeBody(node, io) {
         switch (node.type) {
             case 'error':
-                result = { stdout: `-qrx: parse error: ${node.message}\n`, status: 2 };
-                break;
+                await io.stderr.write(`-qrx: parse error: ${node.message}\n${node.excerpt ? `${node.excerpt}\n` : ''}`);
+                return 2;
 
             case 'logical_and': {
-                const leftResult = await this.executeNode(node.left, stdin);
-                if (leftResult.status === 0) {
-                    const rightResult = await this.executeNode(node.right, stdin);
-                    result = {
-                        stdout: leftResult.stdout + rightResult.stdout,
-                        status: rightResult.status
-                    };
-                } else {
-                    result = leftResult;
-                }
-                break;
+                const leftStatus = await this.executeNode(node.left, { ...io, condition: true });
+                return leftStatus === 0 ? this.executeNode(node.right, io) : leftStatus;
             }
 
             case 'logical_or': {
-                const leftResult = await this.executeNode(node.left, stdin);
-                if (leftResult.status !== 0) {
-                    const rightResult = await this.executeNode(node.right, stdin);
-                    result = {
-                        stdout: leftResult.stdout + rightResult.stdout,
-                        status: rightResult.status
-                    };
-                } else {
-                    result = leftResult;
-                }
-                break;
+                const leftStatus = await this.executeNode(node.left, { ...io, condition: true });
+                return leftStatus !== 0 ? this.executeNode(node.right, io) : leftStatus;
             }
 
             case 'pipeline': {
-                const leftResult = await this.executeNode(node.from, stdin);
-                result = await this.executeNode(node.to, leftResult.stdout);
-                break;
-            }
-
-            case 'group': {
-                const groupOutputBuffer = [];
-                let groupStatus = 0;
-                for (const cmdNode of node.commands) {
-                    const subResult = await this.executeNode(cmdNode, stdin);
-                    groupOutputBuffer.push(subResult.stdout);
-                    groupStatus = subResult.status;
-                }
-                result = { stdout: groupOutputBuffer.join(''), status: groupStatus };
-                break;
+                // Both sides run at the same time, connected by a pipe. The pipe is
+                // closed when the writer finishes (EOF for the reader) and destroyed
+                // when the reader finishes, so an early exit never blocks the writer:
+                // its next write fails, which ends it with the status 141 (SIGPIPE).
+                const pipe = new Pipe();
+                const [, status] = await Promise.all([
+                    this.executeNode(node.from, { ...io, stdout: pipe, condition: true })
+                        .catch((e) => {
+                            if (e instanceof BrokenPipe) return 141;
+                            throw e;
+                        })
+                        .finally(() => pipe.close()),
+                    this.executeNode(node.to, { ...io, stdin: pipe }).finally(() => pipe.destroy()),
+                ]);
+                return status;
             }
 
-            // NEW: Handle 'if_statement' nodes
+            case 'group':
+                return this.executeList(node.commands, io);
+
             case 'if_statement': {
-                // Execute the condition (e.g., 'ls file.txt')
-                // This call will capture its own output and return its status.
-                const conditionResult = await this.executeNode(node.condition, stdin);
-                let branchResult = { stdout: '', status: 0 }; // Initialize result for the chosen branch
-
-                // If the condition command succeeded (exit status 0)
-                if (conditionResult.status === 0) {
-                    // Execute commands in the 'then' branch
-                    for (const cmdNode of node.then_branch) {
-                        const subResult = await this.executeNode(cmdNode, stdin);
-                        branchResult.stdout += subResult.stdout; // Accumulate output
-                        branchResult.status = subResult.status; // Keep the status of the last command
-                        if (subResult.status !== 0) break; // Stop if a command in the branch fails
+                // Run the condition list (e.g., 'ls file.txt') and branch on its status.
+                const conditionStatus = await this.executeList(node.condition, { ...io, condition: true });
+                const branch = conditionStatus === 0 ? node.then_branch : node.else_branch;
+                // With no branch to run, an 'if' succeeds.
+                return branch ? this.executeList(branch, io) : 0;
+            }
+
+            case 'for': {
+                const context = this.expander.createContext(io.stderr);
+                const values = node.words ? await this.expander.expandWords(node.words, context) : [...this.positional];
+                return this.runLoop(io, async (runBody) => {
+                    for (const value of values) {
+                        this.kernel.setVariable(node.variable, value);
+                        if (await runBody(node.body)) break;
                     }
-                } else if (node.else_branch) { // If condition failed and 'else' branch exists
-                    // Execute commands in the 'else' branch
-                    for (const cmdNode of node.else_branch) {
-                        const subResult = await this.executeNode(cmdNode, stdin);
-                        branchResult.stdout += subResult.stdout; // Accumulate output
-                        branchResult.status = subResult.status; // Keep the status of the last command
-                        if (subResult.status !== 0) break; // Stop if a command in the branch fails
+                });
+            }
+
+            case 'while':
+                return this.runLoop(io, async (runBody) => {
+                    while ((await this.executeList(node.condition, { ...io, condition: true }) === 0) !== node.until) {
+                        if (await runBody(node.body)) break;
+                    }
+                });
+
+            case 'case': {
+                const context = this.expander.createContext(io.stderr);
+                const subject = await this.expander.expandString(node.word, context);
+                for (const item of node.items) {
+                    for (const pattern of item.patterns) {
+                        if (matchPattern(await this.expander.expandPattern(pattern, context), subject)) {
+                            return this.executeList(item.body, io);
+                        }
                     }
                 }
-                // The overall result of the if_statement is the result of the executed branch
-                result = branchResult;
-                break;
+                return 0;
             }
 
-            case 'command': {
-                const buffer = [];
-                const originalWrite = this.kernel.write;
-                const originalWriteln = this.kernel.writeln;
+            case 'function':
+                this.kernel.functions[node.name] = node.body;
+                return 0;
 
-                // Redirect kernel's output methods to capture command output
-                if (isBackground) {
-                    this.kernel.write = () => {}; // Suppress output for background jobs
-                    this.kernel.writeln = () => {};
-                } else {
-                    this.kernel.write = (data) => buffer.push(data);
-                    this.kernel.writeln = (data) => buffer.push(data + '\n');
-                }
+            case 'command':
+                return this.executeSingleCommand(node, io);
 
-                let commandStatus = 0;
-                try {
-                    // Execute the command; shell.currentProcess might be a Promise for long-running tasks
-                    this.kernel.currentProcess = this.executeSingleCommand(node, stdin);
-                    const commandResult = await this.kernel.currentProcess;
-
-                    // If the command returns a number, use it as status. Otherwise, default to 0.
-                    if (typeof commandResult === 'number') {
-                        commandStatus = commandResult;
-                    } else if (commandResult && typeof commandResult.status === 'number') {
-                        // Handle cases where a command might return an object with a status property
-                        commandStatus = commandResult.status;
-                    }
-                } catch (err) {
-                    // Capture and display command-specific errors
-                    this.kernel.writeln(`-qrx: ${node.name}: ${err.message}`);
-                    commandStatus = 1; // General error status
-                } finally {
-                    // Restore original output methods
-                    this.kernel.write = originalWrite;
-                    this.kernel.writeln = originalWriteln;
-                    this.kernel.currentProcess = null; // Clear the current process
-                }
-                result = { stdout: buffer.join(''), status: commandStatus };
-                break;
+            default:
+                return 0;
+        }
+    }
+
+    /**
+     * Executes a list of commands one after another.
+     * @returns {Promise<number>} The status of the last command, or 0 for an empty list.
+     */
+    async executeList(commands, io) {
+        let status = 0;
+        for (const node of commands) {
+            if (node.background) {
+                this.kernel.jobs.start(node, this.kernel);
+                status = 0;
+            } else {
+                status = await this.executeNode(node, io);
             }
         }
+        return status;
+    }
 
-        // Apply redirection if specified for the current node (command, group, or if_statement)
-        if (node.redirection) {
-            const path = resolvePath(node.redirection.file, this.kernel.cwd);
+    /**
+     * Runs a loop, handling 'break' and 'continue' for it. `iterate` drives the loop and
+     * calls `runBody(commands)` once per pass; `runBody` resolves to true when the loop
+     * should stop. Every so many passes the loop lets the browser handle events, so
+     * a loop of builtins alone still gets Ctrl+C and 'kill', which each pass checks for.
+     * @returns {Promise<number>} The status of the last command run in the body, or 0.
+     */
+    async runLoop(io, iterate) {
+        let status = 0;
+        let passes = 0;
+        const runBody = async (commands) => {
+            if (++passes % LOOP_YIELD_PASSES === 0) await new Promise(resolve => setTimeout(resolve));
+            if (io.signal?.aborted) throw new ControlSignal('exit', io.signal.reason);
             try {
-                if (node.redirection.mode === 'append') {
-                    const existing = await this.kernel.pfs.readFile(path, 'utf8').catch(() => '');
-                    await this.kernel.pfs.writeFile(path, existing + result.stdout);
-                } else { // overwrite mode
-                    await this.kernel.pfs.writeFile(path, result.stdout);
-                }
-                result.stdout = ''; // Redirection means stdout goes to file, not terminal
+                status = await this.executeList(commands, io);
+                return false;
             } catch (e) {
-                this.kernel.writeln(`-qrx: ${node.redirection.file}: ${e.message}`);
-                result.status = 1; // Redirection failure results in non-zero status
+                if (!(e instanceof ControlSignal) || (e.type !== 'break' && e.type !== 'continue')) throw e;
+                // 'break 2' and 'continue 2' also apply to the enclosing loop.
+                if (e.value > 1) throw new ControlSignal(e.type, e.value - 1);
+                status = 0;
+                return e.type === 'break';
             }
+        };
+        this.loopDepth++;
+        try {
+            await iterate(runBody);
+        } finally {
+            this.loopDepth--;
         }
+        return status;
+    }
 
-        // Update the kernel's last exit status, which is used for subsequent logical operations ($? and if statements)
-        this.kernel.lastExitStatus = result.status;
-        return result;
+    /**
+     * Parses and runs a script in the current shell, as 'source' does. 'return'
+     * ends the script early.
+     * @param {string} source - The script text.
+     * @param {string[]|null} args - The positional parameters, or null to keep the current ones.
+     * @param {object} io - The streams the script is connected to.
+     * @returns {Promise<number>} The status of the last command run.
+     */
+    async runScript(source, args, io) {
+        const saved = this.positional;
+        if (args) this.positional = args;
+        this.functionDepth++;
+        try {
+            return await this.executeList(parse(source), io);
+        } catch (e) {
+            if (e instanceof ControlSignal && e.type === 'return') return e.value;
+            throw e;
+        } finally {
+            if (args) this.positional = saved;
+            this.functionDepth--;
+        }
+    }
+
+    /**
+     * Runs a file named by path, e.g. './build.sh'. Its '#!' line picks the
+     * interpreter: '#!/bin/sh' runs it with 'sh', and '#!js' (or '#!/usr/bin/env js')
+     * passes it to the 'js' command. A file without one is run with 'sh'.
+     * @returns {Promise<number>} The exit status.
+     */
+    async executeFile(path, args, io, env) {
+        const absolutePath = resolvePath(path, this.kernel.cwd);
+        let stats;
+        try {
+            stats = await this.kernel.pfs.stat(absolutePath);
+        } catch (e) {
+            await io.stderr.write(`-qrx: ${path}: No such file or directory\n`);
+            return 127;
+        }
+        if (stats.isDirectory()) {
+            await io.stderr.write(`-qrx: ${path}: Is a directory\n`);
+            return 126;
+        }
+        if (!(stats.mode & 0o111)) {
+            await io.stderr.write(`-qrx: ${path}: Permission denied\n`);
+            return 126;
+        }
+
+        const source = await this.kernel.pfs.readFile(absolutePath, 'utf8');
+        const shebang = source.match(/^#!\s*(\S+)(?:[ \t]+(\S+))?/);
+        let interpreter = 'sh';
+        if (shebang) {
+            interpreter = shebang[1].split('/').pop();
+            if (interpreter === 'env' && shebang[2]) interpreter = shebang[2];
+            if (interpreter === 'bash') interpreter = 'sh';
+        }
+        if (!await this.kernel.findCommand(interpreter, env).catch(() => null)) {
+            await io.stderr.write(`-qrx: ${path}: ${interpreter}: bad interpreter: No such file or directory\n`);
+            return 126;
+        }
+        return this.spawn(interpreter, [path, ...args], io, env);
+    }
+
+    /**
+     * Calls a shell function with the given arguments as its positional parameters.
+     * @returns {Promise<number>} The status passed to 'return', or that of the last command.
+     */
+    async callFunction(body, args, io) {
+        const saved = this.positional;
+        const savedLoopDepth = this.loopDepth;
+        this.positional = args;
+        this.loopDepth = 0; // 'break' does not reach loops outside the function.
+        this.functionDepth++;
+        try {
+            return await this.executeNode(body, io);
+        } catch (e) {
+            if (e instanceof ControlSignal && e.type === 'return') return e.value;
+            throw e;
+        } finally {
+            this.positional = saved;
+            this.loopDepth = savedLoopDepth;
+            this.functionDepth--;
+        }
     }
 
     /**
      * Executes a single command. This is called by executeNode for 'command' type nodes.
+     * MODIFIED: The name and arguments are expanded first. Leading 'NAME=value' words are
+     * assignments: on their own they set shell variables, and before a command they are
+     * added to that command's environment only.
+     * MODIFIED: Command substitutions in the words report errors to the command's stderr.
+     * MODIFIED: Aliases are applied before anything else; see `executeAlias`.
      * @param {object} node - The command AST node.
-     * @param {string|null} stdin - Input piped from a previous command.
+     * @param {object} io - The streams the command is connected to.
      * @returns {Promise<number>} The exit status of the command.
      */
-    async executeSingleCommand({ name, args }, stdin = null) {
-        // Expand '$?' to the last exit status
-        const expandedArgs = args.map(arg => {
-            if (arg === '$?') { return String(this.kernel.lastExitStatus); }
-            return arg;
-        });
+    async executeSingleCommand(node, io) {
+        const alias = plainText(node.name);
+        if (alias !== null && alias in this.kernel.aliases && !node.aliases?.includes(alias)) {
+            return this.executeAlias(node, alias, io);
+        }
 
-        if (!name) {
-            // If there's no command name but stdin, just print stdin.
-            if (stdin !== null) this.kernel.write(stdin);
-            return 0;
+        const words = [node.name, ...node.args];
+        const assignments = {};
+        const context = this.expander.createContext(io.stderr);
+        let fields;
+        try {
+            while (words.length && isAssignment(words[0])) {
+                const [first, ...rest] = words.shift().parts;
+                const separator = first.value.indexOf('=');
+                const value = { parts: [{ ...first, value: first.value.slice(separator + 1) }, ...rest] };
+                assignments[first.value.slice(0, separator)] = await this.expander.expandString(value, context);
+            }
+            fields = await this.expander.expandWords(words, context);
+        } catch (e) {
+            await io.stderr.write(`-qrx: ${e.message}\n`);
+            return 1;
+        }
+
+        if (this.options.xtrace && (fields.length || Object.keys(assignments).length)) {
+            const assigned = Object.entries(assignments).map(([key, value]) => `${key}=${quoteForTrace(value)}`);
+            await io.stderr.write(`+ ${[...assigned, ...fields.map(quoteForTrace)].join(' ')}\n`);
         }
 
-        // Handle environment variable assignments (e.g., MYVAR="value")
-        const assignMatch = name.match(/^([a-zA-Z_][a-zA-Z0-9_]*)=(.+)/s);
-        if (assignMatch && expandedArgs.length === 0) { // Ensure it's purely an assignment, not a command with args
-            this.kernel.env[assignMatch[1]] = assignMatch[2].replace(/^['"]|['"]$/g, ''); // Remove quotes
-            return 0;
+        if (fields.length === 0) {
+            for (const [name, value] of Object.entries(assignments)) this.kernel.setVariable(name, value);
+            // If there's no command name but stdin, just pass stdin through.
+            if (io.stdin) {
+                for await (const chunk of io.stdin) await io.stdout.write(chunk);
+            }
+            // A bare 'A=$(cmd)' takes the status of the substitution.
+            return context.status ?? 0;
         }
 
-        // Check if the command is a dynamically loaded module (builtin from sys/cmd)
-        const builtin = this.kernel.commands[name];
-        if (builtin?.run) {
+        const [name, ...args] = fields;
+        const env = Object.keys(assignments).length ? { ...this.kernel.env, ...assignments } : this.kernel.env;
+        return this.spawn(name, args, io, env);
+    }
+
+    /**
+     * Runs a command whose name is an alias. The alias's text is parsed and the
+     * command's arguments are added to its last command, so 'll -a' with
+     * ll='ls -l' runs 'ls -l -a', and with l='ls | head' runs 'ls | head -a'.
+     * The commands that come from an alias do not expand that alias again, which
+     * lets ls='ls -F' refer to the real 'ls'.
+     * @param {object} node - The command AST node.
+     * @param {string} name - The alias name, the command's first word.
+     * @param {object} io - The streams the command is connected to.
+     * @returns {Promise<number>} The exit status of the alias's commands.
+     */
+    async executeAlias(node, name, io) {
+        const expanding = [...(node.aliases ?? []), name];
+        const commands = parse(this.kernel.aliases[name]);
+        const visit = (child) => {
+            if (child?.type === 'command') child.aliases = expanding;
+            for (const value of Object.values(child ?? {})) {
+                if (value && typeof value === 'object') visit(value);
+            }
+        };
+        visit(commands);
+
+        const last = lastCommand(commands[commands.length - 1]);
+        if (last) last.args = [...last.args, ...node.args];
+        return this.executeList(commands, io);
+    }
+
+    /**
+     * Runs a command by name with already expanded arguments. Also used by
+     * commands that run other commands, such as 'env'.
+     * MODIFIED: Commands are found with `Kernel.findCommand`, so the modules in
+     * the directories of $PATH come before the served ones.
+     * MODIFIED: The arguments of a command with an options schema are parsed
+     * here (see util/args.js); a usage error has the status 2. Any command
+     * with a description answers a first argument of '--help'.
+     * @param {string} name - The command name.
+     * @param {string[]} args - The arguments.
+     * @param {object} io - The streams the command is connected to.
+     * @param {object} [env] - The command's environment. Defaults to the kernel's.
+     * @returns {Promise<number>} The exit status of the command.
+     */
+    async spawn(name, args, io, env = this.kernel.env) {
+        if (name.includes('/')) return this.executeFile(name, args, io, env);
+
+        // Functions take precedence over commands of the same name.
+        const fn = this.kernel.functions[name];
+        if (fn) return this.callFunction(fn, args, io);
+
+        const proc = new Process(this.kernel, { name, args, env, ...io });
+
+        // Check if the command is a dynamically loaded module, from $PATH or served from sys/cmd.
+        let command;
+        try {
+            command = await this.kernel.findCommand(name, env);
+        } catch (err) {
+            await io.stderr.write(`-qrx: ${name}: ${err.message}\n`);
+            return 126;
+        }
+        if (command?.exec || command?.run) {
+            // A command that declares its options gets its arguments parsed, and its '--help' answered.
+            if (command.options) {
+                let parsed;
+                try {
+                    parsed = parseArgs(args, command.options);
+                } catch (err) {
+                    if (!(err instanceof ArgumentError)) throw err;
+                    await io.stderr.write(`${name}: ${err.message}\nTry '${name} --help' for more information.\n`);
+                    return 2;
+                }
+                if (parsed.help) {
+                    await io.stdout.write(formatHelp(name, command));
+                    return 0;
+                }
+                proc.options = parsed.options;
+                proc.operands = parsed.operands;
+            } else if (args[0] === '--help' && command.description && command.help !== false) {
+                // One that reads its arguments itself still has its help.
+                await io.stdout.write(formatHelp(name, command));
+                return 0;
+            }
             let status = 0;
             try {
-                // Execute the command module's run method
-                // The run method should return a Promise that resolves to the exit status
-                const commandPromise = builtin.run(this.kernel, expandedArgs, stdin);
-                // Assign the promise to currentProcess so Ctrl+C can cancel it if implemented
-                this.kernel.currentProcess = commandPromise;
-                const commandResult = await commandPromise;
-
-                if (typeof commandResult === 'number') {
-                    status = commandResult;
+                // Stream-based commands are started directly; legacy 'run' commands go through the adapter.
+                const exec = command.exec ? command.exec.bind(command) : legacyAdapter(command);
+                const commandResult = await exec(proc);
+                // Commands that don't explicitly return a status are considered success
+                status = typeof commandResult === 'number' ? commandResult : 0;
+            } catch (err) {
+                // 'break', 'continue' and 'return' are passed on to the loop or function,
+                // and a write to a pipe with no reader ends the writing side of the pipeline.
+                if (err instanceof ControlSignal || err instanceof BrokenPipe) throw err;
+                if (err instanceof Interrupt) {
+                    // Ctrl+C, while the command waited for the terminal.
+                    status = 130;
                 } else {
-                    // Commands that don't explicitly return a status are considered success
-                    status = 0;
+                    // Catch errors thrown by the command's run method
+                    await io.stderr.write(`-qrx: ${name}: ${err.message}\n`);
+                    status = 1; // Indicate failure
                 }
-            } catch (err) {
-                // Catch errors thrown by the command's run method
-                this.kernel.writeln(`-qrx: ${name}: ${err.message}`);
-                status = 1; // Indicate failure
-            } finally {
-                this.kernel.currentProcess = null; // Clear the current process
             }
             return status;
         }
 
-        // If not a dynamically loaded command, try kernel's internal builtins
-        return this.kernel.handleBuiltins(name, expandedArgs);
+        // If not a dynamically loaded command, try kernel's internal builtins.
+        // They are called through the process's shell view so their output is captured too.
+        const status = await proc.shell.handleBuiltins(name, args);
+        await proc.writing;
+        if (proc.brokenPipe) throw proc.brokenPipe;
+        return status;
     }
 }
 
+/**
+ * Quotes a word for 'set -x' output if it would not read back as one word.
+ */
+function quoteForTrace(word) {
+    return /^[\w@%+=:,./-]+$/.test(word) ? word : `'${word.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Returns the text of a word made only of unquoted characters, or null. A quoted
+ * or escaped command name ('\\ls') is never taken for an alias.
+ */
+function plainText(word) {
+    const parts = word?.parts ?? [];
+    return parts.length === 1 && parts[0].type === 'literal' && !parts[0].quoted ? parts[0].value : null;
+}
 
+/**
+ * Finds the command a node ends with: the right side of a pipeline or '&&'
+ * list, or the node itself. Returns null for compound commands.
+ */
+function lastCommand(node) {
+    switch (node?.type) {
+        case 'command': return node;
+        case 'pipeline': return lastCommand(node.to);
+        case 'logical_and':
+        case 'logical_or': return lastCommand(node.right);
+        default: return null;
+    }
+}
+
+/**
+ * Checks whether a word is a 'NAME=value' assignment. The name and the '=' must be unquoted.
+ */
+function isAssignment(word) {
+    const first = word.parts[0];
+    return first?.type === 'literal' && !first.quoted && /^[A-Za-z_][A-Za-z0-9_]*=/.test(first.value);
+}
@@ -0,0 +1,420 @@
+// -----------------------------------------------------------------------------
+// file: sys/engine/Expander.js
+// -----------------------------------------------------------------------------
+import parse from '../parser.js';
+import { BufferStream } from './streams.js';
+import { ControlSignal } from './signals.js';
+import { escapePattern, hasGlobChars, glob } from '../util/glob.js';
+
+/**
+ * Turns parsed words ({type: 'word', parts}) into the strings a command receives.
+ *
+ * Parameter expansions ('$name', '${name:-word}', '$?', ...) are replaced by their
+ * values. Unquoted expansion results are then split on blanks, so one word may
+ * become several arguments, or none at all if it expands to nothing. Quoted text
+ * is never split.
+ * MODIFIED: Command substitutions ('$(...)' and '`...`') are run and replaced by their
+ * output, minus trailing newlines. The methods take a `context` holding the stderr
+ * the substituted commands write to; it also records the status of the last substitution.
+ * MODIFIED: Words are brace expanded ('a{b,c}' becomes 'ab ac', '{1..3}' becomes
+ * '1 2 3') and unquoted '*', '?' and '[...]' are matched against the file system.
+ * MODIFIED: '$!' is the process ID of the last background job.
+ * MODIFIED: A leading '~' expands to $HOME.
+ * MODIFIED: Command substitutions run in a subshell (see `Kernel.subshell`).
+ */
+export default class Expander {
+    /**
+     * @param {AstExecutor} executor - The executor whose kernel holds the variables.
+     */
+    constructor(executor) {
+        this.executor = executor;
+        this.kernel = executor.kernel;
+    }
+
+    /**
+     * Expands a list of words into arguments.
+     * @param {object[]} words - The parsed words.
+     * @param {object} [context] - The expansion context ({ stderr, status }).
+     * @returns {Promise<string[]>} The resulting fields.
+     */
+    async expandWords(words, context = this.createContext()) {
+        const fields = [];
+        for (const word of words) fields.push(...await this.expandWord(word, context));
+        return fields;
+    }
+
+    /**
+     * Expands one word: braces first, then parameters and substitutions, whose unquoted
+     * results are split on blanks, and finally file name patterns.
+     * @param {object} word - The parsed word.
+     * @param {object} [context] - The expansion context.
+     * @returns {Promise<string[]>} Zero or more fields.
+     */
+    async expandWord(word, context = this.createContext()) {
+        const fields = [];
+        for (const parts of expandBraces(word.parts)) {
+            for (const field of await this.splitFields(this.expandTilde(parts), context)) {
+                const matches = field.glob
+                    ? await glob(field.pattern, { cwd: this.kernel.cwd, fs: this.kernel.pfs })
+                    : [];
+                // A pattern that matches nothing is kept as it was written.
+                fields.push(...(matches.length ? matches : [field.value]));
+            }
+        }
+        return fields;
+    }
+
+    /**
+     * Expands the parts of a word and splits the unquoted results of expansions on
+     * blanks. Each field keeps a pattern in which quoted characters are escaped, so
+     * only unquoted '*', '?' and '[' act as wildcards.
+     * @returns {Promise<{value: string, pattern: string, glob: boolean}[]>} The fields.
+     */
+    async splitFields(parts, context) {
+        const fields = [];
+        let current = null; // The field being built; even "" starts one.
+        const endField = () => {
+            if (current) fields.push({ ...current, glob: hasGlobChars(current.pattern) });
+            current = null;
+        };
+        const append = (text, quoted) => {
+            if (!current && text === '' && !quoted) return;
+            current ??= { value: '', pattern: '' };
+            current.value += text;
+            current.pattern += quoted ? escapePattern(text) : text;
+        };
+
+        for (const part of parts) {
+            if (part.type === 'literal') {
+                append(part.value, part.quoted);
+            } else if (part.quoted && part.name === '@' && !part.op) {
+                // "$@" keeps every positional parameter a separate field.
+                this.executor.positional.forEach((value, i) => {
+                    if (i > 0) endField();
+                    append(value, true);
+                });
+            } else if (part.quoted) {
+                append(await this.expandPart(part, context), true);
+            } else {
+                const pieces = (await this.expandPart(part, context)).split(/[ \t\n]+/);
+                pieces.forEach((piece, i) => {
+                    if (i > 0) endField();
+                    append(piece, false);
+                });
+            }
+        }
+        endField();
+        return fields;
+    }
+
+    /**
+     * Expands a word into a single string without splitting it, as for the
+     * target of a redirection or the value of an assignment.
+     * @param {object} word - The parsed word.
+     * @param {object} [context] - The expansion context.
+     * @returns {Promise<string>} The expanded text.
+     */
+    async expandString(word, context = this.createContext()) {
+        let text = '';
+        for (const part of this.expandTilde(word.parts)) text += await this.expandPart(part, context);
+        return text;
+    }
+
+    /**
+     * Replaces an unquoted '~' at the start of a word, alone or before a '/', with $HOME.
+     * @param {object[]} parts - The word's parts.
+     * @returns {object[]} The parts, with the home directory as quoted text.
+     */
+    expandTilde(parts) {
+        const [first, ...rest] = parts;
+        const home = this.kernel.getVariable('HOME');
+        if (home === undefined || first?.type !== 'literal' || first.quoted) return parts;
+        if (!(first.value.startsWith('~/') || (first.value === '~' && rest.length === 0))) return parts;
+        return [{ type: 'literal', value: home, quoted: true }, { ...first, value: first.value.slice(1) }, ...rest];
+    }
+
+    /**
+     * Expands a word used as a pattern, as in a 'case' item. Quoted characters
+     * are escaped so that they only match themselves.
+     * @param {object} word - The parsed word.
+     * @param {object} [context] - The expansion context.
+     * @returns {Promise<string>} The pattern.
+     */
+    async expandPattern(word, context = this.createContext()) {
+        let pattern = '';
+        for (const part of word.parts) {
+            const value = await this.expandPart(part, context);
+            pattern += part.quoted ? escapePattern(value) : value;
+        }
+        return pattern;
+    }
+
+    /**
+     * Expands '$name', '${...}', command substitutions and backslash escapes in free
+     * text, such as the body of a here-document with an unquoted delimiter.
+     * @param {string} text - The text to expand.
+     * @param {object} [context] - The expansion context.
+     * @returns {Promise<string>} The expanded text.
+     */
+    async expandText(text, context = this.createContext()) {
+        const param = /\$\{([^}]*)\}|\$([A-Za-z_][A-Za-z0-9_]*|[?#@*$!0-9])/y;
+        let result = '';
+        let i = 0;
+        while (i < text.length) {
+            const ch = text[i];
+            if (ch === '\\' && '$`\\\n'.includes(text[i + 1])) {
+                if (text[i + 1] !== '\n') result += text[i + 1];
+                i += 2;
+            } else if (ch === '`') {
+                const end = findBackquote(text, i + 1);
+                const source = text.slice(i + 1, end).replace(/\\([`$\\])/g, '$1');
+                result += await this.substitute(parse(source), context);
+                i = end + 1;
+            } else if (text.startsWith('$(', i)) {
+                const end = findClosingParen(text, i + 2);
+                result += await this.substitute(parse(text.slice(i + 2, end)), context);
+                i = end + 1;
+            } else if (ch === '$' && (param.lastIndex = i, param.test(text))) {
+                const match = text.slice(i, param.lastIndex);
+                result += match.startsWith('${')
+                    ? await this.expandBraced(match.slice(2, -1), context)
+                    : this.lookup(match.slice(1)) ?? '';
+                i = param.lastIndex;
+            } else {
+                result += ch;
+                i++;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Expands the inside of '${...}' found in free text.
+     */
+    async expandBraced(inner, context) {
+        const match = inner.match(/^(#?)([A-Za-z_][A-Za-z0-9_]*|[0-9]+|[?#@*$!])(?:(:?[-=+?])([\s\S]*))?$/);
+        if (!match || (match[1] && match[3])) throw new Error(`\${${inner}}: bad substitution`);
+        const [, length, name, op, word] = match;
+        if (length) return this.expandParam({ name, op: 'length' }, context);
+        const value = await this.expandText(word ?? '', context);
+        return this.expandParam({ name, op, word: [{ type: 'literal', value }] }, context);
+    }
+
+    /**
+     * Expands a single part of a word to a string.
+     */
+    async expandPart(part, context) {
+        switch (part.type) {
+            case 'literal':
+                return part.value;
+            case 'param':
+                return this.expandParam(part, context);
+            case 'command_sub':
+                return this.substitute(part.commands ?? parse(part.source), context);
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Runs the commands of a substitution in a subshell and returns what they
+     * wrote to stdout, without trailing newlines.
+     * @param {object[]} commands - The parsed commands.
+     * @param {object} context - The expansion context.
+     * @returns {Promise<string>} The captured output.
+     */
+    async substitute(commands, context) {
+        const output = new BufferStream();
+        // The commands run in a subshell, so a 'cd' or an assignment in them does not last.
+        const { executor } = this.kernel.subshell();
+        let status;
+        try {
+            status = await executor.executeList(commands, { stdin: null, stdout: output, stderr: context.stderr });
+        } catch (e) {
+            // 'exit' (or 'return') ends the subshell, with its status.
+            if (!(e instanceof ControlSignal) || (e.type !== 'exit' && e.type !== 'return')) throw e;
+            status = e.value;
+        }
+        context.status = status;
+        return output.toString().replace(/\n+$/, '');
+    }
+
+    /**
+     * Expands a parameter, applying its '${name<op>word}' operator if it has one.
+     * With a ':' the operators treat an empty value like an unset one.
+     */
+    async expandParam({ name, op, word }, context) {
+        const value = this.lookup(name);
+        if (!op) return value ?? '';
+        if (op === 'length') return String((value ?? '').length);
+
+        const isSet = op.startsWith(':') ? Boolean(value) : value !== undefined;
+        const operand = () => this.expandString({ parts: word }, context);
+        switch (op.slice(-1)) {
+            case '-':
+                return isSet ? value : operand();
+            case '+':
+                return isSet ? operand() : '';
+            case '=': {
+                if (isSet) return value;
+                if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) throw new Error(`${name}: cannot assign in this way`);
+                const assigned = await operand();
+                this.kernel.setVariable(name, assigned);
+                return assigned;
+            }
+            case '?': {
+                if (isSet) return value;
+                const message = await operand();
+                throw new Error(`${name}: ${message || 'parameter null or not set'}`);
+            }
+        }
+        return value ?? '';
+    }
+
+    /**
+     * Looks up a parameter by name.
+     * @param {string} name - A variable name, a positional parameter number or a special parameter.
+     * @returns {string|undefined} The value, or undefined if it is not set.
+     */
+    lookup(name) {
+        const positional = this.executor.positional;
+        switch (name) {
+            case '?':
+                return String(this.kernel.lastExitStatus);
+            case '#':
+                return String(positional.length);
+            case '@':
+            case '*':
+                return positional.join(' ');
+            case '$':
+                return '1'; // The shell is the only process with an id.
+            case '!':
+                return this.kernel.jobs.lastPid?.toString();
+            case '0':
+                return this.executor.scriptName;
+        }
+        if (/^[0-9]+$/.test(name)) return positional[parseInt(name, 10) - 1];
+        return this.kernel.getVariable(name);
+    }
+
+    /**
+     * Creates an expansion context whose substitutions report errors to `stderr`.
+     * @param {object} [stderr] - Where substituted commands write their errors.
+     * @returns {{stderr: object, status: number|null}}
+     */
+    createContext(stderr = this.kernel.stderr) {
+        return { stderr, status: null };
+    }
+}
+
+/**
+ * Expands braces in a word's parts, e.g. 'file.{js,md}' and '{1..3}'. Only
+ * unquoted braces count, so the parts are first broken into single unquoted
+ * characters and other (quoted or expanded) parts.
+ * @param {object[]} parts - The word's parts.
+ * @returns {object[][]} The parts of each resulting word.
+ */
+function expandBraces(parts) {
+    const tokens = [];
+    for (const part of parts) {
+        if (part.type === 'literal' && !part.quoted) tokens.push(...part.value);
+        else tokens.push(part);
+    }
+    if (!tokens.includes('{')) return [parts];
+
+    return braceAlternatives(tokens).map(alternative => {
+        const result = [];
+        for (const token of alternative) {
+            const last = result[result.length - 1];
+            if (typeof token !== 'string') result.push(token);
+            else if (last?.type === 'literal' && !last.quoted) last.value += token;
+            else result.push({ type: 'literal', value: token, quoted: false });
+        }
+        return result;
+    });
+}
+
+/**
+ * Expands the first valid '{...}' in a token list, and recursively the rest.
+ * A brace pair without a top-level ',' or a '..' range is left alone.
+ */
+function braceAlternatives(tokens) {
+    for (let open = tokens.indexOf('{'); open !== -1; open = tokens.indexOf('{', open + 1)) {
+        let depth = 0;
+        let close = -1;
+        const commas = [];
+        for (let i = open; i < tokens.length && close === -1; i++) {
+            if (tokens[i] === '{') depth++;
+            else if (tokens[i] === '}' && --depth === 0) close = i;
+            else if (tokens[i] === ',' && depth === 1) commas.push(i);
+        }
+        if (close === -1) break;
+
+        let alternatives;
+        if (commas.length) {
+            const bounds = [open, ...commas, close];
+            alternatives = bounds.slice(1).map((end, i) => tokens.slice(bounds[i] + 1, end));
+        } else {
+            const inner = tokens.slice(open + 1, close);
+            const range = inner.every(token => typeof token === 'string') && braceRange(inner.join(''));
+            if (!range) continue;
+            alternatives = range.map(item => [...item]);
+        }
+        const prefix = tokens.slice(0, open);
+        const suffix = tokens.slice(close + 1);
+        return alternatives.flatMap(alternative => braceAlternatives([...prefix, ...alternative, ...suffix]));
+    }
+    return [tokens];
+}
+
+/**
+ * Expands a '{1..5}' or '{a..e}' range, or returns null if the text is not one.
+ */
+function braceRange(text) {
+    const numeric = text.match(/^(-?\d+)\.\.(-?\d+)$/);
+    const alphabetic = text.match(/^([A-Za-z])\.\.([A-Za-z])$/);
+    if (!numeric && !alphabetic) return null;
+    const [from, to] = numeric ? [Number(numeric[1]), Number(numeric[2])]
+        : [alphabetic[1].charCodeAt(0), alphabetic[2].charCodeAt(0)];
+    const step = from <= to ? 1 : -1;
+    const items = [];
+    for (let n = from; n !== to + step; n += step) items.push(numeric ? String(n) : String.fromCharCode(n));
+    return items;
+}
+
+/**
+ * Returns the index of the backquote closing a substitution that starts at `start`.
+ */
+function findBackquote(text, start) {
+    for (let i = start; i < text.length; i++) {
+        if (text[i] === '\\') i++;
+        else if (text[i] === '`') return i;
+    }
+    throw new Error('unexpected EOF while looking for matching ``\'');
+}
+
+/**
+ * Returns the index of the ')' closing a '$(' whose contents start at `start`,
+ * skipping over quoted text and nested parentheses.
+ */
+function findClosingParen(text, start) {
+    let depth = 0;
+    let quote = null;
+    for (let i = start; i < text.length; i++) {
+        const ch = text[i];
+        if (quote) {
+            if (ch === '\\' && quote === '"') i++;
+            else if (ch === quote) quote = null;
+        } else if (ch === '\\') {
+            i++;
+        } else if (ch === "'" || ch === '"') {
+            quote = ch;
+        } else if (ch === '(') {
+            depth++;
+        } else if (ch === ')') {
+            if (depth === 0) return i;
+            depth--;
+        }
+    }
+    throw new Error("unexpected EOF while looking for matching `)'");
+}
@@ -0,0 +1,188 @@
+// -----------------------------------------------------------------------------
+// file: sys/engine/JobTable.js
+// -----------------------------------------------------------------------------
+import { ControlSignal } from './signals.js';
+
+/**
+ * The signals 'kill' can send. A job stopped by one exits with status 128 + its number.
+ */
+export const SIGNALS = {
+    HUP: { number: 1, description: 'Hangup' },
+    INT: { number: 2, description: 'Interrupt' },
+    QUIT: { number: 3, description: 'Quit' },
+    KILL: { number: 9, description: 'Killed' },
+    TERM: { number: 15, description: 'Terminated' },
+};
+
+/**
+ * Keeps track of the commands started in the background with '&'.
+ *
+ * Each job runs with its own stdout and stderr, which hold the job's output until it
+ * is brought to the foreground ('fg'), waited for ('wait'), or reported as finished at
+ * the next prompt. Jobs are stopped cooperatively: 'kill' aborts the job's AbortSignal,
+ * which the executor checks before each command and long-running commands (e.g.
+ * 'sleep') listen to.
+ */
+export default class JobTable {
+    constructor(kernel) {
+        this.kernel = kernel;
+        this.jobs = [];
+        this.nextPid = 1000;
+        this.lastPid = undefined; // $!, the process ID of the last background job.
+    }
+
+    /**
+     * Starts a node in the background. It runs in a subshell, so what it changes,
+     * such as the working directory or a variable, does not reach the shell that started it.
+     * @param {object} node - The AST node, with the `source` text the parser attached.
+     * @param {Kernel} [shell] - The shell starting the job, if it is a subshell of the kernel.
+     * @returns {object} The new job.
+     */
+    start(node, shell = this.kernel) {
+        // Numbers follow the newest job's, so they start over at 1 once all jobs are gone.
+        const id = this.jobs.length ? this.jobs[this.jobs.length - 1].id + 1 : 1;
+        const controller = new AbortController();
+        const output = new JobOutput();
+        const job = {
+            id,
+            pid: this.nextPid++,
+            command: node.source ?? '',
+            status: null,   // The exit status, once the job has finished.
+            signal: null,   // The name of the signal that stopped it, if any.
+            controller,
+            output,
+        };
+        const io = { stdin: null, stdout: output.stream(1), stderr: output.stream(2), signal: controller.signal };
+
+        const { executor } = shell.subshell();
+        job.promise = executor.executeNode({ ...node, background: false }, io)
+            .catch(async (e) => {
+                if (e instanceof ControlSignal) return e.type === 'exit' ? e.value : 0;
+                await io.stderr.write(`-qrx: ${e.message}\n`);
+                return 1;
+            })
+            .then((status) => {
+                job.status = job.signal ? 128 + SIGNALS[job.signal].number : status;
+                return job.status;
+            });
+
+        this.jobs.push(job);
+        this.lastPid = job.pid;
+        return job;
+    }
+
+    /**
+     * Finds a job by job spec ('%1', '%%', '%+', '%-', '%name', '%?text') or process ID.
+     * @param {string} [spec] - The job spec. Without one, the current job is returned.
+     * @returns {object|null} The job, or null if there is no such job.
+     */
+    find(spec = '%%') {
+        if (/^\d+$/.test(spec)) return this.jobs.find(job => job.pid === Number(spec)) ?? null;
+        if (!spec.startsWith('%')) return null;
+
+        const key = spec.slice(1);
+        const last = this.jobs.length - 1;
+        if (key === '' || key === '%' || key === '+') return this.jobs[last] ?? null;
+        if (key === '-') return this.jobs[last - 1] ?? this.jobs[last] ?? null;
+        if (/^\d+$/.test(key)) return this.jobs.find(job => job.id === Number(key)) ?? null;
+        if (key.startsWith('?')) return this.jobs.find(job => job.command.includes(key.slice(1))) ?? null;
+        return this.jobs.find(job => job.command.startsWith(key)) ?? null;
+    }
+
+    /**
+     * Removes a job from the table, e.g. once it has been waited for.
+     */
+    remove(job) {
+        this.jobs = this.jobs.filter(other => other !== job);
+    }
+
+    /**
+     * Sends a signal to a job.
+     * @param {object} job - The job.
+     * @param {string} [signal='TERM'] - The signal name, a key of SIGNALS.
+     */
+    kill(job, signal = 'TERM') {
+        if (job.status !== null) return;
+        job.signal = signal;
+        job.controller.abort(128 + SIGNALS[signal].number);
+    }
+
+    /**
+     * Formats a job the way 'jobs' lists it, e.g. '[1]+  Running    sleep 10 &'.
+     * @param {object} job - The job.
+     * @param {boolean} [withPid=false] - Also show the process ID.
+     * @returns {string} The line, without a newline.
+     */
+    format(job, withPid = false) {
+        const index = this.jobs.indexOf(job);
+        const marker = index === this.jobs.length - 1 ? '+' : index === this.jobs.length - 2 ? '-' : ' ';
+        const pid = withPid ? `${job.pid} ` : '';
+        const command = job.status === null ? `${job.command} &` : job.command;
+        return `[${job.id}]${marker}  ${pid}${describe(job).padEnd(24)}${command}`;
+    }
+
+    /**
+     * Writes the output of finished jobs to the terminal, each followed by a
+     * '[N]+  Done' line, and forgets them. Called before each prompt.
+     */
+    async notify() {
+        for (const job of this.jobs.filter(job => job.status !== null)) {
+            await job.output.release({ 1: this.kernel.stdout, 2: this.kernel.stderr });
+            this.kernel.write(`${this.format(job)}\n`);
+            this.remove(job);
+        }
+    }
+}
+
+/**
+ * Describes a job's state: 'Running', 'Done', 'Exit 2' or the signal that stopped it.
+ */
+function describe(job) {
+    if (job.status === null) return 'Running';
+    if (job.signal) return SIGNALS[job.signal].description;
+    return job.status === 0 ? 'Done' : `Exit ${job.status}`;
+}
+
+/**
+ * Holds a background job's stdout and stderr, in the order they were written,
+ * until `release` passes them on. From then on output goes straight through.
+ */
+class JobOutput {
+    constructor() {
+        this.held = [];
+        this.targets = null;
+    }
+
+    /**
+     * Returns a writable for one of the job's streams (1 for stdout, 2 for stderr).
+     */
+    stream(fd) {
+        return {
+            write: (chunk) => {
+                if (this.targets) return this.targets[fd].write(chunk);
+                this.held.push([fd, String(chunk)]);
+            },
+            close() {},
+        };
+    }
+
+    /**
+     * Writes out the held output and connects the streams to new targets.
+     * @param {object} targets - The writables for fd 1 and 2.
+     */
+    async release(targets) {
+        // Output written while the held chunks are flushed is queued behind them.
+        while (this.held.length) {
+            const [fd, text] = this.held.shift();
+            await targets[fd].write(text);
+        }
+        this.targets = targets;
+    }
+
+    /**
+     * Holds the output again, e.g. once 'wait' stops waiting for the job.
+     */
+    hold() {
+        this.targets = null;
+    }
+}
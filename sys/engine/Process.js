@@ -0,0 +1,108 @@
+// -----------------------------------------------------------------------------
+// file: sys/engine/Process.js
+// -----------------------------------------------------------------------------
+import { BrokenPipe } from './signals.js';
+
+/**
+ * A single running command and the streams it is connected to.
+ *
+ * Command modules come in two flavours:
+ *   - Stream-based: `exec(proc)` reads `proc.stdin` (a Pipe, or null when
+ *     nothing is piped in) and writes to `proc.stdout` as it goes, so both
+ *     sides of a pipeline run at the same time.
+ *   - Legacy: `run(shell, args, stdin)` receives stdin as one string and
+ *     prints through `shell.write`/`shell.writeln` (and reports errors
+ *     through `shell.ewrite`/`shell.ewriteln`). These are run through
+ *     `legacyAdapter`, which gives them a per-process view of the kernel.
+ */
+export default class Process {
+    /**
+     * @param {Kernel} kernel - The kernel the process runs on.
+     * @param {object} options
+     * @param {string} options.name - The command name.
+     * @param {string[]} options.args - The expanded arguments.
+     * @param {Pipe|null} options.stdin - Piped input, or null.
+     * @param {object} options.stdout - The writable for standard output.
+     * @param {object} options.stderr - The writable for error output.
+     * @param {object} [options.env] - The environment, if it differs from the kernel's (e.g. 'FOO=bar cmd').
+     * @param {AbortSignal} [options.signal] - Aborted when the job the process belongs to is killed.
+     */
+    constructor(kernel, { name, args = [], stdin = null, stdout, stderr, env = kernel.env, signal = null }) {
+        this.kernel = kernel;
+        this.name = name;
+        this.args = args;
+        this.stdin = stdin;
+        this.stdout = stdout;
+        this.stderr = stderr;
+        this.env = env;
+        this.signal = signal;
+        // For a command that declares its options (see util/args.js), the parsed
+        // arguments; the executor fills them in before the command starts.
+        this.options = {};
+        this.operands = args;
+        // The last write through `shell`, and one that found the pipe's reader gone (see `writeTo`).
+        this.writing = null;
+        this.brokenPipe = null;
+        this.shell = createShellView(kernel, this);
+    }
+
+    /**
+     * Resolves a path against the kernel's current working directory.
+     * @param {string} path - The path to resolve.
+     * @returns {string} The absolute path.
+     */
+    resolvePath(path) {
+        return this.kernel.resolvePath(path);
+    }
+}
+
+/**
+ * Wraps a legacy `run(shell, args, stdin)` command so it can be started like
+ * a stream-based one. Its stdin is read to the end before it runs.
+ * @param {object} command - The legacy command module.
+ * @returns {function(Process): Promise<number|undefined>} An `exec`-style function.
+ */
+export function legacyAdapter(command) {
+    return async (proc) => {
+        const input = proc.stdin ? await proc.stdin.readAll() : null;
+        const status = await command.run(proc.shell, proc.args, input);
+        await proc.writing;
+        if (proc.brokenPipe) throw proc.brokenPipe;
+        return status;
+    };
+}
+
+/**
+ * Builds the `shell` object handed to legacy commands and builtins. Reads and
+ * writes go straight to the kernel (so `shell.cwd = ...` still works), except
+ * for output, which goes to this process's own stdout and stderr instead of the terminal.
+ * This keeps concurrently running processes from capturing each other's output.
+ * `env` is the process's own environment.
+ */
+function createShellView(kernel, proc) {
+    const overrides = {
+        write: (data) => writeTo(proc, proc.stdout, String(data)),
+        writeln: (data) => writeTo(proc, proc.stdout, `${data}\n`),
+        ewrite: (data) => writeTo(proc, proc.stderr, String(data)),
+        ewriteln: (data) => writeTo(proc, proc.stderr, `${data}\n`),
+        env: proc.env,
+    };
+    return new Proxy(kernel, {
+        get: (target, prop) => (prop in overrides ? overrides[prop] : Reflect.get(target, prop)),
+        set: (target, prop, value) => Reflect.set(target, prop, value),
+    });
+}
+
+/**
+ * Writes for a legacy command or a builtin, which do not wait for their writes.
+ * The command is held back when it returns until the last write is through, so
+ * a full pipe still slows it down; and a write to a pipe whose reader has gone
+ * is kept as `proc.brokenPipe` instead of failing unseen, and ends the command.
+ */
+function writeTo(proc, stream, data) {
+    proc.writing = Promise.resolve(stream.write(data)).catch((e) => {
+        if (!(e instanceof BrokenPipe)) throw e;
+        proc.brokenPipe = e;
+    });
+    return proc.writing;
+}
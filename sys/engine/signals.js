@@ -0,0 +1,44 @@
+// -----------------------------------------------------------------------------
+// file: sys/engine/signals.js
+// -----------------------------------------------------------------------------
+/**
+ * Thrown by 'break', 'continue' and 'return' to unwind the executor up to the
+ * loop or function call that handles it. It is not an error, so commands and the
+ * executor rethrow it instead of reporting it.
+ * MODIFIED: Also thrown by 'exit' and by 'set -e' on a failure, to end a script.
+ */
+export class ControlSignal extends Error {
+    /**
+     * @param {'break'|'continue'|'return'|'exit'} type - The kind of jump.
+     * @param {number} value - The number of loops to leave, or the status to return or exit with.
+     */
+    constructor(type, value) {
+        super(`unhandled ${type}`);
+        this.type = type;
+        this.value = value;
+    }
+}
+
+/**
+ * Thrown when Ctrl+C interrupts a command that waits for the terminal, such as
+ * 'rm -i' at its question (see `Kernel.readLine`). The executor ends the command
+ * with the status 130 (128 + SIGINT), as if it had been killed by the signal, and
+ * the rest of the command line is not run.
+ */
+export class Interrupt extends Error {
+    constructor() {
+        super('interrupted');
+    }
+}
+
+/**
+ * Thrown by a write to a pipe whose reader has gone, as in 'yes | head -n 1'
+ * (EPIPE). The writing side of the pipeline ends with the status 141
+ * (128 + SIGPIPE), as if it had been killed by the signal, and nothing is reported.
+ */
+export class BrokenPipe extends Error {
+    constructor() {
+        super('broken pipe');
+        this.code = 'EPIPE';
+    }
+}
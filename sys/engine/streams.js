@@ -0,0 +1,166 @@
+// -----------------------------------------------------------------------------
+// file: sys/engine/streams.js
+// -----------------------------------------------------------------------------
+import { BrokenPipe } from './signals.js';
+
+/**
+ * Stream primitives for the process model.
+ *
+ * A writable is any object with `write(chunk)` and `close()`. `write` may
+ * return a promise, which stream-aware commands should await so that a fast
+ * producer is held back until a slow consumer catches up.
+ *
+ * A readable is a `Pipe`: it can be read chunk by chunk with `read()`,
+ * iterated with `for await`, or drained in one go with `readAll()`.
+ */
+
+/**
+ * A one-way, in-memory text channel connecting two concurrently running
+ * processes, e.g. the two sides of `a | b`.
+ */
+export class Pipe {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.highWaterMark=65536] - Buffered characters above which writers must wait.
+     */
+    constructor({ highWaterMark = 64 * 1024 } = {}) {
+        this.highWaterMark = highWaterMark;
+        this.chunks = [];
+        this.size = 0;
+        this.ended = false;     // The writing side has closed the pipe.
+        this.destroyed = false; // The reading side has gone away.
+        this.pendingReads = [];
+        this.pendingWrites = [];
+    }
+
+    /**
+     * Creates an already-closed pipe holding the given text, e.g. for '< file'.
+     * @param {string} text - The full contents of the pipe.
+     * @returns {Pipe}
+     */
+    static from(text) {
+        const pipe = new Pipe({ highWaterMark: Infinity });
+        pipe.write(text);
+        pipe.close();
+        return pipe;
+    }
+
+    /**
+     * Queues a chunk for the reader.
+     * @param {string} chunk - The data to write.
+     * @returns {Promise<void>} Resolves once the pipe has room for more data.
+     * @throws {BrokenPipe} (As a rejection) if the reader has gone.
+     */
+    write(chunk) {
+        const data = String(chunk);
+        if (this.destroyed) return Promise.reject(new BrokenPipe());
+        if (this.ended || data === '') return Promise.resolve();
+
+        if (this.pendingReads.length) {
+            this.pendingReads.shift()(data);
+            return Promise.resolve();
+        }
+        this.chunks.push(data);
+        this.size += data.length;
+        if (this.size < this.highWaterMark) return Promise.resolve();
+        return new Promise((resolve, reject) => this.pendingWrites.push({ resolve, reject }));
+    }
+
+    /**
+     * Signals end-of-file to the reader once the buffered data is consumed.
+     */
+    close() {
+        this.ended = true;
+        while (this.pendingReads.length) this.pendingReads.shift()(null);
+    }
+
+    /**
+     * Called when the reader stops early (e.g. `head`). Buffered data is
+     * dropped, and writes, waiting or further ones, fail with BrokenPipe
+     * instead of blocking, so the writer learns it can stop.
+     */
+    destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
+        this.chunks = [];
+        this.size = 0;
+        while (this.pendingWrites.length) this.pendingWrites.shift().reject(new BrokenPipe());
+        this.close();
+    }
+
+    /**
+     * Reads the next chunk.
+     * @returns {Promise<string|null>} The next chunk, or null at end-of-file.
+     */
+    read() {
+        if (this.chunks.length) {
+            const chunk = this.chunks.shift();
+            this.size -= chunk.length;
+            if (this.size < this.highWaterMark) this.drain();
+            return Promise.resolve(chunk);
+        }
+        if (this.ended) return Promise.resolve(null);
+        return new Promise(resolve => this.pendingReads.push(resolve));
+    }
+
+    /**
+     * Reads everything until the writer closes the pipe.
+     * @returns {Promise<string>} The concatenated data.
+     */
+    async readAll() {
+        let data = '';
+        for await (const chunk of this) data += chunk;
+        return data;
+    }
+
+    async *[Symbol.asyncIterator]() {
+        let chunk;
+        while ((chunk = await this.read()) !== null) yield chunk;
+    }
+
+    drain() {
+        while (this.pendingWrites.length) this.pendingWrites.shift().resolve();
+    }
+}
+
+/**
+ * A writable that prints to the xterm.js terminal, translating '\n' to '\r\n'.
+ */
+export class TerminalStream {
+    constructor(kernel) {
+        this.kernel = kernel;
+    }
+
+    write(chunk) {
+        this.kernel.term.write(String(chunk).replace(/\n/g, '\r\n'));
+    }
+
+    close() {}
+}
+
+/**
+ * A writable that collects everything written to it, used for redirections.
+ */
+export class BufferStream {
+    constructor() {
+        this.chunks = [];
+    }
+
+    write(chunk) {
+        this.chunks.push(String(chunk));
+    }
+
+    close() {}
+
+    toString() {
+        return this.chunks.join('');
+    }
+}
+
+/**
+ * A writable that discards everything written to it.
+ */
+export class NullStream {
+    write() {}
+    close() {}
+}
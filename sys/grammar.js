@@ -10,133 +10,432 @@
  * MODIFIED: Added grammar rules for 'if' statements.
  * MODIFIED: Reordered logical_sequence to prioritize 'if_statement' to resolve parsing ambiguity.
  * MODIFIED: Introduced 'IDENTIFIER' rule to distinguish command names from reserved keywords.
+ * MODIFIED: Redirections are collected in a 'redirections' list and can name a file
+ * descriptor: '2>', '2>>', '2>&1', '>&2', '&>' and '&>>'.
+ * MODIFIED: Added input redirection ('<'), here-documents ('<<') and here-strings ('<<<').
+ * Here-document bodies are cut out of the input by the parser before it reaches this
+ * grammar, leaving '<<N' where N indexes the extracted body.
+ * MODIFIED: Newlines now separate commands like ';', so input can span several lines.
+ * MODIFIED: Words are parsed into parts ({type: 'word', parts}) instead of plain strings,
+ * recognising '$name', '${...}' expansions and backslash escapes. Expansion itself happens
+ * in the executor. A backslash before a newline continues the line.
+ * MODIFIED: Added command substitution, '$(...)' and '`...`'. The commands inside '$(...)'
+ * are parsed here; backquoted text is kept as source and parsed when it runs, since
+ * nested backquotes have to be escaped.
+ * MODIFIED: Added compound commands: 'if' with 'elif', 'for', 'while', 'until', 'case',
+ * '{ ...; }' groups and function definitions. They sit at the 'command_group' level, so
+ * they can be redirected and piped like simple commands. Keywords are matched one
+ * character at a time, since the grammar works on characters rather than tokens.
+ * MODIFIED: '&' separates commands like ';' ('a & b'), and a background command
+ * records the span of its text.
+ * MODIFIED: Redirections of a simple command can come before its name and between its
+ * words ('2>/dev/null ls', 'echo a >f b'), not only after the last word.
  */
+
+// Words that start or end a compound command.
+const KEYWORDS = ['if', 'then', 'elif', 'else', 'fi', 'for', 'in', 'do', 'done',
+    'while', 'until', 'case', 'esac', 'function'];
+
+// Words that cannot be used as a command name.
+const RESERVED_WORDS = [...KEYWORDS, '{', '}'];
+
+/**
+ * Builds the rule 'kw_<word>' matching a keyword character by character.
+ */
+function keyword(word) {
+    return {"name": `kw_${word}`, "symbols": [...word].map(ch => ({"literal": ch})), "postprocess": () => word};
+}
+
+/**
+ * Creates a literal word part. Quoted parts are not subject to word splitting.
+ */
+function literal(value, quoted = false) {
+    return { type: 'literal', value, quoted };
+}
+
+/**
+ * Joins adjacent literal parts with the same quoting, so 'abc' is one part, not three.
+ */
+function mergeLiterals(parts) {
+    const merged = [];
+    for (const part of parts) {
+        const last = merged[merged.length - 1];
+        if (part.type === 'literal' && last?.type === 'literal' && last.quoted === part.quoted) {
+            merged[merged.length - 1] = literal(last.value + part.value, part.quoted);
+        } else {
+            merged.push(part);
+        }
+    }
+    return merged;
+}
+
+/**
+ * Returns the text of a word made only of unquoted characters, or null if any
+ * part of it is quoted or expanded. Used to recognise keywords and file descriptors.
+ */
+function literalText(word) {
+    if (!word || !word.parts.every(part => part.type === 'literal' && !part.quoted)) return null;
+    return word.parts.map(part => part.value).join('');
+}
+
+/**
+ * Builds the rules for `name`, a non-empty run of `piece`s whose parts are
+ * collected into one flat array. A '$name' reference is greedy: whatever follows
+ * it must not start with a name character (a `pieceNoName`), otherwise '$AB'
+ * could also be read as '$A' followed by 'B'. A '$' at the very end of the run
+ * is literal.
+ */
+function sequence(name, piece, pieceNoName) {
+    const endsWithVar = `${name}$var`;
+    const endsOther = `${name}$other`;
+    return [
+        {"name": endsOther, "symbols": [piece], "postprocess": (d) => d[0]},
+        {"name": endsOther, "symbols": [endsOther, piece], "postprocess": (d) => [...d[0], ...d[1]]},
+        {"name": endsOther, "symbols": [endsWithVar, pieceNoName], "postprocess": (d) => [...d[0], ...d[1]]},
+        {"name": endsWithVar, "symbols": ["simple_var"], "postprocess": (d) => [d[0]]},
+        {"name": endsWithVar, "symbols": [endsOther, "simple_var"], "postprocess": (d) => [...d[0], d[1]]},
+        {"name": endsWithVar, "symbols": [endsWithVar, "simple_var"], "postprocess": (d) => [...d[0], d[1]]},
+        {"name": name, "symbols": [endsOther], "postprocess": (d) => d[0]},
+        {"name": name, "symbols": [endsWithVar], "postprocess": (d) => d[0]},
+        {"name": name, "symbols": [endsOther, {"literal":"$"}], "postprocess": (d) => [...d[0], literal('$')]},
+        {"name": name, "symbols": [endsWithVar, {"literal":"$"}], "postprocess": (d) => [...d[0], literal('$')]},
+        {"name": name, "symbols": [{"literal":"$"}], "postprocess": () => [literal('$')]},
+    ];
+}
+
+// Redirections starting with '>' or '&' that begin a command. Right after a background
+// '&' they would read as '&>' or '&&' instead, so they need a blank there.
+const LEADING_REDIRECTIONS = new WeakSet();
+
+/**
+ * Returns the simple command a pipeline or list starts with, if it starts with one.
+ */
+function firstCommand(node) {
+    while (node.type === 'logical_and' || node.type === 'logical_or' || node.type === 'pipeline') {
+        node = node.type === 'pipeline' ? node.from : node.left;
+    }
+    return node.type === 'command' ? node : null;
+}
+
+/**
+ * Appends a redirection to a node's 'redirections' list.
+ */
+function withRedirection(node, redirection) {
+    return { ...node, redirections: [...(node.redirections || []), redirection] };
+}
+
 export default {
     Lexer: undefined,
     ParserRules: [
-    {"name": "main", "symbols": ["_", "command_list", "_"], "postprocess": (d) => d[1]},
+    {"name": "main", "symbols": ["_nl", "command_list", "_"], "postprocess": (d) => d[1]},
+    {"name": "main", "symbols": ["_nl", "command_list", "separator", "_"], "postprocess": (d) => d[1]}, // Allows a trailing separator.
 
     // MODIFIED: Replaced the old 'command_list' rules to remove ambiguity.
-    // A command list is now a series of command units separated by semicolons.
-    {"name": "command_list", "symbols": ["command_unit"], "postprocess": (d) => [d[0]]},
-    {"name": "command_list", "symbols": ["command_list", "_", {"literal":";"}, "_", "command_unit"], "postprocess": (d) => [...d[0], d[4]]},
-    {"name": "command_list", "symbols": ["command_list", "_", {"literal":";"}], "postprocess": (d) => d[0]}, // Allows a trailing semicolon.
+    // A command list is now a series of command units separated by semicolons or newlines.
+    {"name": "command_list", "symbols": ["command_units"], "postprocess": (d) => d[0]},
+    {"name": "command_list", "symbols": ["command_list", "separator", "_", "command_units"], "postprocess": (d) => [...d[0], ...d[3]]},
+    // '&' separates commands too: in 'a & b', 'a' runs in the background and 'b' does not.
+    {"name": "command_units", "symbols": ["command_unit"], "postprocess": (d) => [d[0]]},
+    {"name": "command_units", "symbols": ["background_job", "_", "command_units"], "postprocess":
+        (d, location, reject) => {
+            // In 'a &>f b' the '&' is part of '&>'. ('_' only yields null when it matched whitespace.)
+            if (d[1] !== null && LEADING_REDIRECTIONS.has(firstCommand(d[2][0])?.redirections?.[0])) return reject;
+            return [d[0], ...d[2]];
+        }
+    },
+
+    // A separator is a ';' or a newline, followed by any number of (blank) lines.
+    // Leading blanks belong to the separator and trailing ones to what follows it.
+    {"name": "separator", "symbols": ["_", {"literal":";"}]},
+    {"name": "separator", "symbols": ["_", {"literal":"\n"}]},
+    {"name": "separator", "symbols": ["separator", "_", {"literal":"\n"}]},
 
     // NEW: A 'command_unit' is a logical sequence that can be terminated by '&' to run in the background.
     // This isolates the '&' operator from '&&', fixing the parsing conflict.
     {"name": "command_unit", "symbols": ["logical_sequence"], "postprocess": (d) => d[0]},
-    {"name": "command_unit", "symbols": ["logical_sequence", "_", {"literal":"&"}], "postprocess": (d) => ({ ...d[0], background: true })},
+    {"name": "command_unit", "symbols": ["background_job"], "postprocess": (d) => d[0]},
+    // The span of its text is kept so that 'jobs' can show what a job is running.
+    {"name": "background_job", "symbols": ["logical_sequence", "_", "background_op"], "postprocess":
+        (d, location) => ({ ...d[0], background: true, span: [location, d[2]] })
+    },
+    {"name": "background_op", "symbols": [{"literal":"&"}], "postprocess": (d, location) => location},
 
 
-    // A logical_sequence handles '&&' and '||', and now 'if' statements.
-    // IMPORTANT: Placed 'if_statement' first to give it precedence over 'pipeline'
-    // when 'if' is encountered, resolving ambiguity with barewords.
-    {"name": "logical_sequence", "symbols": ["if_statement"], "postprocess": (d) => d[0]},
+    // A logical_sequence handles '&&' and '||'.
     {"name": "logical_sequence", "symbols": ["pipeline"], "postprocess": (d) => d[0]},
-    {"name": "logical_sequence", "symbols": ["logical_sequence", "__", {"literal":"&"}, {"literal":"&"}, "__", "pipeline"], "postprocess":
+    // A line may be broken after '&&', '||' and '|'.
+    {"name": "logical_sequence", "symbols": ["logical_sequence", "_", {"literal":"&"}, {"literal":"&"}, "_nl", "pipeline"], "postprocess":
         (d) => ({type: 'logical_and', left: d[0], right: d[5]})
     },
-    {"name": "logical_sequence", "symbols": ["logical_sequence", "__", {"literal":"|"}, {"literal":"|"}, "__", "pipeline"], "postprocess":
+    {"name": "logical_sequence", "symbols": ["logical_sequence", "_", {"literal":"|"}, {"literal":"|"}, "_nl", "pipeline"], "postprocess":
         (d) => ({type: 'logical_or', left: d[0], right: d[5]})
     },
 
     // A pipeline handles '|'.
     {"name": "pipeline", "symbols": ["command_group"], "postprocess": (d) => d[0]},
-    {"name": "pipeline", "symbols": ["pipeline", "_", {"literal":"|"}, "_", "command_group"], "postprocess": (d) => ({type: 'pipeline', from: d[0], to: d[4]})},
+    {"name": "pipeline", "symbols": ["pipeline", "_", {"literal":"|"}, "_nl", "command_group"], "postprocess": (d) => ({type: 'pipeline', from: d[0], to: d[4]})},
 
     // A command_group handles redirection and grouping with parentheses.
-    {"name": "command_group", "symbols": ["command"], "postprocess": (d) => d[0]},
+    // Simple commands take their redirections in 'simple_command', among their words.
+    {"name": "command_group", "symbols": ["simple_command"], "postprocess": (d) => d[0].command},
+    {"name": "command_group", "symbols": ["compound_command"], "postprocess": (d) => d[0]},
     {"name": "command_group", "symbols": ["command_group", "_", "redirect"], "postprocess":
-        (d) => ({...d[0], redirection: d[2]})
-    },
-    {"name": "command_group", "symbols": [{"literal":"("}, "_", "command_list", "_", {"literal":")"}], "postprocess": (d) => ({type: 'group', commands: d[2]})},
-
-    // A command is now an IDENTIFIER followed by optional arguments.
-    // This prevents keywords like 'if' from being parsed as command names.
-    {"name": "command", "symbols": ["IDENTIFIER"], "postprocess": (d) => ({type: 'command', name: d[0], args: []})},
-    {"name": "command", "symbols": ["IDENTIFIER", "__", "arg_list"], "postprocess": (d) => ({type: 'command', name: d[0], args: d[2]})},
-
-    {"name": "arg_list", "symbols": ["word"], "postprocess": (d) => [d[0]]},
-    {"name": "arg_list", "symbols": ["arg_list", "__", "word"], "postprocess": (d) => [...d[0], d[2]]},
-
-    // Redirection operators '>>' and '>'.
-    {"name": "redirect", "symbols": [{"literal":">"}, {"literal":">"}, "_", "word"], "postprocess": (d) => ({mode: 'append', file: d[3]})},
-    {"name": "redirect", "symbols": [{"literal":">"}, "_", "word"], "postprocess": (d) => ({mode: 'overwrite', file: d[2]})},
-
-    // NEW: if statement definition
-    // Structure: if CONDITION; then COMMAND_LIST; fi
-    {"name": "if_statement", "symbols": [
-        {"literal":"if"}, "__", "pipeline", // The condition can be a pipeline
-        "_", {"literal":";"}, "_", // Separator after condition
-        {"literal":"then"}, "__", "command_list", // The 'then' block is a command_list
-        "_", {"literal":";"}, "_", // Separator after then block
-        {"literal":"fi"}
-    ], "postprocess":
-        (d) => ({type: 'if_statement', condition: d[2], then_branch: d[8], else_branch: null})
-    },
-    // Structure: if CONDITION; then COMMAND_LIST; else COMMAND_LIST; fi
-    {"name": "if_statement", "symbols": [
-        {"literal":"if"}, "__", "pipeline", // The condition
-        "_", {"literal":";"}, "_",
-        {"literal":"then"}, "__", "command_list", // The 'then' branch
-        "_", {"literal":";"}, "_",
-        {"literal":"else"}, "__", "command_list", // The 'else' branch
-        "_", {"literal":";"}, "_",
-        {"literal":"fi"}
-    ], "postprocess":
-        (d) => ({type: 'if_statement', condition: d[2], then_branch: d[8], else_branch: d[14]})
-    },
-
-    // Word definitions. 'word' is still used for arguments.
-    {"name": "word", "symbols": ["string"], "postprocess": (d) => d[0]},
-    {"name": "word", "symbols": ["bareword"], "postprocess": (d) => d[0]}, // Bareword can be any sequence of bare_chars
-
-    // NEW: IDENTIFIER rule: a bareword that is explicitly NOT a reserved keyword.
-    // This is crucial for distinguishing command names from `if`, `then`, `else`, `fi`.
-    {"name": "IDENTIFIER", "symbols": ["bare_chars"], "postprocess": (d) => {
-        const value = d[0].join('');
-        const reservedKeywords = ['if', 'then', 'else', 'fi']; // List all keywords here
-        if (reservedKeywords.includes(value)) {
-            // Returning null in postprocess rejects this parse path for 'IDENTIFIER'
-            // if the matched string is a reserved keyword.
-            return null;
-        }
-        return value;
-    }},
-    {"name": "IDENTIFIER", "symbols": ["bare_char_leading_hyphen"], "postprocess": (d) => {
-        const value = d[0].join('');
-        const reservedKeywords = ['if', 'then', 'else', 'fi'];
-        if (reservedKeywords.includes(value)) {
-            return null;
+        (d, location, reject) => (d[0].type === 'command' ? reject : withRedirection(d[0], d[2]))
+    },
+    {"name": "command_group", "symbols": ["command_group", "__", "fd_redirect"], "postprocess":
+        (d, location, reject) => (d[0].type === 'command' ? reject : withRedirection(d[0], d[2]))
+    },
+    {"name": "command_group", "symbols": [{"literal":"("}, "_nl", "command_list", "_", {"literal":")"}], "postprocess": (d) => ({type: 'group', commands: d[2]})},
+    {"name": "command_group", "symbols": [{"literal":"("}, "_nl", "command_list", "separator", "_", {"literal":")"}], "postprocess": (d) => ({type: 'group', commands: d[2]})},
+
+    // A simple command is an IDENTIFIER followed by optional arguments, with redirections
+    // before, between or after them. Using IDENTIFIER keeps keywords like 'if' from being
+    // parsed as command names. While it is built, the last word written is kept beside it.
+    {"name": "simple_command", "symbols": ["IDENTIFIER"], "postprocess":
+        (d) => ({command: {type: 'command', name: d[0], args: []}, last: d[0]})
+    },
+    {"name": "simple_command", "symbols": ["redirect_prefix", "IDENTIFIER"], "postprocess":
+        (d) => ({command: {type: 'command', name: d[1], args: [], redirections: d[0]}, last: d[1]})
+    },
+    {"name": "simple_command", "symbols": ["simple_command", "__", "word"], "postprocess":
+        (d) => ({command: {...d[0].command, args: [...d[0].command.args, d[2]]}, last: d[2]})
+    },
+    {"name": "simple_command", "symbols": ["simple_command", "_", "redirect"], "postprocess":
+        (d, location, reject) => {
+            // In 'cmd 2>f' the '2' is a file descriptor, not an argument followed by '>f'.
+            // ('_' only yields null when it matched whitespace.)
+            if (d[1] !== null && d[2].fd !== '&' && /^\d+$/.test(literalText(d[0].last) ?? '')) return reject;
+            return {command: withRedirection(d[0].command, d[2]), last: d[2].file ?? null};
         }
-        return value;
+    },
+    // A redirection with an explicit file descriptor must be separated from the previous word.
+    {"name": "simple_command", "symbols": ["simple_command", "__", "fd_redirect"], "postprocess":
+        (d) => ({command: withRedirection(d[0].command, d[2]), last: d[2].file ?? null})
+    },
+    // Redirections before the command name, each followed by a blank.
+    {"name": "redirect_prefix", "symbols": ["redirect", "__"], "postprocess": (d) => {
+        if (d[0].fd === 1 || d[0].fd === '&') LEADING_REDIRECTIONS.add(d[0]);
+        return [d[0]];
     }},
+    {"name": "redirect_prefix", "symbols": ["fd_redirect", "__"], "postprocess": (d) => [d[0]]},
+    {"name": "redirect_prefix", "symbols": ["redirect_prefix", "redirect", "__"], "postprocess": (d) => [...d[0], d[1]]},
+    {"name": "redirect_prefix", "symbols": ["redirect_prefix", "fd_redirect", "__"], "postprocess": (d) => [...d[0], d[1]]},
+
+    // Redirection operators '>>' and '>' for stdout, '>&N' to duplicate stdout onto
+    // another descriptor, and '&>'/'&>>' to send both stdout and stderr to a file.
+    {"name": "redirect", "symbols": [{"literal":">"}, {"literal":">"}, "_", "word"], "postprocess": (d) => ({fd: 1, mode: 'append', file: d[3]})},
+    {"name": "redirect", "symbols": [{"literal":">"}, "_", "word"], "postprocess": (d) => ({fd: 1, mode: 'overwrite', file: d[2]})},
+    {"name": "redirect", "symbols": [{"literal":">"}, {"literal":"&"}, "fd"], "postprocess": (d) => ({fd: 1, mode: 'dup', target: d[2]})},
+    {"name": "redirect", "symbols": [{"literal":"&"}, {"literal":">"}, {"literal":">"}, "_", "word"], "postprocess": (d) => ({fd: '&', mode: 'append', file: d[4]})},
+    {"name": "redirect", "symbols": [{"literal":"&"}, {"literal":">"}, "_", "word"], "postprocess": (d) => ({fd: '&', mode: 'overwrite', file: d[3]})},
+
+    // Input redirection: '< file', here-documents ('<<N', see above) and here-strings ('<<< word').
+    {"name": "redirect", "symbols": [{"literal":"<"}, "_", "word"], "postprocess": (d) => ({fd: 0, mode: 'input', file: d[2]})},
+    {"name": "redirect", "symbols": [{"literal":"<"}, {"literal":"<"}, "heredoc_id"], "postprocess": (d) => ({fd: 0, mode: 'heredoc', id: d[2]})},
+    {"name": "redirect", "symbols": [{"literal":"<"}, {"literal":"<"}, {"literal":"<"}, "_", "word"], "postprocess": (d) => ({fd: 0, mode: 'herestring', word: d[4]})},
+    {"name": "heredoc_id", "symbols": [/[0-9]/], "postprocess": (d) => parseInt(d[0], 10)},
+    {"name": "heredoc_id", "symbols": ["heredoc_id", /[0-9]/], "postprocess": (d) => d[0] * 10 + parseInt(d[1], 10)},
+
+    // The same operators prefixed with a file descriptor, e.g. '2>', '2>>' and '2>&1'.
+    {"name": "fd_redirect", "symbols": ["fd", {"literal":">"}, {"literal":">"}, "_", "word"], "postprocess": (d) => ({fd: d[0], mode: 'append', file: d[4]})},
+    {"name": "fd_redirect", "symbols": ["fd", {"literal":">"}, "_", "word"], "postprocess": (d) => ({fd: d[0], mode: 'overwrite', file: d[3]})},
+    {"name": "fd_redirect", "symbols": ["fd", {"literal":">"}, {"literal":"&"}, "fd"], "postprocess": (d) => ({fd: d[0], mode: 'dup', target: d[3]})},
+    {"name": "fd_redirect", "symbols": ["fd", {"literal":"<"}, "_", "word"], "postprocess": (d) => ({fd: d[0], mode: 'input', file: d[3]})},
+    {"name": "fd", "symbols": [/[0-9]/], "postprocess": (d) => parseInt(d[0], 10)},
+
+    // Compound commands. Each body is a command list ending in a separator, so the
+    // keyword that closes it ('then', 'fi', 'done', '}', ...) starts a new command.
+    {"name": "compound_command", "symbols": ["if_clause"], "postprocess": (d) => d[0]},
+    {"name": "compound_command", "symbols": ["for_clause"], "postprocess": (d) => d[0]},
+    {"name": "compound_command", "symbols": ["loop_clause"], "postprocess": (d) => d[0]},
+    {"name": "compound_command", "symbols": ["case_clause"], "postprocess": (d) => d[0]},
+    {"name": "compound_command", "symbols": ["brace_group"], "postprocess": (d) => d[0]},
+    {"name": "compound_command", "symbols": ["function_def"], "postprocess": (d) => d[0]},
+    {"name": "body", "symbols": ["command_list", "separator", "_"], "postprocess": (d) => d[0]},
+    // A trailing '&' ends a command as well as ';' does, as in 'do sleep 1 & done'.
+    {"name": "body", "symbols": ["command_list", "_"], "postprocess":
+        (d, location, reject) => (d[0][d[0].length - 1].background ? d[0] : reject)
+    },
+
+    // if LIST; then LIST; [elif LIST; then LIST;]... [else LIST;] fi
+    {"name": "if_clause", "symbols": ["kw_if", "__nl", "body", "kw_then", "__nl", "body", "else_part", "kw_fi"], "postprocess":
+        (d) => ({type: 'if_statement', condition: d[2], then_branch: d[5], else_branch: d[6]})
+    },
+    {"name": "else_part", "symbols": [], "postprocess": () => null},
+    {"name": "else_part", "symbols": ["kw_else", "__nl", "body"], "postprocess": (d) => d[2]},
+    {"name": "else_part", "symbols": ["kw_elif", "__nl", "body", "kw_then", "__nl", "body", "else_part"], "postprocess":
+        (d) => [{type: 'if_statement', condition: d[2], then_branch: d[5], else_branch: d[6]}]
+    },
+
+    // for NAME [in WORDS]; do LIST; done. Without 'in' the loop runs over "$@".
+    {"name": "for_clause", "symbols": ["kw_for", "__", "var_name", "separator", "_", "kw_do", "__nl", "body", "kw_done"], "postprocess":
+        (d) => ({type: 'for', variable: d[2], words: null, body: d[7]})
+    },
+    {"name": "for_clause", "symbols": ["kw_for", "__", "var_name", "__", "kw_in", "for_words", "separator", "_", "kw_do", "__nl", "body", "kw_done"], "postprocess":
+        (d) => ({type: 'for', variable: d[2], words: d[5], body: d[10]})
+    },
+    {"name": "for_words", "symbols": [], "postprocess": () => []},
+    {"name": "for_words", "symbols": ["for_words", "__", "word"], "postprocess": (d) => [...d[0], d[2]]},
 
-    {"name": "string", "symbols": [{"literal":"'"}, "sq_chars", {"literal":"'"}], "postprocess": (d) => d[1].join('')},
-    {"name": "string", "symbols": [{"literal":"\""}, "dq_chars", {"literal":"\""}], "postprocess": (d) => d[1].join('')},
+    // while LIST; do LIST; done, and 'until', which loops while the condition fails.
+    {"name": "loop_clause", "symbols": ["kw_while", "__nl", "body", "kw_do", "__nl", "body", "kw_done"], "postprocess":
+        (d) => ({type: 'while', until: false, condition: d[2], body: d[5]})
+    },
+    {"name": "loop_clause", "symbols": ["kw_until", "__nl", "body", "kw_do", "__nl", "body", "kw_done"], "postprocess":
+        (d) => ({type: 'while', until: true, condition: d[2], body: d[5]})
+    },
+
+    // case WORD in [(]PATTERN[|PATTERN]...) LIST;; ... esac. The last ';;' is optional.
+    {"name": "case_clause", "symbols": ["kw_case", "__", "word", "__nl", "kw_in", "__nl", "case_items", "kw_esac"], "postprocess":
+        (d) => ({type: 'case', word: d[2], items: d[6]})
+    },
+    {"name": "case_clause", "symbols": ["kw_case", "__", "word", "__nl", "kw_in", "__nl", "kw_esac"], "postprocess":
+        (d) => ({type: 'case', word: d[2], items: []})
+    },
+    {"name": "case_items", "symbols": ["case_item"], "postprocess": (d) => [d[0]]},
+    {"name": "case_items", "symbols": ["case_last_item"], "postprocess": (d) => [d[0]]},
+    {"name": "case_items", "symbols": ["case_item", "case_items"], "postprocess": (d) => [d[0], ...d[1]]},
+    {"name": "case_item", "symbols": ["case_pattern", "_nl", {"literal":";"}, {"literal":";"}, "_nl"], "postprocess":
+        (d) => ({patterns: d[0], body: []})
+    },
+    {"name": "case_item", "symbols": ["case_pattern", "_nl", "command_list", "_", {"literal":";"}, {"literal":";"}, "_nl"], "postprocess":
+        (d) => ({patterns: d[0], body: d[2]})
+    },
+    {"name": "case_item", "symbols": ["case_pattern", "_nl", "command_list", "separator", "_", {"literal":";"}, {"literal":";"}, "_nl"], "postprocess":
+        (d) => ({patterns: d[0], body: d[2]})
+    },
+    {"name": "case_last_item", "symbols": ["case_pattern", "_nl", "body"], "postprocess": (d) => ({patterns: d[0], body: d[2]})},
+    {"name": "case_pattern", "symbols": ["case_pattern_list", "_", {"literal":")"}], "postprocess": (d) => d[0]},
+    {"name": "case_pattern", "symbols": [{"literal":"("}, "_", "case_pattern_list", "_", {"literal":")"}], "postprocess": (d) => d[2]},
+    {"name": "case_pattern_list", "symbols": ["word"], "postprocess": (d) => [d[0]]},
+    {"name": "case_pattern_list", "symbols": ["case_pattern_list", "_", {"literal":"|"}, "_", "word"], "postprocess": (d) => [...d[0], d[4]]},
+
+    // { LIST; } runs a list in the current shell, e.g. to redirect several commands at once.
+    {"name": "brace_group", "symbols": [{"literal":"{"}, "__nl", "body", {"literal":"}"}], "postprocess": (d) => ({type: 'group', commands: d[2]})},
+
+    // NAME() COMPOUND_COMMAND, or 'function NAME [()] COMPOUND_COMMAND'.
+    {"name": "function_def", "symbols": ["function_name", "_", {"literal":"("}, "_", {"literal":")"}, "_nl", "compound_command"], "postprocess":
+        (d) => ({type: 'function', name: d[0], body: d[6]})
+    },
+    {"name": "function_def", "symbols": ["kw_function", "__", "function_name", "_", {"literal":"("}, "_", {"literal":")"}, "_nl", "compound_command"], "postprocess":
+        (d) => ({type: 'function', name: d[2], body: d[8]})
+    },
+    {"name": "function_def", "symbols": ["kw_function", "__", "function_name", "__nl", "compound_command"], "postprocess":
+        (d) => ({type: 'function', name: d[2], body: d[4]})
+    },
+    {"name": "function_name", "symbols": [/[A-Za-z_]/], "postprocess": (d) => d[0]},
+    {"name": "function_name", "symbols": ["function_name", /[A-Za-z0-9_.\-]/], "postprocess": (d) => d[0] + d[1]},
+    ...KEYWORDS.map(keyword),
+
+    // Words. A word is a run of pieces (plain characters, escapes, quoted strings and
+    // '$' expansions) with no blanks in between, e.g. 'pre"$HOME"/x'. Its parts are
+    // kept apart so the executor knows which of them were quoted.
+    {"name": "word", "symbols": ["word_parts"], "postprocess": (d) => ({type: 'word', parts: mergeLiterals(d[0])})},
+    ...sequence('word_parts', 'word_piece', 'word_piece_nn'),
+    {"name": "word_piece", "symbols": ["word_piece_nn"], "postprocess": (d) => d[0]},
+    {"name": "word_piece", "symbols": [/[A-Za-z0-9_]/], "postprocess": (d) => [literal(d[0])]},
+    {"name": "word_piece_nn", "symbols": [/[^|&<>;()'"\s`$\\A-Za-z0-9_]/], "postprocess": (d) => [literal(d[0])]},
+    {"name": "word_piece_nn", "symbols": ["common_piece"], "postprocess": (d) => d[0]},
+    // A '$' followed by something that cannot start an expansion is an ordinary character.
+    {"name": "word_piece_nn", "symbols": [{"literal":"$"}, /[^A-Za-z0-9_{(?#@*$!\s|&;<>()'"`\\]/], "postprocess": (d) => [literal(d[0] + d[1])]},
+
+    // Pieces that can appear both in words and in '${name:-word}'.
+    {"name": "common_piece", "symbols": [{"literal":"\\"}, /[^\n]/], "postprocess": (d) => [literal(d[1], true)]},
+    {"name": "common_piece", "symbols": ["sq_string"], "postprocess": (d) => d[0]},
+    {"name": "common_piece", "symbols": ["dq_string"], "postprocess": (d) => d[0]},
+    {"name": "common_piece", "symbols": ["param"], "postprocess": (d) => [d[0]]},
+    {"name": "common_piece", "symbols": ["command_sub"], "postprocess": (d) => [d[0]]},
+
+    // Command substitution: '$(commands)' and '`commands`'.
+    {"name": "command_sub", "symbols": [{"literal":"$"}, {"literal":"("}, "_nl", {"literal":")"}], "postprocess": () => ({type: 'command_sub', commands: []})},
+    {"name": "command_sub", "symbols": [{"literal":"$"}, {"literal":"("}, "_nl", "command_list", "_", {"literal":")"}], "postprocess":
+        (d) => ({type: 'command_sub', commands: d[3]})
+    },
+    {"name": "command_sub", "symbols": [{"literal":"$"}, {"literal":"("}, "_nl", "command_list", "separator", "_", {"literal":")"}], "postprocess":
+        (d) => ({type: 'command_sub', commands: d[3]})
+    },
+    {"name": "command_sub", "symbols": [{"literal":"`"}, "bq_chars", {"literal":"`"}], "postprocess": (d) => ({type: 'command_sub', source: d[1].join('')})},
+    {"name": "bq_chars", "symbols": [], "postprocess": () => []},
+    {"name": "bq_chars", "symbols": ["bq_chars", "bq_char"], "postprocess": (d) => [...d[0], d[1]]},
+    {"name": "bq_char", "symbols": [/[^`\\]/], "postprocess": (d) => d[0]},
+    // Within backquotes a backslash only escapes '`', '$' and '\', which allows nesting.
+    {"name": "bq_char", "symbols": [{"literal":"\\"}, /[`$\\]/], "postprocess": (d) => d[1]},
+    {"name": "bq_char", "symbols": [{"literal":"\\"}, /[^`$\\]/], "postprocess": (d) => d[0] + d[1]},
+
+    // NEW: IDENTIFIER rule: a word that is explicitly NOT a reserved keyword.
+    // This is crucial for distinguishing command names from `if`, `then`, `else`, `fi`.
+    {"name": "IDENTIFIER", "symbols": ["word"], "postprocess": (d, location, reject) =>
+        RESERVED_WORDS.includes(literalText(d[0])) ? reject : d[0]
+    },
+
+    // Single quotes keep everything literal; double quotes still expand '$'.
+    {"name": "sq_string", "symbols": [{"literal":"'"}, "sq_chars", {"literal":"'"}], "postprocess": (d) => [literal(d[1].join(''), true)]},
     {"name": "sq_chars", "symbols": [], "postprocess": () => []},
     {"name": "sq_chars", "symbols": ["sq_chars", "sq_char"], "postprocess": (d) => [...d[0], d[1]]},
     {"name": "sq_char", "symbols": [/[^']/], "postprocess": (d) => d[0]},
-    {"name": "dq_chars", "symbols": [], "postprocess": () => []},
-    {"name": "dq_chars", "symbols": ["dq_chars", "dq_char"], "postprocess": (d) => [...d[0], d[1]]},
-    {"name": "dq_char", "symbols": [/[^"]/], "postprocess": (d) => d[0]},
-
-    // 'bareword' rule, used for `word` (arguments). Does not reject keywords.
-    {"name": "bareword", "symbols": ["bare_chars"], "postprocess": (d) => d[0].join('')},
-    {"name": "bareword", "symbols": ["bare_char_leading_hyphen"], "postprocess": (d) => d[0].join('')},
-
+    {"name": "dq_string", "symbols": [{"literal":"\""}, {"literal":"\""}], "postprocess": () => [literal('', true)]},
+    {"name": "dq_string", "symbols": [{"literal":"\""}, "dq_parts", {"literal":"\""}], "postprocess":
+        (d) => d[1].length ? d[1].map(part => ({ ...part, quoted: true })) : [literal('', true)]
+    },
+    ...sequence('dq_parts', 'dq_piece', 'dq_piece_nn'),
+    {"name": "dq_piece", "symbols": ["dq_piece_nn"], "postprocess": (d) => d[0]},
+    {"name": "dq_piece", "symbols": [/[A-Za-z0-9_]/], "postprocess": (d) => [literal(d[0])]},
+    {"name": "dq_piece_nn", "symbols": [/[^"\\$`A-Za-z0-9_]/], "postprocess": (d) => [literal(d[0])]},
+    {"name": "dq_piece_nn", "symbols": ["dq_common"], "postprocess": (d) => d[0]},
+    {"name": "dq_piece_nn", "symbols": [{"literal":"$"}, /[^A-Za-z0-9_{(?#@*$!"`\\]/], "postprocess": (d) => [literal(d[0] + d[1])]},
+    // Inside double quotes a backslash only escapes '$', '`', '"', '\' and newline.
+    {"name": "dq_common", "symbols": [{"literal":"\\"}, /[$`"\\]/], "postprocess": (d) => [literal(d[1])]},
+    {"name": "dq_common", "symbols": [{"literal":"\\"}, {"literal":"\n"}], "postprocess": () => []},
+    {"name": "dq_common", "symbols": [{"literal":"\\"}, /[^$`"\\\n]/], "postprocess": (d) => [literal(d[0] + d[1])]},
+    {"name": "dq_common", "symbols": ["param"], "postprocess": (d) => [d[0]]},
+    {"name": "dq_common", "symbols": ["command_sub"], "postprocess": (d) => [d[0]]},
 
-    {"name": "bare_chars", "symbols": ["bare_char"], "postprocess": (d) => [d[0]]},
-    {"name": "bare_chars", "symbols": ["bare_chars", "bare_char"], "postprocess": (d) => [...d[0], d[1]]},
-    {"name": "bare_char", "symbols": [/[^|&<>;()'"\s`]/], "postprocess": (d) => d[0]},
-    // A bareword starting with a hyphen (e.g., -r in rm -r)
-    {"name": "bare_char_leading_hyphen", "symbols": [{"literal":"-"}, "bare_chars"], "postprocess": (d) => [d[0], ...d[1]]},
+    // Parameter expansion: '$name', the special parameters ('$?', '$#', '$1', ...)
+    // and the braced forms '${name}', '${#name}' and '${name:-word}' (also '-', '=',
+    // '+' and '?', each with or without the ':').
+    {"name": "simple_var", "symbols": [{"literal":"$"}, "var_name"], "postprocess": (d) => ({type: 'param', name: d[1]})},
+    {"name": "param", "symbols": [{"literal":"$"}, /[?#@*$!0-9]/], "postprocess": (d) => ({type: 'param', name: d[1]})},
+    {"name": "param", "symbols": [{"literal":"$"}, {"literal":"{"}, "param_name", {"literal":"}"}], "postprocess": (d) => ({type: 'param', name: d[2]})},
+    {"name": "param", "symbols": [{"literal":"$"}, {"literal":"{"}, {"literal":"#"}, "param_name", {"literal":"}"}], "postprocess":
+        (d) => ({type: 'param', name: d[3], op: 'length'})
+    },
+    {"name": "param", "symbols": [{"literal":"$"}, {"literal":"{"}, "param_name", "param_op", {"literal":"}"}], "postprocess":
+        (d) => ({type: 'param', name: d[2], op: d[3], word: []})
+    },
+    {"name": "param", "symbols": [{"literal":"$"}, {"literal":"{"}, "param_name", "param_op", "brace_parts", {"literal":"}"}], "postprocess":
+        (d) => ({type: 'param', name: d[2], op: d[3], word: mergeLiterals(d[4])})
+    },
+    {"name": "param_op", "symbols": [/[-=+?]/], "postprocess": (d) => d[0]},
+    {"name": "param_op", "symbols": [{"literal":":"}, /[-=+?]/], "postprocess": (d) => d[0] + d[1]},
+    {"name": "param_name", "symbols": ["var_name"], "postprocess": (d) => d[0]},
+    {"name": "param_name", "symbols": ["digits"], "postprocess": (d) => d[0]},
+    {"name": "param_name", "symbols": [/[?#@*$!]/], "postprocess": (d) => d[0]},
+    {"name": "var_name", "symbols": [/[A-Za-z_]/], "postprocess": (d) => d[0]},
+    {"name": "var_name", "symbols": ["var_name", /[A-Za-z0-9_]/], "postprocess": (d) => d[0] + d[1]},
+    {"name": "digits", "symbols": [/[0-9]/], "postprocess": (d) => d[0]},
+    {"name": "digits", "symbols": ["digits", /[0-9]/], "postprocess": (d) => d[0] + d[1]},
 
+    // The word in '${name:-word}' may contain blanks and ends at the closing brace.
+    ...sequence('brace_parts', 'brace_piece', 'brace_piece_nn'),
+    {"name": "brace_piece", "symbols": ["brace_piece_nn"], "postprocess": (d) => d[0]},
+    {"name": "brace_piece", "symbols": [/[A-Za-z0-9_]/], "postprocess": (d) => [literal(d[0])]},
+    {"name": "brace_piece_nn", "symbols": [/[^}\\$'"`A-Za-z0-9_]/], "postprocess": (d) => [literal(d[0])]},
+    {"name": "brace_piece_nn", "symbols": ["common_piece"], "postprocess": (d) => d[0]},
+    {"name": "brace_piece_nn", "symbols": [{"literal":"$"}, /[^A-Za-z0-9_{(?#@*$!}'"`\\]/], "postprocess": (d) => [literal(d[0] + d[1])]},
 
-    // Whitespace definitions.
+    // Whitespace definitions. '_' and '__' are optional and required blanks within a
+    // line; '_nl' also spans newlines, where a command cannot end yet (e.g. after '|').
     {"name": "_", "symbols": []},
-    {"name": "_", "symbols": ["_", /[\s\t]/], "postprocess": () => null},
-    {"name": "__", "symbols": [/[\s\t]+/]}
+    {"name": "_", "symbols": ["_", "blank"], "postprocess": () => null},
+    {"name": "__", "symbols": ["blank"]},
+    {"name": "__", "symbols": ["__", "blank"]},
+    {"name": "blank", "symbols": [/[ \t\r]/]},
+    {"name": "blank", "symbols": [{"literal":"\\"}, {"literal":"\n"}]},
+    {"name": "_nl", "symbols": ["_"]},
+    {"name": "_nl", "symbols": ["_nl", {"literal":"\n"}, "_"]},
+    // '__nl' is at least one blank or newline, as after a keyword.
+    {"name": "__nl", "symbols": ["__"]},
+    {"name": "__nl", "symbols": ["_", {"literal":"\n"}, "_nl"]}
 ]
  , ParserStart: "main"
 }
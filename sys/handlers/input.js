@@ -1,4 +1,5 @@
 // sys/handlers/input.js
+import { reprintLine } from './lineEditor.js';
 
 /**
  * Acts as a dispatcher for key-specific handler modules.
@@ -20,31 +21,79 @@ export default class InputHandler {
     /**
      * The main entry point for processing a key event. It finds the appropriate
      * registered handler and delegates the event to it.
+     * MODIFIED: Handlers are looked up by a name that includes the modifier keys,
+     * e.g. 'Control_A', 'Alt_F' or 'Control_ArrowLeft'. A handler that needs every
+     * key for a while (such as the reverse search) sets itself as `shell.keyMode`.
+     * MODIFIED: The key mode also gets the keys while a command runs, which is how
+     * a command reads an answer from the terminal (see `Kernel.readLine`).
+     * MODIFIED: What a handler throws, or rejects with, is reported on the terminal.
      * @param {Kernel} shell - The main shell instance (context).
      * @param {object} keyEvent - The key event object from xterm.js.
      */
     handle(shell, { key, domEvent }) {
+        const name = keyName(domEvent);
+
         // --- Special Handling for Ctrl+C ---
-        if (domEvent.ctrlKey && domEvent.key === 'c') {
+        if (name === 'Control_C') {
             const handler = this.keyHandlers['Control_C'];
             if (handler && typeof handler.run === 'function') {
-                handler.run(shell);
+                runHandler(shell, name, handler);
             }
             return;
         }
 
+        // The mode decides whether the key is used up or handled as usual.
+        if (shell.keyMode && shell.keyMode.handle(shell, name, key)) {
+            return;
+        }
+
         if (shell.commandInProgress) {
             return;
         }
 
-        const handler = this.keyHandlers[domEvent.key];
+        const handler = this.keyHandlers[name];
         const isPrintable = !domEvent.altKey && !domEvent.ctrlKey && !domEvent.metaKey && domEvent.key.length === 1;
 
         if (handler && typeof handler.run === 'function') {
-            handler.run(shell);
+            runHandler(shell, name, handler);
         } else if (isPrintable && this.keyHandlers['Printable']) {
-            this.keyHandlers['Printable'].run(shell, key);
+            runHandler(shell, 'Printable', this.keyHandlers['Printable'], key);
         }
     }
 }
 
+/**
+ * Runs a key handler. An error it throws, at once or from the promise it
+ * returns, is written on the terminal, and the line being edited is printed
+ * again below it.
+ * @param {Kernel} shell - The shell instance.
+ * @param {string} name - The name of the key, for the message.
+ * @param {object} handler - The handler.
+ * @param {...*} args - What the handler gets after the shell.
+ */
+function runHandler(shell, name, handler, ...args) {
+    const report = (error) => {
+        shell.writeln(`\r\n\x1B[1;31mError in the ${name} key handler: ${error?.message ?? error}\x1B[0m`);
+        console.error(error);
+        if (!shell.commandInProgress) reprintLine(shell);
+    };
+    try {
+        Promise.resolve(handler.run(shell, ...args)).catch(report);
+    } catch (error) {
+        report(error);
+    }
+}
+
+/**
+ * Names a key press for handler lookup. Letters pressed with Ctrl or Alt are named
+ * by their key code, since e.g. Alt+B on a Mac produces '∫'.
+ */
+function keyName(domEvent) {
+    let name = domEvent.key;
+    if ((domEvent.ctrlKey || domEvent.altKey) && /^Key[A-Z]$/.test(domEvent.code ?? '')) {
+        name = domEvent.code.slice(3);
+    }
+    if (domEvent.altKey) name = `Alt_${name}`;
+    if (domEvent.ctrlKey) name = `Control_${name}`;
+    return name;
+}
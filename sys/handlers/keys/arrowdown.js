@@ -1,19 +1,17 @@
+// sys/handlers/keys/arrowdown.js
+import { recallHistory } from '../lineEditor.js';
+
 /**
- * Handles the 'ArrowUp' key press for command history.
+ * Handles the 'ArrowDown' key press (and Ctrl+N) for command history.
+ * MODIFIED: Implemented, and exported as an instance like the other handlers.
  */
-export default class ArrowUpKeyHandler {
+export default {
     /**
-     * Executes the logic for the ArrowUp key.
-     * @param {QRx} shell - The main shell instance.
+     * Replaces the line with the next command in the history, or with the line
+     * that was being typed before going back in the history.
+     * @param {Kernel} shell - The main shell instance.
      */
     run(shell) {
-        // TODO: Implement logic to navigate to the previous command in history.
-        // For example:
-        // if (shell.historyIndex > 0) {
-        //   shell.historyIndex--;
-        //   const previousCommand = shell.history[shell.historyIndex];
-        //   shell.commandBuffer = previousCommand;
-        //   shell.term.write('\x1b[2K\r' + shell.promptText + previousCommand);
-        // }
+        recallHistory(shell, 1);
     }
-}
+};
@@ -0,0 +1,15 @@
+// sys/handlers/keys/arrowleft.js
+import { moveTo } from '../lineEditor.js';
+
+/**
+ * Handles the 'ArrowLeft' key press (and Ctrl+B).
+ */
+export default {
+    /**
+     * Moves the cursor one character to the left.
+     * @param {Kernel} shell - The main shell instance.
+     */
+    run(shell) {
+        moveTo(shell, shell.cursor - 1);
+    }
+};
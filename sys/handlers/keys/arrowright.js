@@ -0,0 +1,15 @@
+// sys/handlers/keys/arrowright.js
+import { moveTo } from '../lineEditor.js';
+
+/**
+ * Handles the 'ArrowRight' key press (and Ctrl+F).
+ */
+export default {
+    /**
+     * Moves the cursor one character to the right.
+     * @param {Kernel} shell - The main shell instance.
+     */
+    run(shell) {
+        moveTo(shell, shell.cursor + 1);
+    }
+};
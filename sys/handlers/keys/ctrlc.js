@@ -1,4 +1,5 @@
 // sys/handlers/keys/ctrlc.js
+import { moveTo } from '../lineEditor.js';
 
 /**
  * Handles the 'Ctrl+C' key press to interrupt the current process.
@@ -9,6 +10,8 @@ export default {
      * @param {Kernel} shell - The main shell instance.
      */
     run(shell) {
+        // At the prompt, the '^C' goes after the whole line rather than over part of it.
+        if (!shell.commandInProgress) moveTo(shell, shell.commandBuffer.length);
         // Call the Kernel's method to cancel the current running process.
         shell.cancelCurrentProcess();
     }
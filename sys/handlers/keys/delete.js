@@ -0,0 +1,15 @@
+// sys/handlers/keys/delete.js
+import { deleteRange } from '../lineEditor.js';
+
+/**
+ * Handles the 'Delete' key press.
+ */
+export default {
+    /**
+     * Deletes the character under the cursor.
+     * @param {Kernel} shell - The main shell instance.
+     */
+    run(shell) {
+        deleteRange(shell, shell.cursor, shell.cursor + 1);
+    }
+};
@@ -0,0 +1,15 @@
+// sys/handlers/keys/end.js
+import { moveTo } from '../lineEditor.js';
+
+/**
+ * Handles the 'End' key press (and Ctrl+E).
+ */
+export default {
+    /**
+     * Moves the cursor to the end of the line.
+     * @param {Kernel} shell - The main shell instance.
+     */
+    run(shell) {
+        moveTo(shell, shell.commandBuffer.length);
+    }
+};
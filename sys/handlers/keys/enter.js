@@ -1,6 +1,17 @@
+import { moveTo } from '../lineEditor.js';
+import { expandHistory, joinLines } from '../../util/history.js';
+import { isIncomplete } from '../../parser.js';
+
 /**
  * Handles the 'Enter' key press.
  * This module exports a singleton object with a 'run' method.
+ * MODIFIED: Moves to the end of the line first, so the newline does not split it.
+ * MODIFIED: Expands history references ('!!', '!n', '!prefix', ...) and echoes the
+ * result, like bash. The history is saved through the kernel.
+ * MODIFIED: A line that leaves a command unfinished (an open quote, 'if' without
+ * 'fi', a trailing '|' or '\') is kept, and the continuation prompt asks for the
+ * next one. The whole command runs once it is complete, and goes into the history
+ * as one entry.
  */
 export default {
     /**
@@ -8,17 +19,36 @@ export default {
      * @param {QRx} shell - The main shell instance.
      */
     run(shell) {
+        moveTo(shell, shell.commandBuffer.length);
         // Write a newline to the terminal for visual feedback.
         shell.term.write('\r\n');
-        
-        // Only execute if the buffer is not just whitespace.
-        if (shell.commandBuffer.trim()) {
+
+        // Only execute if the buffer is not just whitespace. Inside an unfinished
+        // command a blank line still counts, e.g. in a quoted string.
+        if (shell.commandBuffer.trim() || shell.pendingLines.length) {
+            let line;
+            try {
+                line = expandHistory(shell.commandBuffer, shell.history);
+            } catch (e) {
+                shell.ewriteln(`-qrx: ${e.message}`);
+                shell.prompt();
+                return;
+            }
+            if (line !== shell.commandBuffer) shell.writeln(line);
+
+            const lines = [...shell.pendingLines, line];
+            const command = lines.join('\n');
+            if (isIncomplete(command)) {
+                shell.pendingLines = lines;
+                shell.continuePrompt();
+                return;
+            }
+
             // Add the completed command to the shell's history.
-            shell.history.push(shell.commandBuffer);
-            shell.historyIndex = shell.history.length;
-            
+            shell.addHistory(joinLines(lines));
+
             // Tell the shell kernel to execute the command.
-            shell.runCommand(shell.commandBuffer);
+            shell.runCommand(command);
         } else {
             // If the buffer is empty, just show a new prompt.
             shell.prompt();
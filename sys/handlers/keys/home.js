@@ -0,0 +1,15 @@
+// sys/handlers/keys/home.js
+import { moveTo } from '../lineEditor.js';
+
+/**
+ * Handles the 'Home' key press (and Ctrl+A).
+ */
+export default {
+    /**
+     * Moves the cursor to the start of the line.
+     * @param {Kernel} shell - The main shell instance.
+     */
+    run(shell) {
+        moveTo(shell, 0);
+    }
+};
@@ -9,8 +9,31 @@
 export default {
   "Enter": "./handlers/keys/enter.js",
   "Backspace": "./handlers/keys/backspace.js",
+  "Delete": "./handlers/keys/delete.js",
+  "Tab": "./handlers/keys/tab.js",
   "ArrowUp": "./handlers/keys/arrowup.js",
   "ArrowDown": "./handlers/keys/arrowdown.js",
+  "ArrowLeft": "./handlers/keys/arrowleft.js",
+  "ArrowRight": "./handlers/keys/arrowright.js",
+  "Home": "./handlers/keys/home.js",
+  "End": "./handlers/keys/end.js",
   "Printable": "./handlers/keys/printable.js",
-  "Control_C": "./handlers/keys/ctrlc.js"
+  "Control_C": "./handlers/keys/ctrlc.js",
+  // readline (Emacs-style) shortcuts
+  "Control_A": "./handlers/keys/home.js",
+  "Control_E": "./handlers/keys/end.js",
+  "Control_B": "./handlers/keys/arrowleft.js",
+  "Control_F": "./handlers/keys/arrowright.js",
+  "Control_P": "./handlers/keys/arrowup.js",
+  "Control_N": "./handlers/keys/arrowdown.js",
+  "Control_H": "./handlers/keys/backspace.js",
+  "Control_K": "./handlers/keys/killtoend.js",
+  "Control_U": "./handlers/keys/killtostart.js",
+  "Control_W": "./handlers/keys/killword.js",
+  "Control_Y": "./handlers/keys/yank.js",
+  "Control_R": "./handlers/keys/reversesearch.js",
+  "Alt_B": "./handlers/keys/wordleft.js",
+  "Alt_F": "./handlers/keys/wordright.js",
+  "Control_ArrowLeft": "./handlers/keys/wordleft.js",
+  "Control_ArrowRight": "./handlers/keys/wordright.js"
 };
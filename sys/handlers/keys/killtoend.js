@@ -0,0 +1,15 @@
+// sys/handlers/keys/killtoend.js
+import { kill } from '../lineEditor.js';
+
+/**
+ * Handles Ctrl+K.
+ */
+export default {
+    /**
+     * Cuts the text from the cursor to the end of the line.
+     * @param {Kernel} shell - The main shell instance.
+     */
+    run(shell) {
+        kill(shell, shell.cursor, shell.commandBuffer.length);
+    }
+};
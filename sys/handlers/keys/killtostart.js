@@ -0,0 +1,15 @@
+// sys/handlers/keys/killtostart.js
+import { kill } from '../lineEditor.js';
+
+/**
+ * Handles Ctrl+U.
+ */
+export default {
+    /**
+     * Cuts the text from the start of the line to the cursor.
+     * @param {Kernel} shell - The main shell instance.
+     */
+    run(shell) {
+        kill(shell, 0, shell.cursor);
+    }
+};
@@ -0,0 +1,16 @@
+// sys/handlers/keys/killword.js
+import { kill, previousWord } from '../lineEditor.js';
+
+/**
+ * Handles Ctrl+W.
+ */
+export default {
+    /**
+     * Cuts the word before the cursor. Unlike Alt+B, a word here runs up to the
+     * previous blank, so 'ls /usr/lib' loses '/usr/lib' in one go.
+     * @param {Kernel} shell - The main shell instance.
+     */
+    run(shell) {
+        kill(shell, previousWord(shell.commandBuffer, shell.cursor, /\S/), shell.cursor);
+    }
+};
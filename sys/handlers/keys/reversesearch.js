@@ -0,0 +1,86 @@
+// sys/handlers/keys/reversesearch.js
+import { redrawLine } from '../lineEditor.js';
+
+/**
+ * Handles Ctrl+R, the reverse incremental history search.
+ * While it runs, the prompt reads "(reverse-i-search)`text': " followed by the newest
+ * command containing the text typed so far. Ctrl+R again finds the next older match.
+ * Escape or Ctrl+G bring back the line as it was; any other key keeps the match and
+ * then does what it normally does, so Enter runs it and the arrow keys start editing it.
+ */
+export default {
+    /**
+     * Starts the search.
+     * @param {Kernel} shell - The main shell instance.
+     */
+    run(shell) {
+        shell.searchState = { query: '', index: shell.history.length, position: null, original: shell.commandBuffer, failed: false };
+        shell.keyMode = this;
+        this.show(shell);
+    },
+
+    /**
+     * Handles a key while the search runs.
+     * @param {Kernel} shell - The main shell instance.
+     * @param {string} name - The key name, e.g. 'Backspace' or 'Control_R'.
+     * @param {string} key - The character the key produces.
+     * @returns {boolean} True if the key was used up by the search.
+     */
+    handle(shell, name, key) {
+        const state = shell.searchState;
+        if (name === 'Control_R') {
+            this.find(shell, state.index - 1);
+        } else if (name === 'Backspace') {
+            state.query = state.query.slice(0, -1);
+            this.find(shell, shell.history.length - 1);
+        } else if (name === 'Escape' || name === 'Control_G') {
+            this.finish(shell, state.original, state.original.length);
+        } else if (name === key && key.length === 1) {
+            state.query += key;
+            this.find(shell, Math.min(state.index, shell.history.length - 1));
+        } else {
+            const text = shell.commandBuffer;
+            this.finish(shell, text, shell.cursor);
+            if (state.index < shell.history.length) shell.historyIndex = state.index;
+            return false;
+        }
+        return true;
+    },
+
+    /**
+     * Looks for the query in the history, from index `from` back to the oldest command.
+     * Without a match, the previous one stays on screen and the search is marked failed.
+     */
+    find(shell, from) {
+        const { history, searchState: state } = shell;
+        state.failed = false;
+        if (state.query === '') {
+            Object.assign(state, { index: history.length, position: null });
+            return this.show(shell);
+        }
+        for (let i = from; i >= 0; i--) {
+            const position = history[i].lastIndexOf(state.query);
+            if (position !== -1) {
+                Object.assign(state, { index: i, position });
+                return this.show(shell);
+            }
+        }
+        state.failed = true;
+        this.show(shell);
+    },
+
+    show(shell) {
+        const { history, searchState: state } = shell;
+        const text = state.index < history.length ? history[state.index] : state.original;
+        const prefix = `(${state.failed ? 'failed ' : ''}reverse-i-search)\`${state.query}': `;
+        redrawLine(shell, prefix, text, state.position ?? text.length);
+    },
+
+    /**
+     * Ends the search, putting the prompt back with the given line.
+     */
+    finish(shell, text, cursor) {
+        shell.keyMode = null;
+        redrawLine(shell, null, text, cursor);
+    },
+};
@@ -0,0 +1,72 @@
+// sys/handlers/keys/tab.js
+import { complete, commonPrefix, escapeWord } from '../../util/completion.js';
+import { deleteRange, insert, moveTo, reprintLine } from '../lineEditor.js';
+
+/**
+ * Handles the 'Tab' key press: completes the word before the cursor.
+ * A single match is filled in, followed by a space (or nothing, for a directory).
+ * Several matches are filled in as far as they agree; pressing Tab again lists them.
+ */
+export default {
+    /**
+     * @param {Kernel} shell - The main shell instance.
+     */
+    async run(shell) {
+        const { commandBuffer: line, cursor } = shell;
+        const previous = shell.completionState;
+        const repeated = previous?.line === line && previous?.cursor === cursor;
+        shell.completionState = null;
+
+        const { start, word, head, quote, candidates } = await complete(shell, line, cursor);
+        // Keys typed while the file system was being read win.
+        if (shell.commandBuffer !== line || shell.cursor !== cursor) return;
+
+        const fill = (text, suffix = '') => {
+            deleteRange(shell, start, cursor);
+            insert(shell, escapeWord(text.slice(head.length), quote) + suffix);
+        };
+
+        if (candidates.length === 0) {
+            shell.term.write('\x07');
+        } else if (candidates.length === 1) {
+            const [match] = candidates;
+            fill(match, match.endsWith('/') ? '' : `${quote ?? ''} `);
+        } else if (commonPrefix(candidates).length > word.length) {
+            fill(commonPrefix(candidates));
+        } else if (repeated) {
+            moveTo(shell, shell.commandBuffer.length);
+            shell.term.write(`\r\n${formatColumns(candidates.map(displayName), shell.term.cols || 80)}\r\n`);
+            shell.cursor = cursor;
+            reprintLine(shell);
+        } else {
+            shell.completionState = { line, cursor };
+            shell.term.write('\x07');
+        }
+    }
+};
+
+/**
+ * Shows a path candidate by its last component, as 'src/lib/' is listed as 'lib/'.
+ */
+function displayName(candidate) {
+    return candidate.replace(/^.*\/(?=[^/]+\/?$)/, '');
+}
+
+/**
+ * Lays out names in columns, filling each column top to bottom.
+ */
+function formatColumns(names, width) {
+    const columnWidth = Math.max(...names.map(name => name.length)) + 2;
+    const columns = Math.max(1, Math.floor(width / columnWidth));
+    const rows = Math.ceil(names.length / columns);
+    const lines = [];
+    for (let row = 0; row < rows; row++) {
+        let text = '';
+        for (let column = 0; column < columns; column++) {
+            const name = names[column * rows + row];
+            if (name !== undefined) text += name.padEnd(columnWidth);
+        }
+        lines.push(text.trimEnd());
+    }
+    return lines.join('\r\n');
+}
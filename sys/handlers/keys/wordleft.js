@@ -0,0 +1,15 @@
+// sys/handlers/keys/wordleft.js
+import { moveTo, previousWord } from '../lineEditor.js';
+
+/**
+ * Handles Alt+B and Ctrl+ArrowLeft.
+ */
+export default {
+    /**
+     * Moves the cursor back to the start of the current or previous word.
+     * @param {Kernel} shell - The main shell instance.
+     */
+    run(shell) {
+        moveTo(shell, previousWord(shell.commandBuffer, shell.cursor));
+    }
+};
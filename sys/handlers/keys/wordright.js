@@ -0,0 +1,15 @@
+// sys/handlers/keys/wordright.js
+import { moveTo, nextWord } from '../lineEditor.js';
+
+/**
+ * Handles Alt+F and Ctrl+ArrowRight.
+ */
+export default {
+    /**
+     * Moves the cursor forward to the end of the current or next word.
+     * @param {Kernel} shell - The main shell instance.
+     */
+    run(shell) {
+        moveTo(shell, nextWord(shell.commandBuffer, shell.cursor));
+    }
+};
@@ -0,0 +1,15 @@
+// sys/handlers/keys/yank.js
+import { insert } from '../lineEditor.js';
+
+/**
+ * Handles Ctrl+Y.
+ */
+export default {
+    /**
+     * Pastes the text last cut with Ctrl+K, Ctrl+U or Ctrl+W at the cursor.
+     * @param {Kernel} shell - The main shell instance.
+     */
+    run(shell) {
+        if (shell.killBuffer) insert(shell, shell.killBuffer);
+    }
+};
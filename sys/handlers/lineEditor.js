@@ -0,0 +1,185 @@
+// sys/handlers/lineEditor.js
+
+/**
+ * Editing primitives shared by the key handlers.
+ *
+ * The line being edited is `shell.commandBuffer`, with the cursor at index
+ * `shell.cursor`. The terminal shows it after a prefix, which is the prompt
+ * (`shell.promptText`) unless something else such as the reverse search has
+ * replaced it (`shell.linePrefix`), and may wrap it over several rows. Every
+ * change goes through these functions, which update the buffer and cursor and
+ * redraw only what changed, moving the terminal cursor with relative escape codes.
+ */
+
+const CSI = '\x1b[';
+
+/**
+ * Returns the number of columns a string takes up, ignoring escape codes.
+ * @param {string} text - The text, possibly containing ANSI escape codes.
+ * @returns {number}
+ */
+export function visibleLength(text) {
+    return text.replace(/\x1b\[[0-9;?]*[A-Za-z]/g, '').length;
+}
+
+/**
+ * Returns the screen row and column of a buffer index, relative to the row the
+ * prefix starts on.
+ */
+function position(shell, index) {
+    const cols = shell.term.cols || 80;
+    const offset = visibleLength(shell.linePrefix ?? shell.promptText ?? '') + index;
+    return { row: Math.floor(offset / cols), col: offset % cols };
+}
+
+/**
+ * Returns the escape codes that move the cursor from one position to another.
+ */
+function travel(from, to) {
+    let codes = '';
+    if (to.row < from.row) codes += `${CSI}${from.row - to.row}A`;
+    if (to.row > from.row) codes += `${CSI}${to.row - from.row}B`;
+    if (to.col < from.col) codes += `${CSI}${from.col - to.col}D`;
+    if (to.col > from.col) codes += `${CSI}${to.col - from.col}C`;
+    return codes;
+}
+
+/**
+ * Writes the buffer from index `from` onwards, clears whatever an older, longer
+ * line left behind, and puts the cursor at `cursor`.
+ */
+function render(shell, text, cursor, from) {
+    let codes = travel(position(shell, shell.cursor), position(shell, from)) + text.slice(from);
+    // A line that exactly fills its last row leaves the cursor on that row until
+    // the next character is written, so step onto the next row explicitly.
+    if (text.length > from && position(shell, text.length).col === 0) codes += ' \r';
+    if (text.length < shell.commandBuffer.length) codes += `${CSI}J`;
+    codes += travel(position(shell, text.length), position(shell, cursor));
+    shell.term.write(codes);
+    shell.commandBuffer = text;
+    shell.cursor = cursor;
+}
+
+/**
+ * Redraws the whole line with a different prefix, e.g. for the reverse search.
+ * @param {Kernel} shell - The shell instance.
+ * @param {string|null} prefix - The text shown before the line, or null for the prompt.
+ * @param {string} text - The new line.
+ * @param {number} [cursor] - The new cursor index. Defaults to the end of the line.
+ */
+export function redrawLine(shell, prefix, text, cursor = text.length) {
+    shell.term.write(`${travel(position(shell, shell.cursor), { row: 0, col: 0 })}\r${CSI}J${prefix ?? shell.promptText}`);
+    shell.linePrefix = prefix;
+    shell.cursor = 0;
+    render(shell, text, cursor, 0);
+}
+
+/**
+ * Prints the prefix and the line again on the row the terminal cursor is on,
+ * e.g. below a list of completions, and puts the cursor back at `shell.cursor`.
+ * @param {Kernel} shell - The shell instance.
+ */
+export function reprintLine(shell) {
+    const { commandBuffer: text, cursor } = shell;
+    shell.term.write(shell.linePrefix ?? shell.promptText);
+    shell.cursor = 0;
+    render(shell, text, cursor, 0);
+}
+
+/**
+ * Replaces the line being edited, keeping the prefix, and puts the cursor at the end.
+ * @param {Kernel} shell - The shell instance.
+ * @param {string} text - The new line.
+ */
+export function replaceLine(shell, text) {
+    render(shell, text, text.length, 0);
+}
+
+/**
+ * Inserts text at the cursor.
+ * @param {Kernel} shell - The shell instance.
+ * @param {string} text - The text to insert.
+ */
+export function insert(shell, text) {
+    const { commandBuffer: line, cursor } = shell;
+    render(shell, line.slice(0, cursor) + text + line.slice(cursor), cursor + text.length, cursor);
+}
+
+/**
+ * Deletes the characters between two indexes and leaves the cursor where they were.
+ * @param {Kernel} shell - The shell instance.
+ * @param {number} start - The first index to delete.
+ * @param {number} end - The index after the last one to delete.
+ * @returns {string} The deleted text.
+ */
+export function deleteRange(shell, start, end) {
+    const line = shell.commandBuffer;
+    start = Math.max(0, start);
+    end = Math.min(line.length, end);
+    if (start >= end) return '';
+    render(shell, line.slice(0, start) + line.slice(end), start, start);
+    return line.slice(start, end);
+}
+
+/**
+ * Deletes text like `deleteRange`, keeping it for Ctrl+Y to paste back.
+ * @param {Kernel} shell - The shell instance.
+ * @param {number} start - The first index to delete.
+ * @param {number} end - The index after the last one to delete.
+ */
+export function kill(shell, start, end) {
+    const text = deleteRange(shell, start, end);
+    if (text) shell.killBuffer = text;
+}
+
+/**
+ * Moves the cursor to a buffer index.
+ * @param {Kernel} shell - The shell instance.
+ * @param {number} index - The new cursor index; clamped to the line.
+ */
+export function moveTo(shell, index) {
+    const target = Math.max(0, Math.min(shell.commandBuffer.length, index));
+    shell.term.write(travel(position(shell, shell.cursor), position(shell, target)));
+    shell.cursor = target;
+}
+
+/**
+ * Finds the start of the word before an index. Words are runs of letters and digits.
+ * @param {string} line - The line.
+ * @param {number} index - Where to start looking.
+ * @param {RegExp} [wordChar] - What a word is made of.
+ * @returns {number}
+ */
+export function previousWord(line, index, wordChar = /[A-Za-z0-9]/) {
+    let i = index;
+    while (i > 0 && !wordChar.test(line[i - 1])) i--;
+    while (i > 0 && wordChar.test(line[i - 1])) i--;
+    return i;
+}
+
+/**
+ * Finds the end of the word after an index.
+ * @param {string} line - The line.
+ * @param {number} index - Where to start looking.
+ * @returns {number}
+ */
+export function nextWord(line, index) {
+    let i = index;
+    while (i < line.length && !/[A-Za-z0-9]/.test(line[i])) i++;
+    while (i < line.length && /[A-Za-z0-9]/.test(line[i])) i++;
+    return i;
+}
+
+/**
+ * Steps through the history: -1 for an older entry, +1 for a newer one. The line
+ * being typed is kept and comes back after the newest entry.
+ * @param {Kernel} shell - The shell instance.
+ * @param {number} step - The direction.
+ */
+export function recallHistory(shell, step) {
+    const index = shell.historyIndex + step;
+    if (index < 0 || index > shell.history.length) return;
+    if (shell.historyIndex === shell.history.length) shell.historyDraft = shell.commandBuffer;
+    shell.historyIndex = index;
+    replaceLine(shell, index === shell.history.length ? shell.historyDraft ?? '' : shell.history[index]);
+}
@@ -4,7 +4,22 @@
 import http from 'https://unpkg.com/isomorphic-git/http/web/index.js';
 import parse from './parser.js';
 import AstExecutor from './engine/AstExecutor.js';
+import JobTable from './engine/JobTable.js';
+import { TerminalStream } from './engine/streams.js';
+import { ControlSignal, Interrupt } from './engine/signals.js';
 import { resolvePath } from './util/path.js';
+import { renderPrompt, gitBranch, DEFAULT_PS1 } from './util/prompt.js';
+import { seedFiles, payloadChanges } from './util/payload.js';
+import { importFile, importModule } from './util/modules.js';
+import { readLock } from './util/packages.js';
+import { formatHelp } from './util/args.js';
+import { encodeHistory, decodeHistory } from './util/history.js';
+
+// The builtins of `handleBuiltins`, described the way command modules describe themselves.
+const BUILTINS = {
+    help: { description: 'show what the commands do and how to use them', usage: '[NAME]...' },
+    clear: { description: 'clear the terminal screen', usage: '' },
+};
 
 export default class Kernel {
     constructor(options = {}) {
@@ -14,7 +29,8 @@ export default class Kernel {
             repo: {
                 commands: '/sys/cmd/index.js',
                 inputHandler: '/sys/handlers/input.js',
-                keyHandlers: '/sys/handlers/keys/index.js'
+                keyHandlers: '/sys/handlers/keys/index.js',
+                manPages: '/sys/man/index.js'
             },
             gitConfig: { dir: '/', corsProxy: 'https://cors.isomorphic-git.org' }
         };
@@ -36,21 +52,29 @@ export default class Kernel {
         });
 
         this.executor = new AstExecutor(this);
+        this.jobs = new JobTable(this);
+        this.stdout = new TerminalStream(this);
+        this.stderr = new TerminalStream(this);
 
         this.write = this.write.bind(this);
         this.writeln = this.writeln.bind(this);
+        this.ewrite = this.ewrite.bind(this);
+        this.ewriteln = this.ewriteln.bind(this);
         this.resolvePath = (path) => resolvePath(path, this.cwd);
         
         this.term.open(this.config.container);
         this.term.focus();
 
-        this.cwd = '/'; this.env = {};
-        this.history = []; this.historyIndex = -1;
+        this.cwd = '/'; this.env = { HOME: '/home/user', USER: 'user', PATH: '/sys/cmd:/usr/bin' }; this.vars = { PS1: DEFAULT_PS1, PS2: '> ' }; this.functions = {};
+        this.aliases = { move: 'mv' }; // Defined with 'alias'; 'move' is the long name of 'mv'.
+        this.history = []; this.historyIndex = -1; this.pendingLines = [];
         this.commandBuffer = ''; this.commandInProgress = false;
+        this.cursor = 0; this.killBuffer = ''; this.keyMode = null;
         this.lastExitStatus = 0;
         this.commands = {}; this.inputHandler = null;
+        this.hashed = new Map(); // Commands loaded from the file system, by name (see `findCommand`).
         this.currentProcess = null;
-        this.jobId = 1;
+        this.foreground = null; // Aborts the command line running in the foreground (see `runCommand`).
 
         this.init().catch(err => {
             console.error("Initialization failed:", err);
@@ -60,17 +84,148 @@ export default class Kernel {
     }
 
     async init() {
-        await this.pfs.mkdir('/sys/cmd').catch(e => {});
+        // '/sys/cmd' is where $PATH finds the user's own commands.
+        for (const dir of ['/sys', '/sys/cmd']) await this.pfs.mkdir(dir).catch(e => {});
+        await this.installManPages();
         await this.loadModules();
+        // Keys are read from here on, so the startup can ask questions; the line
+        // editor gets them from the first prompt.
+        this.commandInProgress = true;
         this.term.onKey((keyEvent) => {
             if (this.inputHandler) {
                 this.inputHandler.handle(this, keyEvent);
             }
         });
+        // A boot payload (see boot.js) is only taken once the user agrees, before
+        // the startup files run, since it may bring its own.
+        const accepted = await this.acceptPayload();
+        await this.startup();
+        if (accepted && this.config.init) await this.runStartupScript(this.config.init, 'init');
         this.term.write(this.config.welcomeMessage);
+        await this.updateGitBranch();
         this.prompt();
     }
 
+    /**
+     * Installs the manual pages served with the page in '/usr/share/man', where
+     * 'man' reads them. '.shipped.json' there keeps a hash of each page as it
+     * was installed: a page that still matches it is replaced when the served
+     * one changes, while one the user has edited is left alone. A page that
+     * cannot be fetched is left as it is.
+     */
+    async installManPages() {
+        const dir = '/usr/share/man';
+        const recordPath = `${dir}/.shipped.json`;
+        for (const path of ['/usr', '/usr/share', dir]) await this.pfs.mkdir(path).catch(e => {});
+        let pages;
+        const manifestUrl = new URL(this.config.repo.manPages, import.meta.url);
+        try {
+            ({ default: pages } = await import(manifestUrl.href));
+        } catch (error) {
+            console.error(`Could not load the manual pages from ${this.config.repo.manPages}:`, error);
+            return;
+        }
+        let shipped;
+        try {
+            shipped = JSON.parse(await this.pfs.readFile(recordPath, 'utf8'));
+        } catch (e) {
+            shipped = {}; // Not installed yet, or by a version that kept no record.
+        }
+        const before = JSON.stringify(shipped);
+        await Promise.all(pages.map(async (name) => {
+            const path = `${dir}/${name}.md`;
+            let text;
+            try {
+                const response = await fetch(new URL(`${name}.md`, manifestUrl));
+                if (!response.ok) return;
+                text = await response.text();
+            } catch (error) {
+                console.error(`Could not install the manual page of ${name}:`, error);
+                return;
+            }
+            const hash = hashText(text);
+            const installed = await this.pfs.readFile(path, 'utf8').catch(() => null);
+            if (installed === null || (installed !== text && hashText(installed) === shipped[name])) {
+                await this.pfs.writeFile(path, text);
+            } else if (installed !== text) {
+                return; // Edited, or installed before the record was kept.
+            }
+            shipped[name] = hash;
+        }));
+        if (JSON.stringify(shipped) !== before) await this.pfs.writeFile(recordPath, JSON.stringify(shipped));
+    }
+
+    /**
+     * Prepares the user's session: creates the home directory, reads the saved
+     * history and runs the startup files, '/etc/qrxrc' and then '~/.qrxrc'. These
+     * are ordinary scripts, run in the shell itself, so they can set variables,
+     * aliases and the prompt.
+     */
+    async startup() {
+        const home = this.getVariable('HOME');
+        for (const dir of ['/home', home, '/etc']) await this.pfs.mkdir(dir).catch(e => {});
+        await this.loadHistory();
+
+        for (const path of ['/etc/qrxrc', `${home}/.qrxrc`]) {
+            let source;
+            try {
+                source = await this.pfs.readFile(path, 'utf8');
+            } catch (e) {
+                continue; // A missing startup file is not an error.
+            }
+            await this.runStartupScript(source, path);
+        }
+    }
+
+    /**
+     * Offers the files and the init script of a boot payload. A link can come
+     * from anyone, and its files may be commands, key handlers or startup files,
+     * so the user is shown what it would add, replace and run, and asked once;
+     * nothing is written before that. Modules the files replace are loaded again.
+     * @returns {Promise<boolean>} Whether the user agreed, and the files were written.
+     */
+    async acceptPayload() {
+        const { files = {}, init } = this.config;
+        const { added, replaced } = await payloadChanges(this.pfs, files);
+        if (!added.length && !replaced.length && !init) return false;
+
+        const list = paths => paths.map(path => `  ${path}\n`).join('');
+        if (added.length) this.write(`boot: the link adds these files:\n${list(added)}`);
+        if (replaced.length) this.write(`boot: the link replaces these files:\n${list(replaced)}`);
+        if (init) this.write(`boot: the link runs this script:\n${init.replace(/^/gm, '  ')}\n`);
+        if (!await this.ask('Go ahead? [y/N] ')) return false;
+
+        await seedFiles(this.pfs, files);
+        if (Object.keys(files).some(path => path.split('/').filter(Boolean)[0] === 'sys')) await this.loadModules();
+        return true;
+    }
+
+    /**
+     * Asks the user a yes/no question on the terminal.
+     * @param {string} question - The question.
+     * @returns {Promise<boolean>} True if the answer starts with 'y' or 'Y'; Ctrl+C is no.
+     */
+    async ask(question) {
+        this.write(question);
+        try {
+            return /^y/i.test(await this.readLine() ?? '');
+        } catch (error) {
+            if (error instanceof Interrupt) return false;
+            throw error;
+        }
+    }
+
+    /**
+     * Runs a startup script in the shell itself, reporting an error under its name.
+     */
+    async runStartupScript(source, name) {
+        try {
+            await this.executor.runScript(source, null, { stdin: null, stdout: this.stdout, stderr: this.stderr });
+        } catch (error) {
+            if (!(error instanceof ControlSignal)) this.ewriteln(`-qrx: ${name}: ${error.message}`);
+        }
+    }
+
     async loadModules() {
         this.writeln('Loading modules...');
         await this.loadInputHandler();
@@ -79,9 +234,13 @@ export default class Kernel {
         this.writeln('All modules loaded.');
     }
 
+    /**
+     * MODIFIED: The input and key handlers are loaded from the file system when
+     * it has them (see util/modules.js), and from the server otherwise.
+     */
     async loadInputHandler() {
         try {
-            const { default: InputHandler } = await import(this.config.repo.inputHandler);
+            const { default: InputHandler } = await importModule(this.pfs, new URL(this.config.repo.inputHandler, import.meta.url));
             this.inputHandler = new InputHandler();
         } catch (error) {
             this.writeln(`\x1B[1;31mFATAL: Could not load Input Handler from ${this.config.repo.inputHandler}\x1B[0m`);
@@ -89,22 +248,55 @@ export default class Kernel {
         }
     }
 
+    /**
+     * MODIFIED: Starts from no handlers, so it can be called again when the
+     * installed packages change; their handlers come last (see `loadPackageHandlers`).
+     */
     async loadKeyHandlers() {
         if (!this.inputHandler) return;
+        this.inputHandler.keyHandlers = {};
         try {
             const manifestPath = this.config.repo.keyHandlers;
-            const { default: keyManifest } = await import(manifestPath);
+            const { default: keyManifest } = await importModule(this.pfs, new URL(manifestPath, import.meta.url));
             for (const keyName in keyManifest) {
                 const handlerPath = keyManifest[keyName];
-                const handlerModule = await import(handlerPath);
+                const handlerModule = await importModule(this.pfs, new URL(handlerPath, import.meta.url));
                 this.inputHandler.register(keyName, handlerModule.default);
             }
         } catch (error) {
             this.writeln(`\x1B[1;31mFATAL: Could not load Key Handlers from ${this.config.repo.keyHandlers}\x1B[0m`);
             console.error(error);
         }
+        await this.loadPackageHandlers();
     }
 
+    /**
+     * Registers the key handlers of the packages installed with 'pkg', which
+     * take the place of the built-in ones for the same keys.
+     */
+    async loadPackageHandlers() {
+        let lock;
+        try {
+            lock = await readLock(this.pfs);
+        } catch (error) {
+            this.ewriteln(`pkg: cannot read the lockfile: ${error.message}`);
+            return;
+        }
+        for (const [name, { handlers = {} }] of Object.entries(lock.packages)) {
+            for (const [keyName, path] of Object.entries(handlers)) {
+                try {
+                    this.inputHandler.register(keyName, (await importFile(this.pfs, path)).default);
+                } catch (error) {
+                    this.ewriteln(`pkg: ${name}: cannot load the handler for ${keyName}: ${error.message}`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Loads the commands served with the page. Commands in the file system, in the
+     * directories of $PATH, take precedence over these (see `findCommand`).
+     */
     async loadCommandManifest() {
         try {
             const { default: commandRegistry } = await import(this.config.repo.commands);
@@ -115,19 +307,116 @@ export default class Kernel {
         }
     }
     
+    /**
+     * Shows the prompt and starts editing a new line.
+     * MODIFIED: Resets the line editor's state: the cursor, the position in the
+     * history, and any mode (such as the reverse search) that had taken over the keys.
+     * MODIFIED: The prompt is rendered from $PS1 (see util/prompt.js). Only its last
+     * line is kept as `promptText`, since that is the line the command is typed on.
+     * MODIFIED: Drops any lines collected for an unfinished command.
+     */
     prompt() {
+        this.pendingLines = [];
+        this.showPrompt(this.getVariable('PS1') ?? '', '\r\n');
+    }
+
+    /**
+     * Shows the continuation prompt ($PS2) for the next line of an unfinished
+     * command, such as an 'if' without its 'fi'. The lines so far are in `pendingLines`.
+     */
+    continuePrompt() {
+        // The Enter key has already moved to a new line.
+        this.showPrompt(this.getVariable('PS2') ?? '', '');
+    }
+
+    /**
+     * Renders a prompt string and starts editing a new line after it.
+     * @param {string} ps - The prompt string, with escapes like '\w'.
+     * @param {string} before - What to write before the prompt, e.g. a line break.
+     */
+    showPrompt(ps, before) {
         this.commandBuffer = '';
+        this.cursor = 0;
+        this.historyIndex = this.history.length;
+        this.keyMode = null;
+        this.linePrefix = null;
         this.commandInProgress = false;
+        const lines = renderPrompt(this, ps).split('\n');
+        this.promptText = lines.pop();
         this.term.focus();
-        this.term.write(`\r\n\x1B[1;32muser@host\x1B[0m:\x1B[1;34m${this.cwd}\x1B[0m$ `);
+        this.term.write(`${before}${lines.map(line => `${line}\r\n`).join('')}${this.promptText}`);
+    }
+
+    /**
+     * Looks up the git branch for the prompt's '\g', if $PS1 or $PS2 shows it.
+     */
+    async updateGitBranch() {
+        const shown = `${this.getVariable('PS1') ?? ''}${this.getVariable('PS2') ?? ''}`.includes('\\g');
+        this.gitBranch = shown ? await gitBranch(this) : '';
+    }
+
+    /**
+     * Reads a line typed at the terminal while a command runs, such as the answer
+     * to 'rm -i'. The keys are echoed and Backspace deletes; Enter ends the line.
+     * Ctrl+D on an empty line ends it without an answer, and Ctrl+C interrupts
+     * the command that is reading.
+     * @returns {Promise<string|null>} The line, or null if none was given.
+     * @throws {Interrupt} If Ctrl+C is pressed; the executor ends the command with 130.
+     */
+    readLine() {
+        return new Promise((resolve, reject) => {
+            let line = '';
+            const running = this.currentProcess;
+            const finish = () => {
+                this.keyMode = null;
+                this.currentProcess = running;
+            };
+            // Ctrl+C goes to the current process, not to the key mode.
+            this.currentProcess = {
+                cancel: () => {
+                    this.term.write('^C\r\n');
+                    finish();
+                    reject(new Interrupt());
+                    // The rest of the command line is not run either.
+                    this.foreground?.abort(130);
+                },
+            };
+            this.keyMode = {
+                handle: (shell, name, key) => {
+                    if (name === 'Enter' || (name === 'Control_D' && line === '')) {
+                        this.term.write('\r\n');
+                        finish();
+                        resolve(name === 'Enter' ? line : null);
+                    } else if (name === 'Backspace' && line) {
+                        line = line.slice(0, -1);
+                        this.term.write('\b \b');
+                    } else if (name === key && key.length === 1) {
+                        line += key;
+                        this.term.write(key);
+                    }
+                    return true;
+                },
+            };
+        });
     }
 
     write(data) { this.term.write(String(data).replace(/\n/g, '\r\n')); }
     writeln(data) { this.write(data + '\r\n'); }
+    ewrite(data) { this.stderr.write(data); }
+    ewriteln(data) { this.ewrite(data + '\n'); }
     
+    /**
+     * Handles Ctrl+C: the current process cancels itself if it can, and the
+     * prompt starts over if nothing runs.
+     * MODIFIED: A running command line is aborted (see `runCommand`), and the
+     * prompt only comes back once it has stopped.
+     */
     cancelCurrentProcess() {
         if (this.currentProcess?.cancel) {
             this.currentProcess.cancel();
+        } else if (this.foreground) {
+            this.writeln('^C');
+            this.foreground.abort(130);
         } else {
             this.writeln('^C');
             this.prompt();
@@ -137,47 +426,266 @@ export default class Kernel {
     /**
      * Main command execution loop.
      * MODIFIED: Fixed background job ID output by printing the ID *before* calling the executor.
+     * MODIFIED: Commands write to the terminal stream as they run instead of returning their output.
+     * MODIFIED: 'exit' stops running the rest of the input.
+     * MODIFIED: Background commands are started as jobs in the job table, and jobs that
+     * have finished are reported before the next prompt.
+     * MODIFIED: The line runs with an AbortSignal, as a background job does, which
+     * Ctrl+C aborts: it stops before its next command, and waiting commands such as
+     * 'sleep' stop at once, with the status 130 (128 + SIGINT).
      */
     async runCommand(line) {
         this.commandInProgress = true;
         const ast = parse(line);
+        this.foreground = new AbortController();
+        const io = { stdin: null, stdout: this.stdout, stderr: this.stderr, signal: this.foreground.signal };
         try {
             for (const node of ast) {
                 if (node.background) {
-                    // Print the job ID *before* executing, as the executor will
-                    // suppress the kernel's writeln function for background jobs.
-                    this.writeln(`[${this.jobId++}]`);
-                    this.executor.executeNode(node); // Not awaited, runs in background
+                    const job = this.jobs.start(node);
+                    this.writeln(`[${job.id}] ${job.pid}`);
+                    this.lastExitStatus = 0;
                 } else {
-                    const result = await this.executor.executeNode(node);
-                    if (result && result.stdout) {
-                         this.write(result.stdout);
-                    }
+                    await this.executor.executeNode(node, io);
                 }
             }
         } catch (error) {
-            this.writeln(`\x1B[1;31mError: ${error.message}\x1B[0m`);
-            console.error(error);
+            if (error instanceof ControlSignal && error.type === 'exit') {
+                // 'exit' (or a failure under 'set -e') skips the rest of the input.
+                this.lastExitStatus = error.value;
+            } else {
+                this.writeln(`\x1B[1;31mError: ${error.message}\x1B[0m`);
+                console.error(error);
+            }
         } finally {
+            this.foreground = null;
+            await this.jobs.notify();
+            await this.updateGitBranch();
             this.commandInProgress = false;
             this.prompt();
         }
     }
     
+    /**
+     * Returns the path of the history file: $HISTFILE, or '~/.qrx_history'.
+     * @returns {string}
+     */
+    historyFile() {
+        return this.resolvePath(this.getVariable('HISTFILE') ?? `${this.getVariable('HOME')}/.qrx_history`);
+    }
+
+    /**
+     * Reads the history saved by earlier sessions (see `decodeHistory`).
+     */
+    async loadHistory() {
+        try {
+            this.history = decodeHistory(await this.pfs.readFile(this.historyFile(), 'utf8'));
+        } catch (e) {
+            this.history = [];
+        }
+        this.historyIndex = this.history.length;
+    }
+
+    /**
+     * Adds a command line to the history and saves it. A line that repeats the one
+     * before it is not added again, and only the last $HISTSIZE (default 1000) lines are kept.
+     * @param {string} line - The command line.
+     * @returns {Promise<void>} Resolves once the history file is written.
+     */
+    addHistory(line) {
+        if (line !== this.history[this.history.length - 1]) this.history.push(line);
+        const limit = Number(this.getVariable('HISTSIZE') ?? 1000);
+        if (Number.isInteger(limit) && limit >= 0 && this.history.length > limit) {
+            this.history.splice(0, this.history.length - limit);
+        }
+        this.historyIndex = this.history.length;
+        return this.saveHistory();
+    }
+
+    /**
+     * Writes the history to the history file, one entry per line; an entry that
+     * spans lines is encoded (see `encodeHistory`).
+     * @returns {Promise<void>}
+     */
+    async saveHistory() {
+        await this.pfs.writeFile(this.historyFile(), encodeHistory(this.history)).catch(error => {
+            console.error('Could not save the history:', error);
+        });
+    }
+
+    /**
+     * Looks up a variable. Shell variables live in `vars`; exported ones live in
+     * `env`, which is what commands see as their environment.
+     * @param {string} name - The variable name.
+     * @returns {string|undefined} The value, or undefined if it is not set.
+     */
+    getVariable(name) {
+        return this.vars[name] ?? this.env[name];
+    }
+
+    /**
+     * Sets a variable, keeping it exported if it already was.
+     * @param {string} name - The variable name.
+     * @param {string} value - The new value.
+     */
+    setVariable(name, value) {
+        if (name in this.env) {
+            this.env[name] = value;
+        } else {
+            this.vars[name] = value;
+        }
+    }
+
+    /**
+     * Makes a subshell, in which commands run without changing this shell, as
+     * with '$(...)', a background job or 'sh'. It is a view of the kernel with
+     * its own copies of the working directory, the variables, the functions and
+     * the aliases, and its own executor, which starts with this one's positional
+     * parameters and options. Everything else, such as the terminal, the jobs and
+     * the file system, is shared.
+     * @returns {Kernel} The subshell, used wherever a kernel is.
+     */
+    subshell() {
+        const state = {
+            cwd: this.cwd,
+            vars: { ...this.vars },
+            env: { ...this.env },
+            functions: { ...this.functions },
+            aliases: { ...this.aliases },
+            lastExitStatus: this.lastExitStatus,
+            resolvePath: (path) => resolvePath(path, state.cwd),
+        };
+        const shell = new Proxy(this, {
+            get: (target, prop) => (prop in state ? state[prop] : Reflect.get(target, prop)),
+            set: (target, prop, value) => {
+                if (!(prop in state)) return Reflect.set(target, prop, value);
+                state[prop] = value;
+                return true;
+            },
+        });
+        state.executor = new AstExecutor(shell, this.executor);
+        return shell;
+    }
+
+    /**
+     * Finds a command by name. The directories in $PATH are searched in order
+     * for a module 'NAME.js', which is loaded from the file system, so a command
+     * written there can be run straight away. Failing that, the command is one of
+     * those served with the page, if there is one by that name.
+     *
+     * A loaded module is kept in `hashed` and loaded again only when its file
+     * changes; 'rehash' forgets them all, e.g. after a module they import changed.
+     * @param {string} name - The command name.
+     * @param {object} [env] - The environment whose $PATH is searched.
+     * @returns {Promise<object|undefined>} The command, or undefined if there is none.
+     * @throws {Error} If the command's module fails to load.
+     */
+    async findCommand(name, env = this.env) {
+        for (const path of await this.commandPaths(name, env)) {
+            const stats = await this.pfs.stat(path);
+            const cached = this.hashed.get(name);
+            if (cached?.path === path && cached.mtimeMs === stats.mtimeMs) return cached.command;
+
+            let module;
+            try {
+                module = await importFile(this.pfs, path);
+            } catch (error) {
+                throw new Error(`${path}: ${error.message}`);
+            }
+            const command = module.default;
+            if (!command?.exec && !command?.run) continue;
+            this.hashed.set(name, { path, mtimeMs: stats.mtimeMs, command });
+            return command;
+        }
+        return this.commands[name];
+    }
+
+    /**
+     * Lists the command modules in the directories of $PATH.
+     * @param {string} [name] - Only look for this command.
+     * @param {object} [env] - The environment whose $PATH is searched.
+     * @returns {Promise<string[]>} The absolute paths of the modules, in the order of $PATH.
+     */
+    async commandPaths(name, env = this.env) {
+        const paths = [];
+        for (const dir of (env.PATH ?? '').split(':')) {
+            if (!dir) continue;
+            const base = resolvePath(dir, '/');
+            const files = name === undefined ? await this.pfs.readdir(base).catch(() => []) : [`${name}.js`];
+            for (const file of files) {
+                if (!file.endsWith('.js') || file.startsWith('.')) continue;
+                const path = base === '/' ? `/${file}` : `${base}/${file}`;
+                const stats = await this.pfs.stat(path).catch(() => null);
+                if (stats?.isFile()) paths.push(path);
+            }
+        }
+        return paths;
+    }
+
+    /**
+     * MODIFIED: 'help' lists the commands with what they do, and shows the help
+     * of the commands named (see `help`).
+     */
     handleBuiltins(name, args) {
         switch (name) {
             case 'help':
-                const cmds = Object.keys(this.commands).sort().join(', ');
-                this.writeln(`Builtins: help, clear. Commands: ${cmds}`);
-                return 0;
+                return this.help(args);
             case 'clear':
                 this.term.clear();
                 return 0;
             case '':
                 return 0;
             default:
-                this.writeln(`command not found: ${name}`);
+                this.ewriteln(`command not found: ${name}`);
                 return 127;
         }
     }
+
+    /**
+     * The 'help' builtin. Without names it lists the builtins and commands with
+     * their descriptions; with names it shows the help of each, made from the
+     * command's description, usage and options (see util/args.js).
+     * @param {string[]} names - The commands to show the help of.
+     * @returns {Promise<number>} 0, or 1 if a name has no help.
+     */
+    async help(names) {
+        const describe = async (name) => BUILTINS[name] ?? await this.findCommand(name).catch(() => null);
+        if (names.length === 0) {
+            const found = (await this.commandPaths()).map(path => path.split('/').pop().replace(/\.js$/, ''));
+            const all = [...new Set([...Object.keys(BUILTINS), ...Object.keys(this.commands), ...found])].sort();
+            const width = Math.max(...all.map(name => name.length));
+            await this.write("Type 'help NAME' or 'NAME --help' to learn more about a command, and 'man NAME' for its manual.\n\n");
+            for (const name of all) {
+                const description = (await describe(name))?.description ?? '';
+                await this.write(`  ${name.padEnd(width)}  ${description}`.trimEnd() + '\n');
+            }
+            return 0;
+        }
+
+        let status = 0;
+        for (const name of names) {
+            const command = await describe(name);
+            if (!command?.description && !command?.usage) {
+                await this.ewrite(`help: no help for '${name}'\n`);
+                status = 1;
+                continue;
+            }
+            await this.write(formatHelp(name, command));
+        }
+        return status;
+    }
+}
+
+/**
+ * A short hash of a text (32-bit FNV-1a), to tell whether a file has changed.
+ * @param {string} text
+ * @returns {string} The hash, in hexadecimal.
+ */
+function hashText(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
 }
@@ -0,0 +1,65 @@
+// -----------------------------------------------------------------------------
+// file: sys/man/index.js
+// -----------------------------------------------------------------------------
+/**
+ * This manifest lists the manual pages served with the page, each in this
+ * directory as NAME.md. The kernel installs them in '/usr/share/man', where
+ * 'man' reads them (see `Kernel.installManPages`).
+ */
+export default [
+  'alias',
+  'bg',
+  'break',
+  'cat',
+  'cd',
+  'chmod',
+  'continue',
+  'cp',
+  'cut',
+  'date',
+  'du',
+  'echo',
+  'ed',
+  'env',
+  'exit',
+  'export',
+  'false',
+  'fg',
+  'find',
+  'git',
+  'grep',
+  'head',
+  'history',
+  'jobs',
+  'js',
+  'kill',
+  'ls',
+  'man',
+  'mkdir',
+  'mv',
+  'pkg',
+  'pwd',
+  'qrgen',
+  'rehash',
+  'return',
+  'rm',
+  'sed',
+  'set',
+  'sh',
+  'shift',
+  'sleep',
+  'sort',
+  'source',
+  'stat',
+  'tail',
+  'test',
+  'touch',
+  'tr',
+  'tree',
+  'true',
+  'unalias',
+  'uniq',
+  'unset',
+  'wait',
+  'wc',
+];
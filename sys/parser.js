@@ -4,6 +4,16 @@ import grammar from './grammar.js';
 
 /**
  * The main export. Parses the entire command line.
+ * MODIFIED: Here-document bodies are extracted before parsing and attached to
+ * their '<<' redirections afterwards, since they span lines the grammar never sees.
+ * MODIFIED: Comments are dropped before parsing as well.
+ * MODIFIED: Background commands get their text as `source`, for the job table.
+ * MODIFIED: Input that stops in the middle of a command (an open quote, an 'if'
+ * without 'fi', a trailing '|') gives an error node marked `incomplete`, so it can
+ * be told apart from a syntax error. See `isIncomplete`.
+ * MODIFIED: Syntax errors give a short message naming the unexpected character
+ * and where it is, and an excerpt with a caret under it, instead of nearley's report.
+ * MODIFIED: Nothing is logged to the console; errors only go into the error node.
  * @param {string} line - The full line input by the user.
  * @returns {object[]} An array of structured AST nodes to be executed sequentially.
  */
@@ -11,28 +21,239 @@ export default function parse(line) {
     // By creating a new Parser instance for each call, we ensure it's stateless.
     // This is more robust and prevents errors from previous partial parses.
     const parser = new nearley.Parser(nearley.Grammar.fromCompiled(grammar));
-    
+    const { text, heredocs, lineNumbers } = preprocess(line);
+
     try {
         // Feed the line to the new parser instance.
-        parser.feed(line);
-        
-        if (parser.results.length > 1) {
-            // This can happen with ambiguous grammars. For now, we'll log a warning
-            // and proceed with the first valid interpretation.
-            console.warn("Ambiguous grammar: multiple parse results. Using the first.");
-        }
+        parser.feed(text);
 
         if (parser.results.length) {
-            // The result is the Abstract Syntax Tree (AST).
-            return parser.results[0];
-        } else {
-            // No valid command was parsed.
-            return []; 
+            // The result is the Abstract Syntax Tree (AST). The grammar allows only one
+            // (test/grammar.test.js checks that).
+            return attachSources(attachHeredocs(parser.results[0], heredocs), text);
         }
+        // Blank lines and comments are no commands at all.
+        if (!text.trim()) return [];
+
+        // The parser accepted every character but still expects more. Unless a line
+        // break cannot come next either (as after a stray 'fi'), more lines can finish it.
+        parser.feed('\n');
+        return [{ type: 'error', incomplete: true, message: 'unexpected end of input' }];
     } catch (err) {
-        console.error("Parse error:", err.message);
         // Return a special error object that the kernel can handle and display.
-        return [{ type: 'error', message: err.message }];
+        return [syntaxError(err, line, text, lineNumbers)];
+    }
+}
+
+/**
+ * Builds the error node for a syntax error nearley reported, e.g. with the message
+ * "unexpected `)` at column 6" and the excerpt
+ *
+ *     echo )
+ *          ^
+ *
+ * @param {Error} err - nearley's error, with the `offset` of the character it stopped at.
+ * @param {string} input - The input as given.
+ * @param {string} text - The input as preprocessed and fed to the grammar.
+ * @param {number[]} lineNumbers - For each line of `text`, its line number in `input`.
+ * @returns {{type: 'error', message: string, line: number, column: number, excerpt: string}}
+ */
+function syntaxError(err, input, text, lineNumbers) {
+    if (typeof err.offset !== 'number') return { type: 'error', message: err.message };
+
+    const before = text.slice(0, err.offset).split('\n');
+    const row = before.length - 1;
+    const column = before[row].length + 1;
+    const line = (lineNumbers[row] ?? row) + 1;
+
+    const ch = text[err.offset] ?? '\n';
+    const what = ch === '\n' ? 'newline' : `\`${ch}\``;
+    const where = input.includes('\n') ? `line ${line}, column ${column}` : `column ${column}`;
+
+    // Comments are cut from the text the grammar sees; show the line as typed if that is all.
+    const fed = text.split('\n')[row];
+    const typed = input.split('\n')[line - 1] ?? '';
+    const shown = typed.startsWith(fed) ? typed : fed;
+    // Tabs stay tabs, so the caret lines up however wide they are shown.
+    const indent = before[row].replace(/[^\t]/g, ' ');
+
+    return {
+        type: 'error',
+        message: `unexpected ${what} at ${where}`,
+        line,
+        column,
+        excerpt: `${shown}\n${indent}^`,
+    };
+}
+
+/**
+ * Checks whether more lines are needed to finish the input: it ends inside a
+ * command, quote or here-document, or with a backslash that continues the line.
+ * @param {string} source - The input so far, possibly spanning several lines.
+ * @returns {boolean}
+ */
+export function isIncomplete(source) {
+    if (preprocess(source).incomplete || /(^|[^\\])(\\\\)*\\$/.test(source)) return true;
+    const nodes = parse(source);
+    return nodes.length === 1 && nodes[0].incomplete === true;
+}
+
+/**
+ * Prepares raw input for the grammar.
+ * Here-document bodies are cut out: each '<<DELIM' (or '<<-DELIM') operator is
+ * rewritten to '<<N', and the lines following the line it appears on, up to the
+ * delimiter, become body N.
+ * Comments are removed: an unquoted '#' at the start of a word runs to the end
+ * of the line. This also covers a script's '#!' line.
+ * @param {string} input - The raw input, possibly spanning several lines.
+ * @returns {{text: string, heredocs: object[], incomplete: boolean, lineNumbers: number[]}}
+ * The rewritten input and the bodies. `incomplete` is set when the input ends inside quotes
+ * or before a here-document's delimiter. `lineNumbers` gives the index in `input` of each
+ * line of `text`, since here-document bodies are left out.
+ */
+export function preprocess(input) {
+    const lines = input.split('\n');
+    const output = [];
+    const lineNumbers = [];
+    const heredocs = [];
+    let quote = null; // An open quote can carry over to the next line.
+    let incomplete = false;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const pending = [];
+        let rewritten = '';
+        let j = 0;
+
+        while (j < line.length) {
+            const ch = line[j];
+            if (quote) {
+                if (ch === '\\' && quote === '"') {
+                    rewritten += line.slice(j, j + 2);
+                    j += 2;
+                    continue;
+                }
+                if (ch === quote) quote = null;
+                rewritten += ch;
+                j++;
+                continue;
+            }
+            if (ch === '\\') {
+                rewritten += line.slice(j, j + 2);
+                j += 2;
+                continue;
+            }
+            if (ch === "'" || ch === '"') {
+                quote = ch;
+                rewritten += ch;
+                j++;
+                continue;
+            }
+            if (ch === '#' && (j === 0 || /[\s;&|()]/.test(line[j - 1]))) {
+                break;
+            }
+            if (line.startsWith('<<', j) && line[j + 2] !== '<') {
+                const heredoc = readHeredocOperator(line, j + 2);
+                if (heredoc) {
+                    heredoc.id = heredocs.length + pending.length;
+                    pending.push(heredoc);
+                    rewritten += `<<${heredoc.id}`;
+                    j = heredoc.end;
+                    continue;
+                }
+            }
+            if (line.startsWith('<<<', j)) {
+                rewritten += '<<<';
+                j += 3;
+                continue;
+            }
+            rewritten += ch;
+            j++;
+        }
+        output.push(rewritten);
+        lineNumbers.push(i);
+
+        // The bodies follow the line that introduced them, one after another.
+        for (const heredoc of pending) {
+            let body = '';
+            while (++i < lines.length) {
+                const bodyLine = heredoc.stripTabs ? lines[i].replace(/^\t+/, '') : lines[i];
+                if (bodyLine === heredoc.delimiter) break;
+                body += `${bodyLine}\n`;
+            }
+            if (i >= lines.length) incomplete = true;
+            heredocs.push({ body, expand: !heredoc.quoted });
+        }
+    }
+    return { text: output.join('\n'), heredocs, incomplete: incomplete || quote !== null, lineNumbers };
+}
+
+/**
+ * Reads the optional '-' and the delimiter word after a '<<' operator.
+ * Quoting any part of the delimiter turns off expansion in the body.
+ * @returns {object|null} The operator details, or null if no delimiter follows.
+ */
+function readHeredocOperator(line, start) {
+    let k = start;
+    let stripTabs = false;
+    if (line[k] === '-') {
+        stripTabs = true;
+        k++;
+    }
+    while (line[k] === ' ' || line[k] === '\t') k++;
+
+    let delimiter = '';
+    let quoted = false;
+    while (k < line.length && !/[\s;&|()<>]/.test(line[k])) {
+        const ch = line[k];
+        if (ch === "'" || ch === '"') {
+            const end = line.indexOf(ch, k + 1);
+            if (end === -1) return null;
+            delimiter += line.slice(k + 1, end);
+            quoted = true;
+            k = end + 1;
+        } else if (ch === '\\') {
+            delimiter += line[k + 1] ?? '';
+            quoted = true;
+            k += 2;
+        } else {
+            delimiter += ch;
+            k++;
+        }
     }
+    return delimiter ? { delimiter, stripTabs, quoted, end: k } : null;
 }
 
+/**
+ * Fills in the body of every here-document redirection in the AST.
+ */
+function attachHeredocs(node, heredocs) {
+    if (Array.isArray(node)) {
+        node.forEach(child => attachHeredocs(child, heredocs));
+    } else if (node && typeof node === 'object') {
+        if (node.mode === 'heredoc' && typeof node.id === 'number') {
+            Object.assign(node, heredocs[node.id]);
+            delete node.id;
+        }
+        Object.values(node).forEach(child => attachHeredocs(child, heredocs));
+    }
+    return node;
+}
+
+/**
+ * Replaces the text span the grammar records for background commands with the text itself.
+ */
+function attachSources(nodes, text) {
+    for (const node of nodes) {
+        if (Array.isArray(node)) {
+            attachSources(node, text);
+        } else if (node && typeof node === 'object') {
+            if (node.span) {
+                node.source = text.slice(...node.span).trim();
+                delete node.span;
+            }
+            attachSources(Object.values(node), text);
+        }
+    }
+    return nodes;
+}
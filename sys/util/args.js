@@ -0,0 +1,177 @@
+// -----------------------------------------------------------------------------
+// file: sys/util/args.js
+// -----------------------------------------------------------------------------
+/**
+ * Parsing the arguments of a command from a declarative description, and the
+ * help text made from the same description. A command module describes itself
+ * like this:
+ *
+ *   export default {
+ *       description: 'remove files or directories',
+ *       usage: '[OPTION]... FILE...',              or an array, for several forms
+ *       options: {
+ *           recursive: { short: 'rR', long: 'recursive', description: 'remove directories and their contents' },
+ *           force: { short: 'f', long: 'force', cancels: ['interactive'], description: 'never ask' },
+ *           lines: { short: 'n', long: 'lines', argument: 'NUM', description: 'print NUM lines' },
+ *       },
+ *       async exec(proc) { ... proc.options.recursive ... proc.operands ... },
+ *   };
+ *
+ * Each key of `options` is the name the value is found under in `proc.options`:
+ *   short        the letters of its short forms ('-r', '-R')
+ *   long         its long form ('--recursive')
+ *   argument     the name of the value it takes, if it takes one ('-n 5', '-n5',
+ *                '--lines 5', '--lines=5'); the value is a string
+ *   implicit     the value when the argument is left out ('--color' for
+ *                '--color=always'); the argument can then only be joined to the option
+ *   numeric      '-NUM' is short for giving it the value NUM ('head -5')
+ *   repeat       collect the values of every use in an array, instead of keeping the last
+ *   default      the value when the option is not given (false, or null with an argument)
+ *   cancels      the options it sets back to their defaults, so the last of '-i' and '-f' wins
+ *   description  what it does, for the help
+ *
+ * Short flags can be combined ('-rf'), '--' ends the options, and '-' is an
+ * operand. Options may come after operands. For a command with `options`, the
+ * executor parses the arguments before `exec` runs (see `AstExecutor.spawn`),
+ * answers '--help' with `formatHelp`, and reports a usage error itself.
+ *
+ * A command whose arguments do not fit this leaves out `options` and reads
+ * `proc.args` itself, saying why next to its usage: kill's '-KILL', env's
+ * command line, the options of sh, js and set that end at the first operand
+ * (and set's '+e'), and chmod's modes like '-w'. The executor still answers a
+ * first argument of '--help' for it, unless the command declares `help: false`
+ * to take '--help' as it is (echo prints it; test and git have their own).
+ */
+
+/**
+ * An error in how a command was called, such as an unknown option.
+ */
+export class ArgumentError extends Error {}
+
+/**
+ * Parses arguments according to an options description.
+ * @param {string[]} args - The arguments.
+ * @param {object} [options] - The options, as described above.
+ * @returns {{options: object, operands: string[], help: boolean}} The option values by
+ * name, the operands, and whether '--help' was given (when it is not an option itself).
+ * @throws {ArgumentError} If an option is unknown, or lacks or has an unwanted value.
+ */
+export function parseArgs(args, options = {}) {
+    const values = {};
+    const shorts = {};
+    const longs = {};
+    for (const [name, option] of Object.entries(options)) {
+        values[name] = defaultValue(option);
+        for (const letter of option.short ?? '') shorts[letter] = name;
+        if (option.long) longs[option.long] = name;
+    }
+    const numeric = Object.keys(options).find(name => options[name].numeric);
+    const operands = [];
+    let help = false;
+
+    const set = (name, value) => {
+        const option = options[name];
+        for (const other of option.cancels ?? []) values[other] = defaultValue(options[other]);
+        values[name] = option.repeat ? [...values[name], value] : value;
+    };
+
+    for (let index = 0; index < args.length; index++) {
+        const arg = args[index];
+        if (arg === '--') {
+            operands.push(...args.slice(index + 1));
+            break;
+        }
+        if (!arg.startsWith('-') || arg === '-') {
+            operands.push(arg);
+        } else if (arg.startsWith('--')) {
+            const equals = arg.indexOf('=');
+            const long = arg.slice(2, equals === -1 ? undefined : equals);
+            const name = longs[long];
+            if (name === undefined) {
+                if (long === 'help' && equals === -1) {
+                    help = true;
+                    continue;
+                }
+                throw new ArgumentError(`unrecognized option '${arg}'`);
+            }
+            if (!options[name].argument) {
+                if (equals !== -1) throw new ArgumentError(`option '--${long}' doesn't allow an argument`);
+                set(name, true);
+            } else if (equals !== -1) {
+                set(name, arg.slice(equals + 1));
+            } else if (options[name].implicit !== undefined) {
+                set(name, options[name].implicit);
+            } else if (index + 1 < args.length) {
+                set(name, args[++index]);
+            } else {
+                throw new ArgumentError(`option '--${long}' requires an argument`);
+            }
+        } else if (numeric !== undefined && /^-\d+$/.test(arg)) {
+            set(numeric, arg.slice(1));
+        } else {
+            for (let j = 1; j < arg.length; j++) {
+                const name = shorts[arg[j]];
+                if (name === undefined) throw new ArgumentError(`invalid option -- '${arg[j]}'`);
+                if (!options[name].argument) {
+                    set(name, true);
+                    continue;
+                }
+                // The rest of the argument is the value, or else the next argument is.
+                if (j + 1 < arg.length) set(name, arg.slice(j + 1));
+                else if (options[name].implicit !== undefined) set(name, options[name].implicit);
+                else if (index + 1 < args.length) set(name, args[++index]);
+                else throw new ArgumentError(`option requires an argument -- '${arg[j]}'`);
+                break;
+            }
+        }
+    }
+    return { options: values, operands, help };
+}
+
+/**
+ * Makes the help for a command from its description, like 'ls --help':
+ *
+ *   Usage: rm [OPTION]... FILE...
+ *   Remove files or directories.
+ *
+ *     -r, -R, --recursive  remove directories and their contents
+ *         --help           show this help and exit
+ *
+ * @param {string} name - The command name.
+ * @param {object} command - The command module.
+ * @returns {string} The help, ending with a newline.
+ */
+export function formatHelp(name, command) {
+    const usages = [command.usage ?? ''].flat();
+    let text = usages.map((usage, index) => `${index ? '  or:  ' : 'Usage: '}${name}${usage ? ` ${usage}` : ''}\n`).join('');
+    if (command.description) text += `${command.description[0].toUpperCase()}${command.description.slice(1)}.\n`;
+
+    if (command.options) {
+        const rows = Object.values(command.options).map(option => [optionForms(option), option.description ?? '']);
+        if (!Object.values(command.options).some(option => option.long === 'help')) {
+            rows.push(['    --help', 'show this help and exit']);
+        }
+        const width = Math.max(...rows.map(([forms]) => forms.length));
+        text += `\n${rows.map(([forms, description]) => `  ${forms.padEnd(width)}  ${description}`.trimEnd()).join('\n')}\n`;
+    }
+    return text;
+}
+
+/**
+ * Writes an option's forms for the help, e.g. '-n, --lines=NUM'. A long-only
+ * option is indented to line up with the long forms of the others.
+ */
+function optionForms(option) {
+    const forms = [...option.short ?? ''].map(letter => `-${letter}`);
+    if (option.long) forms.push(`--${option.long}`);
+    let text = forms.join(', ');
+    if (!option.short) text = `    ${text}`;
+    if (option.argument && option.implicit !== undefined) text += `[=${option.argument}]`;
+    else if (option.argument) text += option.long ? `=${option.argument}` : ` ${option.argument}`;
+    return text;
+}
+
+function defaultValue(option) {
+    if (option.repeat) return [];
+    return option.default ?? (option.argument ? null : false);
+}
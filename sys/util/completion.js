@@ -0,0 +1,196 @@
+// -----------------------------------------------------------------------------
+// file: sys/util/completion.js
+// -----------------------------------------------------------------------------
+import { resolvePath } from './path.js';
+
+/**
+ * Tab completion.
+ *
+ * The first word of a command completes to a command name (a loaded command,
+ * a builtin, an alias or a shell function), and later words to file and directory paths.
+ * A command module can take over completion of its arguments by exporting
+ * `complete(shell, args, word)`, which returns the possible words (only those
+ * starting with `word` are offered) or null to fall back to paths:
+ *
+ *     complete(shell, args, word) {
+ *         return args.length === 0 ? ['init', 'status', 'commit'] : null;
+ *     }
+ */
+
+// The builtins the kernel handles itself, in `handleBuiltins`.
+const BUILTINS = ['help', 'clear'];
+
+// Keywords after which a command name follows.
+const COMMAND_KEYWORDS = new Set(['if', 'then', 'elif', 'else', 'do', 'while', 'until', '{', '!']);
+
+// Characters that have to be escaped in an unquoted word.
+const SPECIAL = /[\s'"\\$`&|;<>()*?[\]{}#!]/g;
+
+/**
+ * Finds the completions for the word before the cursor.
+ * @param {Kernel} shell - The shell instance.
+ * @param {string} line - The line being edited.
+ * @param {number} cursor - The cursor position in the line.
+ * @returns {Promise<{start: number, word: string, head: string, quote: string|null, candidates: string[]}>}
+ * The word as typed (without quotes and escapes) and the sorted candidates for it. The
+ * text from `start` to the cursor is to be replaced; `head` is the part of the word before
+ * `start` (as in 'pre"fi', when inside the quote `quote`).
+ */
+export async function complete(shell, line, cursor) {
+    const { words, word, start, head, quote, redirect } = splitLine(line.slice(0, cursor));
+
+    let candidates;
+    if (redirect) {
+        candidates = await completePaths(shell, word);
+    } else if (words.length === 0) {
+        candidates = word.includes('/') ? await completePaths(shell, word) : await commandNames(shell);
+    } else {
+        const command = await shell.findCommand(words[0]).catch(() => null);
+        if (command?.options && word.startsWith('-')) {
+            candidates = optionNames(command.options);
+        } else {
+            candidates = (await command?.complete?.(shell, words.slice(1), word)) ?? await completePaths(shell, word);
+        }
+    }
+
+    candidates = [...new Set(candidates.filter(candidate => candidate.startsWith(word)))].sort();
+    return { start, word, head, quote, candidates };
+}
+
+/**
+ * Lists the files and directories whose path starts with `word`. Directories end in '/'.
+ * Hidden files are only included when the name being completed starts with '.'.
+ * @param {Kernel} shell - The shell instance.
+ * @param {string} word - The path typed so far.
+ * @param {object} [options]
+ * @param {boolean} [options.directoriesOnly=false] - Leave out files, e.g. for 'cd'.
+ * @returns {Promise<string[]>} The matching paths, written the way `word` is (relative or absolute).
+ */
+export async function completePaths(shell, word, { directoriesOnly = false } = {}) {
+    const slash = word.lastIndexOf('/');
+    const prefix = word.slice(0, slash + 1);
+    const base = word.slice(slash + 1);
+    // '~/' stands for the home directory, and is kept in the completed word.
+    const home = shell.getVariable('HOME');
+    const dir = resolvePath((home ? prefix.replace(/^~(?=\/)/, home) : prefix) || '.', shell.cwd);
+
+    let names;
+    try {
+        names = await shell.pfs.readdir(dir);
+    } catch (e) {
+        return [];
+    }
+
+    const paths = [];
+    for (const name of names) {
+        if (!name.startsWith(base) || (name.startsWith('.') && !base.startsWith('.'))) continue;
+        const stats = await shell.pfs.stat(dir === '/' ? `/${name}` : `${dir}/${name}`).catch(() => null);
+        const isDirectory = Boolean(stats?.isDirectory());
+        if (directoriesOnly && !isDirectory) continue;
+        paths.push(`${prefix}${name}${isDirectory ? '/' : ''}`);
+    }
+    return paths;
+}
+
+/**
+ * Escapes a completed word so it reads back as one word: unquoted, special
+ * characters get a backslash; inside quotes it is left as it is.
+ * @param {string} word - The word.
+ * @param {string|null} quote - The quote the word is inside, if any.
+ * @returns {string}
+ */
+export function escapeWord(word, quote) {
+    return quote ? word : word.replace(SPECIAL, '\\$&');
+}
+
+/**
+ * Returns the longest prefix that all the words share.
+ * @param {string[]} words - At least one word.
+ * @returns {string}
+ */
+export function commonPrefix(words) {
+    let prefix = words[0];
+    for (const word of words) {
+        while (!word.startsWith(prefix)) prefix = prefix.slice(0, -1);
+    }
+    return prefix;
+}
+
+/**
+ * Lists the forms of a command's declared options (see util/args.js), e.g. '-r' and '--recursive'.
+ */
+function optionNames(options) {
+    const names = ['--help'];
+    for (const option of Object.values(options)) {
+        for (const letter of option.short ?? '') names.push(`-${letter}`);
+        if (option.long) names.push(`--${option.long}`);
+    }
+    return names;
+}
+
+async function commandNames(shell) {
+    // The modules in $PATH, e.g. '/sys/cmd/foo.js' for 'foo'.
+    const found = (await shell.commandPaths()).map(path => path.split('/').pop().replace(/\.js$/, ''));
+    return [...found, ...Object.keys(shell.commands), ...BUILTINS, ...Object.keys(shell.aliases ?? {}), ...Object.keys(shell.functions ?? {})];
+}
+
+/**
+ * Splits the text before the cursor into the words of the command being typed
+ * and the (partial) word at the cursor. A ';', '|', '&' or '(' starts a new
+ * command, as does a keyword like 'then', and the word after '<' or '>' names a file.
+ */
+function splitLine(text) {
+    let words = [];
+    let word = '';
+    let start = 0;
+    let head = '';
+    let inWord = false;
+    let quote = null;
+    let redirect = false;
+
+    const endWord = () => {
+        if (inWord && !redirect && !(words.length === 0 && COMMAND_KEYWORDS.has(word))) words.push(word);
+        if (inWord) redirect = false;
+        word = '';
+        inWord = false;
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quote) {
+            if (ch === quote) quote = null;
+            else if (ch === '\\' && quote === '"' && i + 1 < text.length) word += text[++i];
+            else word += ch;
+            continue;
+        }
+        if (!inWord) {
+            start = i;
+            head = '';
+        }
+        if (ch === '\\') {
+            inWord = true;
+            if (i + 1 < text.length) word += text[++i];
+        } else if (ch === "'" || ch === '"') {
+            inWord = true;
+            quote = ch;
+            start = i + 1;
+            head = word;
+        } else if (/\s/.test(ch)) {
+            endWord();
+        } else if (/[;|&()]/.test(ch)) {
+            endWord();
+            words = [];
+        } else if (ch === '<' || ch === '>') {
+            endWord();
+            redirect = true;
+        } else {
+            inWord = true;
+            word += ch;
+        }
+    }
+    if (!inWord) {
+        start = text.length;
+        head = '';
+    }
+    return { words, word, start, head, quote, redirect };
+}
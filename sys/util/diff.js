@@ -0,0 +1,131 @@
+// -----------------------------------------------------------------------------
+// file: sys/util/diff.js
+// -----------------------------------------------------------------------------
+const NO_NEWLINE = '\n\\ No newline at end of file';
+
+/**
+ * Splits text into lines for diffing. A final line without a trailing newline
+ * carries git's "No newline at end of file" marker, so it compares unequal to
+ * the same line with a newline and prints the marker after itself.
+ * @param {string} text - The text to split.
+ * @returns {string[]} The lines of the text.
+ */
+export function splitLines(text) {
+    if (!text) return [];
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') {
+        lines.pop();
+    } else {
+        lines[lines.length - 1] += NO_NEWLINE;
+    }
+    return lines;
+}
+
+/**
+ * Computes a line-based edit script using Myers' O(ND) algorithm.
+ * @param {string[]} a - The old lines.
+ * @param {string[]} b - The new lines.
+ * @returns {{type: ' '|'-'|'+', line: string}[]} The edit script, in order.
+ */
+export function diffLines(a, b) {
+    const n = a.length, m = b.length, max = n + m;
+    const offset = max + 1;
+    const v = new Array(2 * max + 2).fill(0);
+    const trace = [];
+
+    search:
+    for (let d = 0; d <= max; d++) {
+        trace.push(v.slice());
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+            v[offset + k] = x;
+            if (x >= n && y >= m) break search;
+        }
+    }
+
+    // Walk the trace backwards from the end to recover the edit script.
+    const ops = [];
+    let x = n, y = m;
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const vd = trace[d];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && vd[offset + k - 1] < vd[offset + k + 1])) ? k + 1 : k - 1;
+        const prevX = vd[offset + prevK];
+        const prevY = prevX - prevK;
+        while (x > prevX && y > prevY) {
+            ops.push({ type: ' ', line: a[--x] });
+            y--;
+        }
+        if (d === 0) break;
+        if (x === prevX) {
+            ops.push({ type: '+', line: b[--y] });
+        } else {
+            ops.push({ type: '-', line: a[--x] });
+        }
+    }
+    return ops.reverse();
+}
+
+/**
+ * Formats the differences between two texts as unified diff hunks, the way
+ * `diff -u` and `git diff` print them (without the file header lines).
+ * @param {string} oldText - The original text.
+ * @param {string} newText - The changed text.
+ * @param {object} [options]
+ * @param {number} [options.context=3] - Lines of context around each change.
+ * @returns {{hunks: string, insertions: number, deletions: number}}
+ */
+export function unifiedDiff(oldText, newText, { context = 3 } = {}) {
+    const ops = diffLines(splitLines(oldText), splitLines(newText));
+    const changes = [];
+    ops.forEach((op, i) => { if (op.type !== ' ') changes.push(i); });
+
+    let insertions = 0, deletions = 0;
+    for (const i of changes) {
+        if (ops[i].type === '+') insertions++; else deletions++;
+    }
+    if (changes.length === 0) return { hunks: '', insertions, deletions };
+
+    // Group changes whose context windows touch into the same hunk.
+    const groups = [];
+    for (const i of changes) {
+        const last = groups[groups.length - 1];
+        if (last && i - last.end <= context * 2 + 1) {
+            last.end = i;
+        } else {
+            groups.push({ start: i, end: i });
+        }
+    }
+
+    // Line numbers (1-based) of each op in the old and new file.
+    const oldLine = [], newLine = [];
+    let o = 1, nw = 1;
+    for (const op of ops) {
+        oldLine.push(o); newLine.push(nw);
+        if (op.type !== '+') o++;
+        if (op.type !== '-') nw++;
+    }
+
+    let out = '';
+    for (const { start, end } of groups) {
+        const from = Math.max(0, start - context);
+        const to = Math.min(ops.length - 1, end + context);
+        const slice = ops.slice(from, to + 1);
+        const oldLen = slice.filter(op => op.type !== '+').length;
+        const newLen = slice.filter(op => op.type !== '-').length;
+        // An empty range is numbered after the line it follows, as in GNU diff.
+        const oldStart = oldLen ? oldLine[from] : oldLine[from] - 1;
+        const newStart = newLen ? newLine[from] : newLine[from] - 1;
+        out += `@@ -${range(oldStart, oldLen)} +${range(newStart, newLen)} @@\n`;
+        for (const op of slice) out += `${op.type}${op.line}\n`;
+    }
+    return { hunks: out, insertions, deletions };
+}
+
+function range(start, length) {
+    return length === 1 ? `${start}` : `${start},${length}`;
+}
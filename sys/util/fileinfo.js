@@ -0,0 +1,66 @@
+// -----------------------------------------------------------------------------
+// file: sys/util/fileinfo.js
+// -----------------------------------------------------------------------------
+
+/**
+ * How the file commands (ls, du, tree, stat) describe a file: its permission
+ * string, its size in human units and the colour of its name on the terminal.
+ */
+
+const COLORS = { directory: '1;34', symlink: '1;36', executable: '1;32' };
+
+/**
+ * Formats the type and permission bits, e.g. 'drwxr-xr-x'.
+ * @param {object} stats - The file's stats.
+ * @returns {string}
+ */
+export function modeString(stats) {
+    const type = stats.isDirectory() ? 'd' : stats.isSymbolicLink() ? 'l' : '-';
+    let bits = '';
+    for (let shift = 6; shift >= 0; shift -= 3) {
+        const triple = (stats.mode >> shift) & 7;
+        bits += (triple & 4 ? 'r' : '-') + (triple & 2 ? 'w' : '-') + (triple & 1 ? 'x' : '-');
+    }
+    return type + bits;
+}
+
+/**
+ * Names a file's type the way 'stat' and 'find -printf %y' describe it.
+ * @param {object} stats - The file's stats.
+ * @returns {string} 'directory', 'symbolic link', 'regular file' or 'regular empty file'.
+ */
+export function typeName(stats) {
+    if (stats.isDirectory()) return 'directory';
+    if (stats.isSymbolicLink()) return 'symbolic link';
+    return stats.size === 0 ? 'regular empty file' : 'regular file';
+}
+
+/**
+ * Formats a size the way '-h' shows it: '512', '1.5K', '20M'.
+ * @param {number} bytes - The size.
+ * @returns {string}
+ */
+export function humanSize(bytes) {
+    const units = ['', 'K', 'M', 'G', 'T'];
+    let size = bytes;
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+        size /= 1024;
+        unit++;
+    }
+    if (unit === 0) return String(size);
+    // Like GNU ls, one decimal below 10 and rounded up.
+    return size < 10 ? `${(Math.ceil(size * 10) / 10).toFixed(1)}${units[unit]}` : `${Math.ceil(size)}${units[unit]}`;
+}
+
+/**
+ * Colours a name by its file's type: directories blue, symlinks cyan and
+ * executables green. Other files are left as they are.
+ * @param {string} name - The text to colour.
+ * @param {object} stats - The file's stats.
+ * @returns {string}
+ */
+export function colorName(name, stats) {
+    const type = stats.isDirectory() ? 'directory' : stats.isSymbolicLink() ? 'symlink' : stats.mode & 0o111 ? 'executable' : null;
+    return type ? `\x1b[${COLORS[type]}m${name}\x1b[0m` : name;
+}
@@ -0,0 +1,121 @@
+// -----------------------------------------------------------------------------
+// file: sys/util/fileops.js
+// -----------------------------------------------------------------------------
+import { walk, joinPath } from './walk.js';
+
+/**
+ * What 'cp', 'mv' and 'rm' have in common: asking before overwriting or
+ * removing a file, working out where a source goes, and copying and removing
+ * whole trees.
+ */
+
+/**
+ * Asks a yes/no question on the terminal, like 'rm -i' does.
+ * @param {Process} proc - The running process; the question goes to its stderr.
+ * @param {string} question - The question, e.g. "rm: remove regular file 'a'? ".
+ * @returns {Promise<boolean>} True if the answer starts with 'y' or 'Y'.
+ * @throws {Interrupt} If Ctrl+C is pressed instead, which ends the command.
+ */
+export async function confirm(proc, question) {
+    await proc.stderr.write(question);
+    const answer = await proc.kernel.readLine();
+    return /^y/i.test(answer ?? '');
+}
+
+/**
+ * Works out where a source is copied or moved to: into DEST if DEST is a
+ * directory, otherwise DEST itself.
+ * @param {Process} proc - The running process, for its file system and working directory.
+ * @param {string} source - The source, as typed.
+ * @param {string} dest - The destination, as typed.
+ * @returns {Promise<{path: string, name: string}>} The target's absolute path and its name as shown.
+ */
+export async function targetOf(proc, source, dest) {
+    const path = proc.resolvePath(dest);
+    const stats = await proc.kernel.pfs.stat(path).catch(() => null);
+    if (!stats?.isDirectory()) return { path, name: dest };
+    const base = proc.resolvePath(source).split('/').pop();
+    return { path: joinPath(path, base), name: joinPath(dest, base) };
+}
+
+/**
+ * Checks whether `path` is `ancestor` or somewhere below it, so a directory is
+ * not copied or moved into itself.
+ * @param {string} path - An absolute path.
+ * @param {string} ancestor - An absolute path.
+ * @returns {boolean}
+ */
+export function isInside(path, ancestor) {
+    return path === ancestor || path.startsWith(ancestor === '/' ? '/' : `${ancestor}/`);
+}
+
+/**
+ * Copies a file, symbolic link or directory tree.
+ * @param {object} pfs - The promise-based file system.
+ * @param {string} source - The absolute path to copy.
+ * @param {string} target - The absolute path of the copy. An existing file is overwritten
+ * and an existing directory is merged into.
+ * @param {object} [options]
+ * @param {boolean} [options.preserve=false] - Give the copies the modes and modification times of the originals.
+ * @param {function(object, string): Promise<boolean>} [options.onEntry] - Called with each entry and
+ * its target before it is copied; returning false skips it (and, for a directory, its contents).
+ * @throws {Error} If something cannot be copied.
+ */
+export async function copyTree(pfs, source, target, { preserve = false, onEntry } = {}) {
+    const skipped = new Set();
+    const directories = [];
+    for await (const entry of walk(pfs, source, { enter: entry => !skipped.has(entry.path) })) {
+        const to = entry.relative ? joinPath(target, entry.relative) : target;
+        if (onEntry && !await onEntry(entry, to)) {
+            skipped.add(entry.path);
+            continue;
+        }
+        const { stats } = entry;
+        if (stats.isDirectory()) {
+            const existing = await pfs.stat(to).catch(() => null);
+            if (!existing) await pfs.mkdir(to, { mode: stats.mode });
+            else if (!existing.isDirectory()) throw new Error(`cannot overwrite non-directory '${to}' with directory '${entry.path}'`);
+            directories.push({ to, stats });
+        } else if (stats.isSymbolicLink()) {
+            await pfs.unlink(to).catch(() => {});
+            await pfs.symlink(await pfs.readlink(entry.path), to);
+        } else {
+            await pfs.writeFile(to, await pfs.readFile(entry.path), preserve ? { mode: stats.mode } : undefined);
+            if (preserve) await preserveStats(pfs, to, stats);
+        }
+    }
+    // A directory's time changes as it is filled, so it is set last.
+    if (preserve) {
+        for (const { to, stats } of directories.reverse()) await preserveStats(pfs, to, stats);
+    }
+}
+
+/**
+ * Removes a file, symbolic link or directory tree.
+ * @param {object} pfs - The promise-based file system.
+ * @param {string} path - The absolute path to remove.
+ * @throws {Error} If something cannot be removed.
+ */
+export async function removeTree(pfs, path) {
+    for await (const entry of walk(pfs, path, { postorder: true })) {
+        await (entry.stats.isDirectory() ? pfs.rmdir(entry.path) : pfs.unlink(entry.path));
+    }
+}
+
+/**
+ * Makes a directory and any of its parents that are missing, like 'mkdir -p'.
+ * @param {object} pfs - The promise-based file system.
+ * @param {string} path - The absolute path of the directory.
+ */
+export async function makeDirectories(pfs, path) {
+    let dir = '';
+    for (const part of path.split('/').filter(Boolean)) {
+        dir += `/${part}`;
+        await pfs.mkdir(dir).catch(() => {});
+    }
+}
+
+async function preserveStats(pfs, path, stats) {
+    await pfs.chmod(path, stats.mode & 0o7777);
+    await pfs.utimes(path, new Date(stats.atimeMs ?? stats.mtimeMs), new Date(stats.mtimeMs));
+}
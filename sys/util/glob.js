@@ -0,0 +1,177 @@
+// -----------------------------------------------------------------------------
+// file: sys/util/glob.js
+// -----------------------------------------------------------------------------
+import { resolvePath } from './path.js';
+
+/**
+ * Shell pattern matching: '*' matches any run of characters, '?' any single
+ * character and '[...]' one character from a set ('[!...]' or '[^...]' negates
+ * it). A backslash makes the next character literal.
+ * MODIFIED: Added `glob`, which matches a pattern against the file system. A '**'
+ * path component matches any number of directories.
+ */
+
+/**
+ * Converts a shell pattern to an anchored regular expression.
+ * @param {string} pattern - The pattern, with quoted characters escaped by a backslash.
+ * @returns {RegExp} The equivalent regular expression.
+ */
+export function patternToRegExp(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const ch = pattern[i];
+        if (ch === '\\' && i + 1 < pattern.length) {
+            source += escapeRegExp(pattern[++i]);
+        } else if (ch === '*') {
+            source += '[\\s\\S]*';
+        } else if (ch === '?') {
+            source += '[\\s\\S]';
+        } else if (ch === '[') {
+            const end = findBracketEnd(pattern, i);
+            if (end === -1) {
+                source += '\\[';
+                continue;
+            }
+            let set = pattern.slice(i + 1, end);
+            const negate = set[0] === '!' || set[0] === '^';
+            if (negate) set = set.slice(1);
+            source += `[${negate ? '^' : ''}${set.replace(/\\(.)/g, '$1').replace(/[\\\]^]/g, '\\$&')}]`;
+            i = end;
+        } else {
+            source += escapeRegExp(ch);
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Tests whether a string matches a shell pattern.
+ * @param {string} pattern - The pattern.
+ * @param {string} text - The string to test.
+ * @returns {boolean} True if the whole string matches.
+ */
+export function matchPattern(pattern, text) {
+    return patternToRegExp(pattern).test(text);
+}
+
+/**
+ * Escapes the characters that are special in a shell pattern.
+ * @param {string} text - Literal text.
+ * @returns {string} A pattern matching exactly `text`.
+ */
+export function escapePattern(text) {
+    return text.replace(/[\\*?[\]]/g, '\\$&');
+}
+
+/**
+ * Tests whether a pattern contains an unescaped '*', '?' or '[...]'.
+ * @param {string} pattern - The pattern.
+ * @returns {boolean} True if the pattern can match anything but itself.
+ */
+export function hasGlobChars(pattern) {
+    for (let i = 0; i < pattern.length; i++) {
+        const ch = pattern[i];
+        if (ch === '\\') i++;
+        else if (ch === '*' || ch === '?') return true;
+        else if (ch === '[' && findBracketEnd(pattern, i) !== -1) return true;
+    }
+    return false;
+}
+
+/**
+ * Removes the backslashes that escape characters in a pattern.
+ * @param {string} pattern - The pattern.
+ * @returns {string} The literal text.
+ */
+export function unescapePattern(pattern) {
+    return pattern.replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Finds the paths matching a pattern such as 'src/*.js' or '/etc/[a-c]*'. A '**'
+ * component matches any number of directories, so 'docs/**' lists everything below docs.
+ * Wildcards do not match a leading '.' unless the pattern component starts with one.
+ * Paths are returned the way the pattern was written: relative to `cwd` or absolute.
+ * @param {string} pattern - The pattern, with quoted characters escaped by a backslash.
+ * @param {object} options
+ * @param {string} options.cwd - The directory relative patterns start from.
+ * @param {object} options.fs - A promise-based file system (LightningFS `promises`).
+ * @returns {Promise<string[]>} The sorted matches, or an empty array.
+ */
+export async function glob(pattern, { cwd, fs }) {
+    const dirsOnly = pattern.endsWith('/');
+    const segments = pattern.split('/').filter(segment => segment !== '');
+    let matches = [pattern.startsWith('/') ? '/' : ''];
+
+    for (const [index, segment] of segments.entries()) {
+        const last = index === segments.length - 1;
+        const next = [];
+        for (const prefix of matches) {
+            const dir = resolvePath(prefix || '.', cwd);
+            if (segment === '**') {
+                // Zero or more directories; as the last component, everything below.
+                if (!last) next.push(prefix);
+                for (const { path, isDirectory } of await listTree(fs, dir)) {
+                    if (last || isDirectory) next.push(joinPath(prefix, path));
+                }
+            } else if (!hasGlobChars(segment)) {
+                next.push(joinPath(prefix, unescapePattern(segment)));
+            } else {
+                const regExp = patternToRegExp(segment);
+                const entries = await fs.readdir(dir).catch(() => []);
+                for (const entry of entries.sort()) {
+                    if (entry.startsWith('.') && !segment.startsWith('.')) continue;
+                    if (regExp.test(entry)) next.push(joinPath(prefix, entry));
+                }
+            }
+        }
+        matches = next;
+    }
+
+    // Literal components and intermediate matches still have to exist (as directories).
+    const results = new Set();
+    for (const path of matches) {
+        const stats = await fs.stat(resolvePath(path, cwd)).catch(() => null);
+        if (!stats || (dirsOnly && !stats.isDirectory())) continue;
+        results.add(dirsOnly ? `${path}/` : path);
+    }
+    return [...results].sort();
+}
+
+/**
+ * Lists every entry below a directory, depth first, skipping hidden ones.
+ */
+async function listTree(fs, dir, base = '') {
+    const entries = await fs.readdir(dir).catch(() => []);
+    const results = [];
+    for (const entry of entries.sort()) {
+        if (entry.startsWith('.')) continue;
+        const stats = await fs.stat(`${dir === '/' ? '' : dir}/${entry}`).catch(() => null);
+        if (!stats) continue;
+        const path = base ? `${base}/${entry}` : entry;
+        results.push({ path, isDirectory: stats.isDirectory() });
+        if (stats.isDirectory()) results.push(...await listTree(fs, `${dir === '/' ? '' : dir}/${entry}`, path));
+    }
+    return results;
+}
+
+function joinPath(prefix, name) {
+    if (prefix === '') return name;
+    return prefix.endsWith('/') ? `${prefix}${name}` : `${prefix}/${name}`;
+}
+
+// A ']' right after '[' (or '[!') is part of the set rather than closing it.
+function findBracketEnd(pattern, start) {
+    let i = start + 1;
+    if (pattern[i] === '!' || pattern[i] === '^') i++;
+    if (pattern[i] === ']') i++;
+    for (; i < pattern.length; i++) {
+        if (pattern[i] === '\\') i++;
+        else if (pattern[i] === ']') return i;
+    }
+    return -1;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
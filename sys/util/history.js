@@ -0,0 +1,130 @@
+// -----------------------------------------------------------------------------
+// file: sys/util/history.js
+// -----------------------------------------------------------------------------
+import { preprocess } from '../parser.js';
+
+/**
+ * History expansion for lines typed at the prompt, as in bash:
+ *
+ *   !!        the previous command
+ *   !n        command number n (as numbered by 'history')
+ *   !-n       the command n lines back
+ *   !prefix   the most recent command starting with 'prefix'
+ *   !?text?   the most recent command containing 'text'
+ *   !$        the last word of the previous command
+ *
+ * A '!' followed by a blank, '=', '(' or the end of the line, or inside single
+ * quotes, or after a backslash or '$', is left alone.
+ */
+
+/**
+ * Expands history references in a line.
+ * @param {string} line - The line as typed.
+ * @param {string[]} history - The history, oldest first.
+ * @returns {string} The expanded line.
+ * @throws {Error} If a reference matches no command, e.g. '!foo: event not found'.
+ */
+export function expandHistory(line, history) {
+    let result = '';
+    let inSingleQuotes = false;
+    let inDoubleQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (ch === "'" && !inDoubleQuotes) inSingleQuotes = !inSingleQuotes;
+        if (ch === '"' && !inSingleQuotes) inDoubleQuotes = !inDoubleQuotes;
+        if (ch === '\\' && !inSingleQuotes) {
+            result += line.slice(i, i + 2);
+            i++;
+            continue;
+        }
+        if (ch !== '!' || inSingleQuotes || line[i - 1] === '$' || /^(\s|=|\(|$)/.test(line.slice(i + 1, i + 2))) {
+            result += ch;
+            continue;
+        }
+
+        const rest = line.slice(i + 1);
+        const reference = rest.match(/^(!|\$|-?\d+|\?[^?\n]*\??|[^\s;&|()<>'"`]+)/)[0];
+        const event = findEvent(reference, history);
+        if (event === undefined) throw new Error(`!${reference}: event not found`);
+        result += event;
+        i += reference.length;
+    }
+    return result;
+}
+
+/**
+ * Looks up the command a reference (the text after '!') stands for.
+ * @returns {string|undefined}
+ */
+function findEvent(reference, history) {
+    const last = history[history.length - 1];
+    if (reference === '!') return last;
+    if (reference === '$') return last?.trim().split(/\s+/).pop();
+    if (/^\d+$/.test(reference)) return history[Number(reference) - 1];
+    if (/^-\d+$/.test(reference)) return history[history.length + Number(reference)];
+
+    const search = reference.startsWith('?') ? reference.slice(1).replace(/\?$/, '') : null;
+    for (let i = history.length - 1; i >= 0; i--) {
+        if (search !== null ? history[i].includes(search) : history[i].startsWith(reference)) return history[i];
+    }
+    return undefined;
+}
+
+/**
+ * Joins the lines of a command typed over several lines into one history entry,
+ * as bash does: 'if true', 'then echo', 'fi' becomes 'if true; then echo; fi'.
+ * After an operator or keyword that expects more ('|', '&&', 'then', 'do', ...)
+ * the lines are joined with a space, a '\' at the end of a line is dropped, and
+ * inside quotes or a here-document the line break is kept.
+ * @param {string[]} lines - The lines, as run.
+ * @returns {string} The history entry.
+ */
+export function joinLines(lines) {
+    let entry = lines[0];
+    for (const line of lines.slice(1)) {
+        const { incomplete, heredocs } = preprocess(entry);
+        // A here-document's delimiter has to stay on a line of its own.
+        if (incomplete || heredocs.length) {
+            entry += `\n${line}`;
+        } else if (/(^|[^\\])(\\\\)*\\$/.test(entry)) {
+            entry = entry.slice(0, -1) + line;
+        } else if (line.trim() && entry.trim()) {
+            const continues = /(^|[\s;&|(){}!])(then|do|else|elif|if|while|until|in)$|[|&;({!]$/.test(entry.trimEnd());
+            entry = `${entry.trimEnd()}${continues ? ' ' : '; '}${line.trim()}`;
+        } else {
+            entry += line.trim();
+        }
+    }
+    return entry;
+}
+
+/**
+ * Writes the history for the history file, one entry per line. An entry that
+ * spans lines (see `joinLines`) is written as a JSON string, and so is one that
+ * starts with '"', so it cannot be mistaken for one; any other entry is written
+ * as it is, which keeps the file readable.
+ * @param {string[]} history - The history, oldest first.
+ * @returns {string} The file's text.
+ */
+export function encodeHistory(history) {
+    return history.map(entry => `${/\n|^"/.test(entry) ? JSON.stringify(entry) : entry}\n`).join('');
+}
+
+/**
+ * Reads the history back from the text `encodeHistory` wrote. Files from before
+ * entries were encoded have plain lines only, and load the same way.
+ * @param {string} text - The file's text.
+ * @returns {string[]} The history, oldest first.
+ */
+export function decodeHistory(text) {
+    return text.split('\n').filter(line => line.trim()).map((line) => {
+        if (!line.startsWith('"')) return line;
+        try {
+            const entry = JSON.parse(line);
+            return typeof entry === 'string' ? entry : line;
+        } catch (e) {
+            return line;
+        }
+    });
+}
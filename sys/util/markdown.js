@@ -0,0 +1,200 @@
+// -----------------------------------------------------------------------------
+// file: sys/util/markdown.js
+// -----------------------------------------------------------------------------
+/**
+ * Renders Markdown as terminal text, the way 'man' shows a page: headings in
+ * bold, the text under a '##' heading indented, paragraphs wrapped to the
+ * terminal's width, and inline styles drawn with ANSI escapes:
+ *
+ *   # Title, ## Section, ### Subsection
+ *   **bold**, *emphasis* (underlined) and `code` (in colour)
+ *   - list items (or '* ', or '1. ')
+ *   ``` fenced code blocks ```, indented and kept as they are
+ *   a term line followed by ': its definition', which is indented under it
+ *   a backslash at the end of a line, to break the line there
+ *
+ * A backslash before punctuation keeps it literal, e.g. '\*'.
+ */
+
+const STYLES = { bold: '1', emphasis: '4', code: '36', heading: '1' };
+
+// How far the text under a '##' heading, and a definition under its term, is indented.
+const INDENT = 4;
+
+/**
+ * Renders a Markdown document.
+ * @param {string} source - The Markdown.
+ * @param {object} [options]
+ * @param {number} [options.width=80] - The width to wrap to.
+ * @param {boolean} [options.color=true] - Draw the styles with ANSI escapes; without,
+ * the text is plain, with inline code in quotes.
+ * @returns {string[]} The lines.
+ */
+export function renderMarkdown(source, { width = 80, color = true } = {}) {
+    const lines = [];
+    const blank = () => {
+        if (lines.length && lines[lines.length - 1] !== '') lines.push('');
+    };
+    const style = (text, name) => (color ? `\x1b[${STYLES[name]}m${text}\x1b[0m` : text);
+    let indent = 0;
+    let paragraph = [];
+    const flush = () => {
+        if (paragraph.length === 0) return;
+        lines.push(...wrap(paragraph.join(' '), indent, width, color));
+        paragraph = [];
+    };
+
+    const input = source.replace(/\r/g, '').split('\n');
+    for (let index = 0; index < input.length; index++) {
+        const line = input[index];
+
+        if (/^\s*```/.test(line)) {
+            flush();
+            blank();
+            while (++index < input.length && !/^\s*```/.test(input[index])) {
+                lines.push(`${' '.repeat(indent + INDENT)}${style(input[index], 'code')}`.trimEnd());
+            }
+            blank();
+            continue;
+        }
+
+        const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+        if (heading) {
+            flush();
+            blank();
+            const level = heading[1].length;
+            // The text under a section is indented; a subsection heading sits half way.
+            const depth = level <= 2 ? 0 : INDENT / 2;
+            lines.push(`${' '.repeat(depth)}${style(plain(heading[2]), 'heading')}`);
+            indent = level === 1 ? 0 : INDENT;
+            continue;
+        }
+
+        if (line.trim() === '') {
+            flush();
+            blank();
+            continue;
+        }
+
+        const definition = line.match(/^:\s+(.*)$/);
+        if (definition) {
+            flush();
+            lines.push(...wrap(definition[1], indent + INDENT, width, color));
+            continue;
+        }
+
+        const item = line.match(/^\s*(?:[-*+]|(\d+)\.)\s+(.*)$/);
+        if (item) {
+            flush();
+            const bullet = item[1] ? `${item[1]}. ` : '• ';
+            // The item's lines that follow are indented to go on with it.
+            let text = item[2];
+            while (index + 1 < input.length && /^\s{2,}\S/.test(input[index + 1])) text += ` ${input[++index].trim()}`;
+            const wrapped = wrap(text, indent + bullet.length, width, color);
+            wrapped[0] = `${' '.repeat(indent)}${bullet}${wrapped[0].trimStart()}`;
+            lines.push(...wrapped);
+            continue;
+        }
+
+        // A backslash at the end breaks the line, e.g. between the forms of a synopsis.
+        const text = line.trim();
+        if (text.endsWith('\\')) {
+            paragraph.push(text.slice(0, -1).trimEnd());
+            flush();
+        } else {
+            paragraph.push(text);
+        }
+    }
+    flush();
+    while (lines.length && lines[lines.length - 1] === '') lines.pop();
+    return lines;
+}
+
+/**
+ * The text of Markdown without its inline markup, e.g. for a heading.
+ */
+function plain(text) {
+    return inline(text).map(span => span.text).join('');
+}
+
+/**
+ * Wraps a line of Markdown text to a width, styling its inline spans.
+ * @returns {string[]} The lines, each starting with `indent` spaces.
+ */
+function wrap(text, indent, width, color) {
+    // The words, each a list of styled parts ('**-f**,' is a bold '-f' and a plain ',').
+    const words = [];
+    let word = null;
+    for (const { text: content, style } of inline(text)) {
+        // Without colour, code is set off with quotes instead.
+        const part = !color && style === 'code' ? `'${content}'` : content;
+        for (const piece of part.split(/( +)/)) {
+            if (piece === '') continue;
+            if (piece.startsWith(' ')) {
+                word = null;
+                continue;
+            }
+            if (!word) {
+                word = [];
+                words.push(word);
+            }
+            word.push({ text: piece, style });
+        }
+    }
+
+    const room = Math.max(20, width - indent);
+    const lines = [];
+    let line = [];
+    let length = 0;
+    for (const parts of words) {
+        const size = parts.reduce((sum, { text }) => sum + text.length, 0);
+        if (line.length && length + 1 + size > room) {
+            lines.push(line);
+            line = [];
+            length = 0;
+        }
+        length += (line.length ? 1 : 0) + size;
+        line.push(parts);
+    }
+    if (line.length) lines.push(line);
+
+    const render = parts => parts.map(({ text, style }) => (color && style ? `\x1b[${STYLES[style]}m${text}\x1b[0m` : text)).join('');
+    return lines.map(line => `${' '.repeat(indent)}${line.map(render).join(' ')}`);
+}
+
+/**
+ * Splits text into spans of one inline style: 'bold', 'emphasis', 'code' or none.
+ * @returns {Array<{text: string, style: string|null}>}
+ */
+function inline(text) {
+    const spans = [];
+    const push = (part, style) => {
+        const last = spans[spans.length - 1];
+        if (last && last.style === style) last.text += part;
+        else spans.push({ text: part, style });
+    };
+    let bold = false;
+    let emphasis = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (ch === '\\' && /[\\`*_{}[\]()#+\-.!|<>]/.test(text[i + 1] ?? '')) {
+            push(text[++i], bold ? 'bold' : emphasis ? 'emphasis' : null);
+        } else if (ch === '`') {
+            const end = text.indexOf('`', i + 1);
+            if (end === -1) {
+                push(ch, null);
+                continue;
+            }
+            push(text.slice(i + 1, end), 'code');
+            i = end;
+        } else if (text.startsWith('**', i)) {
+            bold = !bold;
+            i++;
+        } else if (ch === '*' && (emphasis || /\S/.test(text[i + 1] ?? ''))) {
+            emphasis = !emphasis;
+        } else {
+            push(ch, bold ? 'bold' : emphasis ? 'emphasis' : null);
+        }
+    }
+    return spans;
+}
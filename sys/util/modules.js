@@ -0,0 +1,104 @@
+// -----------------------------------------------------------------------------
+// file: sys/util/modules.js
+// -----------------------------------------------------------------------------
+import { resolvePath } from './path.js';
+
+/**
+ * Loads JavaScript modules from the file system. The browser can only import
+ * from URLs, so a file's source is imported through an object URL of a Blob.
+ *
+ * Such a module has no real location, so its imports are rewritten first: a
+ * relative (or absolute) import of a file that is in the file system is loaded
+ * the same way, and any other is pointed at the served copy under the page's
+ * '/sys'. So '/sys/cmd/foo.js' can import '../util/walk.js' whether or not
+ * '/sys/util/walk.js' exists in the file system.
+ *
+ * Object URLs are freed once the module is loaded, so an 'import()' of a
+ * relative path inside such a module always loads the served copy.
+ */
+
+// The served 'sys' directory, which '/sys' in the file system mirrors.
+const SYS_URL = new URL('../', import.meta.url);
+
+// Static imports and re-exports ('from "x"', 'import "x"'), and dynamic 'import("x")'.
+const SPECIFIER = /(\bfrom\s*|\bimport\s*)(\(\s*)?(['"])((?:\.{1,2})?\/[^'"\n]*)\3/g;
+
+/**
+ * Imports a module from the file system.
+ * @param {object} pfs - The promise-based file system.
+ * @param {string} path - The absolute path of the module.
+ * @returns {Promise<object>} The module namespace.
+ * @throws {Error} If the file cannot be read or the module fails to load.
+ */
+export async function importFile(pfs, path) {
+    const urls = new Map();
+    try {
+        return await import(await moduleUrl(pfs, path, urls));
+    } finally {
+        for (const url of urls.values()) if (url) URL.revokeObjectURL(url);
+    }
+}
+
+/**
+ * Imports a module by URL, preferring its copy in the file system when it is
+ * one of the served '/sys' modules and the file system has it.
+ * @param {object} pfs - The promise-based file system.
+ * @param {URL} url - The module's served URL.
+ * @returns {Promise<object>} The module namespace.
+ */
+export async function importModule(pfs, url) {
+    const path = fsPath(url);
+    const stats = path && await pfs.stat(path).catch(() => null);
+    return stats?.isFile() ? importFile(pfs, path) : import(url.href);
+}
+
+/**
+ * Maps a served URL under 'sys' to its path in the file system.
+ * @param {URL} url - The URL.
+ * @returns {string|null} The path, e.g. '/sys/cmd/ls.js', or null if the URL is elsewhere.
+ */
+export function fsPath(url) {
+    if (url.origin !== SYS_URL.origin || !url.pathname.startsWith(SYS_URL.pathname)) return null;
+    return `/sys/${url.pathname.slice(SYS_URL.pathname.length)}`;
+}
+
+/**
+ * Maps a path in the file system under '/sys' to its served URL.
+ * @param {string} path - The absolute path.
+ * @returns {string|null} The URL, or null if the path is outside '/sys'.
+ */
+export function servedUrl(path) {
+    return path.startsWith('/sys/') ? new URL(path.slice('/sys/'.length), SYS_URL).href : null;
+}
+
+/**
+ * Makes the object URL of a module, and of the modules it imports from the file
+ * system. `urls` holds those made so far, by path; a module still being made
+ * (imported in a cycle) is null there, and is imported from its served copy.
+ */
+async function moduleUrl(pfs, path, urls) {
+    urls.set(path, null);
+    const source = await pfs.readFile(path, 'utf8');
+    const dir = path.slice(0, path.lastIndexOf('/')) || '/';
+
+    const specifiers = new Map();
+    for (const [, , call, , specifier] of source.matchAll(SPECIFIER)) {
+        const key = `${call ? 'import()' : ''}${specifier}`;
+        if (specifiers.has(key)) continue;
+        const target = resolvePath(specifier, dir);
+        const stats = !call && await pfs.stat(target).catch(() => null);
+        if (stats?.isFile() && !urls.has(target)) {
+            specifiers.set(key, await moduleUrl(pfs, target, urls));
+        } else {
+            specifiers.set(key, (!call && urls.get(target)) || servedUrl(target));
+        }
+    }
+
+    const rewritten = source.replace(SPECIFIER, (match, keyword, call = '', quote, specifier) => {
+        const url = specifiers.get(`${call ? 'import()' : ''}${specifier}`);
+        return url ? `${keyword}${call}${quote}${url}${quote}` : match;
+    });
+    const url = URL.createObjectURL(new Blob([rewritten], { type: 'text/javascript' }));
+    urls.set(path, url);
+    return url;
+}
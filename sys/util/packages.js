@@ -0,0 +1,48 @@
+// -----------------------------------------------------------------------------
+// file: sys/util/packages.js
+// -----------------------------------------------------------------------------
+/**
+ * Where 'pkg' puts installed packages, and the lockfile that records them. The
+ * kernel reads the lockfile too, to load the packages' key handlers at startup.
+ *
+ *   /usr/lib/NAME/          the files of package NAME, as in its repository
+ *   /usr/bin/COMMAND.js     a module that re-exports a package's command ($PATH finds it)
+ *   /usr/lib/pkg-lock.json  what is installed, from where, and at which commit
+ *
+ * The lockfile looks like this:
+ *
+ *   { "packages": { "hello": { "version": "1.0.0", "source": "https://...", "ref": null,
+ *       "commit": "3f2a...", "explicit": true, "commands": { "hello": "/usr/lib/hello/hello.js" },
+ *       "handlers": { "Control_L": "/usr/lib/hello/keys/clear.js" }, "dependencies": [] } } }
+ *
+ * 'explicit' is false for a package that was only installed as another's dependency.
+ */
+
+export const LIB_DIR = '/usr/lib';
+export const BIN_DIR = '/usr/bin';
+export const LOCKFILE = '/usr/lib/pkg-lock.json';
+
+/**
+ * Reads the lockfile.
+ * @param {object} pfs - The promise-based file system.
+ * @returns {Promise<{packages: object}>} The lockfile; empty if there is none yet.
+ */
+export async function readLock(pfs) {
+    let text;
+    try {
+        text = await pfs.readFile(LOCKFILE, 'utf8');
+    } catch (e) {
+        return { packages: {} };
+    }
+    const lock = JSON.parse(text);
+    return { ...lock, packages: lock.packages ?? {} };
+}
+
+/**
+ * Writes the lockfile.
+ * @param {object} pfs - The promise-based file system.
+ * @param {{packages: object}} lock - The lockfile.
+ */
+export async function writeLock(pfs, lock) {
+    await pfs.writeFile(LOCKFILE, `${JSON.stringify(lock, null, 2)}\n`);
+}
@@ -0,0 +1,128 @@
+// -----------------------------------------------------------------------------
+// file: sys/util/pager.js
+// -----------------------------------------------------------------------------
+/**
+ * A pager for text longer than the terminal, like a small 'less'. It takes over
+ * the terminal's alternate screen, so the shell's output is back as it was
+ * afterwards, and reads keys the way `Kernel.readLine` does:
+ *
+ *   Space, f, PageDown     a screen forward      b, PageUp        a screen back
+ *   Enter, j, ArrowDown    a line forward        k, ArrowUp       a line back
+ *   d                      half a screen forward u                half a screen back
+ *   g, Home                the top               G, End           the bottom
+ *   /PATTERN Enter         search forward        n, N             the next or previous match
+ *   q, Ctrl+C              quit
+ */
+
+/**
+ * Shows lines on the terminal, a screen at a time. Lines that fit on one
+ * screen are simply written out.
+ * @param {Kernel} kernel - The kernel, whose terminal is used.
+ * @param {string[]} lines - The lines, already wrapped to the terminal's width.
+ * @param {object} [options]
+ * @param {string} [options.name=''] - What is shown, for the status line.
+ * @returns {Promise<void>} Resolves when the pager is closed.
+ */
+export function page(kernel, lines, { name = '' } = {}) {
+    const { term } = kernel;
+    const height = Math.max(1, term.rows - 1);
+    if (lines.length <= height) {
+        term.write(lines.map(line => `${line}\r\n`).join(''));
+        return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+        const bottom = lines.length - height;
+        const plain = lines.map(line => line.replace(/\x1b\[[0-9;]*m/g, ''));
+        let top = 0;
+        let typed = null; // The search pattern being typed after '/'.
+        let pattern = null;
+        let message = '';
+
+        const draw = () => {
+            const shown = lines.slice(top, top + height);
+            while (shown.length < height) shown.push('~');
+            let status = typed !== null ? `/${typed}` : message;
+            if (!status) {
+                const position = `lines ${top + 1}-${Math.min(top + height, lines.length)}/${lines.length}${top >= bottom ? ' (END)' : ''}`;
+                status = `${name ? `${name} ` : ''}${position} (q to quit)`;
+            }
+            term.write(`\x1b[H\x1b[2J${shown.join('\r\n')}\r\n\x1b[7m${status}\x1b[0m`);
+            message = '';
+        };
+        const find = (direction) => {
+            if (!pattern) return;
+            for (let index = top + direction; index >= 0 && index < lines.length; index += direction) {
+                if (pattern.test(plain[index])) {
+                    top = index;
+                    return;
+                }
+            }
+            message = 'Pattern not found';
+        };
+
+        const running = kernel.currentProcess;
+        const finish = () => {
+            kernel.keyMode = null;
+            kernel.currentProcess = running;
+            term.write('\x1b[?1049l');
+            resolve();
+        };
+        // Ctrl+C goes to the current process, not to the key mode.
+        kernel.currentProcess = { cancel: finish };
+        kernel.keyMode = {
+            handle: (shell, key, character) => {
+                if (typed !== null) {
+                    if (key === 'Enter') {
+                        if (typed) pattern = searchPattern(typed);
+                        typed = null;
+                        find(1);
+                    } else if (key === 'Escape') {
+                        typed = null;
+                    } else if (key === 'Backspace') {
+                        typed = typed ? typed.slice(0, -1) : null;
+                    } else if (key === character && character.length === 1) {
+                        typed += character;
+                    }
+                    draw();
+                    return true;
+                }
+
+                const half = Math.ceil(height / 2);
+                switch (key) {
+                    case 'q': case 'Q':
+                        finish();
+                        return true;
+                    case ' ': case 'f': case 'PageDown': top += height; break;
+                    case 'b': case 'PageUp': top -= height; break;
+                    case 'Enter': case 'j': case 'ArrowDown': top += 1; break;
+                    case 'k': case 'ArrowUp': top -= 1; break;
+                    case 'd': top += half; break;
+                    case 'u': top -= half; break;
+                    case 'g': case 'Home': top = 0; break;
+                    case 'G': case 'End': top = bottom; break;
+                    case '/': typed = ''; break;
+                    case 'n': find(1); break;
+                    case 'N': find(-1); break;
+                }
+                top = Math.max(0, Math.min(top, bottom));
+                draw();
+                return true;
+            },
+        };
+        term.write('\x1b[?1049h');
+        draw();
+    });
+}
+
+/**
+ * Makes a case-insensitive search pattern; text that is not a valid regular
+ * expression is searched for as it is.
+ */
+function searchPattern(text) {
+    try {
+        return new RegExp(text, 'i');
+    } catch (e) {
+        return new RegExp(text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    }
+}
@@ -0,0 +1,143 @@
+// -----------------------------------------------------------------------------
+// file: sys/util/payload.js
+// -----------------------------------------------------------------------------
+import { walk } from './walk.js';
+
+/**
+ * Boot payloads: what a QR code carries to start QRx with. A payload is a JSON
+ * object, compressed with raw deflate and written in URL-safe base64, so it fits
+ * in a URL fragment ('#qrx=...') and a QR code can simply hold that URL:
+ *
+ *   {
+ *     v: 1,                          the format version
+ *     config: { welcomeMessage },    options for the kernel
+ *     files: { '/path': 'text' },    files to put into the file system; a
+ *                                    null value makes an empty directory
+ *     init: 'echo hi'                a script to run once the shell is up,
+ *                                    if the user agrees
+ *   }
+ *
+ * Every part is optional.
+ */
+
+export const PAYLOAD_VERSION = 1;
+
+/**
+ * The most bytes a QR code can hold (version 40, low error correction, byte mode).
+ */
+export const QR_CAPACITY = 2953;
+
+/**
+ * Compresses and encodes a payload.
+ * @param {object} payload - The payload; its version is filled in.
+ * @returns {Promise<string>} The URL-safe text.
+ */
+export async function encodePayload(payload) {
+    const json = JSON.stringify({ v: PAYLOAD_VERSION, ...payload });
+    const stream = new Blob([json]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    let binary = '';
+    for (const byte of bytes) binary += String.fromCharCode(byte);
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes and decompresses a payload.
+ * @param {string} text - The text from `encodePayload`.
+ * @returns {Promise<object>} The payload.
+ * @throws {Error} If the text is not a payload, or one of a newer version.
+ */
+export async function decodePayload(text) {
+    let payload;
+    try {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = Uint8Array.from(binary, ch => ch.charCodeAt(0));
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        payload = JSON.parse(await new Response(stream).text());
+    } catch (e) {
+        throw new Error('the boot payload is damaged');
+    }
+    if (!isObject(payload) || (payload.files !== undefined && !isObject(payload.files))
+        || Object.values(payload.files ?? {}).some(content => content !== null && typeof content !== 'string')
+        || (payload.config !== undefined && !isObject(payload.config))
+        || (payload.init !== undefined && typeof payload.init !== 'string')) {
+        throw new Error('the boot payload is damaged');
+    }
+    if (payload.v > PAYLOAD_VERSION) throw new Error(`unsupported boot payload version: ${payload.v}`);
+    return payload;
+}
+
+/**
+ * Finds the payload in a URL's fragment, e.g. 'https://qrx.world/#qrx=...'.
+ * @param {string} url - The URL, or the text of a scanned QR code.
+ * @returns {string|null} The encoded payload, or null if the URL has none.
+ */
+export function payloadFromUrl(url) {
+    if (!url.includes('#')) return null;
+    return new URLSearchParams(url.slice(url.indexOf('#') + 1)).get('qrx');
+}
+
+/**
+ * Collects the files under a directory for a payload.
+ * @param {object} pfs - The promise-based file system.
+ * @param {string} dir - The absolute path of the directory.
+ * @returns {Promise<object>} The files, by absolute path; empty directories map to null.
+ */
+export async function packDirectory(pfs, dir) {
+    const files = {};
+    for await (const entry of walk(pfs, dir)) {
+        if (entry.stats.isDirectory()) {
+            if ((await pfs.readdir(entry.path)).length === 0) files[entry.path] = null;
+        } else if (entry.stats.isFile()) {
+            files[entry.path] = await pfs.readFile(entry.path, 'utf8');
+        }
+    }
+    return files;
+}
+
+/**
+ * Lists what writing a payload's files would change, so the user can be asked
+ * first: the paths that do not exist yet, and the files with other content.
+ * @param {object} pfs - The promise-based file system.
+ * @param {object} files - The files, by absolute path; null makes an empty directory.
+ * @returns {Promise<{added: string[], replaced: string[]}>} The paths, as `files` has them.
+ */
+export async function payloadChanges(pfs, files) {
+    const added = [];
+    const replaced = [];
+    for (const [path, content] of Object.entries(files)) {
+        const file = `/${path.split('/').filter(Boolean).join('/')}`;
+        const stats = await pfs.lstat(file).catch(() => null);
+        if (!stats) added.push(path);
+        else if (content !== null && stats.isFile() && await pfs.readFile(file, 'utf8') !== content) replaced.push(path);
+    }
+    return { added, replaced };
+}
+
+/**
+ * Writes a payload's files into the file system, making the directories they
+ * are in. Existing files are replaced; a path that exists as something other
+ * than a file is left alone.
+ * @param {object} pfs - The promise-based file system.
+ * @param {object} files - The files, by absolute path; null makes an empty directory.
+ */
+export async function seedFiles(pfs, files) {
+    for (const [path, content] of Object.entries(files)) {
+        const parts = path.split('/').filter(Boolean);
+        const dirs = content === null ? parts : parts.slice(0, -1);
+        let dir = '';
+        for (const part of dirs) {
+            dir += `/${part}`;
+            await pfs.mkdir(dir).catch(() => {});
+        }
+        if (content === null) continue;
+
+        const file = `/${parts.join('/')}`;
+        const stats = await pfs.lstat(file).catch(() => null);
+        if (!stats || stats.isFile()) await pfs.writeFile(file, content);
+    }
+}
+
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
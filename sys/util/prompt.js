@@ -0,0 +1,103 @@
+// -----------------------------------------------------------------------------
+// file: sys/util/prompt.js
+// -----------------------------------------------------------------------------
+
+/**
+ * Renders the prompt from $PS1 (and the continuation prompt from $PS2), which
+ * take bash's backslash escapes:
+ *
+ *     \u  the user name ($USER)          \h, \H  the host name ($HOSTNAME, or 'host')
+ *     \w  the working directory, with $HOME shown as '~'
+ *     \W  the last part of the working directory
+ *     \$  '#' for root, '$' otherwise    \?  the exit status of the last command
+ *     \t  the time, 24-hour HH:MM:SS     \T  the time, 12-hour HH:MM:SS
+ *     \@  the time, 12-hour am/pm        \A  the time, 24-hour HH:MM
+ *     \d  the date, e.g. 'Sat Oct 18'    \j  the number of jobs
+ *     \!  the history number             \s  the shell's name
+ *     \n  a new line                     \\  a backslash
+ *     \e  an escape character, to start a colour code such as '\e[1;32m'
+ *     \nnn  the character with octal code nnn, e.g. '\033'
+ *     \[ \]  mark non-printing text; accepted and dropped, since colour codes
+ *            are left out when the line is measured anyway
+ *
+ * and one of its own: \g, the current git branch, or nothing outside a repository.
+ * Looking the branch up takes a while, so the kernel does it with `gitBranch` after
+ * each command and keeps it in `shell.gitBranch`; the prompt itself is drawn at once.
+ */
+
+/** The prompt when $PS1 is not changed: 'user@host:~$ ' in green and blue. */
+export const DEFAULT_PS1 = '\\[\\e[1;32m\\]\\u@\\h\\[\\e[0m\\]:\\[\\e[1;34m\\]\\w\\[\\e[0m\\]\\$ ';
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Expands the escapes in a prompt string.
+ * @param {Kernel} shell - The shell instance.
+ * @param {string} ps - The prompt string, e.g. the value of $PS1.
+ * @returns {string} The prompt text, with '\n' for new lines.
+ */
+export function renderPrompt(shell, ps) {
+    const now = new Date();
+    const pad = (n) => String(n).padStart(2, '0');
+    const hours12 = pad(now.getHours() % 12 || 12);
+    const time = `${pad(now.getMinutes())}:${pad(now.getSeconds())}`;
+    const user = shell.getVariable('USER') ?? 'user';
+
+    const escapes = {
+        u: user,
+        h: (shell.getVariable('HOSTNAME') ?? 'host').split('.')[0],
+        H: shell.getVariable('HOSTNAME') ?? 'host',
+        w: shortenHome(shell.cwd, shell.getVariable('HOME')),
+        W: shell.cwd === '/' ? '/' : shortenHome(shell.cwd, shell.getVariable('HOME')).split('/').pop(),
+        $: user === 'root' ? '#' : '$',
+        '?': String(shell.lastExitStatus),
+        t: `${pad(now.getHours())}:${time}`,
+        T: `${hours12}:${time}`,
+        '@': `${hours12}:${pad(now.getMinutes())} ${now.getHours() < 12 ? 'AM' : 'PM'}`,
+        A: `${pad(now.getHours())}:${pad(now.getMinutes())}`,
+        d: `${DAYS[now.getDay()]} ${MONTHS[now.getMonth()]} ${pad(now.getDate())}`,
+        j: String(shell.jobs?.jobs.length ?? 0),
+        '!': String(shell.history.length + 1),
+        s: 'qrx',
+        n: '\n',
+        e: '\x1b',
+        a: '\x07',
+        '\\': '\\',
+        '[': '',
+        ']': '',
+        g: shell.gitBranch ?? '',
+    };
+
+    return ps.replace(/\\([0-7]{3}|.)/g, (escape, key) => {
+        if (/^[0-7]{3}$/.test(key)) return String.fromCharCode(parseInt(key, 8));
+        return escapes[key] ?? escape;
+    });
+}
+
+/**
+ * Writes a path under the home directory as '~/...'.
+ */
+function shortenHome(path, home) {
+    if (!home || home === '/') return path;
+    if (path === home) return '~';
+    return path.startsWith(`${home}/`) ? `~${path.slice(home.length)}` : path;
+}
+
+/**
+ * Returns the branch checked out in the repository around the working
+ * directory, the short commit ID if HEAD is detached, or '' outside a repository.
+ * @param {Kernel} shell - The shell instance.
+ * @returns {Promise<string>}
+ */
+export async function gitBranch(shell) {
+    try {
+        const dir = await shell.git.findRoot({ fs: shell.fs, filepath: shell.cwd });
+        const branch = await shell.git.currentBranch({ fs: shell.fs, dir });
+        if (branch) return branch;
+        const oid = await shell.git.resolveRef({ fs: shell.fs, dir, ref: 'HEAD' });
+        return oid.slice(0, 7);
+    } catch (e) {
+        return '';
+    }
+}
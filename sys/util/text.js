@@ -0,0 +1,235 @@
+// -----------------------------------------------------------------------------
+// file: sys/util/text.js
+// -----------------------------------------------------------------------------
+
+/**
+ * Helpers shared by the text filters (grep, sed, head, tail, wc, sort, uniq,
+ * cut, tr): reading their input line by line, the line counts of 'head' and
+ * 'tail', and POSIX regular expressions.
+ *
+ * A filter reads the files named on its command line, or its stdin when none
+ * are given; '-' stands for stdin among the files. Lines are read from a pipe
+ * as they arrive, so 'head' can finish before the writer does.
+ */
+
+/**
+ * Runs `fn` for each input of a filter, with the input's lines. A file that
+ * cannot be read is reported as 'name: file: No such file or directory' (or
+ * 'Is a directory') and skipped.
+ * @param {Process} proc - The running process.
+ * @param {string[]} files - The file arguments; none means stdin.
+ * @param {string} name - The command name, for error messages.
+ * @param {function(AsyncIterable<string>, string): Promise<void>} fn - Called with the
+ * lines (without their '\n') and the file name ('-' for stdin).
+ * @param {object} [options]
+ * @param {boolean} [options.quiet=false] - Skip unreadable files without a message.
+ * @returns {Promise<boolean>} True if every input could be read.
+ */
+export async function eachInput(proc, files, name, fn, { quiet = false } = {}) {
+    let ok = true;
+    for (const file of files.length ? files : ['-']) {
+        const text = await readInput(proc, file, name, { quiet });
+        if (text === null) {
+            ok = false;
+            continue;
+        }
+        await fn(linesOf(text), file);
+    }
+    return ok;
+}
+
+/**
+ * Reads one input of a filter: stdin for '-', otherwise the named file.
+ * @param {Process} proc - The running process.
+ * @param {string} file - The file name, or '-'.
+ * @param {string} name - The command name, for error messages.
+ * @param {object} [options]
+ * @param {boolean} [options.quiet=false] - Do not report a file that cannot be read.
+ * @returns {Promise<AsyncIterable<string>|Iterable<string>|null>} The input's chunks,
+ * or null if the file could not be read (the error has been written to stderr).
+ */
+export async function readInput(proc, file, name, { quiet = false } = {}) {
+    if (file === '-') return proc.stdin ?? [];
+    const path = proc.resolvePath(file);
+    let error;
+    try {
+        const stats = await proc.kernel.pfs.stat(path);
+        if (!stats.isDirectory()) return [await proc.kernel.pfs.readFile(path, 'utf8')];
+        error = 'Is a directory';
+    } catch (e) {
+        error = 'No such file or directory';
+    }
+    if (!quiet) await proc.stderr.write(`${name}: ${file}: ${error}\n`);
+    return null;
+}
+
+/**
+ * Splits a stream of chunks into lines, without their '\n'. A last line
+ * without a newline is still a line.
+ * @param {AsyncIterable<string>|Iterable<string>} chunks - The text, in pieces.
+ * @returns {AsyncGenerator<string>}
+ */
+export async function* linesOf(chunks) {
+    let rest = '';
+    for await (const chunk of chunks) {
+        rest += chunk;
+        const lines = rest.split('\n');
+        rest = lines.pop();
+        yield* lines;
+    }
+    if (rest) yield rest;
+}
+
+/**
+ * Collects all the lines of an input.
+ * @param {AsyncIterable<string>} lines - The lines.
+ * @returns {Promise<string[]>}
+ */
+export async function collect(lines) {
+    const all = [];
+    for await (const line of lines) all.push(line);
+    return all;
+}
+
+/**
+ * The options 'head' and 'tail' share: '-n N' (or '-N'), '-c N', '-q' and '-v'.
+ * @param {string} end - 'first' or 'last', for the help.
+ * @returns {object} The options, as util/args.js describes them.
+ */
+export function countOptions(end) {
+    return {
+        lines: { short: 'n', long: 'lines', argument: 'NUM', numeric: true, cancels: ['bytes'], description: `print the ${end} NUM lines instead of the ${end} 10` },
+        bytes: { short: 'c', long: 'bytes', argument: 'NUM', cancels: ['lines'], description: `print the ${end} NUM characters` },
+        quiet: { short: 'q', long: 'quiet', cancels: ['verbose'], description: 'never print headers with the file names' },
+        verbose: { short: 'v', long: 'verbose', cancels: ['quiet'], description: 'always print headers with the file names' },
+    };
+}
+
+/**
+ * Reads the parsed `countOptions` of 'head' or 'tail'. A count can start with
+ * '+' (from the start, for 'tail') or '-' (all but, for 'head').
+ * @param {Process} proc - The running process.
+ * @param {string} name - The command name, for error messages.
+ * @returns {Promise<object|null>} `{ count: {value, negative, fromStart}, bytes, headers, files }`,
+ * or null after reporting an invalid count.
+ */
+export async function parseCountOptions(proc, name) {
+    const { options, operands: files, stderr } = proc;
+    const bytes = options.bytes !== null;
+    const spec = options.bytes ?? options.lines ?? '10';
+    if (!/^[+-]?\d+$/.test(spec)) {
+        await stderr.write(`${name}: invalid number of ${bytes ? 'bytes' : 'lines'}: '${spec}'\n`);
+        return null;
+    }
+    const count = { value: Math.abs(Number(spec)), negative: spec.startsWith('-'), fromStart: spec.startsWith('+') };
+    const headers = options.verbose ? true : options.quiet ? false : null;
+    return { count, bytes, headers, files };
+}
+
+/**
+ * Compiles a POSIX regular expression to a JavaScript one. In a basic one (the
+ * default for grep and sed) '+', '?', '|', '(' ')' and '{' '}' are literal and
+ * become operators with a backslash; in an extended one ('-E') it is the other
+ * way round. Bracket classes such as '[[:digit:]]' work in both.
+ * @param {string} pattern - The expression.
+ * @param {object} [options]
+ * @param {boolean} [options.extended=false] - Extended syntax ('grep -E', 'sed -E').
+ * @param {boolean} [options.fixed=false] - Match the text literally ('grep -F').
+ * @param {string} [options.flags=''] - JavaScript flags, e.g. 'gi'.
+ * @returns {RegExp}
+ * @throws {SyntaxError} If the expression is invalid.
+ */
+export function toRegExp(pattern, { extended = false, fixed = false, flags = '' } = {}) {
+    if (fixed) return new RegExp(pattern.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&'), flags);
+
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const ch = pattern[i];
+        if (ch === '\\' && i + 1 < pattern.length) {
+            const next = pattern[++i];
+            if ('+?|(){}'.includes(next)) source += extended ? `\\${next}` : next;
+            else if (next === '<' || next === '>') source += '\\b';
+            else source += `\\${next}`;
+        } else if (ch === '[') {
+            const end = bracketEnd(pattern, i);
+            if (end === -1) {
+                source += '\\[';
+                continue;
+            }
+            source += bracketClass(pattern.slice(i + 1, end));
+            i = end;
+        } else if ('+?|(){}'.includes(ch)) {
+            source += extended ? ch : `\\${ch}`;
+        } else if (ch === '*' && (source === '' || source === '^' || /(^|[^\\])[(|]$/.test(source))) {
+            // A '*' with nothing to repeat matches itself.
+            source += '\\*';
+        } else if (ch === '/') {
+            source += '\\/';
+        } else {
+            source += ch;
+        }
+    }
+    return new RegExp(source, flags);
+}
+
+const CLASSES = {
+    alpha: 'A-Za-z', digit: '0-9', alnum: 'A-Za-z0-9', upper: 'A-Z', lower: 'a-z',
+    space: ' \\t\\n\\r\\f\\v', blank: ' \\t', punct: '!-\\/:-@\\[-`{-~', xdigit: '0-9A-Fa-f',
+    word: 'A-Za-z0-9_', cntrl: '\\x00-\\x1f\\x7f', print: '\\x20-\\x7e', graph: '\\x21-\\x7e',
+};
+
+/**
+ * Returns the characters a '[:name:]' class stands for, in a form that can go
+ * inside a JavaScript character class, or undefined for an unknown name.
+ * @param {string} name - The class name, e.g. 'digit'.
+ * @returns {string|undefined}
+ */
+export function characterClass(name) {
+    return CLASSES[name];
+}
+
+/**
+ * Finds the ']' that ends a bracket expression starting at `start`. A ']' right
+ * after the '[' (or '[^') is part of the set, as are '[:name:]' classes.
+ */
+function bracketEnd(pattern, start) {
+    let i = start + 1;
+    if (pattern[i] === '^') i++;
+    if (pattern[i] === ']') i++;
+    for (; i < pattern.length; i++) {
+        if (pattern.startsWith('[:', i)) {
+            const close = pattern.indexOf(':]', i + 2);
+            if (close !== -1) {
+                i = close + 1;
+                continue;
+            }
+        }
+        if (pattern[i] === ']') return i;
+    }
+    return -1;
+}
+
+/**
+ * Converts the inside of a POSIX bracket expression to a JavaScript character class.
+ * Backslashes are literal in POSIX sets.
+ */
+function bracketClass(set) {
+    let negate = '';
+    if (set[0] === '^') {
+        negate = '^';
+        set = set.slice(1);
+    }
+    let source = '';
+    for (let i = 0; i < set.length; i++) {
+        const match = set.slice(i).match(/^\[:(\w+):\]/);
+        if (match && CLASSES[match[1]]) {
+            source += CLASSES[match[1]];
+            i += match[0].length - 1;
+        } else if (set[i] === '\\' || set[i] === ']' || (set[i] === '^' && i === 0) || set[i] === '[') {
+            source += `\\${set[i]}`;
+        } else {
+            source += set[i];
+        }
+    }
+    return `[${negate}${source}]`;
+}
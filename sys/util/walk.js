@@ -0,0 +1,81 @@
+// -----------------------------------------------------------------------------
+// file: sys/util/walk.js
+// -----------------------------------------------------------------------------
+
+/**
+ * A recursive walk over the file system, shared by the commands that work on
+ * whole trees (find, du, tree, grep -r, cp -r, rm -r).
+ *
+ * The walk is depth first and visits the entries of a directory in sorted
+ * order. Symbolic links are not followed: a link to a directory is visited as
+ * a link, so a link cycle cannot make the walk go on forever.
+ */
+
+/**
+ * Walks the tree under a path, yielding the path itself and everything below it.
+ * @param {object} pfs - The promise-based file system.
+ * @param {string} path - The absolute path to start from.
+ * @param {object} [options]
+ * @param {string} [options.name=path] - The start path as it should be shown. Entries
+ * below it are shown as `name/child`, so 'find .' gives './a' and 'find /' gives '/a'.
+ * @param {boolean} [options.postorder=false] - Yield a directory after its contents
+ * instead of before, as removing or summing up a tree needs.
+ * @param {number} [options.maxDepth=Infinity] - Do not go deeper than this; the start is depth 0.
+ * @param {function(object): boolean} [options.enter] - Called for each directory before
+ * the walk goes into it; returning false skips its contents.
+ * @param {function(Error, object)} [options.onError] - Called when a directory cannot be
+ * read, with the error and the directory's entry. Without it the error is thrown.
+ * @yields {{path: string, name: string, relative: string, depth: number, stats: object}}
+ * Each entry: its absolute path, its path as shown, its path relative to the start
+ * ('' for the start), its depth and its (lstat) stats.
+ * @throws {Error} If the start path does not exist.
+ */
+export async function* walk(pfs, path, { name = path, postorder = false, maxDepth = Infinity, enter, onError } = {}) {
+    const stats = await pfs.lstat(path);
+    yield* visit(pfs, { path, name, relative: '', depth: 0, stats }, { postorder, maxDepth, enter, onError });
+}
+
+async function* visit(pfs, entry, options) {
+    const isDirectory = entry.stats.isDirectory();
+    if (!options.postorder || !isDirectory) yield entry;
+    if (!isDirectory) return;
+
+    if (entry.depth < options.maxDepth && (!options.enter || options.enter(entry))) {
+        let names = [];
+        try {
+            names = (await pfs.readdir(entry.path)).sort();
+        } catch (e) {
+            if (!options.onError) throw e;
+            options.onError(e, entry);
+        }
+        for (const child of names) {
+            const path = joinPath(entry.path, child);
+            let stats;
+            try {
+                stats = await pfs.lstat(path);
+            } catch (e) {
+                // Removed while the walk was running.
+                continue;
+            }
+            yield* visit(pfs, {
+                path,
+                name: joinPath(entry.name, child),
+                relative: entry.relative ? `${entry.relative}/${child}` : child,
+                depth: entry.depth + 1,
+                stats,
+            }, options);
+        }
+    }
+    if (options.postorder) yield entry;
+}
+
+/**
+ * Joins a directory and a name with exactly one '/' between them.
+ * @param {string} dir - The directory, e.g. '/', 'a' or 'a/'.
+ * @param {string} name - The name inside it.
+ * @returns {string}
+ */
+export function joinPath(dir, name) {
+    if (dir === '') return name;
+    return dir.endsWith('/') ? `${dir}${name}` : `${dir}/${name}`;
+}
@@ -0,0 +1,117 @@
+// -----------------------------------------------------------------------------
+// file: test/grammar.test.js
+// -----------------------------------------------------------------------------
+/**
+ * Checks that the shell grammar (sys/grammar.js) is unambiguous: every input of
+ * a corpus covering its constructs must have exactly one parse. The parser uses
+ * the first result, so a second one would mean a tree picked by chance.
+ *
+ * The browser loads nearley with a script tag; here it comes from npm:
+ *
+ *   npm install --no-save nearley@2.20.1 && node --test test/
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import nearley from 'nearley';
+import grammar from '../sys/grammar.js';
+import parse, { preprocess } from '../sys/parser.js';
+
+// sys/parser.js expects the global the script tag defines.
+globalThis.nearley = nearley;
+
+const CORPUS = [
+    // Simple commands, words and quoting.
+    'ls',
+    'echo hello world',
+    '  echo   spaced\targs  ',
+    "echo 'single quoted' \"double $HOME quoted\" mixed'quo'\"tes\"",
+    'echo a\\ b \\$HOME \\\\',
+    'echo $1 $# $? $@ ${name} ${name:-default} ${#name}',
+    'echo "$(pwd)/x" `date` $(echo $(echo nested))',
+    'echo "a $(echo "inner quotes") b"',
+    'echo {a,b} * ?.js [ab]*',
+    'x=1',
+    'x=1 y="two words" env',
+    'A=1 echo $A',
+    'echo a=b',
+    'echo if then fi',
+    // Separators, pipelines and lists.
+    'a; b; c',
+    'a;b',
+    'a\nb\n\nc\n',
+    'a | b | c',
+    'a|b',
+    'a && b || c',
+    'a&&b||c',
+    'a | b && c | d || e',
+    'a &',
+    'a & b',
+    'a && b &',
+    'sleep 1 & sleep 2 & wait',
+    'a |\nb',
+    'a &&\nb',
+    'echo a \\\nb',
+    // Redirections.
+    'echo x > out',
+    'echo x >> out',
+    'echo x >out 2>err',
+    'echo x 2>&1',
+    'echo x >&2',
+    'echo x &> both',
+    'echo x &>> both',
+    'cat < in > out',
+    'cat <<EOF\nbody $x\nEOF',
+    "cat <<-'EOF'\n\tbody\n\tEOF",
+    'cat <<< "a string"',
+    'a 2>/dev/null | b > out',
+    '2>/dev/null ls',
+    '> out echo x',
+    '<in 2>&1 cat -n',
+    'echo a >f b',
+    'echo a 2>err b >out c',
+    'a &>f b',
+    'a & >f b',
+    'a &&>f b',
+    'a | 2>err b',
+    // Compound commands.
+    'if true; then echo yes; fi',
+    'if a; then b; elif c; then d; else e; fi',
+    'if a\nthen\n  b\nelse\n  c\nfi',
+    'if a && b; then c | d; fi > out',
+    'for x in a b c; do echo $x; done',
+    'for x; do echo $x; done',
+    'for x in *.js\ndo\n  echo $x\ndone',
+    'while read line; do echo $line; done < file',
+    'until false; do break; done',
+    'while true; do if a; then continue; fi; done',
+    'case $x in a) echo a;; b|c) echo bc;; *) echo other;; esac',
+    'case $x in\n  a)\n    echo a\n    ;;\n  *) echo other\nesac',
+    'case $x in esac',
+    '{ echo a; echo b; }',
+    '{ echo a; } | cat',
+    '{ a; b; } > out 2>&1',
+    'f() { echo $1; }',
+    'function f { echo f; }',
+    'function f() { return 1; }',
+    'f() {\n  local=1\n  echo $local\n}\nf a b',
+    'for i in 1 2; do for j in a b; do echo $i$j; done; done',
+    'x=$(if true; then echo y; fi)',
+    // Comments.
+    'echo a # trailing comment',
+    '#!/bin/sh\necho script',
+    'echo a#b',
+];
+
+for (const input of CORPUS) {
+    test(`one parse for ${JSON.stringify(input)}`, () => {
+        const parser = new nearley.Parser(nearley.Grammar.fromCompiled(grammar));
+        parser.feed(preprocess(input).text);
+        assert.equal(parser.results.length, 1);
+    });
+}
+
+test('syntax errors give an error node instead of throwing', () => {
+    const [node] = parse('echo )');
+    assert.equal(node.type, 'error');
+    assert.equal(node.message, 'unexpected `)` at column 6');
+});
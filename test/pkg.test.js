@@ -0,0 +1,191 @@
+// -----------------------------------------------------------------------------
+// file: test/pkg.test.js
+// -----------------------------------------------------------------------------
+/**
+ * Tests 'pkg' (sys/cmd/pkg.js) against bare repositories made in the file
+ * system, the way a repository pushed to from elsewhere would be. The command
+ * runs with a stand-in for the kernel that has just what it uses: the file
+ * system, git, and the hooks for reloading commands and key handlers.
+ *
+ * The browser loads LightningFS and isomorphic-git with script tags; here they
+ * come from npm, with an in-memory IndexedDB:
+ *
+ *   npm install --no-save fake-indexeddb @isomorphic-git/lightning-fs isomorphic-git && node --test test/
+ */
+import 'fake-indexeddb/auto';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import LightningFS from '@isomorphic-git/lightning-fs';
+import * as git from 'isomorphic-git';
+import pkg from '../sys/cmd/pkg.js';
+import { readLock, LIB_DIR, BIN_DIR } from '../sys/util/packages.js';
+import { resolvePath } from '../sys/util/path.js';
+
+// LightningFS looks for the Web Locks API.
+globalThis.navigator ??= {};
+
+const author = { name: 'test', email: 'test@example.com', timestamp: 0, timezoneOffset: 0 };
+
+let kernel;
+let tests = 0;
+
+beforeEach(() => {
+    // A file system of its own for each test.
+    const fs = new LightningFS(`pkg-test-${++tests}`, { wipe: true });
+    kernel = {
+        fs, pfs: fs.promises, git, config: { gitConfig: {} },
+        hashed: new Map(),
+        handlerLoads: 0,
+        async loadKeyHandlers() { this.handlerLoads++; },
+    };
+});
+
+/**
+ * Runs 'pkg' with the arguments.
+ * @returns {Promise<{status: number, stdout: string, stderr: string}>}
+ */
+async function run(...args) {
+    const output = { stdout: '', stderr: '' };
+    const stream = name => ({ async write(data) { output[name] += data; } });
+    const proc = {
+        kernel, args, name: 'pkg', env: {}, options: {}, operands: args,
+        stdout: stream('stdout'), stderr: stream('stderr'),
+        resolvePath: path => resolvePath(path, '/'),
+    };
+    const status = await pkg.exec(proc);
+    return { status, ...output };
+}
+
+/**
+ * Commits files to a bare repository, making it first if there is none.
+ * @param {string} gitdir - The repository.
+ * @param {object} files - The contents of the commit, by file name.
+ * @returns {Promise<string>} The commit.
+ */
+async function commit(gitdir, files) {
+    const { fs } = kernel;
+    if (!await kernel.pfs.stat(gitdir).catch(() => null)) {
+        await git.init({ fs, gitdir, bare: true, defaultBranch: 'main' });
+    }
+    const tree = [];
+    for (const [path, content] of Object.entries(files).sort(([a], [b]) => a.localeCompare(b))) {
+        const oid = await git.writeBlob({ fs, gitdir, blob: new TextEncoder().encode(content) });
+        tree.push({ mode: '100644', path, oid, type: 'blob' });
+    }
+    const parent = await git.resolveRef({ fs, gitdir, ref: 'HEAD' }).then(oid => [oid], () => []);
+    const oid = await git.writeCommit({
+        fs, gitdir,
+        commit: { message: 'commit\n', tree: await git.writeTree({ fs, gitdir, tree }), parent, author, committer: author },
+    });
+    await git.writeRef({ fs, gitdir, ref: 'refs/heads/main', value: oid, force: true });
+    return oid;
+}
+
+function manifest(name, version, extra = {}) {
+    return JSON.stringify({ name, version, commands: { [name]: `${name}.js` }, ...extra });
+}
+
+const command = text => `export default { exec: async proc => { await proc.stdout.write('${text}\\n'); } };\n`;
+
+test('install writes the files, a command module and the lockfile', async () => {
+    const head = await commit('/repos/hello.git', { 'qrx.json': manifest('hello', '1.0.0'), 'hello.js': command('hi') });
+
+    const { status, stdout } = await run('install', '/repos/hello.git');
+    assert.equal(status, 0);
+    assert.equal(stdout, `installed hello 1.0.0 (${head.slice(0, 7)})\n`);
+    assert.equal(await kernel.pfs.readFile(`${LIB_DIR}/hello/hello.js`, 'utf8'), command('hi'));
+    assert.match(await kernel.pfs.readFile(`${BIN_DIR}/hello.js`, 'utf8'), /export \{ default \} from '\/usr\/lib\/hello\/hello.js';/);
+
+    const { packages } = await readLock(kernel.pfs);
+    assert.deepEqual(packages.hello, {
+        version: '1.0.0', source: '/repos/hello.git', ref: null, commit: head, explicit: true,
+        commands: { hello: `${LIB_DIR}/hello/hello.js` }, handlers: {}, dependencies: [],
+    });
+    assert.equal(kernel.handlerLoads, 1);
+});
+
+test('install of the installed commit changes nothing', async () => {
+    await commit('/repos/hello.git', { 'qrx.json': manifest('hello', '1.0.0'), 'hello.js': command('hi') });
+    await run('install', '/repos/hello.git');
+
+    const { status, stdout } = await run('install', '/repos/hello.git');
+    assert.equal(status, 0);
+    assert.equal(stdout, 'hello 1.0.0 is up to date\n');
+    assert.equal(kernel.handlerLoads, 1);
+});
+
+test('update installs the new commit and drops the files it removed', async () => {
+    await commit('/repos/hello.git', { 'qrx.json': manifest('hello', '1.0.0'), 'hello.js': command('hi'), 'old.js': '' });
+    await run('install', '/repos/hello.git');
+    const head = await commit('/repos/hello.git', { 'qrx.json': manifest('hello', '1.1.0'), 'hello.js': command('hello') });
+
+    const { status, stdout } = await run('update');
+    assert.equal(status, 0);
+    assert.equal(stdout, `updated hello 1.0.0 -> 1.1.0 (${head.slice(0, 7)})\n`);
+    assert.equal(await kernel.pfs.readFile(`${LIB_DIR}/hello/hello.js`, 'utf8'), command('hello'));
+    assert.equal(await kernel.pfs.stat(`${LIB_DIR}/hello/old.js`).catch(() => null), null);
+    assert.equal((await readLock(kernel.pfs)).packages.hello.commit, head);
+    assert.deepEqual((await kernel.pfs.readdir(LIB_DIR)).sort(), ['hello', 'pkg-lock.json']);
+});
+
+test('a failed update leaves the installed version and the lockfile as they were', async () => {
+    await commit('/repos/hello.git', { 'qrx.json': manifest('hello', '1.0.0'), 'hello.js': command('hi') });
+    await run('install', '/repos/hello.git');
+    const lock = await kernel.pfs.readFile(`${LIB_DIR}/pkg-lock.json`, 'utf8');
+    await commit('/repos/hello.git', { 'qrx.json': manifest('hello', '1.1.0'), 'hello.js': command('hello'), 'big.js': '' });
+
+    // The file system fails part of the way through writing the new version.
+    const { writeFile } = kernel.pfs;
+    kernel.pfs = Object.create(kernel.pfs, {
+        writeFile: { value: (path, ...rest) => (path.endsWith('big.js') ? Promise.reject(new Error('ENOSPC')) : writeFile.call(kernel.fs.promises, path, ...rest)) },
+    });
+    const { status, stderr } = await run('update', 'hello');
+    assert.equal(status, 1);
+    assert.equal(stderr, 'pkg: hello: cannot write its files: ENOSPC\n');
+
+    assert.equal(await kernel.pfs.readFile(`${LIB_DIR}/hello/hello.js`, 'utf8'), command('hi'));
+    assert.ok(await kernel.pfs.stat(`${BIN_DIR}/hello.js`));
+    assert.equal(await kernel.pfs.readFile(`${LIB_DIR}/pkg-lock.json`, 'utf8'), lock);
+    assert.deepEqual((await kernel.pfs.readdir(LIB_DIR)).sort(), ['hello', 'pkg-lock.json']);
+});
+
+test('dependencies are installed first, and removed with the last package that needs them', async () => {
+    await commit('/repos/colors.git', { 'qrx.json': manifest('colors', '2.0.0'), 'colors.js': command('red') });
+    await commit('/repos/hello.git', {
+        'qrx.json': manifest('hello', '1.0.0', { dependencies: { colors: '/repos/colors.git' } }),
+        'hello.js': command('hi'),
+    });
+
+    let { stdout } = await run('install', '/repos/hello.git');
+    assert.match(stdout, /^installed colors 2\.0\.0 .*\ninstalled hello 1\.0\.0 /);
+    const { packages } = await readLock(kernel.pfs);
+    assert.equal(packages.colors.explicit, false);
+    assert.deepEqual(packages.hello.dependencies, ['colors']);
+
+    const refused = await run('remove', 'colors');
+    assert.equal(refused.status, 1);
+    assert.equal(refused.stderr, 'pkg: cannot remove colors: hello depends on it\n');
+
+    ({ stdout } = await run('remove', 'hello'));
+    assert.equal(stdout, 'removed hello 1.0.0\nremoved colors 2.0.0\n');
+    assert.deepEqual((await readLock(kernel.pfs)).packages, {});
+    assert.deepEqual(await kernel.pfs.readdir(BIN_DIR), []);
+    assert.deepEqual(await kernel.pfs.readdir(LIB_DIR), ['pkg-lock.json']);
+});
+
+test('list shows what is installed', async () => {
+    const head = await commit('/repos/hello.git', { 'qrx.json': manifest('hello', '1.0.0'), 'hello.js': command('hi') });
+    await run('install', '/repos/hello.git#main');
+
+    const { stdout } = await run('list');
+    assert.equal(stdout, `hello  1.0.0  ${head.slice(0, 7)}  /repos/hello.git#main\n`);
+});
+
+test('a package without a manifest is refused', async () => {
+    await commit('/repos/bare.git', { 'hello.js': command('hi') });
+
+    const { status, stderr } = await run('install', '/repos/bare.git');
+    assert.equal(status, 1);
+    assert.equal(stderr, 'pkg: /repos/bare.git: no qrx.json in the repository\n');
+    assert.deepEqual((await readLock(kernel.pfs)).packages, {});
+});